@@ -7,17 +7,101 @@ export {
     getPropertyValue,
     setPropertyValue,
     propertyNameToPath,
+    arePathsRelated,
+    cloneWithPropertyValue,
 } from './utils/properties.js';
 
-export { getElementAttrs } from './utils/dom.js';
+export {
+    getElementAttrs,
+    collectElements,
+    setAttributeValue,
+    classValueToList,
+    applyClassValue,
+    getModelProperty,
+    getModelEvent,
+    readModelValue,
+    writeModelValue,
+    getEventListenerOptions,
+    acceptEvent,
+} from './utils/dom.js';
 
-export { isValidForTwoWayBinding } from './utils/validators.js';
-export { DIRECTIVE_PREFIXES } from './models/directive-parser/constants.js';
+export { isValidForTwoWayBinding, RESERVED_WORDS } from './utils/validators.js';
+export {
+    registerModifier,
+    declareModifier,
+    getModifier,
+    getModifierSchema,
+    listModifiers,
+    applyModifiers,
+    validateModifiers,
+    DIRECTIVE_KINDS,
+} from './utils/modifiers.js';
+export {
+    registerFormatter,
+    getFormatter,
+    listFormatters,
+    applyFormatters,
+} from './utils/formatters.js';
+export { shorthandPreprocessor, SHORTHAND_PREFIXES } from './utils/preprocessors.js';
+export {
+    DIRECTIVE_PREFIXES,
+    SKIP_ATTRIBUTE,
+    SCOPE_ATTRIBUTE,
+    ROOT_SCOPE,
+    EXPRESSION_PREFIX,
+    INTERPOLATION_DELIMITERS,
+    TEMPLATE_QUOTE,
+} from './models/directive-parser/constants.js';
 
-export { parseDirectives } from './models/directive-parser/utils.js';
+export {
+    parseDirectives,
+    parseDirectiveValue,
+    parseModifiersString,
+    isDirectiveAttribute,
+    hasDirectives,
+    getScopePath,
+    findCustomDirective,
+} from './models/directive-parser/utils.js';
+export {
+    tokenizeDirectiveValue,
+    parseDirectiveSyntax,
+} from './models/directive-parser/tokenizer.js';
+export {
+    parseExpression,
+    evaluateExpression,
+    getExpressionPaths,
+    walkExpressionPaths,
+} from './models/directive-parser/expression.js';
+export { parseEventDirective } from './models/directive-parser/parsers/event-directive.js';
+export { parseForDirective } from './models/directive-parser/parsers/for-directive.js';
+export { parseIfDirective } from './models/directive-parser/parsers/if-directive.js';
+export { parseClassDirectives } from './models/directive-parser/parsers/class-directive.js';
+export {
+    parseInterpolation,
+    parseTemplateLiteral,
+    parseTextDirective,
+    parseTextDirectives,
+    hasInterpolation,
+} from './models/directive-parser/parsers/text-directive.js';
 
 export { DirectiveParser } from './models/directive-parser.js';
 export { DirectiveValue } from './models/directive-value.js';
 export { ClassDirectiveValue } from './models/class-directive-value.js';
+export { ForDirectiveValue } from './models/for-directive-value.js';
+export { ConditionalDirectiveValue } from './models/conditional-directive-value.js';
+export { TextDirectiveValue } from './models/text-directive-value.js';
 export { ParsedDirectives } from './models/parsed-directives.js';
 export { BridgeBase } from './models/bridge-base.js';
+export { ListRenderer, iterateCollection } from './models/list-renderer.js';
+export { ConditionalRenderer } from './models/conditional-renderer.js';
+export { TemplateInstance } from './models/template-instance.js';
+export { ReactiveBridge } from './models/bridges/reactive-bridge.js';
+export { ProxyBridge } from './models/bridges/proxy-bridge.js';
+export { StoreBridge, isStore, resolveStore } from './models/bridges/store-bridge.js';
+export { EventTargetBridge } from './models/bridges/event-target-bridge.js';
+export { SignalBridge } from './models/bridges/signal-bridge.js';
+export { ObservableBridge, isObservable } from './models/bridges/observable-bridge.js';
+export { ImmutableStoreBridge } from './models/bridges/immutable-store-bridge.js';
+export { createBridge } from './models/bridges/create-bridge.js';
+export { reactive, isReactive, toRaw, subscribe } from './models/bridges/proxy-state.js';
+export { DEFAULT_BEHAVIORS } from './models/bridges/behaviors.js';
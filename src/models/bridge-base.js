@@ -4,18 +4,60 @@ import { DirectiveParser } from './directive-parser.js';
 import { HandlerContext } from './handler-context.js';
 import { DirectiveValue } from './directive-value.js';
 import { ClassDirectiveValue } from './class-directive-value.js';
+import { ForDirectiveValue } from './for-directive-value.js';
+import { ListRenderer } from './list-renderer.js';
+import { ConditionalDirectiveValue } from './conditional-directive-value.js';
+import { ConditionalRenderer } from './conditional-renderer.js';
+import { TextDirectiveValue } from './text-directive-value.js';
+import { SKIP_ATTRIBUTE, SCOPE_ATTRIBUTE } from './directive-parser/constants.js';
+import { collectElements, isSkipped, getEventListenerOptions, acceptEvent } from '../utils/dom.js';
+import { applyModifiers } from '../utils/modifiers.js';
+import { getFormatter } from '../utils/formatters.js';
+import { pathToPropertyName } from '../utils/properties.js';
+import { evaluateExpression } from './directive-parser/expression.js';
+
+/**
+ * @typedef {import('./directive-parser/expression.js').ExpressionNode} ExpressionNode
+ * @typedef {import('./text-directive-value.js').TextSegment} TextSegment
+ */
+
+/**
+ * Converts a binding value to the text it renders as; null and undefined render as nothing.
+ * @param {*} value
+ * @returns {string}
+ */
+function toText(value) {
+    return value === null || value === undefined ? '' : String(value);
+}
+
+/**
+ * @typedef {Object} BehaviorHandler
+ * @property {(element: Element, directive: DirectiveValue, context: HandlerContext) => void} [mount] - Called once when the element is bound
+ * @property {(element: Element, value: *, directive: DirectiveValue, context: HandlerContext) => void} [update] - Called with the current value and on every change
+ * @property {(element: Element, directive: DirectiveValue, context: HandlerContext) => void} [unmount] - Called when the element is unbound
+ */
 
 /**
  * Base class for reactive bridges.
  */
 export class BridgeBase {
 
-    constructor() {
+    /**
+     * @param {ConstructorParameters<typeof DirectiveParser>[0]} [options = {}] - Options of the
+     * bridge's parser: `delimiters` of text placeholders and `prefixes` of the directive families
+     */
+    constructor(options = {}) {
 
         /** @type {Map<Element, HandlerContext>} */
         this.boundElements = new Map(); // element -> HandlerContext
 
-        this.parser = new DirectiveParser();
+        /** @type {Map<string, BehaviorHandler>} */
+        this.behaviors = new Map(); // behaviorName -> BehaviorHandler
+
+        /** @type {WeakMap<Element, Record<string, Element|Element[]>>} */
+        this.refRegistries = new WeakMap(); // root -> refs
+
+        this.parser = new DirectiveParser(options);
         let that = this;
 
         this.parser.onAttributeDirective((element, attributeDirectives, handlerContext) => {
@@ -33,6 +75,34 @@ export class BridgeBase {
         this.parser.onClassDirective((element, classDirective, handlerContext) => {
             that.classDirectiveCallback(element, classDirective, handlerContext);
         });
+
+        this.parser.onBehaviorDirective((element, behaviorDirectives, handlerContext) => {
+            that.behaviorDirectiveCallback(element, behaviorDirectives, handlerContext);
+        });
+
+        this.parser.onTextDirective((element, textDirectives, handlerContext) => {
+            that.textDirectiveCallback(element, textDirectives, handlerContext);
+        });
+
+        this.parser.onEventDirective((element, eventDirectives, handlerContext) => {
+            that.eventDirectivesCallback(element, eventDirectives, handlerContext);
+        });
+
+        this.parser.onRefDirective((element, refName, handlerContext) => {
+            that.refDirectiveCallback(element, refName, handlerContext);
+        });
+
+        this.parser.onForDirective((element, forDirective, handlerContext) => {
+            that.forDirectiveCallback(element, forDirective, handlerContext);
+        });
+
+        this.parser.onIfDirective((element, ifDirective, handlerContext) => {
+            that.ifDirectiveCallback(element, ifDirective, handlerContext);
+        });
+
+        this.parser.onCustomDirective((element, name, result, handlerContext) => {
+            that.customDirectiveCallback(element, name, result, handlerContext);
+        });
     }
 
     /**
@@ -42,10 +112,13 @@ export class BridgeBase {
      * @param {Object} options - Optional configuration
      * @param {AbortSignal} [options.signal] - Signal for automatic cleanup
      * @param {Object} [options.config] - Additional configuration
+     * @param {Record<string, Element|Element[]>} [options.refs] - Refs registry, defaults to the registry of the element itself
+     * @param {string} [options.skipAttribute] - Opt-out attribute applied inside `data-for` / `data-if` clones
+     * @param {HandlerContext} [options.parentContext] - Context to derive the element context from (used for list clones)
      * @returns {{ context: HandlerContext, directives: Object, dispose: () => void }}
      */
     bindElement(element, state,  options = {}) {
-        if (!this.isStateCompatible(state)) {
+        if (!this.isStateCompatible(options.parentContext ? options.parentContext.state : state)) {
             throw new Error(`State is not compatible with bridge ${this.constructor.name}`);
         }
 
@@ -53,7 +126,8 @@ export class BridgeBase {
             this.unbindElement(element);
         }
 
-        const result = this.parser.processElement(element, state, options);
+        const refs = options.refs || (options.parentContext ? undefined : this.getRefs(element));
+        const result = this.parser.processElement(element, state, { ...options, refs });
 
         this.boundElements.set(element, result.context);
 
@@ -64,6 +138,179 @@ export class BridgeBase {
         };
     }
 
+    /**
+     * Binds the root element and all of its descendants that have directives.
+     * Subtrees marked with the skip attribute (`data-skip` by default) are not bound.
+     * If binding an element throws, the elements bound so far are unbound before the error is rethrown.
+     * @param {Element} root
+     * @param {Object} state
+     * @param {Object} options - Optional configuration
+     * @param {AbortSignal} [options.signal] - Signal for automatic cleanup
+     * @param {Object} [options.config] - Additional configuration
+     * @param {string} [options.skipAttribute] - Attribute that excludes an element and its subtree
+     * @returns {{ elements: Element[], contexts: Map<Element, HandlerContext>, dispose: () => void }}
+     */
+    bindTree(root, state, options = {}) {
+        if (!this.isStateCompatible(state)) {
+            throw new Error(`State is not compatible with bridge ${this.constructor.name}`);
+        }
+
+        const { skipAttribute = SKIP_ATTRIBUTE, ...rest } = options;
+        const elementOptions = { ...rest, skipAttribute, refs: this.getRefs(root) };
+        const elements = collectElements(
+            root,
+            element => this.parser.hasDirectives(element),
+            skipAttribute
+        );
+
+        /** @type {Map<Element, HandlerContext>} */
+        const contexts = new Map();
+
+        const dispose = () => {
+            for (const [element, context] of contexts) {
+                // The element may have been rebound elsewhere since
+                if (this.boundElements.get(element) === context) {
+                    this.unbindElement(element);
+                }
+            }
+            contexts.clear();
+        };
+
+        try {
+            for (const element of elements) {
+                const result = this.bindElement(element, state, elementOptions);
+                contexts.set(element, result.context);
+            }
+        } catch (error) {
+            // The caller gets no handle, so the bindings made so far are released here
+            dispose();
+            throw error;
+        }
+
+        return { elements, contexts, dispose };
+    }
+
+    /**
+     * Binds the subtree like `bindTree` and keeps it in sync with DOM mutations.
+     * Added elements with directives are bound, removed elements are unbound,
+     * and an element whose directive attributes change is rebound, as are the
+     * descendants of an element whose `data-scope` changes.
+     * @param {Element} root
+     * @param {Object} state
+     * @param {Object} options - Optional configuration
+     * @param {AbortSignal} [options.signal] - Signal for automatic cleanup, also stops observing
+     * @param {Object} [options.config] - Additional configuration
+     * @param {string} [options.skipAttribute] - Attribute that excludes an element and its subtree
+     * @returns {{ readonly elements: Element[], contexts: Map<Element, HandlerContext>, dispose: () => void }}
+     */
+    observe(root, state, options = {}) {
+        const tree = this.bindTree(root, state, options);
+        const { skipAttribute = SKIP_ATTRIBUTE, ...rest } = options;
+        const elementOptions = { ...rest, skipAttribute, refs: this.getRefs(root) };
+        const contexts = tree.contexts;
+
+        /** @param {Element} element */
+        const release = element => {
+            if (this.boundElements.get(element) === contexts.get(element)) {
+                this.unbindElement(element);
+            }
+            contexts.delete(element);
+        };
+
+        /**
+         * @param {Element} element
+         * @param {boolean} rebind - Rebind even if the element is already bound
+         */
+        const reconcile = (element, rebind) => {
+            const inside = root.contains(element) && !isSkipped(element, root, skipAttribute);
+
+            if (contexts.has(element)) {
+                if (inside && !rebind) return;
+                // Unbinding first restores interpolated text, so the element is checked as written
+                release(element);
+            }
+
+            if (!inside || !this.parser.hasDirectives(element)) return;
+
+            // Bound by someone else, e.g. a data-for clone owned by its list
+            if (this.boundElements.has(element)) return;
+
+            const result = this.bindElement(element, state, elementOptions);
+            contexts.set(element, result.context);
+        };
+
+        const view = root.ownerDocument.defaultView;
+        const MutationObserverClass = view ? view.MutationObserver : globalThis.MutationObserver;
+
+        const observer = new MutationObserverClass(records => {
+            let hasRemovals = false;
+            /** @type {Map<Element, boolean>} */
+            const candidates = new Map(); // element -> rebind
+
+            for (const record of records) {
+                if (record.type === 'childList') {
+                    if (record.removedNodes.length > 0) hasRemovals = true;
+
+                    record.addedNodes.forEach(node => {
+                        if (node.nodeType !== 1) return;
+                        for (const element of collectElements(/** @type {Element} */ (node), () => true)) {
+                            if (!candidates.has(element)) candidates.set(element, false);
+                        }
+                    });
+                } else if (record.type === 'attributes') {
+                    const target = /** @type {Element} */ (record.target);
+                    const name = record.attributeName || '';
+
+                    if (name === skipAttribute) {
+                        for (const element of collectElements(target, () => true)) {
+                            if (!candidates.has(element)) candidates.set(element, false);
+                        }
+                    } else if (name === SCOPE_ATTRIBUTE) {
+                        // Descendant targets were resolved against the old scope
+                        for (const element of collectElements(target, () => true)) {
+                            if (element !== target) candidates.set(element, true);
+                        }
+                    } else if (this.parser.isDirectiveAttribute(name, target)) {
+                        candidates.set(target, true);
+                    }
+                }
+            }
+
+            if (hasRemovals) {
+                for (const element of [...contexts.keys()]) {
+                    if (!root.contains(element)) release(element);
+                }
+            }
+
+            for (const [element, rebind] of candidates) {
+                reconcile(element, rebind);
+            }
+        });
+
+        observer.observe(root, { childList: true, subtree: true, attributes: true });
+
+        let disposed = false;
+        const dispose = () => {
+            if (disposed) return;
+            disposed = true;
+            observer.disconnect();
+            tree.dispose();
+        };
+
+        if (options.signal) {
+            if (options.signal.aborted) dispose();
+            else options.signal.addEventListener('abort', dispose, { once: true });
+        }
+
+        return {
+            get elements() {
+                return [...contexts.keys()];
+            },
+            contexts,
+            dispose,
+        };
+    }
+
     /**
      * Unbinds the element from the reactive state.
      * @param {Element} element
@@ -76,6 +323,53 @@ export class BridgeBase {
         }
     }
 
+    /**
+     * Registers a handler for `data-b-{name}` directives.
+     * Each directive gets its own child HandlerContext, so cleanups registered
+     * by one behavior are disposed together with the element binding.
+     * @param {string} name - Behavior name, e.g. "show" for `data-b-show`
+     * @param {BehaviorHandler} handler
+     * @returns {() => void} Function that unregisters the handler
+     */
+    registerBehavior(name, handler) {
+        if (typeof name !== 'string' || name.length === 0) {
+            throw new Error('Behavior name must be a non-empty string');
+        }
+
+        this.behaviors.set(name, handler);
+
+        return () => {
+            if (this.behaviors.get(name) === handler) {
+                this.behaviors.delete(name);
+            }
+        };
+    }
+
+    /**
+     * Returns the names of all registered behaviors.
+     * @returns {string[]}
+     */
+    listBehaviors() {
+        return [...this.behaviors.keys()];
+    }
+
+    /**
+     * Returns the refs registry of a root: `data-ref` name -> element.
+     * Elements bound by `bindTree` / `observe` register in the registry of their root,
+     * elements bound with `bindElement` in their own. The registry is the object exposed
+     * as `context.refs`; entries are removed when their elements are unbound.
+     * @param {Element} root
+     * @returns {Record<string, Element|Element[]>}
+     */
+    getRefs(root) {
+        let refs = this.refRegistries.get(root);
+        if (!refs) {
+            refs = {};
+            this.refRegistries.set(root, refs);
+        }
+        return refs;
+    }
+
     /**
      * Disposes the bridge.
      */
@@ -141,13 +435,356 @@ export class BridgeBase {
     }
 
     /**
-     * Callback for behavior directive
+     * Callback for behavior directive.
+     * Dispatches every directive to the handler registered with `registerBehavior`.
      * @param {Element} element
      * @param {Map<string, DirectiveValue>} directives
      * @param {HandlerContext} handlerContext
      */
     behaviorDirectiveCallback(element, directives, handlerContext) {
-        console.log('Behavior directives found:', directives);
-        console.warn('Method must be implemented by subclass');
+        for (const [behaviorName, directive] of directives) {
+            const handler = this.behaviors.get(behaviorName);
+
+            if (!handler) {
+                console.warn(
+                    `Unknown behavior "${behaviorName}" in ${this.parser.prefixes.BEHAVIOR}${behaviorName}="${directive.target}". ` +
+                        `Registered behaviors: ${this.listBehaviors().join(', ') || '(none)'}`
+                );
+                continue;
+            }
+
+            const context = handlerContext.createChild();
+
+            if (handler.mount) {
+                handler.mount(element, directive, context);
+            }
+
+            if (handler.unmount) {
+                const unmount = handler.unmount;
+                context.addCleanup(() => unmount(element, directive, context));
+            }
+
+            if (handler.update) {
+                const update = handler.update;
+                this.renderDirective(
+                    element,
+                    directive,
+                    context,
+                    applyModifiers(directive, value => update(element, value, directive, context), context)
+                );
+            }
+        }
+    }
+
+    /**
+     * Callback for text directives (`{{ }}` placeholders in child text nodes).
+     * The text is replaced by one text node per segment and only the nodes of the dynamic
+     * segments are updated. The original text nodes are put back when the element is unbound.
+     * @param {Element} element
+     * @param {TextDirectiveValue[]} directives
+     * @param {HandlerContext} handlerContext
+     */
+    textDirectiveCallback(element, directives, handlerContext) {
+        for (const directive of directives) {
+            const originals = directive.nodes;
+            if (originals.length === 0 || originals.some(node => node.parentNode !== element)) continue;
+
+            const document = element.ownerDocument;
+            const nodes = directive.segments.map(segment =>
+                document.createTextNode(typeof segment === 'string' ? segment : '')
+            );
+
+            nodes.forEach(node => element.insertBefore(node, originals[0]));
+            originals.forEach(node => element.removeChild(node));
+
+            handlerContext.addCleanup(() => {
+                const anchor = nodes.find(node => node.parentNode);
+                const parent = anchor && anchor.parentNode;
+                if (parent) originals.forEach(node => parent.insertBefore(node, anchor));
+                nodes.forEach(node => node.parentNode && node.parentNode.removeChild(node));
+            });
+
+            directive.segments.forEach((segment, index) => {
+                if (typeof segment === 'string') return;
+                const node = nodes[index];
+                this.renderDirective(
+                    element,
+                    segment,
+                    handlerContext,
+                    applyModifiers(
+                        segment,
+                        value => {
+                            node.data = toText(value);
+                        },
+                        handlerContext
+                    )
+                );
+            });
+        }
+    }
+
+    /**
+     * Callback for event directives (`data-on-*`).
+     * Adds a listener per event that calls the function at `directive.target` with the DOM event
+     * and the HandlerContext. The function is called with the object holding it as `this`
+     * (`cart` for `data-on-click="cart.add"`) and is looked up on every event.
+     * @param {Element} element
+     * @param {Map<string, DirectiveValue>} directives - Event name -> directive
+     * @param {HandlerContext} handlerContext
+     */
+    eventDirectivesCallback(element, directives, handlerContext) {
+        for (const [eventName, directive] of directives) {
+            const modifiers = directive.eventModifiers;
+            const options = getEventListenerOptions(modifiers);
+
+            /** @param {Event} event */
+            const call = event => {
+                const parts = directive.targetParts;
+                const handler = handlerContext.read(parts);
+
+                if (typeof handler !== 'function') {
+                    console.warn(
+                        `${this.parser.prefixes.EVENT}${eventName}="${directive.target}" does not resolve to a function`
+                    );
+                    return;
+                }
+
+                const owner = parts.length > 1 ? handlerContext.read(parts.slice(0, -1)) : handlerContext.state;
+                handler.call(owner, event, handlerContext);
+            };
+
+            // Timing modifiers (#debounce, #throttle...) delay the call, event filters apply first
+            const invoke = applyModifiers(directive, call, handlerContext);
+
+            /** @param {Event} event */
+            const listener = event => {
+                if (!acceptEvent(event, element, modifiers)) return;
+
+                if (modifiers.has('once')) {
+                    element.removeEventListener(eventName, listener, options);
+                }
+
+                invoke(event);
+            };
+
+            element.addEventListener(eventName, listener, options);
+            handlerContext.addCleanup(() => element.removeEventListener(eventName, listener, options));
+        }
+    }
+
+    /**
+     * Callback for the ref directive (`data-ref`).
+     * Registers the element in `handlerContext.refs` until it is unbound.
+     * Inside `data-for` clones the entry is an array of elements in document order.
+     * @param {Element} element
+     * @param {string} refName
+     * @param {HandlerContext} handlerContext
+     */
+    refDirectiveCallback(element, refName, handlerContext) {
+        const refs = handlerContext.refs;
+        const current = refs[refName];
+        const inList = Object.prototype.hasOwnProperty.call(handlerContext.locals, '$index');
+
+        if (inList && (current === undefined || Array.isArray(current))) {
+            const list = /** @type {Element[]} */ (
+                Array.isArray(current) ? current : (refs[refName] = [])
+            );
+            list.push(element);
+            list.sort((a, b) => (a.compareDocumentPosition(b) & 4 ? -1 : 1)); // 4: b follows a
+
+            handlerContext.addCleanup(() => {
+                const index = list.indexOf(element);
+                if (index !== -1) list.splice(index, 1);
+                if (list.length === 0 && refs[refName] === list) delete refs[refName];
+            });
+            return;
+        }
+
+        if (current !== undefined && current !== element) {
+            console.warn(
+                `Duplicate ${this.parser.prefixes.REF}="${refName}" on ${element.tagName}: the name is already used by another element`
+            );
+            if (inList) return;
+        }
+
+        refs[refName] = element;
+        handlerContext.addCleanup(() => {
+            if (refs[refName] === element) delete refs[refName];
+        });
+    }
+
+    /**
+     * Callback for the directive families added with `parser.registerDirective`.
+     * Called once per family found on the element with its merged result.
+     * Does nothing by default; bridges override it to render their own families, e.g. with
+     * `renderDirective` for the DirectiveValues of the result.
+     * @param {Element} element
+     * @param {string} name - Name the family was registered with
+     * @param {*} result - The family's entry in `ParsedDirectives.custom`
+     * @param {HandlerContext} handlerContext
+     */
+    customDirectiveCallback(element, name, result, handlerContext) {}
+
+    /**
+     * Callback for the list directive (`data-for`).
+     * Renders the template content once per item with a ListRenderer.
+     * @param {Element} element
+     * @param {ForDirectiveValue} directive
+     * @param {HandlerContext} handlerContext
+     */
+    forDirectiveCallback(element, directive, handlerContext) {
+        const renderer = new ListRenderer(this, element, directive, handlerContext);
+        handlerContext.addCleanup(() => renderer.dispose());
+
+        if (directive.range) {
+            renderer.update(null);
+            return;
+        }
+
+        this.renderDirective(element, directive.source, handlerContext, value => renderer.schedule(value));
+    }
+
+    /**
+     * Callback for the conditional directive (`data-if` / `data-else-if` / `data-else`).
+     * Mounts the first truthy branch of the chain with a ConditionalRenderer.
+     * @param {Element} element
+     * @param {ConditionalDirectiveValue} directive
+     * @param {HandlerContext} handlerContext
+     */
+    ifDirectiveCallback(element, directive, handlerContext) {
+        const renderer = new ConditionalRenderer(this, directive, handlerContext);
+        handlerContext.addCleanup(() => renderer.dispose());
+
+        directive.branches.forEach((branch, index) => {
+            if (!branch.condition) return;
+            this.renderDirective(branch.template, branch.condition, handlerContext, value =>
+                renderer.setCondition(index, value)
+            );
+        });
+
+        renderer.start();
+    }
+
+    /**
+     * Calls `callback` with the value of `directive.target`.
+     * Targets starting with a local name (e.g. a non-addressable `data-for` item) are read
+     * from the context once; all other targets are passed to `watchDirective`.
+     * Expression directives are re-evaluated whenever one of their dependencies changes.
+     * Values pass through the directive's formatter pipes before `callback`.
+     * @param {Element} element
+     * @param {DirectiveValue} directive
+     * @param {HandlerContext} context
+     * @param {(value: *) => void} callback
+     */
+    renderDirective(element, directive, context, callback) {
+        if (directive.pipes && directive.pipes.length > 0) {
+            for (const { name } of directive.pipes) {
+                if (!getFormatter(name)) console.warn(`Unknown formatter "${name}" is ignored`);
+            }
+            const render = callback;
+            callback = value => render(context.format(value, directive.pipes));
+        }
+
+        if (directive.template) {
+            this.renderTemplate(element, directive, context, callback);
+            return;
+        }
+
+        if (directive.expression) {
+            this.renderExpression(element, directive, context, callback);
+            return;
+        }
+
+        if (context.isLocalPath(directive.targetParts)) {
+            callback(context.read(directive.targetParts));
+            return;
+        }
+
+        this.watchDirective(element, directive, context, callback);
+    }
+
+    /**
+     * Renders every binding of a template directive and calls `callback` with the joined text
+     * once all bindings have a value, and again whenever one of them changes.
+     * @param {Element} element
+     * @param {DirectiveValue} directive
+     * @param {HandlerContext} context
+     * @param {(value: string) => void} callback
+     */
+    renderTemplate(element, directive, context, callback) {
+        const segments = /** @type {TextSegment[]} */ (directive.template);
+        const values = segments.map(segment => (typeof segment === 'string' ? segment : ''));
+        let ready = false;
+
+        segments.forEach((segment, index) => {
+            if (typeof segment === 'string') return;
+            this.renderDirective(
+                element,
+                segment,
+                context,
+                applyModifiers(
+                    segment,
+                    value => {
+                        values[index] = toText(value);
+                        if (ready) callback(values.join(''));
+                    },
+                    context
+                )
+            );
+        });
+
+        ready = true;
+        callback(values.join(''));
+    }
+
+    /**
+     * Watches every dependency of an expression directive through `watchDirective`,
+     * so expressions work with any bridge, and evaluates the expression with the latest values.
+     * @param {Element} element
+     * @param {DirectiveValue} directive
+     * @param {HandlerContext} context
+     * @param {(value: *) => void} callback
+     */
+    renderExpression(element, directive, context, callback) {
+        const expression = /** @type {ExpressionNode} */ (directive.expression);
+        /** @type {Map<string, *>} */
+        const values = new Map(); // path -> latest value delivered by the bridge
+        let ready = false;
+
+        /** @param {string[]} path */
+        const read = path => {
+            const key = pathToPropertyName(path);
+            return values.has(key) ? values.get(key) : context.read(path);
+        };
+        const evaluate = () => callback(evaluateExpression(expression, context, read));
+
+        for (const path of directive.dependencies) {
+            if (context.isLocalPath(path)) continue;
+
+            const dependency = new DirectiveValue();
+            dependency.target = pathToPropertyName(path);
+
+            this.watchDirective(element, dependency, context, value => {
+                values.set(dependency.target, value);
+                if (ready) evaluate();
+            });
+        }
+
+        ready = true;
+        evaluate();
+    }
+
+    /**
+     * Calls `callback` with the current value of `directive.target` and, in subclasses
+     * that can track changes, again whenever it changes.
+     * Subscriptions must be registered through `context.addCleanup`.
+     * The default implementation reads the value once.
+     * @param {Element} element
+     * @param {DirectiveValue} directive
+     * @param {HandlerContext} context
+     * @param {(value: *) => void} callback
+     */
+    watchDirective(element, directive, context, callback) {
+        callback(context.read(directive.targetParts));
     }
 }
@@ -218,6 +218,675 @@ test('BridgeBase.bindElement: multiple elements can be bound', t => {
     t.true(bridge.boundElements.has(element2));
 });
 
+// ============================================================================
+// bindTree() Tests
+// ============================================================================
+
+test('BridgeBase.bindTree: binds only elements with directives', t => {
+    const bridge = new TestBridge();
+    const root = document.createElement('div');
+    root.innerHTML =
+        '<p data-a-title="title"></p><p></p><span data-c-active="isActive"><b></b></span>';
+
+    const result = bridge.bindTree(/** @type {any} */ (root), {});
+
+    t.is(result.elements.length, 2);
+    t.is(bridge.boundElements.size, 2);
+    t.is(result.contexts.size, 2);
+    t.is(bridge.attributeCallbacks.length, 1);
+    t.is(bridge.classCallbacks.length, 1);
+});
+
+test('BridgeBase.bindTree: includes root element', t => {
+    const bridge = new TestBridge();
+    const root = document.createElement('div');
+    root.setAttribute('data-a-title', 'title');
+
+    const result = bridge.bindTree(/** @type {any} */ (root), {});
+
+    t.deepEqual(result.elements, [root]);
+});
+
+test('BridgeBase.bindTree: contexts map holds per-element context', t => {
+    const bridge = new TestBridge();
+    const root = document.createElement('div');
+    root.innerHTML = '<p data-a-title="title"></p>';
+    const state = { title: 'Hello' };
+
+    const result = bridge.bindTree(/** @type {any} */ (root), state);
+    const context = result.contexts.get(result.elements[0]);
+
+    t.truthy(context);
+    t.is(context?.get('title'), 'Hello');
+    t.is(bridge.boundElements.get(result.elements[0]), context);
+});
+
+test('BridgeBase.bindTree: skips subtrees with data-skip', t => {
+    const bridge = new TestBridge();
+    const root = document.createElement('div');
+    root.innerHTML =
+        '<p data-a-title="a"></p><section data-skip><p data-a-title="b"></p></section>';
+
+    const result = bridge.bindTree(/** @type {any} */ (root), {});
+
+    t.is(result.elements.length, 1);
+    t.is(result.elements[0].getAttribute('data-a-title'), 'a');
+});
+
+test('BridgeBase.bindTree: custom skipAttribute option', t => {
+    const bridge = new TestBridge();
+    const root = document.createElement('div');
+    root.innerHTML =
+        '<p data-a-title="a"></p><section data-ignore><p data-a-title="b"></p></section>';
+
+    const result = bridge.bindTree(/** @type {any} */ (root), {}, { skipAttribute: 'data-ignore' });
+
+    t.is(result.elements.length, 1);
+});
+
+test('BridgeBase.bindTree: unbinds the bound elements when binding one throws', t => {
+    class FailingBridge extends TestBridge {
+        /**
+         * @param {Element} element
+         * @param {Object} state
+         * @param {Object} [options]
+         */
+        bindElement(element, state, options) {
+            if (element.id === 'broken') throw new Error('Cannot bind');
+            return super.bindElement(element, state, options);
+        }
+    }
+
+    const bridge = new FailingBridge();
+    const root = document.createElement('div');
+    root.innerHTML =
+        '<p data-a-title="a"></p><p id="broken" data-a-title="b"></p><p data-a-title="c"></p>';
+
+    t.throws(() => bridge.bindTree(/** @type {any} */ (root), {}), { message: 'Cannot bind' });
+    t.is(bridge.boundElements.size, 0);
+});
+
+test('BridgeBase.bindTree: passes signal and config to every context', t => {
+    const bridge = new TestBridge();
+    const root = document.createElement('div');
+    root.innerHTML = '<p data-a-title="a"></p><p data-a-title="b"></p>';
+    const controller = new AbortController();
+    const config = { debug: true };
+
+    const result = bridge.bindTree(/** @type {any} */ (root), {}, {
+        signal: controller.signal,
+        config,
+    });
+
+    for (const context of result.contexts.values()) {
+        t.is(context.signal, controller.signal);
+        t.is(context.config, config);
+    }
+});
+
+test('BridgeBase.bindTree: dispose unbinds all elements at once', t => {
+    const bridge = new TestBridge();
+    const root = document.createElement('div');
+    root.innerHTML = '<p data-a-title="a"></p><p data-a-title="b"></p>';
+    let cleanups = 0;
+
+    const result = bridge.bindTree(/** @type {any} */ (root), {});
+    result.contexts.forEach(context => context.addCleanup(() => cleanups++));
+
+    result.dispose();
+
+    t.is(bridge.boundElements.size, 0);
+    t.is(cleanups, 2);
+});
+
+test('BridgeBase.bindTree: dispose keeps elements rebound elsewhere', t => {
+    const bridge = new TestBridge();
+    const root = document.createElement('div');
+    root.innerHTML = '<p data-a-title="a"></p>';
+
+    const result = bridge.bindTree(/** @type {any} */ (root), {});
+    bridge.bindElement(result.elements[0], {});
+
+    result.dispose();
+
+    t.true(bridge.boundElements.has(result.elements[0]));
+});
+
+test('BridgeBase.bindTree: throws error for incompatible state', t => {
+    const bridge = new TestBridge();
+    const root = document.createElement('div');
+
+    t.throws(
+        () => {
+            // @ts-expect-error
+            bridge.bindTree(root, undefined);
+        },
+        { message: /not compatible/ }
+    );
+});
+
+// ============================================================================
+// observe() Tests
+// ============================================================================
+
+const flushMutations = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('BridgeBase.observe: binds existing elements like bindTree', t => {
+    const bridge = new TestBridge();
+    const root = document.createElement('div');
+    root.innerHTML = '<p data-a-title="a"></p><p></p>';
+
+    const observer = bridge.observe(/** @type {any} */ (root), {});
+
+    t.is(observer.elements.length, 1);
+    t.is(bridge.boundElements.size, 1);
+    observer.dispose();
+});
+
+test('BridgeBase.observe: binds added elements with directives', async t => {
+    const bridge = new TestBridge();
+    const root = document.createElement('div');
+    const observer = bridge.observe(/** @type {any} */ (root), {});
+
+    const section = document.createElement('section');
+    section.innerHTML = '<p data-a-title="a"></p><p></p><p data-b-text="b"></p>';
+    root.appendChild(section);
+    await flushMutations();
+
+    t.is(observer.elements.length, 2);
+    t.is(bridge.boundElements.size, 2);
+    observer.dispose();
+});
+
+test('BridgeBase.observe: unbinds removed elements', async t => {
+    const bridge = new TestBridge();
+    const root = document.createElement('div');
+    root.innerHTML = '<section><p data-a-title="a"></p></section><p data-a-title="b"></p>';
+    const observer = bridge.observe(/** @type {any} */ (root), {});
+    let cleanups = 0;
+    observer.contexts.forEach(context => context.addCleanup(() => cleanups++));
+
+    root.removeChild(/** @type {any} */ (root.firstElementChild));
+    await flushMutations();
+
+    t.is(observer.elements.length, 1);
+    t.is(bridge.boundElements.size, 1);
+    t.is(cleanups, 1);
+    observer.dispose();
+});
+
+test('BridgeBase.observe: keeps binding of element moved inside root', async t => {
+    const bridge = new TestBridge();
+    const root = document.createElement('div');
+    root.innerHTML = '<p data-a-title="a"></p><section></section>';
+    const observer = bridge.observe(/** @type {any} */ (root), {});
+    const [element] = observer.elements;
+    const context = observer.contexts.get(element);
+
+    root.querySelector('section')?.appendChild(/** @type {any} */ (element));
+    await flushMutations();
+
+    t.is(observer.contexts.get(element), context);
+    t.is(bridge.attributeCallbacks.length, 1);
+    observer.dispose();
+});
+
+test('BridgeBase.observe: rebinds only the element whose directive changed', async t => {
+    const bridge = new TestBridge();
+    const root = document.createElement('div');
+    root.innerHTML = '<p data-a-title="a"></p><p data-a-title="b"></p>';
+    const observer = bridge.observe(/** @type {any} */ (root), {});
+    const [first, second] = observer.elements;
+    const secondContext = observer.contexts.get(second);
+
+    first.setAttribute('data-a-title', 'c');
+    await flushMutations();
+
+    t.is(bridge.attributeCallbacks.length, 3);
+    t.is(bridge.attributeCallbacks[2].element, first);
+    t.is(bridge.attributeCallbacks[2].directives.get('title')?.target, 'c');
+    t.is(observer.contexts.get(second), secondContext);
+    observer.dispose();
+});
+
+test('BridgeBase.observe: rebinding an element keeps its text placeholders', async t => {
+    const bridge = new TestBridge();
+    const root = document.createElement('div');
+    root.innerHTML = '<p data-a-title="a">Hi {{ name }}</p><span>{{ name }}</span>';
+    const observer = bridge.observe(/** @type {any} */ (root), { name: 'Ada' });
+    const [paragraph] = observer.elements;
+
+    t.is(observer.elements.length, 2);
+    t.is(paragraph.textContent, 'Hi Ada');
+
+    paragraph.setAttribute('data-a-title', 'b');
+    await flushMutations();
+    t.is(paragraph.textContent, 'Hi Ada');
+
+    paragraph.removeAttribute('data-a-title');
+    await flushMutations();
+    t.is(paragraph.textContent, 'Hi Ada');
+    t.true(observer.contexts.has(paragraph));
+
+    observer.dispose();
+    t.is(root.innerHTML, '<p>Hi {{ name }}</p><span>{{ name }}</span>');
+});
+
+test('BridgeBase.observe: binds element when directive attribute is added', async t => {
+    const bridge = new TestBridge();
+    const root = document.createElement('div');
+    root.innerHTML = '<input type="text">';
+    const observer = bridge.observe(/** @type {any} */ (root), {});
+
+    root.firstElementChild?.setAttribute('data-m', 'name');
+    await flushMutations();
+
+    t.is(observer.elements.length, 1);
+    t.is(bridge.modelCallbacks.length, 1);
+    observer.dispose();
+});
+
+test('BridgeBase.observe: unbinds element when last directive is removed', async t => {
+    const bridge = new TestBridge();
+    const root = document.createElement('div');
+    root.innerHTML = '<p data-a-title="a"></p>';
+    const observer = bridge.observe(/** @type {any} */ (root), {});
+
+    root.firstElementChild?.removeAttribute('data-a-title');
+    await flushMutations();
+
+    t.is(observer.elements.length, 0);
+    t.is(bridge.boundElements.size, 0);
+    observer.dispose();
+});
+
+test('BridgeBase.observe: ignores non-directive attribute changes', async t => {
+    const bridge = new TestBridge();
+    const root = document.createElement('div');
+    root.innerHTML = '<p data-a-title="a"></p>';
+    const observer = bridge.observe(/** @type {any} */ (root), {});
+
+    root.firstElementChild?.setAttribute('data-mode', 'x');
+    root.firstElementChild?.setAttribute('class', 'y');
+    await flushMutations();
+
+    t.is(bridge.attributeCallbacks.length, 1);
+    observer.dispose();
+});
+
+test('BridgeBase.observe: respects skip attribute for added and toggled subtrees', async t => {
+    const bridge = new TestBridge();
+    const root = document.createElement('div');
+    root.innerHTML = '<section data-skip></section>';
+    const observer = bridge.observe(/** @type {any} */ (root), {});
+    const section = /** @type {any} */ (root.firstElementChild);
+
+    section.innerHTML = '<p data-a-title="a"></p>';
+    await flushMutations();
+    t.is(observer.elements.length, 0);
+
+    section.removeAttribute('data-skip');
+    await flushMutations();
+    t.is(observer.elements.length, 1);
+
+    section.setAttribute('data-skip', '');
+    await flushMutations();
+    t.is(observer.elements.length, 0);
+    observer.dispose();
+});
+
+test('BridgeBase.observe: dispose stops observing and unbinds everything', async t => {
+    const bridge = new TestBridge();
+    const root = document.createElement('div');
+    root.innerHTML = '<p data-a-title="a"></p>';
+    const observer = bridge.observe(/** @type {any} */ (root), {});
+
+    root.appendChild(document.createElement('p')).setAttribute('data-a-title', 'b');
+    await flushMutations();
+    t.is(bridge.boundElements.size, 2);
+
+    observer.dispose();
+    t.is(bridge.boundElements.size, 0);
+
+    root.appendChild(document.createElement('p')).setAttribute('data-a-title', 'c');
+    await flushMutations();
+    t.is(bridge.boundElements.size, 0);
+});
+
+test('BridgeBase.observe: abort signal stops observing', async t => {
+    const bridge = new TestBridge();
+    const root = document.createElement('div');
+    const controller = new AbortController();
+    bridge.observe(/** @type {any} */ (root), {}, { signal: controller.signal });
+
+    controller.abort();
+    root.appendChild(document.createElement('p')).setAttribute('data-a-title', 'a');
+    await flushMutations();
+
+    t.is(bridge.boundElements.size, 0);
+});
+
+// ============================================================================
+// Behavior Registry Tests
+// ============================================================================
+
+test('BridgeBase.registerBehavior: listBehaviors returns registered names', t => {
+    const bridge = new TestBridge();
+    bridge.registerBehavior('show', {});
+    bridge.registerBehavior('text', {});
+
+    t.deepEqual(bridge.listBehaviors(), ['show', 'text']);
+});
+
+test('BridgeBase.registerBehavior: returned function unregisters the handler', t => {
+    const bridge = new TestBridge();
+    const unregister = bridge.registerBehavior('show', {});
+
+    unregister();
+
+    t.deepEqual(bridge.listBehaviors(), []);
+});
+
+test('BridgeBase.registerBehavior: throws for empty name', t => {
+    const bridge = new TestBridge();
+    t.throws(() => bridge.registerBehavior('', {}), { instanceOf: Error });
+});
+
+test('BridgeBase: behavior directives are dispatched to mount and update', t => {
+    const bridge = new TestBridge();
+    const element = document.createElement('div');
+    element.setAttribute('data-b-text', 'user.name');
+    /** @type {any[]} */
+    const calls = [];
+
+    bridge.registerBehavior('text', {
+        mount: (el, directive) => calls.push(['mount', el, directive.target]),
+        update: (el, value) => calls.push(['update', el, value]),
+    });
+
+    bridge.bindElement(/** @type {any} */ (element), { user: { name: 'Alice' } });
+
+    t.deepEqual(calls, [
+        ['mount', element, 'user.name'],
+        ['update', element, 'Alice'],
+    ]);
+});
+
+test('BridgeBase: each behavior gets its own cleanup scope', t => {
+    const bridge = new TestBridge();
+    const element = document.createElement('div');
+    element.setAttribute('data-b-text', 'a');
+    element.setAttribute('data-b-show', 'b');
+    /** @type {HandlerContext[]} */
+    const contexts = [];
+
+    const handler = {
+        /** @param {Element} el @param {DirectiveValue} directive @param {HandlerContext} context */
+        mount: (el, directive, context) => contexts.push(context),
+    };
+    bridge.registerBehavior('text', handler);
+    bridge.registerBehavior('show', handler);
+
+    const result = bridge.bindElement(/** @type {any} */ (element), {});
+
+    t.is(contexts.length, 2);
+    t.not(contexts[0], contexts[1]);
+    t.not(contexts[0], result.context);
+});
+
+test('BridgeBase: unmount and behavior cleanups run on unbind', t => {
+    const bridge = new TestBridge();
+    const element = document.createElement('div');
+    element.setAttribute('data-b-show', 'visible');
+    /** @type {string[]} */
+    const calls = [];
+
+    bridge.registerBehavior('show', {
+        mount: (el, directive, context) => context.addCleanup(() => calls.push('cleanup')),
+        unmount: (el, directive) => calls.push('unmount:' + directive.target),
+    });
+
+    bridge.bindElement(/** @type {any} */ (element), {});
+    t.deepEqual(calls, []);
+
+    bridge.unbindElement(/** @type {any} */ (element));
+    t.deepEqual(calls, ['cleanup', 'unmount:visible']);
+});
+
+test('BridgeBase: watchDirective can be overridden to push updates', t => {
+    class WatchingBridge extends TestBridge {
+        /** @type {((value: any) => void)[]} */
+        listeners = [];
+
+        /**
+         * @param {Element} element
+         * @param {DirectiveValue} directive
+         * @param {HandlerContext} context
+         * @param {(value: any) => void} callback
+         */
+        watchDirective(element, directive, context, callback) {
+            this.listeners.push(callback);
+            callback(context.read(directive.targetParts));
+        }
+    }
+
+    const bridge = new WatchingBridge();
+    const element = document.createElement('div');
+    element.setAttribute('data-b-text', 'message');
+    /** @type {any[]} */
+    const values = [];
+    bridge.registerBehavior('text', { update: (el, value) => values.push(value) });
+
+    bridge.bindElement(/** @type {any} */ (element), { message: 'a' });
+    bridge.listeners.forEach(listener => listener('b'));
+
+    t.deepEqual(values, ['a', 'b']);
+});
+
+test('BridgeBase: unknown behavior produces a diagnostic', t => {
+    const bridge = new TestBridge();
+    const element = document.createElement('div');
+    element.setAttribute('data-b-fancy', 'value');
+    bridge.registerBehavior('show', {});
+    /** @type {any[]} */
+    const warnings = [];
+    const originalWarn = console.warn;
+    console.warn = (...args) => warnings.push(args);
+
+    try {
+        bridge.bindElement(/** @type {any} */ (element), {});
+    } finally {
+        console.warn = originalWarn;
+    }
+
+    t.is(warnings.length, 1);
+    t.true(warnings[0][0].includes('Unknown behavior "fancy"'));
+    t.true(warnings[0][0].includes('show'));
+});
+
+// ============================================================================
+// Event Directive Tests
+// ============================================================================
+
+/**
+ * @param {any} element
+ * @param {string} type
+ * @param {Object} [init]
+ * @returns {any} The dispatched event
+ */
+function dispatch(element, type, init = {}) {
+    const view = /** @type {any} */ (document).defaultView;
+    const EventClass = 'key' in init ? view.KeyboardEvent : view.Event;
+    const event = new EventClass(type, { bubbles: true, cancelable: true, ...init });
+    element.dispatchEvent(event);
+    return event;
+}
+
+test('BridgeBase: data-on-* calls the state method with event and context', t => {
+    const bridge = new TestBridge();
+    const element = document.createElement('button');
+    element.setAttribute('data-on-click', 'cart.add');
+    /** @type {any[]} */
+    const calls = [];
+    const state = {
+        cart: {
+            items: 0,
+            /** @param {Event} event @param {HandlerContext} context */
+            add(event, context) {
+                this.items++;
+                calls.push([event.type, context]);
+            },
+        },
+    };
+
+    const { context } = bridge.bindElement(/** @type {any} */ (element), state);
+    dispatch(element, 'click');
+
+    t.is(state.cart.items, 1);
+    t.is(calls[0][0], 'click');
+    t.is(calls[0][1], context);
+});
+
+test('BridgeBase: data-on-* listener is removed on unbind', t => {
+    const bridge = new TestBridge();
+    const element = document.createElement('button');
+    element.setAttribute('data-on-click', 'count');
+    let calls = 0;
+
+    bridge.bindElement(/** @type {any} */ (element), { count: () => calls++ });
+    dispatch(element, 'click');
+    bridge.unbindElement(/** @type {any} */ (element));
+    dispatch(element, 'click');
+
+    t.is(calls, 1);
+});
+
+test('BridgeBase: data-on-* #prevent, #stop and #once', t => {
+    const bridge = new TestBridge();
+    const parent = document.createElement('div');
+    const element = document.createElement('form');
+    parent.appendChild(element);
+    element.setAttribute('data-on-submit', 'save#prevent#stop#once');
+    let calls = 0;
+    let bubbled = 0;
+    parent.addEventListener('submit', () => bubbled++);
+
+    bridge.bindElement(/** @type {any} */ (element), { save: () => calls++ });
+    const event = dispatch(element, 'submit');
+    dispatch(element, 'submit');
+
+    t.true(event.defaultPrevented);
+    t.is(calls, 1);
+    t.is(bubbled, 1);
+});
+
+test('BridgeBase: data-on-* #self ignores events from descendants', t => {
+    const bridge = new TestBridge();
+    const element = document.createElement('div');
+    const child = document.createElement('span');
+    element.appendChild(child);
+    element.setAttribute('data-on-click', 'close#self');
+    let calls = 0;
+
+    bridge.bindElement(/** @type {any} */ (element), { close: () => calls++ });
+    dispatch(child, 'click');
+    dispatch(element, 'click');
+
+    t.is(calls, 1);
+});
+
+test('BridgeBase: data-on-* #key filters keyboard events', t => {
+    const bridge = new TestBridge();
+    const element = document.createElement('input');
+    element.setAttribute('data-on-keydown', 'search#key(Enter, Escape)#once');
+    /** @type {string[]} */
+    const keys = [];
+
+    bridge.bindElement(/** @type {any} */ (element), {
+        /** @param {KeyboardEvent} event */
+        search: event => keys.push(event.key),
+    });
+    dispatch(element, 'keydown', { key: 'a' });
+    dispatch(element, 'keydown', { key: 'escape' });
+    dispatch(element, 'keydown', { key: 'Enter' });
+
+    t.deepEqual(keys, ['escape']);
+});
+
+test('BridgeBase: data-on-* warns when the target is not a function', t => {
+    const bridge = new TestBridge();
+    const element = document.createElement('button');
+    element.setAttribute('data-on-click', 'missing.handler');
+    /** @type {any[]} */
+    const warnings = [];
+    const originalWarn = console.warn;
+    console.warn = (...args) => warnings.push(args);
+
+    try {
+        bridge.bindElement(/** @type {any} */ (element), {});
+        dispatch(element, 'click');
+    } finally {
+        console.warn = originalWarn;
+    }
+
+    t.is(warnings.length, 1);
+    t.true(warnings[0][0].includes('data-on-click="missing.handler"'));
+});
+
+// ============================================================================
+// Ref Directive Tests
+// ============================================================================
+
+test('BridgeBase: data-ref registers elements in the root registry', t => {
+    const bridge = new TestBridge();
+    const root = document.createElement('div');
+    root.innerHTML = '<input data-ref="searchInput"><div data-ref="panel"></div>';
+    const input = root.querySelector('input');
+
+    const tree = bridge.bindTree(/** @type {any} */ (root), {});
+    const refs = bridge.getRefs(/** @type {any} */ (root));
+
+    t.is(refs.searchInput, input);
+    t.is(refs.panel, root.querySelector('div'));
+    t.is(tree.contexts.get(/** @type {any} */ (input)).refs, refs);
+
+    tree.dispose();
+    t.deepEqual(Object.keys(refs), []);
+});
+
+test('BridgeBase: data-ref with bindElement uses the registry of the element', t => {
+    const bridge = new TestBridge();
+    const element = document.createElement('canvas');
+    element.setAttribute('data-ref', 'chart');
+
+    const { context } = bridge.bindElement(/** @type {any} */ (element), {});
+
+    t.is(context.refs.chart, element);
+    t.is(bridge.getRefs(/** @type {any} */ (element)), context.refs);
+
+    bridge.unbindElement(/** @type {any} */ (element));
+    t.is(context.refs.chart, undefined);
+});
+
+test('BridgeBase: duplicate data-ref names produce a diagnostic', t => {
+    const bridge = new TestBridge();
+    const root = document.createElement('div');
+    root.innerHTML = '<input data-ref="field"><select data-ref="field"></select>';
+    /** @type {any[]} */
+    const warnings = [];
+    const originalWarn = console.warn;
+    console.warn = (...args) => warnings.push(args);
+
+    try {
+        bridge.bindTree(/** @type {any} */ (root), {});
+    } finally {
+        console.warn = originalWarn;
+    }
+
+    t.is(warnings.length, 1);
+    t.true(warnings[0][0].includes('Duplicate data-ref="field"'));
+});
+
 // ============================================================================
 // unbindElement() Tests
 // ============================================================================
@@ -431,6 +1100,41 @@ test('BridgeBase: class directive callback is called', t => {
     t.true(Array.isArray(bridge.classCallbacks));
 });
 
+// ============================================================================
+// Custom Directive Tests
+// ============================================================================
+
+test('BridgeBase: custom directives are forwarded to customDirectiveCallback', async t => {
+    /** @type {any[]} */
+    const calls = [];
+    class TrackingBridge extends TestBridge {
+        /**
+         * @param {Element} element
+         * @param {string} name
+         * @param {*} result
+         * @param {HandlerContext} handlerContext
+         */
+        customDirectiveCallback(element, name, result, handlerContext) {
+            calls.push([element.tagName, name, [...result.keys()], result.get('click').target]);
+        }
+    }
+
+    const bridge = new TrackingBridge();
+    bridge.parser.registerDirective({ prefix: 'data-track-' });
+    const root = document.createElement('div');
+    root.innerHTML = '<button data-track-click="cart.checkout"></button><p></p>';
+
+    const observer = bridge.observe(/** @type {any} */ (root), {});
+    t.is(observer.elements.length, 1);
+    t.deepEqual(calls, [['BUTTON', 'track', ['click'], 'cart.checkout']]);
+
+    root.querySelector('button')?.setAttribute('data-track-click', 'cart.clear');
+    await flushMutations();
+
+    t.deepEqual(calls[1], ['BUTTON', 'track', ['click'], 'cart.clear']);
+    observer.dispose();
+});
+
 // ============================================================================
 // Integration Tests
 // ============================================================================
@@ -0,0 +1,40 @@
+// @ts-check
+
+/** @typedef {import('../bridge-base.js').BehaviorHandler} BehaviorHandler */
+
+/** @type {WeakMap<Element, string>} */
+const initialDisplay = new WeakMap(); // element -> inline display before data-b-show
+
+/**
+ * Behaviors registered by the shipped bridges.
+ * - `data-b-text` sets `textContent`
+ * - `data-b-html` sets `innerHTML` (the value is not sanitized)
+ * - `data-b-show` toggles `style.display` and restores the original value on unbind
+ * @type {Record<string, BehaviorHandler>}
+ */
+export const DEFAULT_BEHAVIORS = {
+    text: {
+        update(element, value) {
+            element.textContent = value === null || value === undefined ? '' : String(value);
+        },
+    },
+    html: {
+        update(element, value) {
+            element.innerHTML = value === null || value === undefined ? '' : String(value);
+        },
+    },
+    show: {
+        mount(element, directive, context) {
+            const el = /** @type {HTMLElement} */ (element);
+            initialDisplay.set(element, el.style.display);
+            context.addCleanup(() => {
+                el.style.display = initialDisplay.get(element) ?? '';
+                initialDisplay.delete(element);
+            });
+        },
+        update(element, value) {
+            const el = /** @type {HTMLElement} */ (element);
+            el.style.display = value ? initialDisplay.get(element) ?? '' : 'none';
+        },
+    },
+};
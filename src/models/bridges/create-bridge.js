@@ -0,0 +1,86 @@
+// @ts-check
+
+import { ReactiveBridge } from './reactive-bridge.js';
+import { DirectiveValue } from '../directive-value.js';
+import { HandlerContext } from '../handler-context.js';
+
+/**
+ * Primitives a reactive system supplies to `createBridge`.
+ * @typedef {Object} BridgePrimitives
+ * @property {(state: unknown) => boolean} isStateCompatible - Checks if the state belongs to the reactive system
+ * @property {(state: *, path: string[]) => *} read - Reads the value at the path
+ * @property {(state: *, path: string[], value: *) => void} [write] - Writes the value at the path; without it `data-m` is read-only
+ * @property {(state: *, path: string[], callback: () => void) => (() => void) | void} subscribe - Calls
+ * `callback` when the value at the path may have changed and returns an unsubscribe function
+ */
+
+/**
+ * Creates a complete bridge from read/write/subscribe primitives.
+ * Attribute, property, class, model and behavior directives are rendered by
+ * `ReactiveBridge`, so an adapter for a new state system only supplies the primitives.
+ *
+ * @param {BridgePrimitives} primitives
+ * @param {ConstructorParameters<typeof ReactiveBridge>[0]} [options] - Parser options
+ * (`delimiters`, `prefixes`), see `BridgeBase`
+ * @returns {ReactiveBridge} The bridge instance
+ *
+ * @example
+ * const bridge = createBridge({
+ *     isStateCompatible: state => state instanceof Store,
+ *     read: (state, path) => getPropertyValue(state.data, path),
+ *     write: (state, path, value) => state.set(path, value),
+ *     subscribe: (state, path, callback) => state.on(path.join('.'), callback),
+ * });
+ * bridge.bindTree(document.body, store);
+ */
+export function createBridge({ isStateCompatible, read, write, subscribe }, options = {}) {
+    for (const [name, fn] of Object.entries({ isStateCompatible, read, subscribe })) {
+        if (typeof fn !== 'function') {
+            throw new Error(`createBridge: "${name}" must be a function`);
+        }
+    }
+
+    class CustomBridge extends ReactiveBridge {
+        /**
+         * @param {unknown} state
+         * @returns {boolean}
+         */
+        isStateCompatible(state) {
+            return isStateCompatible(state);
+        }
+
+        /**
+         * @param {Element} element
+         * @param {DirectiveValue} directive
+         * @param {HandlerContext} context
+         * @param {(value: *) => void} callback
+         */
+        watchDirective(element, directive, context, callback) {
+            const path = directive.targetParts;
+            const update = () => callback(read(context.state, path));
+
+            update();
+
+            const unsubscribe = subscribe(context.state, path, update);
+            if (typeof unsubscribe === 'function') {
+                context.addCleanup(unsubscribe);
+            }
+        }
+
+        /**
+         * @param {Element} element
+         * @param {DirectiveValue} directive
+         * @param {HandlerContext} context
+         * @param {*} value
+         */
+        writeDirective(element, directive, context, value) {
+            if (!write) {
+                console.warn(`Bridge has no write primitive, "${directive.target}" is read-only`);
+                return;
+            }
+            write(context.state, directive.targetParts, value);
+        }
+    }
+
+    return new CustomBridge(options);
+}
@@ -0,0 +1,193 @@
+// @ts-check
+
+import test from 'ava';
+import { Window } from 'happy-dom';
+import { createBridge } from './create-bridge.js';
+import { ReactiveBridge } from './reactive-bridge.js';
+import {
+    arePathsRelated,
+    getPropertyValue,
+    setPropertyValue,
+} from '../../utils/properties.js';
+
+const window = new Window({ console }).window;
+// @ts-expect-error
+global.window = window;
+
+const document = window.document;
+
+/**
+ * Tiny observable store used as the "reactive system" under test.
+ * @param {Record<string, any>} data
+ */
+function createTestStore(data) {
+    /** @type {Set<{ path: string[], callback: () => void }>} */
+    const listeners = new Set();
+    return {
+        isTestStore: true,
+        data,
+        listeners,
+        /**
+         * @param {string[]} path
+         * @param {*} value
+         */
+        set(path, value) {
+            setPropertyValue(data, path, value);
+            [...listeners].forEach(l => arePathsRelated(l.path, path) && l.callback());
+        },
+    };
+}
+
+/** @typedef {ReturnType<typeof createTestStore>} TestStore */
+
+/**
+ * @param {Parameters<typeof createBridge>[1]} [options]
+ */
+function createTestBridge(options) {
+    return createBridge({
+        isStateCompatible: state => Boolean(state && /** @type {any} */ (state).isTestStore),
+        read: (/** @type {TestStore} */ state, path) => getPropertyValue(state.data, path),
+        write: (/** @type {TestStore} */ state, path, value) => state.set(path, value),
+        subscribe: (/** @type {TestStore} */ state, path, callback) => {
+            const listener = { path, callback };
+            state.listeners.add(listener);
+            return () => state.listeners.delete(listener);
+        },
+    }, options);
+}
+
+/**
+ * @param {string} html
+ * @returns {any}
+ */
+function render(html) {
+    const root = document.createElement('div');
+    root.innerHTML = html;
+    return root;
+}
+
+test('createBridge: returns a ReactiveBridge with default behaviors', t => {
+    const bridge = createTestBridge();
+
+    t.true(bridge instanceof ReactiveBridge);
+    t.deepEqual(bridge.listBehaviors(), ['text', 'html', 'show']);
+});
+
+test('createBridge: passes the parser options to the bridge', t => {
+    const bridge = createTestBridge({ prefixes: { BEHAVIOR: 'x-b-' } });
+    const store = createTestStore({ name: 'Ada' });
+    const root = render('<p x-b-text="name"></p><p data-b-text="name"></p>');
+
+    bridge.bindTree(root, store);
+
+    t.deepEqual(
+        Array.from(root.querySelectorAll('p'), (/** @type {any} */ p) => p.textContent),
+        ['Ada', '']
+    );
+});
+
+test('createBridge: throws when a required primitive is missing', t => {
+    t.throws(
+        () =>
+            createBridge(
+                /** @type {any} */ ({ isStateCompatible: () => true, read: () => {} })
+            ),
+        { message: /"subscribe" must be a function/ }
+    );
+});
+
+test('createBridge: uses isStateCompatible primitive', t => {
+    const bridge = createTestBridge();
+
+    t.true(bridge.isStateCompatible(createTestStore({})));
+    t.false(bridge.isStateCompatible({}));
+    t.throws(() => bridge.bindElement(/** @type {any} */ (document.createElement('div')), {}));
+});
+
+test('createBridge: all directive types render and update', t => {
+    const bridge = createTestBridge();
+    const store = createTestStore({
+        title: 'A',
+        text: 'hello',
+        active: true,
+        theme: 'dark',
+        visible: true,
+    });
+    const root = render(
+        '<div data-a-title="title" data-p-textcontent="text" data-c-active="active"></div>' +
+            '<div data-c="theme" data-b-show="visible"></div>'
+    );
+    const [first, second] = root.children;
+
+    bridge.bindTree(root, store);
+    t.is(first.getAttribute('title'), 'A');
+    t.is(first.textContent, 'hello');
+    t.true(first.classList.contains('active'));
+    t.true(second.classList.contains('dark'));
+    t.is(second.style.display, '');
+
+    store.set(['title'], 'B');
+    store.set(['text'], 'bye');
+    store.set(['active'], false);
+    store.set(['theme'], 'light');
+    store.set(['visible'], false);
+
+    t.is(first.getAttribute('title'), 'B');
+    t.is(first.textContent, 'bye');
+    t.false(first.classList.contains('active'));
+    t.is(second.className, 'light');
+    t.is(second.style.display, 'none');
+});
+
+test('createBridge: data-m writes through write primitive', t => {
+    const bridge = createTestBridge();
+    const store = createTestStore({ user: { name: 'Alex' } });
+    const root = render('<input type="text" data-m="user.name"><p data-b-text="user.name"></p>');
+    const [input, p] = root.children;
+
+    bridge.bindTree(root, store);
+    t.is(input.value, 'Alex');
+
+    input.value = 'Sam';
+    input.dispatchEvent(new window.Event('input'));
+
+    t.is(store.data.user.name, 'Sam');
+    t.is(p.textContent, 'Sam');
+});
+
+test('createBridge: data-m without write primitive warns', t => {
+    const bridge = createBridge({
+        isStateCompatible: () => true,
+        read: (state, path) => getPropertyValue(state, path),
+        subscribe: () => {},
+    });
+    const state = { name: 'a' };
+    const root = render('<input type="text" data-m="name">');
+    /** @type {any[]} */
+    const warnings = [];
+    const originalWarn = console.warn;
+    console.warn = (...args) => warnings.push(args);
+
+    try {
+        bridge.bindTree(root, state);
+        root.firstElementChild.value = 'b';
+        root.firstElementChild.dispatchEvent(new window.Event('input'));
+    } finally {
+        console.warn = originalWarn;
+    }
+
+    t.is(state.name, 'a');
+    t.is(warnings.length, 1);
+});
+
+test('createBridge: unsubscribes on dispose', t => {
+    const bridge = createTestBridge();
+    const store = createTestStore({ a: 1, b: 2 });
+    const root = render('<p data-b-text="a"></p><p data-a-title="b"></p>');
+
+    const binding = bridge.bindTree(root, store);
+    t.is(store.listeners.size, 2);
+
+    binding.dispose();
+    t.is(store.listeners.size, 0);
+});
@@ -0,0 +1,131 @@
+// @ts-check
+
+import { ReactiveBridge } from './reactive-bridge.js';
+import { DirectiveValue } from '../directive-value.js';
+import { HandlerContext } from '../handler-context.js';
+import { arePathsRelated, propertyNameToPath } from '../../utils/properties.js';
+
+/**
+ * @typedef {Object} EventTargetBridgeOptions
+ * @property {string} [eventName="change"] - Name of the change event
+ * @property {string} [setter="set"] - Model method called as `model[setter](path, value)` by `data-m`
+ * @property {string|null} [getter=null] - Model method called as `model[getter](path)` to read values;
+ * when not set, values are read as properties
+ * @property {[string, string]} [delimiters] - Delimiters of text placeholders, see `DirectiveParser`
+ * @property {Partial<import('../directive-parser/constants.js').DirectivePrefixes>} [prefixes] - Attribute
+ * names of the directive families, see `DirectiveParser`
+ */
+
+/**
+ * Checks if a value implements the EventTarget interface.
+ * @param {*} value
+ * @returns {value is EventTarget}
+ */
+function isEventTargetLike(value) {
+    return (
+        value !== null &&
+        typeof value === 'object' &&
+        typeof value.addEventListener === 'function' &&
+        typeof value.removeEventListener === 'function' &&
+        typeof value.dispatchEvent === 'function'
+    );
+}
+
+/**
+ * Bridge for models extending `EventTarget` that dispatch change events
+ * with a `{ path, value }` detail. `path` is a property name ("user.name")
+ * or an array path (["user", "name"]).
+ * A change only re-renders the bindings whose path is equal to, an ancestor of,
+ * or a descendant of the changed path.
+ *
+ * @example
+ * class Model extends EventTarget {
+ *     data = { user: { name: 'Alex' } };
+ *     get user() { return this.data.user; }
+ *     set(path, value) {
+ *         setPropertyValue(this.data, propertyNameToPath(path), value);
+ *         this.dispatchEvent(new CustomEvent('change', { detail: { path, value } }));
+ *     }
+ * }
+ * new EventTargetBridge().bindTree(document.body, new Model());
+ */
+export class EventTargetBridge extends ReactiveBridge {
+    /**
+     * @param {EventTargetBridgeOptions} [options]
+     */
+    constructor({ eventName = 'change', setter = 'set', getter = null, ...options } = {}) {
+        super(options);
+        this.eventName = eventName;
+        this.setter = setter;
+        this.getter = getter;
+    }
+
+    /**
+     * @param {unknown} state
+     * @returns {boolean}
+     */
+    isStateCompatible(state) {
+        return isEventTargetLike(state);
+    }
+
+    /**
+     * Reads the directive target from the model.
+     * @param {DirectiveValue} directive
+     * @param {HandlerContext} context
+     * @returns {*}
+     */
+    readDirective(directive, context) {
+        if (this.getter) {
+            return context.state[this.getter](directive.target);
+        }
+        return context.read(directive.targetParts);
+    }
+
+    /**
+     * Listens to change events and calls `callback` when a related path changes.
+     * @param {Element} element
+     * @param {DirectiveValue} directive
+     * @param {HandlerContext} context
+     * @param {(value: *) => void} callback
+     */
+    watchDirective(element, directive, context, callback) {
+        const target = /** @type {EventTarget} */ (context.state);
+        const targetParts = directive.targetParts;
+
+        /** @param {Event} event */
+        const listener = event => {
+            const detail = /** @type {CustomEvent} */ (event).detail;
+            if (!detail || detail.path === undefined || detail.path === null) return;
+
+            const changedPath = Array.isArray(detail.path)
+                ? detail.path.map(String)
+                : propertyNameToPath(String(detail.path));
+
+            if (arePathsRelated(targetParts, changedPath)) {
+                callback(this.readDirective(directive, context));
+            }
+        };
+
+        callback(this.readDirective(directive, context));
+        target.addEventListener(this.eventName, listener);
+        context.addCleanup(() => target.removeEventListener(this.eventName, listener));
+    }
+
+    /**
+     * Writes through the model setter, so the model stays the single source of truth.
+     * @param {Element} element
+     * @param {DirectiveValue} directive
+     * @param {HandlerContext} context
+     * @param {*} value
+     */
+    writeDirective(element, directive, context, value) {
+        const setter = context.state[this.setter];
+        if (typeof setter !== 'function') {
+            console.warn(
+                `Model ${context.state.constructor.name} has no "${this.setter}" method to write "${directive.target}"`
+            );
+            return;
+        }
+        setter.call(context.state, directive.target, value);
+    }
+}
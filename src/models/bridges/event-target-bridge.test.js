@@ -0,0 +1,215 @@
+// @ts-check
+
+import test from 'ava';
+import { Window } from 'happy-dom';
+import { EventTargetBridge } from './event-target-bridge.js';
+import { getPropertyValue, propertyNameToPath, setPropertyValue } from '../../utils/properties.js';
+
+const window = new Window({ console }).window;
+// @ts-expect-error
+global.window = window;
+
+const document = window.document;
+
+class Model extends EventTarget {
+    /** @type {Record<string, any>} */
+    data = { user: { name: 'Alex', email: 'a@x' }, count: 0 };
+
+    get user() {
+        return this.data.user;
+    }
+
+    get count() {
+        return this.data.count;
+    }
+
+    /**
+     * @param {string} path
+     * @param {*} value
+     */
+    set(path, value) {
+        setPropertyValue(this.data, propertyNameToPath(path), value);
+        this.dispatchEvent(new CustomEvent('change', { detail: { path, value } }));
+    }
+
+    /**
+     * @param {string} path
+     */
+    read(path) {
+        return getPropertyValue(this.data, propertyNameToPath(path));
+    }
+}
+
+/**
+ * @param {string} html
+ * @returns {any}
+ */
+function render(html) {
+    const root = document.createElement('div');
+    root.innerHTML = html;
+    return root;
+}
+
+test('EventTargetBridge.isStateCompatible: detects EventTarget models', t => {
+    const bridge = new EventTargetBridge();
+
+    t.true(bridge.isStateCompatible(new Model()));
+    t.true(bridge.isStateCompatible(new EventTarget()));
+    t.false(bridge.isStateCompatible({ user: {} }));
+    t.false(bridge.isStateCompatible(null));
+});
+
+test('EventTargetBridge: renders and updates on change events', t => {
+    const bridge = new EventTargetBridge();
+    const model = new Model();
+    const root = render('<p data-b-text="user.name"></p>');
+
+    bridge.bindTree(root, model);
+    t.is(root.firstElementChild.textContent, 'Alex');
+
+    model.set('user.name', 'Sam');
+    t.is(root.firstElementChild.textContent, 'Sam');
+});
+
+test('EventTargetBridge: updates only bindings related to the changed path', t => {
+    const bridge = new EventTargetBridge();
+    const model = new Model();
+    const root = render(
+        '<p data-b-text="user.name"></p><p data-b-text="user.email"></p><p data-b-text="count"></p>'
+    );
+    /** @type {string[]} */
+    const updates = [];
+    bridge.registerBehavior('text', {
+        update: (el, value, directive) => updates.push(directive.target),
+    });
+
+    bridge.bindTree(root, model);
+    updates.length = 0;
+
+    model.set('user.name', 'Sam');
+    t.deepEqual(updates, ['user.name']);
+
+    updates.length = 0;
+    model.set('user', { name: 'Kim', email: 'k@x' });
+    t.deepEqual(updates, ['user.name', 'user.email']);
+});
+
+test('EventTargetBridge: descendant change updates ancestor binding', t => {
+    const bridge = new EventTargetBridge();
+    const model = new Model();
+    const root = render('<p data-a-title="user"></p>');
+    let updates = 0;
+    bridge.attributeDirectivesCallback = (element, directives, context) => {
+        for (const directive of directives.values()) {
+            bridge.watchDirective(element, directive, context, () => updates++);
+        }
+    };
+
+    bridge.bindTree(root, model);
+    model.set('user.name', 'Sam');
+
+    t.is(updates, 2);
+});
+
+test('EventTargetBridge: accepts array paths in event detail', t => {
+    const bridge = new EventTargetBridge();
+    const model = new Model();
+    const root = render('<p data-b-text="user.name"></p>');
+
+    bridge.bindTree(root, model);
+    model.data.user.name = 'Sam';
+    model.dispatchEvent(new CustomEvent('change', { detail: { path: ['user', 'name'] } }));
+
+    t.is(root.firstElementChild.textContent, 'Sam');
+});
+
+test('EventTargetBridge: data-m writes through the setter method', t => {
+    const bridge = new EventTargetBridge();
+    const model = new Model();
+    /** @type {any[]} */
+    const calls = [];
+    const originalSet = model.set.bind(model);
+    model.set = (path, value) => {
+        calls.push([path, value]);
+        originalSet(path, value);
+    };
+    const root = render('<input type="text" data-m="user.name"><p data-b-text="user.name"></p>');
+    const [input, p] = root.children;
+
+    bridge.bindTree(root, model);
+    input.value = 'Sam';
+    input.dispatchEvent(new window.Event('input'));
+
+    t.deepEqual(calls, [['user.name', 'Sam']]);
+    t.is(model.user.name, 'Sam');
+    t.is(p.textContent, 'Sam');
+});
+
+test('EventTargetBridge: custom event name, setter and getter', t => {
+    class Custom extends EventTarget {
+        /** @type {Record<string, any>} */
+        values = { title: 'a' };
+
+        /** @param {string} path */
+        fetch(path) {
+            return this.values[path];
+        }
+
+        /**
+         * @param {string} path
+         * @param {*} value
+         */
+        assign(path, value) {
+            this.values[path] = value;
+            this.dispatchEvent(new CustomEvent('updated', { detail: { path, value } }));
+        }
+    }
+
+    const bridge = new EventTargetBridge({ eventName: 'updated', setter: 'assign', getter: 'fetch' });
+    const model = new Custom();
+    const root = render('<input type="text" data-m="title"><p data-b-text="title"></p>');
+    const [input, p] = root.children;
+
+    bridge.bindTree(root, model);
+    t.is(input.value, 'a');
+
+    input.value = 'b';
+    input.dispatchEvent(new window.Event('input'));
+
+    t.is(model.values.title, 'b');
+    t.is(p.textContent, 'b');
+});
+
+test('EventTargetBridge: warns when setter is missing', t => {
+    const bridge = new EventTargetBridge({ setter: 'save' });
+    const model = new Model();
+    const root = render('<input type="text" data-m="user.name">');
+    /** @type {any[]} */
+    const warnings = [];
+    const originalWarn = console.warn;
+    console.warn = (...args) => warnings.push(args);
+
+    try {
+        bridge.bindTree(root, model);
+        root.firstElementChild.value = 'x';
+        root.firstElementChild.dispatchEvent(new window.Event('input'));
+    } finally {
+        console.warn = originalWarn;
+    }
+
+    t.is(warnings.length, 1);
+    t.true(warnings[0][0].includes('"save"'));
+    t.is(model.user.name, 'Alex');
+});
+
+test('EventTargetBridge: removes listeners on dispose', t => {
+    const bridge = new EventTargetBridge();
+    const model = new Model();
+    const root = render('<p data-b-text="user.name"></p>');
+
+    const binding = bridge.bindTree(root, model);
+    binding.dispose();
+    model.set('user.name', 'Sam');
+
+    t.is(root.firstElementChild.textContent, 'Alex');
+});
@@ -0,0 +1,98 @@
+// @ts-check
+
+import { ReactiveBridge } from './reactive-bridge.js';
+import { DirectiveValue } from '../directive-value.js';
+import { HandlerContext } from '../handler-context.js';
+import { getPropertyValue } from '../../utils/properties.js';
+
+/**
+ * @typedef {Object} ReducerStore
+ * @property {() => *} getState
+ * @property {(action: *) => *} dispatch
+ * @property {(listener: () => void) => () => void} subscribe
+ */
+
+/**
+ * @typedef {Object} ImmutableStoreBridgeOptions
+ * @property {string} [actionType="ui/set"] - Type of the action dispatched by `data-m`
+ * @property {(path: string[], value: *, directive: DirectiveValue) => *} [createAction] - Builds
+ * the action dispatched by `data-m`; overrides `actionType`
+ * @property {[string, string]} [delimiters] - Delimiters of text placeholders, see `DirectiveParser`
+ * @property {Partial<import('../directive-parser/constants.js').DirectivePrefixes>} [prefixes] - Attribute
+ * names of the directive families, see `DirectiveParser`
+ */
+
+/**
+ * Bridge for reducer stores (Redux style) that replace the whole state on every change.
+ * Each binding compares the value at its path in the previous and the next state,
+ * so only bindings whose value changed are re-rendered.
+ * `data-m` never mutates the state: it dispatches `{ type: 'ui/set', path, value }`
+ * (or the action built by `createAction`).
+ *
+ * @example
+ * const bridge = new ImmutableStoreBridge({ actionType: 'form/set' });
+ * bridge.bindTree(document.body, store);
+ * // reducer: case 'form/set': return cloneWithPropertyValue(state, action.path, action.value);
+ */
+export class ImmutableStoreBridge extends ReactiveBridge {
+    /**
+     * @param {ImmutableStoreBridgeOptions} [options]
+     */
+    constructor({ actionType = 'ui/set', createAction, ...options } = {}) {
+        super(options);
+        this.createAction =
+            createAction || ((path, value) => ({ type: actionType, path, value }));
+    }
+
+    /**
+     * @param {unknown} state
+     * @returns {boolean}
+     */
+    isStateCompatible(state) {
+        const store = /** @type {any} */ (state);
+        return (
+            store !== null &&
+            typeof store === 'object' &&
+            typeof store.getState === 'function' &&
+            typeof store.dispatch === 'function' &&
+            typeof store.subscribe === 'function'
+        );
+    }
+
+    /**
+     * Subscribes to the store and calls `callback` when the value at the path changes.
+     * @param {Element} element
+     * @param {DirectiveValue} directive
+     * @param {HandlerContext} context
+     * @param {(value: *) => void} callback
+     */
+    watchDirective(element, directive, context, callback) {
+        /** @type {ReducerStore} */
+        const store = context.state;
+        const path = directive.targetParts;
+        let previous = getPropertyValue(store.getState(), path);
+
+        callback(previous);
+
+        const unsubscribe = store.subscribe(() => {
+            const next = getPropertyValue(store.getState(), path);
+            if (Object.is(previous, next)) return;
+            previous = next;
+            callback(next);
+        });
+        context.addCleanup(unsubscribe);
+    }
+
+    /**
+     * Dispatches the action built by `createAction` instead of mutating the state.
+     * @param {Element} element
+     * @param {DirectiveValue} directive
+     * @param {HandlerContext} context
+     * @param {*} value
+     */
+    writeDirective(element, directive, context, value) {
+        /** @type {ReducerStore} */
+        const store = context.state;
+        store.dispatch(this.createAction(directive.targetParts, value, directive));
+    }
+}
@@ -0,0 +1,164 @@
+// @ts-check
+
+import test from 'ava';
+import { Window } from 'happy-dom';
+import { ImmutableStoreBridge } from './immutable-store-bridge.js';
+import { cloneWithPropertyValue } from '../../utils/properties.js';
+
+const window = new Window({ console }).window;
+// @ts-expect-error
+global.window = window;
+
+const document = window.document;
+
+/**
+ * Minimal reducer store.
+ * @param {(state: any, action: any) => any} reducer
+ * @param {*} initialState
+ */
+function createStore(reducer, initialState) {
+    let state = initialState;
+    /** @type {Set<() => void>} */
+    const listeners = new Set();
+    /** @type {any[]} */
+    const actions = [];
+
+    return {
+        getState: () => state,
+        /** @param {*} action */
+        dispatch(action) {
+            actions.push(action);
+            state = reducer(state, action);
+            listeners.forEach(listener => listener());
+            return action;
+        },
+        /** @param {() => void} listener */
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+        actions,
+        listeners,
+    };
+}
+
+/**
+ * @param {any} state
+ * @param {any} action
+ */
+function reducer(state, action) {
+    switch (action.type) {
+        case 'ui/set':
+            return cloneWithPropertyValue(state, action.path, action.value);
+        case 'count/increment':
+            return { ...state, count: state.count + 1 };
+        default:
+            return state;
+    }
+}
+
+/**
+ * @param {string} html
+ * @returns {any}
+ */
+function render(html) {
+    const root = document.createElement('div');
+    root.innerHTML = html;
+    return root;
+}
+
+test('ImmutableStoreBridge.isStateCompatible: detects reducer stores', t => {
+    const bridge = new ImmutableStoreBridge();
+
+    t.true(bridge.isStateCompatible(createStore(reducer, {})));
+    t.false(bridge.isStateCompatible({ getState() {}, subscribe() {} }));
+    t.false(bridge.isStateCompatible(null));
+});
+
+test('ImmutableStoreBridge: renders and re-renders on state replacement', t => {
+    const bridge = new ImmutableStoreBridge();
+    const store = createStore(reducer, { count: 0 });
+    const root = render('<p data-b-text="count"></p>');
+
+    bridge.bindTree(root, store);
+    t.is(root.firstElementChild.textContent, '0');
+
+    store.dispatch({ type: 'count/increment' });
+    t.is(root.firstElementChild.textContent, '1');
+});
+
+test('ImmutableStoreBridge: only bindings with changed paths re-render', t => {
+    const bridge = new ImmutableStoreBridge();
+    const store = createStore(reducer, { count: 0, user: { name: 'Alex' } });
+    const root = render('<p data-b-text="count"></p><p data-b-text="user.name"></p>');
+    /** @type {string[]} */
+    const updates = [];
+    bridge.registerBehavior('text', {
+        update: (el, value, directive) => updates.push(directive.target),
+    });
+
+    bridge.bindTree(root, store);
+    updates.length = 0;
+
+    store.dispatch({ type: 'count/increment' });
+    t.deepEqual(updates, ['count']);
+
+    updates.length = 0;
+    store.dispatch({ type: 'unknown' });
+    t.deepEqual(updates, []);
+});
+
+test('ImmutableStoreBridge: data-m dispatches ui/set instead of mutating', t => {
+    const bridge = new ImmutableStoreBridge();
+    const initial = { user: { name: 'Alex' } };
+    const store = createStore(reducer, initial);
+    const root = render('<input type="text" data-m="user.name"><p data-b-text="user.name"></p>');
+    const [input, p] = root.children;
+
+    bridge.bindTree(root, store);
+    input.value = 'Sam';
+    input.dispatchEvent(new window.Event('input'));
+
+    t.deepEqual(store.actions, [{ type: 'ui/set', path: ['user', 'name'], value: 'Sam' }]);
+    t.is(initial.user.name, 'Alex');
+    t.is(store.getState().user.name, 'Sam');
+    t.is(p.textContent, 'Sam');
+});
+
+test('ImmutableStoreBridge: configurable action type', t => {
+    const bridge = new ImmutableStoreBridge({ actionType: 'form/set' });
+    const store = createStore(reducer, { name: '' });
+    const root = render('<input type="text" data-m="name">');
+
+    bridge.bindTree(root, store);
+    root.firstElementChild.value = 'x';
+    root.firstElementChild.dispatchEvent(new window.Event('input'));
+
+    t.deepEqual(store.actions, [{ type: 'form/set', path: ['name'], value: 'x' }]);
+});
+
+test('ImmutableStoreBridge: custom createAction', t => {
+    const bridge = new ImmutableStoreBridge({
+        createAction: (path, value, directive) => ({ type: 'field', field: directive.target, value }),
+    });
+    const store = createStore(reducer, { user: { name: '' } });
+    const root = render('<input type="text" data-m="user.name">');
+
+    bridge.bindTree(root, store);
+    root.firstElementChild.value = 'x';
+    root.firstElementChild.dispatchEvent(new window.Event('input'));
+
+    t.deepEqual(store.actions, [{ type: 'field', field: 'user.name', value: 'x' }]);
+});
+
+test('ImmutableStoreBridge: unsubscribes on dispose', t => {
+    const bridge = new ImmutableStoreBridge();
+    const store = createStore(reducer, { count: 0 });
+    const root = render('<p data-b-text="count"></p>');
+
+    const binding = bridge.bindTree(root, store);
+    t.is(store.listeners.size, 1);
+
+    binding.dispose();
+    t.is(store.listeners.size, 0);
+});
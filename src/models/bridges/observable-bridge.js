@@ -0,0 +1,184 @@
+// @ts-check
+
+import { ReactiveBridge } from './reactive-bridge.js';
+import { DirectiveValue } from '../directive-value.js';
+import { HandlerContext } from '../handler-context.js';
+import { getPropertyValue, cloneWithPropertyValue } from '../../utils/properties.js';
+
+/**
+ * @typedef {Object} Observer
+ * @property {(value: *) => void} next
+ * @property {(error: *) => void} error
+ * @property {() => void} complete
+ */
+
+/**
+ * @typedef {Object} Observable
+ * @property {(observer: Observer) => ({ unsubscribe(): void } | (() => void))} subscribe
+ */
+
+const $$observable = (typeof Symbol === 'function' && /** @type {any} */ (Symbol).observable) || '@@observable';
+
+/**
+ * Checks if a value is an observable: it implements `Symbol.observable`
+ * (or `"@@observable"`) or has a `subscribe` method.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isObservable(value) {
+    return (
+        value !== null &&
+        (typeof value === 'object' || typeof value === 'function') &&
+        (typeof value[$$observable] === 'function' || typeof value.subscribe === 'function')
+    );
+}
+
+/**
+ * Subscribes an observer and returns an unsubscribe function, whatever
+ * subscription shape the observable returns.
+ * @param {*} observable
+ * @param {Observer} observer
+ * @returns {() => void}
+ */
+function subscribeObservable(observable, observer) {
+    const source = typeof observable[$$observable] === 'function' ? observable[$$observable]() : observable;
+    const subscription = source.subscribe(observer);
+
+    if (typeof subscription === 'function') return subscription;
+    if (subscription && typeof subscription.unsubscribe === 'function') {
+        return () => subscription.unsubscribe();
+    }
+    return () => {};
+}
+
+/**
+ * Bridge for state exposed as observables with `subscribe({ next, error, complete })`
+ * (RxJS-style streams or anything implementing `Symbol.observable`).
+ * The first observable met along a directive path is subscribed to; the rest
+ * of the path addresses a property inside each emitted value.
+ * Plain values on the path are rendered once.
+ *
+ * @example
+ * const state = { user$: new BehaviorSubject({ name: 'Alex' }) };
+ * new ObservableBridge().bindTree(document.body, state);
+ * // data-b-text="user$.name" renders "name" of every emission
+ */
+export class ObservableBridge extends ReactiveBridge {
+    /**
+     * @param {ConstructorParameters<typeof ReactiveBridge>[0]} [options] - Parser options, see `BridgeBase`
+     */
+    constructor(options) {
+        super(options);
+
+        /** @type {WeakMap<Object, *>} */
+        this.lastValues = new WeakMap(); // observable -> last emitted value
+    }
+
+    /**
+     * @param {unknown} state
+     * @returns {boolean}
+     */
+    isStateCompatible(state) {
+        return this.containsObservable(state, new Set());
+    }
+
+    /**
+     * Checks if a value is an observable or an object holding one at any depth.
+     * @param {*} value
+     * @param {Set<Object>} visited
+     * @returns {boolean}
+     */
+    containsObservable(value, visited) {
+        if (isObservable(value)) return true;
+        if (value === null || typeof value !== 'object' || visited.has(value)) return false;
+        visited.add(value);
+        return Object.values(value).some(item => this.containsObservable(item, visited));
+    }
+
+    /**
+     * Finds the first observable along a path.
+     * @param {*} state
+     * @param {string[]} path
+     * @returns {{ observable: *, path: string[] } | { value: * }} The observable and the path
+     * inside its emissions, or the plain value at the path
+     */
+    resolve(state, path) {
+        let current = state;
+        for (let i = 0; i <= path.length; i++) {
+            if (isObservable(current)) {
+                return { observable: current, path: path.slice(i) };
+            }
+            if (i === path.length || current === null || current === undefined) break;
+            current = current[path[i]];
+        }
+        return { value: current };
+    }
+
+    /**
+     * Subscribes to the observable behind the directive target and renders each emission.
+     * @param {Element} element
+     * @param {DirectiveValue} directive
+     * @param {HandlerContext} context
+     * @param {(value: *) => void} callback
+     */
+    watchDirective(element, directive, context, callback) {
+        const resolved = this.resolve(context.state, directive.targetParts);
+
+        if (!('observable' in resolved)) {
+            callback(resolved.value);
+            return;
+        }
+
+        const { observable, path } = resolved;
+        const unsubscribe = subscribeObservable(observable, {
+            next: value => {
+                this.lastValues.set(observable, value);
+                callback(getPropertyValue(value, path));
+            },
+            error: error => this.errorCallback(error, element, directive, context),
+            complete: () => {},
+        });
+
+        context.addCleanup(unsubscribe);
+    }
+
+    /**
+     * Pushes the value into the subject-like `next()` of the observable behind the target.
+     * Nested properties are written into a copy of the last emitted value.
+     * @param {Element} element
+     * @param {DirectiveValue} directive
+     * @param {HandlerContext} context
+     * @param {*} value
+     */
+    writeDirective(element, directive, context, value) {
+        const resolved = this.resolve(context.state, directive.targetParts);
+
+        if (!('observable' in resolved) || typeof resolved.observable.next !== 'function') {
+            console.warn(`No subject with next() found for "${directive.target}"`);
+            return;
+        }
+
+        const { observable, path } = resolved;
+        if (path.length === 0) {
+            observable.next(value);
+            return;
+        }
+
+        const current =
+            typeof observable.getValue === 'function'
+                ? observable.getValue()
+                : this.lastValues.get(observable);
+        observable.next(cloneWithPropertyValue(current, path, value));
+    }
+
+    /**
+     * Called when an observable bound to a directive emits an error.
+     * @param {*} error
+     * @param {Element} element
+     * @param {DirectiveValue} directive
+     * @param {HandlerContext} handlerContext
+     */
+    errorCallback(error, element, directive, handlerContext) {
+        console.error(`Observable error for "${directive.target}":`, error);
+    }
+}
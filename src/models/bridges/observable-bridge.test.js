@@ -0,0 +1,231 @@
+// @ts-check
+
+import test from 'ava';
+import { Window } from 'happy-dom';
+import { ObservableBridge, isObservable } from './observable-bridge.js';
+
+const window = new Window({ console }).window;
+// @ts-expect-error
+global.window = window;
+
+const document = window.document;
+
+// ============================================================================
+// Minimal observable implementation
+// ============================================================================
+
+/**
+ * Subject that replays its current value to new subscribers.
+ */
+class Subject {
+    /** @param {*} [value] */
+    constructor(value) {
+        this.value = value;
+        this.hasValue = arguments.length > 0;
+        /** @type {Set<any>} */
+        this.observers = new Set();
+    }
+
+    /** @param {{ next: Function, error?: Function, complete?: Function }} observer */
+    subscribe(observer) {
+        this.observers.add(observer);
+        if (this.hasValue) observer.next(this.value);
+        return { unsubscribe: () => this.observers.delete(observer) };
+    }
+
+    /** @param {*} value */
+    next(value) {
+        this.value = value;
+        this.hasValue = true;
+        [...this.observers].forEach(observer => observer.next(value));
+    }
+
+    /** @param {*} error */
+    error(error) {
+        [...this.observers].forEach(observer => observer.error && observer.error(error));
+    }
+}
+
+/**
+ * Read-only observable exposed through Symbol.observable / "@@observable" only.
+ * @param {Subject} subject
+ */
+function interop(subject) {
+    return {
+        '@@observable': () => ({
+            /** @param {any} observer */
+            subscribe: observer => {
+                const subscription = subject.subscribe(observer);
+                return () => subscription.unsubscribe();
+            },
+        }),
+    };
+}
+
+/**
+ * @param {string} html
+ * @returns {any}
+ */
+function render(html) {
+    const root = document.createElement('div');
+    root.innerHTML = html;
+    return root;
+}
+
+// ============================================================================
+// ObservableBridge Tests
+// ============================================================================
+
+test('isObservable: detects subscribe and interop observables', t => {
+    t.true(isObservable(new Subject()));
+    t.true(isObservable(interop(new Subject())));
+    t.false(isObservable({}));
+    t.false(isObservable(null));
+});
+
+test('ObservableBridge.isStateCompatible: accepts observables at any depth', t => {
+    const bridge = new ObservableBridge();
+
+    t.true(bridge.isStateCompatible(new Subject(1)));
+    t.true(bridge.isStateCompatible({ user: { name$: new Subject('a') } }));
+    t.false(bridge.isStateCompatible({ name: 'a' }));
+});
+
+test('ObservableBridge: renders every emission', t => {
+    const bridge = new ObservableBridge();
+    const count$ = new Subject(1);
+    const root = render('<p data-b-text="count$"></p>');
+
+    bridge.bindTree(root, { count$ });
+    t.is(root.firstElementChild.textContent, '1');
+
+    count$.next(2);
+    t.is(root.firstElementChild.textContent, '2');
+});
+
+test('ObservableBridge: renders property of emitted objects', t => {
+    const bridge = new ObservableBridge();
+    const user$ = new Subject({ name: 'Alex' });
+    const root = render('<p data-a-title="user$.name"></p>');
+
+    bridge.bindTree(root, { user$ });
+    t.is(root.firstElementChild.getAttribute('title'), 'Alex');
+
+    user$.next({ name: 'Sam' });
+    t.is(root.firstElementChild.getAttribute('title'), 'Sam');
+});
+
+test('ObservableBridge: subscribes through Symbol.observable interop', t => {
+    const bridge = new ObservableBridge();
+    const subject = new Subject('a');
+    const root = render('<p data-b-text="value"></p>');
+
+    const binding = bridge.bindTree(root, { value: interop(subject) });
+    subject.next('b');
+    t.is(root.firstElementChild.textContent, 'b');
+
+    binding.dispose();
+    t.is(subject.observers.size, 0);
+});
+
+test('ObservableBridge: plain values are rendered once', t => {
+    const bridge = new ObservableBridge();
+    const root = render('<p data-b-text="title"></p>');
+
+    bridge.bindTree(root, { title: 'Static', other$: new Subject() });
+
+    t.is(root.firstElementChild.textContent, 'Static');
+});
+
+test('ObservableBridge: errors are routed to errorCallback', t => {
+    const bridge = new ObservableBridge();
+    const count$ = new Subject(1);
+    const root = render('<p data-b-text="count$"></p>');
+    /** @type {any[]} */
+    const errors = [];
+    bridge.errorCallback = (error, element, directive) => errors.push([error, element, directive.target]);
+
+    bridge.bindTree(root, { count$ });
+    const failure = new Error('boom');
+    count$.error(failure);
+
+    t.deepEqual(errors, [[failure, root.firstElementChild, 'count$']]);
+});
+
+test('ObservableBridge: default errorCallback logs error', t => {
+    const bridge = new ObservableBridge();
+    const count$ = new Subject(1);
+    const root = render('<p data-b-text="count$"></p>');
+    /** @type {any[]} */
+    const logged = [];
+    const originalError = console.error;
+    console.error = (...args) => logged.push(args);
+
+    try {
+        bridge.bindTree(root, { count$ });
+        count$.error(new Error('boom'));
+    } finally {
+        console.error = originalError;
+    }
+
+    t.is(logged.length, 1);
+    t.true(logged[0][0].includes('count$'));
+});
+
+test('ObservableBridge: data-m pushes values into next()', t => {
+    const bridge = new ObservableBridge();
+    const query$ = new Subject('');
+    const root = render('<input type="text" data-m="query$">');
+    const input = root.firstElementChild;
+
+    bridge.bindTree(root, { query$ });
+    input.value = 'abc';
+    input.dispatchEvent(new window.Event('input'));
+
+    t.is(query$.value, 'abc');
+});
+
+test('ObservableBridge: data-m writes nested property into a copy of last value', t => {
+    const bridge = new ObservableBridge();
+    const initial = { name: 'Alex', age: 30 };
+    const user$ = new Subject(initial);
+    const root = render('<input type="text" data-m="user$.name">');
+    const input = root.firstElementChild;
+
+    bridge.bindTree(root, { user$ });
+    input.value = 'Sam';
+    input.dispatchEvent(new window.Event('input'));
+
+    t.deepEqual(user$.value, { name: 'Sam', age: 30 });
+    t.is(initial.name, 'Alex');
+});
+
+test('ObservableBridge: data-m warns for read-only observables', t => {
+    const bridge = new ObservableBridge();
+    const root = render('<input type="text" data-m="value">');
+    /** @type {any[]} */
+    const warnings = [];
+    const originalWarn = console.warn;
+    console.warn = (...args) => warnings.push(args);
+
+    try {
+        bridge.bindTree(root, { value: interop(new Subject('a')) });
+        root.firstElementChild.dispatchEvent(new window.Event('input'));
+    } finally {
+        console.warn = originalWarn;
+    }
+
+    t.is(warnings.length, 1);
+});
+
+test('ObservableBridge: unsubscribes on dispose', t => {
+    const bridge = new ObservableBridge();
+    const count$ = new Subject(1);
+    const root = render('<p data-b-text="count$"></p><input type="text" data-m="count$">');
+
+    const binding = bridge.bindTree(root, { count$ });
+    t.is(count$.observers.size, 2);
+
+    binding.dispose();
+    t.is(count$.observers.size, 0);
+});
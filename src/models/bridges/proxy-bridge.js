@@ -0,0 +1,52 @@
+// @ts-check
+
+import { ReactiveBridge } from './reactive-bridge.js';
+import { DirectiveValue } from '../directive-value.js';
+import { HandlerContext } from '../handler-context.js';
+import { isReactive, subscribe } from './proxy-state.js';
+import { setPropertyValue } from '../../utils/properties.js';
+
+/**
+ * Reference bridge for plain objects wrapped with `reactive()`.
+ * Every directive subscribes to its own `targetParts`, so a write only
+ * re-renders the bindings whose path is related to the changed one.
+ *
+ * @example
+ * const state = reactive({ user: { name: 'Alex' } });
+ * const bridge = new ProxyBridge();
+ * bridge.bindTree(document.body, state);
+ * state.user.name = 'Sam'; // updates every element bound to user.name
+ */
+export class ProxyBridge extends ReactiveBridge {
+    /**
+     * @param {unknown} state
+     * @returns {boolean}
+     */
+    isStateCompatible(state) {
+        return isReactive(state);
+    }
+
+    /**
+     * Subscribes to the directive target and calls `callback` with its current value.
+     * @param {Element} element
+     * @param {DirectiveValue} directive
+     * @param {HandlerContext} context
+     * @param {(value: *) => void} callback
+     */
+    watchDirective(element, directive, context, callback) {
+        const update = () => callback(context.read(directive.targetParts));
+        update();
+        context.addCleanup(subscribe(context.state, directive.targetParts, update));
+    }
+
+    /**
+     * Writes the value to the reactive state, which notifies related bindings.
+     * @param {Element} element
+     * @param {DirectiveValue} directive
+     * @param {HandlerContext} context
+     * @param {*} value
+     */
+    writeDirective(element, directive, context, value) {
+        setPropertyValue(context.state, directive.targetParts, value);
+    }
+}
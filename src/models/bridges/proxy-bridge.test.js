@@ -0,0 +1,670 @@
+// @ts-check
+
+import test from 'ava';
+import { Window } from 'happy-dom';
+import { ProxyBridge } from './proxy-bridge.js';
+import { reactive } from './proxy-state.js';
+import { shorthandPreprocessor } from '../../utils/preprocessors.js';
+
+const window = new Window({ console }).window;
+// @ts-expect-error
+global.window = window;
+
+const document = window.document;
+
+/**
+ * @param {string} html
+ * @returns {any}
+ */
+function render(html) {
+    const root = document.createElement('div');
+    root.innerHTML = html;
+    return root;
+}
+
+// ============================================================================
+// Compatibility Tests
+// ============================================================================
+
+test('ProxyBridge.isStateCompatible: accepts only reactive state', t => {
+    const bridge = new ProxyBridge();
+
+    t.true(bridge.isStateCompatible(reactive({})));
+    t.false(bridge.isStateCompatible({}));
+    t.false(bridge.isStateCompatible(null));
+});
+
+test('ProxyBridge: registers default behaviors', t => {
+    const bridge = new ProxyBridge();
+    t.deepEqual(bridge.listBehaviors(), ['text', 'html', 'show']);
+});
+
+// ============================================================================
+// Attribute Directive Tests
+// ============================================================================
+
+test('ProxyBridge: data-a-* renders and updates attributes', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ link: { url: '/a', title: 'A' } });
+    const root = render('<a data-a-href="link.url" data-a-title="link.title"></a>');
+    const a = root.firstElementChild;
+
+    bridge.bindTree(root, state);
+    t.is(a.getAttribute('href'), '/a');
+    t.is(a.getAttribute('title'), 'A');
+
+    state.link.url = '/b';
+    t.is(a.getAttribute('href'), '/b');
+
+    state.link = { url: '/c', title: 'C' };
+    t.is(a.getAttribute('href'), '/c');
+    t.is(a.getAttribute('title'), 'C');
+});
+
+test('ProxyBridge: data-a-* removes attribute for null and false', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive(/** @type {{ label: any }} */ ({ label: 'x' }));
+    const root = render('<div data-a-aria-label="label"></div>');
+    const div = root.firstElementChild;
+
+    bridge.bindTree(root, state);
+    state.label = null;
+    t.false(div.hasAttribute('aria-label'));
+
+    state.label = true;
+    t.is(div.getAttribute('aria-label'), '');
+});
+
+// ============================================================================
+// Property Directive Tests
+// ============================================================================
+
+test('ProxyBridge: data-p-* renders and updates properties', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ message: 'Hello', busy: true });
+    const root = render('<p data-p-textcontent="message"></p><button data-p-disabled="busy"></button>');
+    const [p, button] = root.children;
+
+    bridge.bindTree(root, state);
+    t.is(p.textContent, 'Hello');
+    t.true(button.disabled);
+
+    state.message = 'Bye';
+    state.busy = false;
+    t.is(p.textContent, 'Bye');
+    t.false(button.disabled);
+});
+
+// ============================================================================
+// Class Directive Tests
+// ============================================================================
+
+test('ProxyBridge: data-c-* toggles classes', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ ui: { active: true, loading: false } });
+    const root = render('<div class="box" data-c-active="ui.active" data-c-loading="ui.loading"></div>');
+    const div = root.firstElementChild;
+
+    bridge.bindTree(root, state);
+    t.is(div.className, 'box active');
+
+    state.ui.active = false;
+    state.ui.loading = true;
+    t.is(div.className, 'box loading');
+});
+
+test('ProxyBridge: data-c replaces computed classes and keeps static ones', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive(/** @type {{ theme: any }} */ ({ theme: 'dark large' }));
+    const root = render('<div class="box" data-c="theme"></div>');
+    const div = root.firstElementChild;
+
+    bridge.bindTree(root, state);
+    t.is(div.className, 'box dark large');
+
+    state.theme = ['light'];
+    t.is(div.className, 'box light');
+
+    state.theme = { compact: true, hidden: false };
+    t.is(div.className, 'box compact');
+});
+
+// ============================================================================
+// Model Directive Tests
+// ============================================================================
+
+test('ProxyBridge: data-m binds text input both ways', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ user: { name: 'Alex' } });
+    const root = render('<input type="text" data-m="user.name">');
+    const input = root.firstElementChild;
+
+    bridge.bindTree(root, state);
+    t.is(input.value, 'Alex');
+
+    input.value = 'Sam';
+    input.dispatchEvent(new window.Event('input'));
+    t.is(state.user.name, 'Sam');
+
+    state.user.name = 'Kim';
+    t.is(input.value, 'Kim');
+});
+
+test('ProxyBridge: data-m binds checkbox to boolean', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ agree: false });
+    const root = render('<input type="checkbox" data-m="agree">');
+    const input = root.firstElementChild;
+
+    bridge.bindTree(root, state);
+    t.false(input.checked);
+
+    input.checked = true;
+    input.dispatchEvent(new window.Event('change'));
+    t.true(state.agree);
+});
+
+test('ProxyBridge: data-m binds radio group to value', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ size: 'm' });
+    const root = render(
+        '<input type="radio" value="s" data-m="size"><input type="radio" value="m" data-m="size">'
+    );
+    const [small, medium] = root.children;
+
+    bridge.bindTree(root, state);
+    t.false(small.checked);
+    t.true(medium.checked);
+
+    small.checked = true;
+    small.dispatchEvent(new window.Event('change'));
+    t.is(state.size, 's');
+});
+
+test('ProxyBridge: data-m number input stores numbers', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive(/** @type {{ count: any }} */ ({ count: 1 }));
+    const root = render('<input type="number" data-m="count">');
+    const input = root.firstElementChild;
+
+    bridge.bindTree(root, state);
+    input.value = '42';
+    input.dispatchEvent(new window.Event('input'));
+
+    t.is(state.count, 42);
+});
+
+test('ProxyBridge: data-m respects custom event and dom property', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ title: 'a' });
+    const root = render('<input type="text" data-m="title:title@change">');
+    const input = root.firstElementChild;
+
+    bridge.bindTree(root, state);
+    t.is(input.title, 'a');
+
+    input.title = 'b';
+    input.dispatchEvent(new window.Event('input'));
+    t.is(state.title, 'a');
+
+    input.dispatchEvent(new window.Event('change'));
+    t.is(state.title, 'b');
+});
+
+// ============================================================================
+// Behavior Directive Tests
+// ============================================================================
+
+test('ProxyBridge: data-b-text and data-b-html render content', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ text: '<b>x</b>' });
+    const root = render('<p data-b-text="text"></p><p data-b-html="text"></p>');
+    const [plain, html] = root.children;
+
+    bridge.bindTree(root, state);
+
+    t.is(plain.textContent, '<b>x</b>');
+    t.is(html.innerHTML, '<b>x</b>');
+});
+
+test('ProxyBridge: data-b-show toggles display and restores it on unbind', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ visible: false });
+    const root = render('<p style="display: flex" data-b-show="visible"></p>');
+    const p = root.firstElementChild;
+
+    const binding = bridge.bindTree(root, state);
+    t.is(p.style.display, 'none');
+
+    state.visible = true;
+    t.is(p.style.display, 'flex');
+
+    state.visible = false;
+    binding.dispose();
+    t.is(p.style.display, 'flex');
+});
+
+// ============================================================================
+// Lifecycle Tests
+// ============================================================================
+
+test('ProxyBridge: data-on-* methods update reactive state', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({
+        cart: {
+            count: 0,
+            add() {
+                this.count++;
+            },
+        },
+    });
+    const root = render('<button data-on-click="cart.add"></button><b data-b-text="cart.count"></b>');
+
+    bridge.bindTree(root, state);
+    root.querySelector('button').click();
+
+    t.is(state.cart.count, 1);
+    t.is(root.querySelector('b').textContent, '1');
+});
+
+test('ProxyBridge: data-scope re-roots descendant paths', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({
+        title: 'Checkout',
+        checkout: { shipping: { address: { city: 'Oslo', lines: ['a', 'b'] } } },
+    });
+    const root = render(
+        '<fieldset data-scope="checkout.shipping.address">' +
+            '<input data-m="city"><b data-b-text="$root.title"></b>' +
+            '<template data-for="line in lines"><i data-b-text="line"></i></template>' +
+            '</fieldset>'
+    );
+
+    bridge.bindTree(root, state);
+    const input = root.querySelector('input');
+    t.is(input.value, 'Oslo');
+    t.is(root.querySelector('b').textContent, 'Checkout');
+    t.deepEqual(
+        Array.from(root.querySelectorAll('i'), (/** @type {any} */ el) => el.textContent),
+        ['a', 'b']
+    );
+
+    input.value = 'Bergen';
+    input.dispatchEvent(new window.Event('input'));
+    t.is(state.checkout.shipping.address.city, 'Bergen');
+});
+
+test('ProxyBridge: observe rebinds descendants when data-scope changes', async t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ billing: { city: 'Oslo' }, shipping: { city: 'Bergen' } });
+    const root = render('<div data-scope="billing"><span data-b-text="city"></span></div>');
+
+    const live = bridge.observe(root, state);
+    t.is(root.querySelector('span').textContent, 'Oslo');
+
+    root.firstChild.setAttribute('data-scope', 'shipping');
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    t.is(root.querySelector('span').textContent, 'Bergen');
+    live.dispose();
+});
+
+test('ProxyBridge: data-m modifiers shape written values', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ name: '', age: 0, note: '' });
+    const root = render(
+        '<input class="name" data-m="name#trim"><input class="age" data-m="age#number"><input class="note" data-m="note#lazy">'
+    );
+
+    bridge.bindTree(root, state);
+
+    const name = root.querySelector('.name');
+    name.value = '  Ann ';
+    name.dispatchEvent(new window.Event('input'));
+    t.is(state.name, 'Ann');
+    t.is(name.value, '  Ann ');
+
+    const age = root.querySelector('.age');
+    age.value = '42';
+    age.dispatchEvent(new window.Event('input'));
+    t.is(state.age, 42);
+
+    const note = root.querySelector('.note');
+    note.value = 'draft';
+    note.dispatchEvent(new window.Event('input'));
+    t.is(state.note, '');
+    note.dispatchEvent(new window.Event('change'));
+    t.is(state.note, 'draft');
+});
+
+test('ProxyBridge: data-m #debounce delays writes until idle', async t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ query: '' });
+    const root = render('<input data-m="query#debounce(10)">');
+
+    bridge.bindTree(root, state);
+    const input = root.querySelector('input');
+    input.value = 'a';
+    input.dispatchEvent(new window.Event('input'));
+    input.value = 'ab';
+    input.dispatchEvent(new window.Event('input'));
+    t.is(state.query, '');
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    t.is(state.query, 'ab');
+});
+
+test('ProxyBridge: dispose stops updates and removes listeners', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ name: 'a' });
+    const root = render('<input type="text" data-m="name"><p data-b-text="name"></p>');
+    const [input, p] = root.children;
+
+    const binding = bridge.bindTree(root, state);
+    binding.dispose();
+
+    state.name = 'b';
+    t.is(p.textContent, 'a');
+    t.is(input.value, 'a');
+
+    input.value = 'c';
+    input.dispatchEvent(new window.Event('input'));
+    t.is(state.name, 'b');
+});
+
+test('ProxyBridge: write only re-renders related bindings', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ a: 1, b: 2 });
+    const root = render('<p data-b-text="a"></p><p data-b-text="b"></p>');
+    /** @type {number[]} */
+    const updates = [];
+
+    bridge.registerBehavior('text', { update: (el, value) => updates.push(value) });
+    bridge.bindTree(root, state);
+    state.a = 10;
+
+    t.deepEqual(updates, [1, 2, 10]);
+});
+
+// ============================================================================
+// Expression Tests
+// ============================================================================
+
+test('ProxyBridge: expression directives re-evaluate when a dependency changes', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ ui: { visible: true }, menu: { open: false } });
+    const root = render(
+        '<button data-c-hidden="=!ui.visible" ' +
+            `data-a-aria-expanded="=menu.open ? 'true' : 'false'"></button>`
+    );
+    const button = root.firstElementChild;
+
+    bridge.bindTree(root, state);
+    t.is(button.className, '');
+    t.is(button.getAttribute('aria-expanded'), 'false');
+
+    state.ui.visible = false;
+    state.menu.open = true;
+    t.is(button.className, 'hidden');
+    t.is(button.getAttribute('aria-expanded'), 'true');
+});
+
+test('ProxyBridge: expressions resolve scopes, list locals and computed members', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({
+        cart: { items: [{ qty: 0 }, { qty: 2 }], selected: 1, fallback: 'none' },
+    });
+    const root = render(
+        '<section data-scope="cart">' +
+            '<template data-for="item in items"><i data-b-text="=item.qty > 0 ? $index : -1"></i></template>' +
+            '<b data-b-text="=items[selected].qty ?? fallback"></b>' +
+            '</section>'
+    );
+
+    bridge.bindTree(root, state);
+    const texts = () => Array.from(root.querySelectorAll('i'), (/** @type {any} */ el) => el.textContent);
+    t.deepEqual(texts(), ['-1', '1']);
+    t.is(root.querySelector('b').textContent, '2');
+
+    state.cart.items[0].qty = 5;
+    state.cart.selected = 0;
+    t.deepEqual(texts(), ['0', '1']);
+    t.is(root.querySelector('b').textContent, '5');
+});
+
+test('ProxyBridge: data-if accepts expressions', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ count: 0 });
+    const root = render(
+        '<template data-if="=count >= 10"><b>many</b></template>' +
+            '<template data-else-if="=count > 0 && count < 10"><i>few</i></template>' +
+            '<template data-else><u>none</u></template>'
+    );
+
+    bridge.bindTree(root, state);
+    t.truthy(root.querySelector('u'));
+
+    state.count = 3;
+    t.truthy(root.querySelector('i'));
+
+    state.count = 12;
+    t.truthy(root.querySelector('b'));
+    t.falsy(root.querySelector('i'));
+});
+
+// ============================================================================
+// Formatter Pipe Tests
+// ============================================================================
+
+test('ProxyBridge: formatter pipes format rendered values', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ order: { total: 1234.5, note: '' }, visible: false });
+    const root = render(
+        '<b data-b-text="order.total | currency(\'EUR\') | default(\'-\')"></b>' +
+            '<i data-b-text="=visible ? order.note : \'hidden\' | uppercase"></i>' +
+            '<u data-a-title="order.note | default(\'none\')"></u>'
+    );
+
+    bridge.bindTree(root, state, { config: { locale: 'en-US' } });
+    t.is(root.querySelector('b').textContent, '€1,234.50');
+    t.is(root.querySelector('i').textContent, 'HIDDEN');
+    t.is(root.querySelector('u').getAttribute('title'), 'none');
+
+    state.order.total = null;
+    state.order.note = 'Gift';
+    state.visible = true;
+    t.is(root.querySelector('b').textContent, '-');
+    t.is(root.querySelector('i').textContent, 'GIFT');
+    t.is(root.querySelector('u').getAttribute('title'), 'Gift');
+});
+
+// ============================================================================
+// Text Interpolation Tests
+// ============================================================================
+
+test('ProxyBridge: text placeholders update only their own text nodes', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ user: { name: 'Ada' }, inbox: { count: 2 } });
+    const root = render(
+        '<p>Hello, {{ user.name }}! You have {{ inbox.count }} messages.<b>Bold</b></p>'
+    );
+    const paragraph = root.querySelector('p');
+    const bold = root.querySelector('b');
+
+    const tree = bridge.bindTree(root, state);
+    t.is(paragraph.textContent, 'Hello, Ada! You have 2 messages.Bold');
+
+    const greeting = paragraph.childNodes[0];
+    state.user.name = 'Bob';
+    t.is(paragraph.textContent, 'Hello, Bob! You have 2 messages.Bold');
+    t.is(paragraph.childNodes[0], greeting);
+    t.is(paragraph.querySelector('b'), bold);
+
+    tree.dispose();
+    t.is(paragraph.innerHTML, 'Hello, {{ user.name }}! You have {{ inbox.count }} messages.<b>Bold</b>');
+});
+
+test('ProxyBridge: text placeholders in scopes, lists, expressions and pipes', async t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ cart: { items: [{ name: 'pen', qty: 2 }], total: 4 } });
+    const root = render(
+        '<section data-scope="cart">' +
+            '<ul><template data-for="item in items"><li>{{ $index }}: {{ item.name | uppercase }}</li></template></ul>' +
+            "<p>{{ =total > 3 ? 'Free shipping' : 'Shipping: 5' }}, escaped \\{{ total }}</p>" +
+            '</section>'
+    );
+
+    bridge.bindTree(root, state);
+    const items = () => Array.from(root.querySelectorAll('li'), (/** @type {any} */ li) => li.textContent);
+    t.deepEqual(items(), ['0: PEN']);
+    t.is(root.querySelector('p').textContent, 'Free shipping, escaped {{ total }}');
+
+    state.cart.items.push({ name: 'ink', qty: 1 });
+    state.cart.total = 1;
+    await new Promise(resolve => setTimeout(resolve, 0));
+    t.deepEqual(items(), ['0: PEN', '1: INK']);
+    t.is(root.querySelector('p').textContent, 'Shipping: 5, escaped {{ total }}');
+});
+
+test('ProxyBridge: text delimiters are configured on the parser', t => {
+    const bridge = new ProxyBridge();
+    bridge.parser.delimiters = ['[[', ']]'];
+    const root = render('<p>[[ name ]] {{ name }}</p>');
+
+    bridge.bindTree(root, reactive({ name: 'Ada' }));
+    t.is(root.querySelector('p').textContent, 'Ada {{ name }}');
+});
+
+test('ProxyBridge: text of a scoped element resolves against its own scope', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ user: { name: 'Ada' }, name: 'root' });
+    const root = render('<section data-scope="user">{{ name }} / {{ $root.name }}</section>');
+
+    bridge.bindTree(root, state);
+    t.is(root.querySelector('section').textContent, 'Ada / root');
+
+    state.user.name = 'Bob';
+    t.is(root.querySelector('section').textContent, 'Bob / root');
+});
+
+// ============================================================================
+// Template Value Tests
+// ============================================================================
+
+test('ProxyBridge: template values render static text and bindings', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ user: { id: 7 }, size: 'sm', items: [{ name: 'pen' }] });
+    const root = render(
+        '<a data-a-href="`/users/${user.id}/edit`">Edit</a>' +
+            '<div data-c="card card--{{ size }}"></div>' +
+            '<ul><template data-for="item in items">' +
+            '<li><button data-a-aria-label="Delete {{ item.name | uppercase }}"></button></li>' +
+            '</template></ul>'
+    );
+    const link = root.querySelector('a');
+    const card = root.querySelector('div');
+    const labels = () =>
+        Array.from(root.querySelectorAll('button'), (/** @type {any} */ button) =>
+            button.getAttribute('aria-label')
+        );
+
+    bridge.bindTree(root, state);
+    t.is(link.getAttribute('href'), '/users/7/edit');
+    t.is(card.className, 'card card--sm');
+    t.deepEqual(labels(), ['Delete PEN']);
+
+    state.user.id = 8;
+    state.size = 'lg';
+    state.items[0].name = 'ink';
+    t.is(link.getAttribute('href'), '/users/8/edit');
+    t.is(card.className, 'card card--lg');
+    t.deepEqual(labels(), ['Delete INK']);
+});
+
+test('ProxyBridge: template bindings with missing values render as empty text', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ query: null });
+    const root = render('<a data-a-href="`/search?q=${query}`"></a>');
+
+    bridge.bindTree(root, state);
+    t.is(root.querySelector('a').getAttribute('href'), '/search?q=');
+
+    state.query = 'ui';
+    t.is(root.querySelector('a').getAttribute('href'), '/search?q=ui');
+});
+
+// ============================================================================
+// Prefix Tests
+// ============================================================================
+
+test('ProxyBridge: bridges with different prefixes coexist on one page', async t => {
+    const prefixes = { BEHAVIOR: 'ub-b-', FOR: 'ub-for', KEY: 'ub-key', IF: 'ub-if', ELSE: 'ub-else' };
+    const own = new ProxyBridge({ prefixes });
+    const other = new ProxyBridge();
+    const ownState = reactive({ items: [{ id: 1, name: 'pen' }], open: false, title: 'Own' });
+    const otherState = reactive({ title: 'Other' });
+    const root = render(
+        '<h1 ub-b-text="title"></h1><h2 data-b-text="title"></h2>' +
+            '<ul><template ub-for="item in items" ub-key="item.id"><li ub-b-text="item.name"></li></template></ul>' +
+            '<template ub-if="open"><p>open</p></template><template ub-else><p>closed</p></template>'
+    );
+
+    /** @param {string} selector */
+    const texts = selector =>
+        Array.from(root.querySelectorAll(selector), (/** @type {any} */ el) => el.textContent);
+
+    own.bindTree(root, ownState);
+    other.bindTree(root.querySelector('h2'), otherState);
+
+    t.is(root.querySelector('h1').textContent, 'Own');
+    t.is(root.querySelector('h2').textContent, 'Other');
+    t.deepEqual(texts('li'), ['pen']);
+    t.deepEqual(texts('p'), ['closed']);
+    t.false(own.boundElements.has(root.querySelector('h2')));
+
+    ownState.items.push({ id: 2, name: 'ink' });
+    ownState.open = true;
+    otherState.title = 'Changed';
+    await new Promise(resolve => setTimeout(resolve, 0));
+    t.deepEqual(texts('li'), ['pen', 'ink']);
+    t.deepEqual(texts('p'), ['open']);
+    t.is(root.querySelector('h2').textContent, 'Changed');
+});
+
+// ============================================================================
+// Preprocessor Tests
+// ============================================================================
+
+test('ProxyBridge: shorthand attributes bind like their long forms', async t => {
+    const bridge = new ProxyBridge();
+    bridge.parser.addPreprocessor(shorthandPreprocessor);
+    const state = reactive({
+        hint: 'Search',
+        query: 'ui',
+        searches: 0,
+        search() {
+            this.searches++;
+        },
+        items: [{ url: '/a' }],
+    });
+    const root = render(
+        '<input :placeholder="hint" .value="query" @input="search">' +
+            '<template data-for="item in items"><a :href="item.url"></a></template>'
+    );
+    const input = root.querySelector('input');
+
+    const observer = bridge.observe(root, state);
+    t.is(input.getAttribute('placeholder'), 'Search');
+    t.is(input.value, 'ui');
+    t.is(root.querySelector('a').getAttribute('href'), '/a');
+
+    input.dispatchEvent(new window.Event('input'));
+    state.hint = 'Find';
+    t.is(state.searches, 1);
+    t.is(input.getAttribute('placeholder'), 'Find');
+
+    input.setAttribute(':title', 'query');
+    await new Promise(resolve => setTimeout(resolve, 0));
+    t.is(input.getAttribute('title'), 'ui');
+    observer.dispose();
+});
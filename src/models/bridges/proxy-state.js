@@ -0,0 +1,172 @@
+// @ts-check
+
+import { arePathsRelated } from '../../utils/properties.js';
+
+const TRACKER = Symbol('ui-binder.tracker');
+const RAW = Symbol('ui-binder.raw');
+
+/**
+ * @typedef {Object} StateTracker
+ * @property {(path: string[], callback: (changedPath: string[]) => void) => () => void} subscribe
+ */
+
+/**
+ * Checks if a value can be wrapped into a tracking proxy.
+ * Only plain objects and arrays are tracked.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isTrackable(value) {
+    if (value === null || typeof value !== 'object') return false;
+    if (Array.isArray(value)) return true;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Wraps a plain object into a change-tracking Proxy.
+ * Nested plain objects and arrays are wrapped lazily on access.
+ * Every write notifies the subscribers whose path is equal to, an ancestor of,
+ * or a descendant of the changed path.
+ *
+ * @template {Object} T
+ * @param {T} target - The plain object to track
+ * @returns {T} The tracking proxy
+ *
+ * @example
+ * const state = reactive({ user: { name: 'Alex' } });
+ * subscribe(state, ['user', 'name'], () => console.log(state.user.name));
+ * state.user.name = 'Sam'; // logs "Sam"
+ */
+export function reactive(target) {
+    if (isReactive(target)) return target;
+    if (!isTrackable(target)) {
+        throw new Error('reactive() expects a plain object or an array');
+    }
+
+    /** @type {Set<{ path: string[], callback: (changedPath: string[]) => void }>} */
+    const listeners = new Set();
+
+    /** @type {WeakMap<Object, Map<string, Object>>} */
+    const proxies = new WeakMap(); // raw -> (path key -> proxy)
+
+    /** @type {StateTracker} */
+    const tracker = {
+        subscribe(path, callback) {
+            const listener = { path, callback };
+            listeners.add(listener);
+            return () => {
+                listeners.delete(listener);
+            };
+        },
+    };
+
+    /** @param {string[]} changedPath */
+    const notify = changedPath => {
+        for (const listener of [...listeners]) {
+            if (listeners.has(listener) && arePathsRelated(listener.path, changedPath)) {
+                listener.callback(changedPath);
+            }
+        }
+    };
+
+    /**
+     * @param {*} raw
+     * @param {string[]} path
+     * @returns {*}
+     */
+    const wrap = (raw, path) => {
+        if (!isTrackable(raw)) return raw;
+
+        const key = JSON.stringify(path);
+        let byPath = proxies.get(raw);
+        if (!byPath) {
+            byPath = new Map();
+            proxies.set(raw, byPath);
+        }
+
+        let proxy = byPath.get(key);
+        if (proxy) return proxy;
+
+        proxy = new Proxy(raw, {
+            get(obj, prop, receiver) {
+                if (prop === TRACKER) return tracker;
+                if (prop === RAW) return obj;
+
+                const value = Reflect.get(obj, prop, receiver);
+                if (typeof prop === 'symbol') return value;
+                return wrap(value, [...path, prop]);
+            },
+            set(obj, prop, value, receiver) {
+                const next = toRaw(value);
+                const had = Object.prototype.hasOwnProperty.call(obj, prop);
+                const previous = Reflect.get(obj, prop, receiver);
+                // Writing past the end grows an array; the later `length` write is then a no-op
+                const length = Array.isArray(obj) ? obj.length : undefined;
+                const result = Reflect.set(obj, prop, next);
+
+                if (typeof prop !== 'symbol' && (!had || !Object.is(previous, next))) {
+                    notify([...path, prop]);
+                }
+                if (prop !== 'length' && length !== undefined && obj.length !== length) {
+                    notify([...path, 'length']);
+                }
+                return result;
+            },
+            deleteProperty(obj, prop) {
+                const had = Object.prototype.hasOwnProperty.call(obj, prop);
+                const result = Reflect.deleteProperty(obj, prop);
+
+                if (had && typeof prop !== 'symbol') {
+                    notify([...path, prop]);
+                }
+                return result;
+            },
+        });
+
+        byPath.set(key, proxy);
+        return proxy;
+    };
+
+    return wrap(target, []);
+}
+
+/**
+ * Checks if a value is a proxy created by `reactive`.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isReactive(value) {
+    return value !== null && typeof value === 'object' && Boolean(value[TRACKER]);
+}
+
+/**
+ * Returns the plain object behind a tracking proxy.
+ * Non-proxy values are returned as is.
+ * @template T
+ * @param {T} value
+ * @returns {T}
+ */
+export function toRaw(value) {
+    if (isReactive(value)) {
+        return /** @type {any} */ (value)[RAW];
+    }
+    return value;
+}
+
+/**
+ * Subscribes to changes related to a path of a reactive state.
+ * The callback receives the path that was changed.
+ * @param {Object} state - Proxy created by `reactive`
+ * @param {string[]} path - Path to watch
+ * @param {(changedPath: string[]) => void} callback
+ * @returns {() => void} Unsubscribe function
+ */
+export function subscribe(state, path, callback) {
+    if (!isReactive(state)) {
+        throw new Error('subscribe() expects a state created by reactive()');
+    }
+    /** @type {StateTracker} */
+    const tracker = /** @type {any} */ (state)[TRACKER];
+    return tracker.subscribe(path, callback);
+}
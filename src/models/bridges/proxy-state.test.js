@@ -0,0 +1,173 @@
+// @ts-check
+
+import test from 'ava';
+import { reactive, isReactive, toRaw, subscribe } from './proxy-state.js';
+
+// ============================================================================
+// reactive() Tests
+// ============================================================================
+
+test('reactive: returns proxy that reads like the original object', t => {
+    const state = reactive({ user: { name: 'Alex' }, items: [1, 2] });
+
+    t.is(state.user.name, 'Alex');
+    t.deepEqual([...state.items], [1, 2]);
+});
+
+test('reactive: writes go to the original object', t => {
+    const raw = { user: { name: 'Alex' } };
+    const state = reactive(raw);
+
+    state.user.name = 'Sam';
+
+    t.is(raw.user.name, 'Sam');
+});
+
+test('reactive: nested proxies are cached', t => {
+    const state = reactive({ user: { name: 'Alex' } });
+    t.is(state.user, state.user);
+});
+
+test('reactive: returns the same proxy for reactive input', t => {
+    const state = reactive({});
+    t.is(reactive(state), state);
+});
+
+test('reactive: throws for non plain objects', t => {
+    t.throws(() => reactive(/** @type {any} */ (null)));
+    t.throws(() => reactive(new Date()));
+});
+
+test('isReactive / toRaw: identify and unwrap proxies', t => {
+    const raw = { user: { name: 'Alex' } };
+    const state = reactive(raw);
+
+    t.true(isReactive(state));
+    t.true(isReactive(state.user));
+    t.false(isReactive(raw));
+    t.false(isReactive(null));
+    t.is(toRaw(state), raw);
+    t.is(toRaw(state.user), raw.user);
+    t.is(toRaw(raw), raw);
+});
+
+test('reactive: assigning a proxy stores the raw object', t => {
+    const raw = { a: { x: 1 }, b: null };
+    const state = reactive(raw);
+
+    /** @type {any} */ (state).b = state.a;
+
+    t.is(/** @type {any} */ (raw.b), raw.a);
+});
+
+// ============================================================================
+// subscribe() Tests
+// ============================================================================
+
+test('subscribe: called with changed path on write', t => {
+    const state = reactive({ user: { name: 'Alex' } });
+    /** @type {string[][]} */
+    const calls = [];
+    subscribe(state, ['user', 'name'], path => calls.push(path));
+
+    state.user.name = 'Sam';
+
+    t.deepEqual(calls, [['user', 'name']]);
+});
+
+test('subscribe: notified when an ancestor is replaced', t => {
+    const state = reactive({ user: { name: 'Alex' } });
+    let calls = 0;
+    subscribe(state, ['user', 'name'], () => calls++);
+
+    state.user = { name: 'Sam' };
+
+    t.is(calls, 1);
+});
+
+test('subscribe: notified when a descendant changes', t => {
+    const state = reactive({ items: [1, 2] });
+    /** @type {string[][]} */
+    const calls = [];
+    subscribe(state, ['items'], path => calls.push(path));
+
+    state.items.push(3);
+
+    t.deepEqual(calls, [
+        ['items', '2'],
+        ['items', 'length'],
+    ]);
+});
+
+test('subscribe: length is notified when an array grows or shrinks', t => {
+    const state = reactive({ items: [1, 2] });
+    /** @type {string[][]} */
+    const calls = [];
+    subscribe(state, ['items', 'length'], path => calls.push(path));
+
+    state.items.push(3);
+    state.items.pop();
+    state.items[1] = 5;
+
+    t.deepEqual(calls, [
+        ['items', 'length'],
+        ['items', 'length'],
+    ]);
+    t.is(state.items.length, 2);
+});
+
+test('subscribe: not notified for unrelated paths', t => {
+    const state = reactive({ user: { name: 'Alex' }, count: 0 });
+    let calls = 0;
+    subscribe(state, ['user', 'name'], () => calls++);
+
+    state.count = 1;
+
+    t.is(calls, 0);
+});
+
+test('subscribe: not notified when value does not change', t => {
+    const state = reactive({ count: 1 });
+    let calls = 0;
+    subscribe(state, ['count'], () => calls++);
+
+    state.count = 1;
+
+    t.is(calls, 0);
+});
+
+test('subscribe: notified on delete', t => {
+    const state = reactive(/** @type {{ a?: number }} */ ({ a: 1 }));
+    let calls = 0;
+    subscribe(state, ['a'], () => calls++);
+
+    delete state.a;
+    delete state.a;
+
+    t.is(calls, 1);
+});
+
+test('subscribe: unsubscribe stops notifications', t => {
+    const state = reactive({ count: 0 });
+    let calls = 0;
+    const unsubscribe = subscribe(state, ['count'], () => calls++);
+
+    unsubscribe();
+    state.count = 1;
+
+    t.is(calls, 0);
+});
+
+test('subscribe: nested proxy shares subscriptions with root', t => {
+    const state = reactive({ user: { name: 'Alex' } });
+    let calls = 0;
+    subscribe(state.user, ['user', 'name'], () => calls++);
+
+    state.user.name = 'Sam';
+
+    t.is(calls, 1);
+});
+
+test('subscribe: throws for non-reactive state', t => {
+    t.throws(() => subscribe({}, ['a'], () => {}));
+});
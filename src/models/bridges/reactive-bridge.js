@@ -0,0 +1,167 @@
+// @ts-check
+
+import { BridgeBase } from '../bridge-base.js';
+import { DirectiveValue } from '../directive-value.js';
+import { ClassDirectiveValue } from '../class-directive-value.js';
+import { HandlerContext } from '../handler-context.js';
+import { DEFAULT_BEHAVIORS } from './behaviors.js';
+import { propertyNameToPath, setPropertyValue } from '../../utils/properties.js';
+import { applyModifiers } from '../../utils/modifiers.js';
+import {
+    setAttributeValue,
+    applyClassValue,
+    getModelProperty,
+    getModelEvent,
+    readModelValue,
+    writeModelValue,
+} from '../../utils/dom.js';
+
+/**
+ * Base class for bridges that render every directive the same way and differ
+ * only in how values are read, watched and written.
+ * Subclasses implement `isStateCompatible`, `watchDirective` and `writeDirective`.
+ */
+export class ReactiveBridge extends BridgeBase {
+    /**
+     * @param {ConstructorParameters<typeof BridgeBase>[0]} [options] - Parser options, see `BridgeBase`
+     */
+    constructor(options) {
+        super(options);
+
+        for (const [name, handler] of Object.entries(DEFAULT_BEHAVIORS)) {
+            this.registerBehavior(name, handler);
+        }
+    }
+
+    /**
+     * Writes a value coming from a `data-m` element back to the state.
+     * @param {Element} element
+     * @param {DirectiveValue} directive
+     * @param {HandlerContext} context
+     * @param {*} value
+     */
+    writeDirective(element, directive, context, value) {
+        console.warn('Method must be implemented by subclass');
+    }
+
+    /**
+     * @param {Element} element
+     * @param {Map<string, DirectiveValue>} directives
+     * @param {HandlerContext} handlerContext
+     */
+    attributeDirectivesCallback(element, directives, handlerContext) {
+        for (const [name, directive] of directives) {
+            this.renderDirective(
+                element,
+                directive,
+                handlerContext,
+                applyModifiers(directive, value => setAttributeValue(element, name, value), handlerContext)
+            );
+        }
+    }
+
+    /**
+     * @param {Element} element
+     * @param {Map<string, DirectiveValue>} directives
+     * @param {HandlerContext} handlerContext
+     */
+    propertyDirectivesCallback(element, directives, handlerContext) {
+        for (const [name, directive] of directives) {
+            const path = propertyNameToPath(name);
+            this.renderDirective(
+                element,
+                directive,
+                handlerContext,
+                applyModifiers(directive, value => setPropertyValue(element, path, value), handlerContext)
+            );
+        }
+    }
+
+    /**
+     * @param {Element} element
+     * @param {ClassDirectiveValue} directive
+     * @param {HandlerContext} handlerContext
+     */
+    classDirectiveCallback(element, directive, handlerContext) {
+        if (directive.computedClass) {
+            /** @type {string[]} */
+            let applied = [];
+            const computedClass = directive.computedClass;
+            this.renderDirective(
+                element,
+                computedClass,
+                handlerContext,
+                applyModifiers(
+                    computedClass,
+                    value => {
+                        applied = applyClassValue(element, value, applied);
+                    },
+                    handlerContext
+                )
+            );
+            return;
+        }
+
+        for (const [className, classDirective] of directive.reactiveClasses) {
+            this.renderDirective(
+                element,
+                classDirective,
+                handlerContext,
+                applyModifiers(
+                    classDirective,
+                    value => element.classList.toggle(className, Boolean(value)),
+                    handlerContext
+                )
+            );
+        }
+    }
+
+    /**
+     * @param {Element} element
+     * @param {DirectiveValue} directive
+     * @param {HandlerContext} handlerContext
+     */
+    modelDirectiveCallback(element, directive, handlerContext) {
+        const property = getModelProperty(element, directive);
+        const eventName = getModelEvent(element, directive);
+
+        const written = { active: false, value: undefined };
+
+        this.renderDirective(element, directive, handlerContext, value => {
+            // The element already shows the value it just wrote (possibly before #trim or #number)
+            if (written.active && Object.is(value, written.value)) {
+                written.active = false;
+                return;
+            }
+            written.active = false;
+            writeModelValue(element, property, value);
+        });
+
+        if (handlerContext.isLocalPath(directive.targetParts)) {
+            console.warn(
+                `Cannot bind ${this.parser.prefixes.MODEL}="${directive.target}" two-way: "${directive.targetParts[0]}" is a local value, not a state path`
+            );
+            return;
+        }
+
+        // Modifiers shape the written value (#trim, #number, #debounce...); rendering stays immediate
+        const write = applyModifiers(
+            directive,
+            value => {
+                written.active = true;
+                written.value = value;
+                this.writeDirective(element, directive, handlerContext, value);
+            },
+            handlerContext
+        );
+
+        const listener = () => {
+            const value = readModelValue(element, property);
+            if (value === undefined) return;
+            write(value);
+        };
+
+        element.addEventListener(eventName, listener);
+        handlerContext.addCleanup(() => element.removeEventListener(eventName, listener));
+    }
+}
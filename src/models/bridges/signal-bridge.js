@@ -0,0 +1,190 @@
+// @ts-check
+
+import { ReactiveBridge } from './reactive-bridge.js';
+import { DirectiveValue } from '../directive-value.js';
+import { HandlerContext } from '../handler-context.js';
+import { cloneWithPropertyValue } from '../../utils/properties.js';
+
+/**
+ * Namespace shaped like the TC39 Signals proposal (`Signal.State`, `Signal.Computed`,
+ * `Signal.subtle.Watcher`), e.g. the `signal-polyfill` package.
+ * @typedef {Object} SignalNamespace
+ * @property {new (value: *) => { get(): *, set(value: *): void }} State
+ * @property {new (fn: () => *) => { get(): * }} Computed
+ * @property {{ Watcher: new (notify: () => void) => SignalWatcher }} subtle
+ */
+
+/**
+ * @typedef {Object} SignalWatcher
+ * @property {(...signals: Object[]) => void} watch
+ * @property {(...signals: Object[]) => void} unwatch
+ * @property {() => Object[]} getPending
+ */
+
+/**
+ * Bridge for state built from TC39-Signals-shaped objects.
+ * The state is a signal or an object holding signals at any depth;
+ * signals met along a directive path are read with `.get()`.
+ * Changes reported by the watcher are batched into one DOM flush per microtask.
+ *
+ * @example
+ * import { Signal } from 'signal-polyfill';
+ * const state = { user: { name: new Signal.State('Alex') } };
+ * new SignalBridge({ Signal }).bindTree(document.body, state);
+ * state.user.name.set('Sam'); // rendered in the next microtask
+ */
+export class SignalBridge extends ReactiveBridge {
+    /**
+     * @param {{ Signal?: SignalNamespace } & ConstructorParameters<typeof ReactiveBridge>[0]} [options] -
+     * `Signal` namespace and the parser options, see `BridgeBase`
+     */
+    constructor({ Signal = /** @type {any} */ (globalThis).Signal, ...options } = {}) {
+        super(options);
+
+        if (!Signal || !Signal.State || !Signal.Computed || !Signal.subtle) {
+            throw new Error('SignalBridge requires a Signal namespace with State, Computed and subtle.Watcher');
+        }
+
+        /** @type {SignalNamespace} */
+        this.Signal = Signal;
+
+        /** @type {Map<Object, (value: *) => void>} */
+        this.bindings = new Map(); // computed -> callback
+
+        this.flushScheduled = false;
+
+        this.watcher = new Signal.subtle.Watcher(() => this.scheduleFlush());
+    }
+
+    /**
+     * Checks if a value is a State or Computed of the configured namespace.
+     * @param {*} value
+     * @returns {boolean}
+     */
+    isSignal(value) {
+        return value instanceof this.Signal.State || value instanceof this.Signal.Computed;
+    }
+
+    /**
+     * @param {unknown} state
+     * @returns {boolean}
+     */
+    isStateCompatible(state) {
+        return this.containsSignal(state, new Set());
+    }
+
+    /**
+     * Checks if a value is a signal or an object holding a signal at any depth.
+     * @param {*} value
+     * @param {Set<Object>} visited
+     * @returns {boolean}
+     */
+    containsSignal(value, visited) {
+        if (this.isSignal(value)) return true;
+        if (value === null || typeof value !== 'object' || visited.has(value)) return false;
+        visited.add(value);
+        return Object.values(value).some(item => this.containsSignal(item, visited));
+    }
+
+    /**
+     * Reads a path, unwrapping every signal met on the way.
+     * @param {*} state
+     * @param {string[]} path
+     * @returns {*}
+     */
+    readPath(state, path) {
+        let current = this.isSignal(state) ? state.get() : state;
+        for (const part of path) {
+            if (current === null || current === undefined) return undefined;
+            current = current[part];
+            if (this.isSignal(current)) current = current.get();
+        }
+        return current;
+    }
+
+    /**
+     * Creates a computed signal for the directive target and renders it whenever it changes.
+     * @param {Element} element
+     * @param {DirectiveValue} directive
+     * @param {HandlerContext} context
+     * @param {(value: *) => void} callback
+     */
+    watchDirective(element, directive, context, callback) {
+        const path = directive.targetParts;
+        const computed = new this.Signal.Computed(() => this.readPath(context.state, path));
+
+        callback(computed.get());
+        this.bindings.set(computed, callback);
+        this.watcher.watch(computed);
+
+        context.addCleanup(() => {
+            this.watcher.unwatch(computed);
+            this.bindings.delete(computed);
+        });
+    }
+
+    /**
+     * Writes the value to the `State` at the directive path. If the path goes
+     * through a `State` holding a plain value, that value is replaced immutably.
+     * @param {Element} element
+     * @param {DirectiveValue} directive
+     * @param {HandlerContext} context
+     * @param {*} value
+     */
+    writeDirective(element, directive, context, value) {
+        const path = directive.targetParts;
+
+        /** @type {{ signal: *, index: number } | null} */
+        let writable = null;
+        let current = context.state;
+
+        for (let i = -1; i < path.length; i++) {
+            if (i >= 0) {
+                if (current === null || current === undefined) break;
+                current = current[path[i]];
+            }
+            if (current instanceof this.Signal.State) {
+                writable = { signal: current, index: i };
+            }
+            if (this.isSignal(current)) current = current.get();
+        }
+
+        if (!writable) {
+            console.warn(`No writable signal found for "${directive.target}"`);
+            return;
+        }
+
+        const { signal, index } = writable;
+        signal.set(cloneWithPropertyValue(signal.get(), path.slice(index + 1), value));
+    }
+
+    /**
+     * Schedules a flush in a microtask. Called by the watcher.
+     */
+    scheduleFlush() {
+        if (this.flushScheduled) return;
+        this.flushScheduled = true;
+        queueMicrotask(() => this.flush());
+    }
+
+    /**
+     * Re-renders the bindings whose computed signals are pending and re-arms the watcher.
+     */
+    flush() {
+        this.flushScheduled = false;
+
+        for (const computed of this.watcher.getPending()) {
+            const callback = this.bindings.get(computed);
+            if (callback) {
+                callback(/** @type {any} */ (computed).get());
+            }
+        }
+
+        this.watcher.watch();
+
+        // Signals changed by the callbacks themselves are rendered in the next flush
+        if (this.watcher.getPending().length > 0) {
+            this.scheduleFlush();
+        }
+    }
+}
@@ -0,0 +1,281 @@
+// @ts-check
+
+import test from 'ava';
+import { Window } from 'happy-dom';
+import { SignalBridge } from './signal-bridge.js';
+
+const window = new Window({ console }).window;
+// @ts-expect-error
+global.window = window;
+
+const document = window.document;
+
+// ============================================================================
+// Minimal TC39-Signals-shaped implementation
+// ============================================================================
+
+/** @type {Computed|null} */
+let activeComputed = null;
+
+/** @param {State|Computed} signal */
+function track(signal) {
+    if (activeComputed) {
+        signal.sinks.add(activeComputed);
+        activeComputed.sources.add(signal);
+    }
+}
+
+class State {
+    /** @param {*} value */
+    constructor(value) {
+        this.value = value;
+        /** @type {Set<Computed>} */
+        this.sinks = new Set();
+    }
+
+    get() {
+        track(this);
+        return this.value;
+    }
+
+    /** @param {*} value */
+    set(value) {
+        if (Object.is(value, this.value)) return;
+        this.value = value;
+        [...this.sinks].forEach(sink => sink.markDirty());
+    }
+}
+
+class Computed {
+    /** @param {() => *} fn */
+    constructor(fn) {
+        this.fn = fn;
+        this.dirty = true;
+        /** @type {*} */
+        this.value = undefined;
+        /** @type {Set<State|Computed>} */
+        this.sources = new Set();
+        /** @type {Set<Computed>} */
+        this.sinks = new Set();
+        /** @type {Set<Watcher>} */
+        this.watchers = new Set();
+    }
+
+    get() {
+        track(this);
+        if (this.dirty) {
+            this.sources.forEach(source => source.sinks.delete(this));
+            this.sources.clear();
+            const previous = activeComputed;
+            activeComputed = this;
+            try {
+                this.value = this.fn();
+            } finally {
+                activeComputed = previous;
+            }
+            this.dirty = false;
+        }
+        return this.value;
+    }
+
+    markDirty() {
+        if (this.dirty) return;
+        this.dirty = true;
+        [...this.sinks].forEach(sink => sink.markDirty());
+        this.watchers.forEach(watcher => watcher.signalDirty());
+    }
+}
+
+class Watcher {
+    /** @param {() => void} notify */
+    constructor(notify) {
+        this.notify = notify;
+        /** @type {Set<Computed>} */
+        this.watched = new Set();
+        this.armed = true;
+    }
+
+    /** @param {...Computed} signals */
+    watch(...signals) {
+        signals.forEach(signal => {
+            signal.watchers.add(this);
+            this.watched.add(signal);
+        });
+        this.armed = true;
+    }
+
+    /** @param {...Computed} signals */
+    unwatch(...signals) {
+        signals.forEach(signal => {
+            signal.watchers.delete(this);
+            this.watched.delete(signal);
+        });
+    }
+
+    getPending() {
+        return [...this.watched].filter(signal => signal.dirty);
+    }
+
+    signalDirty() {
+        if (!this.armed) return;
+        this.armed = false;
+        this.notify();
+    }
+}
+
+const Signal = { State, Computed, subtle: { Watcher } };
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * @param {string} html
+ * @returns {any}
+ */
+function render(html) {
+    const root = document.createElement('div');
+    root.innerHTML = html;
+    return root;
+}
+
+const nextMicrotask = () => new Promise(resolve => queueMicrotask(() => resolve(undefined)));
+
+// ============================================================================
+// SignalBridge Tests
+// ============================================================================
+
+test('SignalBridge: throws without Signal namespace', t => {
+    t.throws(() => new SignalBridge(), { message: /Signal namespace/ });
+});
+
+test('SignalBridge.isStateCompatible: accepts signal or record with signals', t => {
+    const bridge = new SignalBridge({ Signal });
+
+    t.true(bridge.isStateCompatible(new State(1)));
+    t.true(bridge.isStateCompatible({ count: new State(1) }));
+    t.true(bridge.isStateCompatible({ user: { name: new State('Alex') } }));
+    t.false(bridge.isStateCompatible({ count: 1 }));
+    t.false(bridge.isStateCompatible(null));
+});
+
+test('SignalBridge.readPath: unwraps signals along the path', t => {
+    const bridge = new SignalBridge({ Signal });
+    const state = { user: new State({ profile: { name: new State('Alex') } }) };
+
+    t.is(bridge.readPath(state, ['user', 'profile', 'name']), 'Alex');
+    t.is(bridge.readPath(state, ['missing', 'x']), undefined);
+});
+
+test('SignalBridge: renders initial values synchronously', t => {
+    const bridge = new SignalBridge({ Signal });
+    const name = new State('Alex');
+    const root = render('<p data-b-text="user.name"></p>');
+
+    bridge.bindTree(root, { user: { name } });
+
+    t.is(root.firstElementChild.textContent, 'Alex');
+});
+
+test('SignalBridge: batches changes into one flush per microtask', async t => {
+    const bridge = new SignalBridge({ Signal });
+    const count = new State(0);
+    const root = render('<p data-b-text="count"></p>');
+    /** @type {any[]} */
+    const updates = [];
+    bridge.registerBehavior('text', { update: (el, value) => updates.push(value) });
+
+    bridge.bindTree(root, { count });
+    count.set(1);
+    count.set(2);
+    count.set(3);
+    t.deepEqual(updates, [0]);
+
+    await nextMicrotask();
+    t.deepEqual(updates, [0, 3]);
+
+    count.set(4);
+    await nextMicrotask();
+    t.deepEqual(updates, [0, 3, 4]);
+});
+
+test('SignalBridge: renders computed signals', async t => {
+    const bridge = new SignalBridge({ Signal });
+    const first = new State('Alex');
+    const last = new State('Smith');
+    const full = new Computed(() => `${first.get()} ${last.get()}`);
+    const root = render('<p data-a-title="full"></p>');
+
+    bridge.bindTree(root, { first, last, full });
+    t.is(root.firstElementChild.getAttribute('title'), 'Alex Smith');
+
+    first.set('Sam');
+    await nextMicrotask();
+    t.is(root.firstElementChild.getAttribute('title'), 'Sam Smith');
+});
+
+test('SignalBridge: data-m writes through set()', async t => {
+    const bridge = new SignalBridge({ Signal });
+    const name = new State('Alex');
+    const root = render('<input type="text" data-m="name"><p data-b-text="name"></p>');
+    const [input, p] = root.children;
+
+    bridge.bindTree(root, { name });
+    input.value = 'Sam';
+    input.dispatchEvent(new window.Event('input'));
+
+    t.is(name.get(), 'Sam');
+    await nextMicrotask();
+    t.is(p.textContent, 'Sam');
+});
+
+test('SignalBridge: data-m writes nested value of a State immutably', t => {
+    const bridge = new SignalBridge({ Signal });
+    const initial = { name: 'Alex', age: 30 };
+    const user = new State(initial);
+    const root = render('<input type="text" data-m="user.name">');
+    const input = root.firstElementChild;
+
+    bridge.bindTree(root, { user });
+    input.value = 'Sam';
+    input.dispatchEvent(new window.Event('input'));
+
+    t.deepEqual(user.get(), { name: 'Sam', age: 30 });
+    t.is(initial.name, 'Alex');
+});
+
+test('SignalBridge: warns when no writable signal is found', t => {
+    const bridge = new SignalBridge({ Signal });
+    const root = render('<input type="text" data-m="plain">');
+    /** @type {any[]} */
+    const warnings = [];
+    const originalWarn = console.warn;
+    console.warn = (...args) => warnings.push(args);
+
+    try {
+        bridge.bindTree(root, { plain: 'x', other: new State(1) });
+        root.firstElementChild.value = 'y';
+        root.firstElementChild.dispatchEvent(new window.Event('input'));
+    } finally {
+        console.warn = originalWarn;
+    }
+
+    t.is(warnings.length, 1);
+    t.true(warnings[0][0].includes('"plain"'));
+});
+
+test('SignalBridge: dispose unwatches computed signals', async t => {
+    const bridge = new SignalBridge({ Signal });
+    const count = new State(0);
+    const root = render('<p data-b-text="count"></p><p data-a-title="count"></p>');
+
+    const binding = bridge.bindTree(root, { count });
+    t.is(bridge.bindings.size, 2);
+
+    binding.dispose();
+    t.is(bridge.bindings.size, 0);
+
+    count.set(1);
+    await nextMicrotask();
+    t.is(root.firstElementChild.textContent, '0');
+});
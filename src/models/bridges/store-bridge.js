@@ -0,0 +1,126 @@
+// @ts-check
+
+import { ReactiveBridge } from './reactive-bridge.js';
+import { DirectiveValue } from '../directive-value.js';
+import { HandlerContext } from '../handler-context.js';
+import { getPropertyValue, cloneWithPropertyValue } from '../../utils/properties.js';
+
+/**
+ * @typedef {Object} Store
+ * @property {() => *} get - Returns the current value
+ * @property {(value: *) => void} [set] - Replaces the value
+ * @property {(updater: (value: *) => *) => void} [update] - Replaces the value using an updater
+ * @property {(callback: (value: *) => void) => (() => void)} subscribe - Subscribes to changes and returns an unsubscribe function
+ */
+
+/**
+ * Checks if a value follows the `{ get(), subscribe(cb) }` store contract.
+ * @param {*} value
+ * @returns {value is Store}
+ */
+export function isStore(value) {
+    return (
+        value !== null &&
+        typeof value === 'object' &&
+        typeof value.get === 'function' &&
+        typeof value.subscribe === 'function'
+    );
+}
+
+/**
+ * Finds the store a path points into.
+ * The path is walked through plain objects until a store is met; the rest of
+ * the path addresses a property inside the store value.
+ * @param {*} state - A store or a record of stores
+ * @param {string[]} path
+ * @returns {{ store: Store, path: string[] } | null} The store and the path inside its value
+ */
+export function resolveStore(state, path) {
+    let current = state;
+    for (let i = 0; i <= path.length; i++) {
+        if (isStore(current)) {
+            return { store: current, path: path.slice(i) };
+        }
+        if (i === path.length || current === null || typeof current !== 'object') break;
+        current = current[path[i]];
+    }
+    return null;
+}
+
+/**
+ * Bridge for stores following the minimal `{ get(), set(v), subscribe(cb) => unsubscribe }`
+ * contract (Svelte-store and nanostores style).
+ * The state is either a single store or a record of stores.
+ *
+ * @example
+ * const state = { user: atom({ name: 'Alex' }), count: atom(0) };
+ * const bridge = new StoreBridge();
+ * bridge.bindTree(document.body, state);
+ * // data-b-text="count"     -> value of the count store
+ * // data-m="user.name"      -> property "name" inside the user store value
+ */
+export class StoreBridge extends ReactiveBridge {
+    /**
+     * @param {unknown} state
+     * @returns {boolean}
+     */
+    isStateCompatible(state) {
+        if (isStore(state)) return true;
+        return (
+            state !== null && typeof state === 'object' && Object.values(state).some(isStore)
+        );
+    }
+
+    /**
+     * Subscribes to the store behind the directive target.
+     * Stores that do not call the subscriber immediately are read with `get()` once.
+     * @param {Element} element
+     * @param {DirectiveValue} directive
+     * @param {HandlerContext} context
+     * @param {(value: *) => void} callback
+     */
+    watchDirective(element, directive, context, callback) {
+        const resolved = resolveStore(context.state, directive.targetParts);
+        if (!resolved) {
+            console.warn(`No store found for "${directive.target}"`);
+            return;
+        }
+
+        const { store, path } = resolved;
+        let called = false;
+        const unsubscribe = store.subscribe(value => {
+            called = true;
+            callback(getPropertyValue(value, path));
+        });
+        context.addCleanup(unsubscribe);
+
+        if (!called) {
+            callback(getPropertyValue(store.get(), path));
+        }
+    }
+
+    /**
+     * Writes through `update` (or `set`) of the store. Nested properties are
+     * written immutably so subscribers receive a new store value.
+     * @param {Element} element
+     * @param {DirectiveValue} directive
+     * @param {HandlerContext} context
+     * @param {*} value
+     */
+    writeDirective(element, directive, context, value) {
+        const resolved = resolveStore(context.state, directive.targetParts);
+        if (!resolved) {
+            console.warn(`No store found for "${directive.target}"`);
+            return;
+        }
+
+        const { store, path } = resolved;
+        if (typeof store.update === 'function') {
+            store.update(current => cloneWithPropertyValue(current, path, value));
+        } else if (typeof store.set === 'function') {
+            store.set(cloneWithPropertyValue(store.get(), path, value));
+        } else {
+            console.warn(`Store for "${directive.target}" is read-only`);
+        }
+    }
+}
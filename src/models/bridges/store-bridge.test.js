@@ -0,0 +1,198 @@
+// @ts-check
+
+import test from 'ava';
+import { Window } from 'happy-dom';
+import { StoreBridge, isStore, resolveStore } from './store-bridge.js';
+
+const window = new Window({ console }).window;
+// @ts-expect-error
+global.window = window;
+
+const document = window.document;
+
+/**
+ * Minimal store: subscribe calls the listener immediately (Svelte-store style).
+ * @param {*} initial
+ * @param {{ withUpdate?: boolean, immediate?: boolean }} [options]
+ */
+function atom(initial, { withUpdate = true, immediate = true } = {}) {
+    let value = initial;
+    /** @type {Set<(value: any) => void>} */
+    const listeners = new Set();
+
+    /** @type {any} */
+    const store = {
+        get: () => value,
+        /** @param {*} next */
+        set(next) {
+            value = next;
+            listeners.forEach(listener => listener(value));
+        },
+        /** @param {(value: any) => void} listener */
+        subscribe(listener) {
+            listeners.add(listener);
+            if (immediate) listener(value);
+            return () => listeners.delete(listener);
+        },
+        listeners,
+    };
+
+    if (withUpdate) {
+        /** @param {(value: any) => any} updater */
+        store.update = updater => store.set(updater(value));
+    }
+
+    return store;
+}
+
+/**
+ * @param {string} html
+ * @returns {any}
+ */
+function render(html) {
+    const root = document.createElement('div');
+    root.innerHTML = html;
+    return root;
+}
+
+// ============================================================================
+// Helpers Tests
+// ============================================================================
+
+test('isStore: detects the store contract', t => {
+    t.true(isStore(atom(0)));
+    t.false(isStore({ get() {} }));
+    t.false(isStore(null));
+});
+
+test('resolveStore: finds top-level and nested stores', t => {
+    const user = atom({ name: 'Alex' });
+    const count = atom(0);
+    const state = { user, count, group: { settings: atom({}) } };
+
+    t.deepEqual(resolveStore(state, ['count']), { store: count, path: [] });
+    t.deepEqual(resolveStore(state, ['user', 'name']), { store: user, path: ['name'] });
+    t.is(resolveStore(state, ['group', 'settings', 'x'])?.store, state.group.settings);
+    t.is(resolveStore(state, ['missing']), null);
+    t.deepEqual(resolveStore(count, []), { store: count, path: [] });
+});
+
+// ============================================================================
+// StoreBridge Tests
+// ============================================================================
+
+test('StoreBridge.isStateCompatible: accepts store or record of stores', t => {
+    const bridge = new StoreBridge();
+
+    t.true(bridge.isStateCompatible(atom(0)));
+    t.true(bridge.isStateCompatible({ count: atom(0) }));
+    t.false(bridge.isStateCompatible({ count: 0 }));
+    t.false(bridge.isStateCompatible(null));
+});
+
+test('StoreBridge: renders top-level store and reacts to set', t => {
+    const bridge = new StoreBridge();
+    const count = atom(1);
+    const root = render('<p data-b-text="count"></p>');
+
+    bridge.bindTree(root, { count });
+    t.is(root.firstElementChild.textContent, '1');
+
+    count.set(2);
+    t.is(root.firstElementChild.textContent, '2');
+});
+
+test('StoreBridge: renders nested property of store value', t => {
+    const bridge = new StoreBridge();
+    const user = atom({ name: 'Alex', role: 'admin' });
+    const root = render('<a data-a-title="user.name" data-c-admin="user.role"></a>');
+    const a = root.firstElementChild;
+
+    bridge.bindTree(root, { user });
+    t.is(a.getAttribute('title'), 'Alex');
+    t.true(a.classList.contains('admin'));
+
+    user.set({ name: 'Sam', role: '' });
+    t.is(a.getAttribute('title'), 'Sam');
+    t.false(a.classList.contains('admin'));
+});
+
+test('StoreBridge: reads with get() when subscribe is not immediate', t => {
+    const bridge = new StoreBridge();
+    const count = atom(5, { immediate: false });
+    const root = render('<p data-b-text="count"></p>');
+
+    bridge.bindTree(root, { count });
+    t.is(root.firstElementChild.textContent, '5');
+
+    count.set(6);
+    t.is(root.firstElementChild.textContent, '6');
+});
+
+test('StoreBridge: data-m writes top-level store through update', t => {
+    const bridge = new StoreBridge();
+    const query = atom('');
+    /** @type {any[]} */
+    const updates = [];
+    const originalUpdate = query.update;
+    query.update = (/** @type {any} */ updater) => {
+        updates.push(updater);
+        originalUpdate(updater);
+    };
+    const root = render('<input type="text" data-m="query">');
+    const input = root.firstElementChild;
+
+    bridge.bindTree(root, { query });
+    input.value = 'abc';
+    input.dispatchEvent(new window.Event('input'));
+
+    t.is(query.get(), 'abc');
+    t.is(updates.length, 1);
+});
+
+test('StoreBridge: data-m writes nested property immutably through set', t => {
+    const bridge = new StoreBridge();
+    const initial = { name: 'Alex', tags: ['a'] };
+    const user = atom(initial, { withUpdate: false });
+    const root = render('<input type="text" data-m="user.name">');
+    const input = root.firstElementChild;
+
+    bridge.bindTree(root, { user });
+    input.value = 'Sam';
+    input.dispatchEvent(new window.Event('input'));
+
+    t.deepEqual(user.get(), { name: 'Sam', tags: ['a'] });
+    t.not(user.get(), initial);
+    t.is(initial.name, 'Alex');
+    t.is(user.get().tags, initial.tags);
+});
+
+test('StoreBridge: unsubscribes on dispose', t => {
+    const bridge = new StoreBridge();
+    const count = atom(1);
+    const root = render('<p data-b-text="count"></p><p data-a-title="count"></p>');
+
+    const binding = bridge.bindTree(root, { count });
+    t.is(count.listeners.size, 2);
+
+    binding.dispose();
+    t.is(count.listeners.size, 0);
+});
+
+test('StoreBridge: warns when target has no store', t => {
+    const bridge = new StoreBridge();
+    const root = render('<p data-b-text="missing"></p>');
+    /** @type {any[]} */
+    const warnings = [];
+    const originalWarn = console.warn;
+    console.warn = (...args) => warnings.push(args);
+
+    try {
+        bridge.bindTree(root, { count: atom(0) });
+    } finally {
+        console.warn = originalWarn;
+    }
+
+    t.is(warnings.length, 1);
+    t.true(warnings[0][0].includes('missing'));
+});
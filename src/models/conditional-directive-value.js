@@ -0,0 +1,18 @@
+// @ts-check
+
+import { DirectiveValue } from './directive-value.js';
+
+/**
+ * @typedef {Object} ConditionalBranch
+ * @property {Element} template - The `<template>` rendered when the branch is active
+ * @property {DirectiveValue|null} condition - null for `data-else`
+ */
+
+/**
+ * Represents a parsed conditional chain.
+ * Used for `<template data-if>` followed by optional `data-else-if` and `data-else` templates.
+ */
+export class ConditionalDirectiveValue {
+    /** @type {ConditionalBranch[]} */
+    branches = []; // in document order, the first truthy branch is rendered
+}
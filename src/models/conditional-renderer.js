@@ -0,0 +1,129 @@
+// @ts-check
+
+import { HandlerContext } from './handler-context.js';
+import { ConditionalDirectiveValue } from './conditional-directive-value.js';
+import { TemplateInstance } from './template-instance.js';
+
+/**
+ * Mounts the first truthy branch of a data-if / data-else-if / data-else chain.
+ * A comment (`<!--data-if-->`) is placed after the last template of the chain and the
+ * active branch is inserted after it, bound with its own child HandlerContext.
+ * When another branch becomes active, the previous one is unbound and removed.
+ *
+ * @example
+ * const renderer = new ConditionalRenderer(bridge, directive, context);
+ * renderer.setCondition(0, user.isAdmin); // before start() values are only stored
+ * renderer.start();
+ * renderer.dispose();
+ */
+export class ConditionalRenderer {
+    /**
+     * @param {import('./template-instance.js').TemplateBridge} bridge - Bridge used to bind the active branch
+     * @param {ConditionalDirectiveValue} directive
+     * @param {HandlerContext} context - Context of the data-if template
+     */
+    constructor(bridge, directive, context) {
+        this.bridge = bridge;
+        this.directive = directive;
+        this.context = context;
+
+        /** @type {*[]} */
+        this.values = directive.branches.map(() => false); // branch index -> condition value
+
+        this.activeIndex = -1;
+
+        /** @type {TemplateInstance|null} */
+        this.instance = null;
+
+        /** @type {Comment|null} */
+        this.anchor = null;
+
+        this.started = false;
+    }
+
+    /**
+     * Stores the value of a branch condition and re-renders once started.
+     * @param {number} index - Branch index
+     * @param {*} value
+     */
+    setCondition(index, value) {
+        this.values[index] = value;
+        if (this.started) this.render();
+    }
+
+    /**
+     * Renders the active branch; later condition changes re-render immediately.
+     */
+    start() {
+        this.started = true;
+        this.render();
+    }
+
+    /**
+     * Mounts the first branch whose condition is truthy (or the data-else branch).
+     */
+    render() {
+        const { branches } = this.directive;
+        const index = branches.findIndex(
+            (branch, i) => branch.condition === null || Boolean(this.values[i])
+        );
+
+        if (index === this.activeIndex) return;
+
+        if (this.instance) {
+            this.instance.remove();
+            this.instance = null;
+        }
+        this.activeIndex = index;
+
+        if (index === -1) return;
+
+        const anchor = this.getAnchor();
+        if (!anchor || !anchor.parentNode) {
+            console.warn(
+                `Cannot render ${this.bridge.parser.prefixes.IF}: template is not attached to a parent node`
+            );
+            this.activeIndex = -1;
+            return;
+        }
+
+        const instance = new TemplateInstance(branches[index].template);
+        instance.insertBefore(anchor.parentNode, anchor.nextSibling);
+        instance.bind(this.bridge, this.context.createChild());
+        this.instance = instance;
+    }
+
+    /**
+     * Removes the active branch and the anchor.
+     */
+    dispose() {
+        this.started = false;
+        this.activeIndex = -1;
+
+        if (this.instance) {
+            this.instance.remove();
+            this.instance = null;
+        }
+
+        if (this.anchor && this.anchor.parentNode) {
+            this.anchor.parentNode.removeChild(this.anchor);
+        }
+        this.anchor = null;
+    }
+
+    /**
+     * Creates the anchor after the last template of the chain.
+     * @returns {Comment|null}
+     */
+    getAnchor() {
+        if (this.anchor) return this.anchor;
+
+        const { branches } = this.directive;
+        const last = branches[branches.length - 1].template;
+        if (!last.parentNode) return null;
+
+        this.anchor = last.ownerDocument.createComment(this.bridge.parser.prefixes.IF);
+        last.parentNode.insertBefore(this.anchor, last.nextSibling);
+        return this.anchor;
+    }
+}
@@ -0,0 +1,185 @@
+// @ts-check
+
+import test from 'ava';
+import { Window } from 'happy-dom';
+import { ProxyBridge } from './bridges/proxy-bridge.js';
+import { reactive } from './bridges/proxy-state.js';
+
+const window = new Window({ console }).window;
+// @ts-expect-error
+global.window = window;
+
+const document = window.document;
+
+/**
+ * @param {string} html
+ * @returns {any}
+ */
+function render(html) {
+    const root = document.createElement('div');
+    root.innerHTML = html;
+    return root;
+}
+
+/**
+ * @param {() => void} fn
+ * @returns {string[]}
+ */
+function captureWarnings(fn) {
+    const originalWarn = console.warn;
+    /** @type {string[]} */
+    const warnings = [];
+    console.warn = (...args) => warnings.push(args.join(' '));
+    try {
+        fn();
+    } finally {
+        console.warn = originalWarn;
+    }
+    return warnings;
+}
+
+const CHAIN =
+    '<template data-if="role.admin"><b data-b-text="name"></b></template>' +
+    '<template data-else-if="role.editor"><i>editor</i></template>' +
+    '<template data-else><u>guest</u></template>';
+
+// ============================================================================
+// Rendering Tests
+// ============================================================================
+
+test('data-if: renders the first truthy branch after a comment anchor', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ name: 'Ann', role: { admin: true, editor: true } });
+    const root = render(CHAIN);
+
+    bridge.bindTree(root, state);
+
+    const anchor = root.querySelectorAll('template')[2].nextSibling;
+    t.is(anchor.nodeType, 8);
+    t.is(anchor.textContent, 'data-if');
+    t.is(anchor.nextSibling.tagName, 'B');
+    t.is(root.querySelector('b').textContent, 'Ann');
+    t.is(root.querySelector('i'), null);
+});
+
+test('data-if: switches branches when conditions change', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ name: 'Ann', role: { admin: false, editor: true } });
+    const root = render(CHAIN);
+
+    bridge.bindTree(root, state);
+    t.truthy(root.querySelector('i'));
+
+    state.role.editor = false;
+    t.is(root.querySelector('i'), null);
+    t.is(root.querySelector('u').textContent, 'guest');
+
+    state.role.admin = true;
+    t.is(root.querySelector('u'), null);
+    t.is(root.querySelector('b').textContent, 'Ann');
+});
+
+test('data-if: without data-else nothing is rendered when all conditions are falsy', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ visible: false });
+    const root = render('<template data-if="visible"><p>shown</p></template>');
+
+    bridge.bindTree(root, state);
+    t.is(root.querySelector('p'), null);
+
+    state.visible = true;
+    t.truthy(root.querySelector('p'));
+});
+
+test('data-if: the previous branch is disposed', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ name: 'Ann', role: { admin: true, editor: false } });
+    const root = render(CHAIN);
+
+    bridge.bindTree(root, state);
+    const b = root.querySelector('b');
+    t.true(bridge.boundElements.has(b));
+
+    state.role.admin = false;
+    t.false(bridge.boundElements.has(b));
+
+    state.name = 'Bob';
+    t.is(b.textContent, 'Ann');
+});
+
+test('data-if: dispose removes the branch and the anchor', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ visible: true });
+    const root = render('<template data-if="visible"><p>shown</p></template>');
+
+    const tree = bridge.bindTree(root, state);
+    tree.dispose();
+
+    t.is(root.childNodes.length, 1);
+    t.is(root.firstChild.tagName, 'TEMPLATE');
+});
+
+test('data-if: works inside data-for and moves with its clone', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({
+        todos: [
+            { id: 1, done: true, title: 'a' },
+            { id: 2, done: false, title: 'b' },
+        ],
+    });
+    const root = render(
+        '<template data-for="todo in todos" data-key="todo.id">' +
+            '<span data-b-text="todo.title"></span>' +
+            '<template data-if="todo.done"><em>done</em></template>' +
+            '</template>'
+    );
+
+    bridge.bindTree(root, state);
+    t.is(root.querySelectorAll('em').length, 1);
+
+    state.todos = [state.todos[1], state.todos[0]];
+
+    const tags = Array.from(root.children, (/** @type {any} */ el) => el.tagName);
+    t.deepEqual(tags, ['TEMPLATE', 'SPAN', 'TEMPLATE', 'SPAN', 'TEMPLATE', 'EM']);
+
+    state.todos[0].done = true;
+    t.is(root.querySelectorAll('em').length, 2);
+});
+
+// ============================================================================
+// Diagnostics Tests
+// ============================================================================
+
+test('data-else: misplaced branch is reported', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({});
+    const root = render('<p></p><template data-else><u></u></template>');
+
+    const warnings = captureWarnings(() => bridge.bindTree(root, state));
+
+    t.true(warnings.some(w => w.includes('Misplaced data-else')));
+    t.is(root.querySelector('u'), null);
+});
+
+test('data-else-if: branch separated from data-if is reported', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ a: false, b: true });
+    const root = render(
+        '<template data-if="a"></template><hr><template data-else-if="b"><u></u></template>'
+    );
+
+    const warnings = captureWarnings(() => bridge.bindTree(root, state));
+
+    t.true(warnings.some(w => w.includes('Misplaced data-else-if')));
+    t.is(root.querySelector('u'), null);
+});
+
+test('data-if: warns on non-template elements', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ a: true });
+    const root = render('<div data-if="a"></div>');
+
+    const warnings = captureWarnings(() => bridge.bindTree(root, state));
+
+    t.true(warnings.some(w => w.includes('data-if is only valid on TEMPLATE')));
+});
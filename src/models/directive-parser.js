@@ -1,17 +1,45 @@
 // @ts-check
 import { EventEmitter } from '@supercat1337/event-emitter';
 import { DirectiveValue } from './directive-value.js';
-import { parseDirectives } from './directive-parser/utils.js';
+import {
+    parseDirectives,
+    parseDirectiveValue,
+    resolveDirectiveTargets,
+    getScopePath,
+    hasDirectives,
+    isDirectiveAttribute,
+    findCustomDirective,
+} from './directive-parser/utils.js';
 import { ClassDirectiveValue } from './class-directive-value.js';
 import { HandlerContext } from './handler-context.js';
 import { ParsedDirectives } from './parsed-directives.js';
+import { ForDirectiveValue } from './for-directive-value.js';
+import { ConditionalDirectiveValue } from './conditional-directive-value.js';
+import { TextDirectiveValue } from './text-directive-value.js';
+import { hasInterpolation } from './directive-parser/parsers/index.js';
+import { getElementAttrs } from '../utils/dom.js';
+import {
+    INTERPOLATION_DELIMITERS,
+    SCOPE_ATTRIBUTE,
+    DIRECTIVE_PREFIXES,
+} from './directive-parser/constants.js';
+
+/** @typedef {import('./directive-parser/utils.js').CustomDirective} CustomDirective */
+/** @typedef {import('./directive-parser/constants.js').DirectivePrefixes} DirectivePrefixes */
+/** @typedef {import('../utils/preprocessors.js').AttributePreprocessor} AttributePreprocessor */
 
 /** @type {{
     modelDirective: "modelDirective",
     attributeDirective: "attributeDirective",
     propertyDirective: "propertyDirective",
     classDirective: "classDirective",
-    behaviorDirective: "behaviorDirective"
+    behaviorDirective: "behaviorDirective",
+    textDirective: "textDirective",
+    eventDirective: "eventDirective",
+    forDirective: "forDirective",
+    ifDirective: "ifDirective",
+    refDirective: "refDirective",
+    customDirective: "customDirective"
 }} */
 const EVENTS = {
     modelDirective: 'modelDirective',
@@ -19,6 +47,12 @@ const EVENTS = {
     propertyDirective: 'propertyDirective',
     classDirective: 'classDirective',
     behaviorDirective: 'behaviorDirective',
+    textDirective: 'textDirective',
+    eventDirective: 'eventDirective',
+    forDirective: 'forDirective',
+    ifDirective: 'ifDirective',
+    refDirective: 'refDirective',
+    customDirective: 'customDirective',
 };
 
 /**
@@ -33,25 +67,228 @@ const EVENTS = {
  * parser.processElement(element);
  */
 class DirectiveParser {
-    /** @type {EventEmitter<keyof EVENTS>} */
-    eventEmitter = new EventEmitter();
+    /** @type {EventEmitter<string>} */
+    eventEmitter = new EventEmitter(); // built-in EVENTS and the names of custom directives
+
+    /** @type {Map<string, CustomDirective>} */
+    customDirectives = new Map(); // name -> CustomDirective, in registration order
+
+    /** @type {AttributePreprocessor[]} */
+    preprocessors = []; // run in order on the attributes of every element
+
+    /**
+     * @param {{ delimiters?: [string, string], prefixes?: Partial<DirectivePrefixes> }} [options = {}] -
+     * `delimiters` replaces the `{{` / `}}` pair around text interpolation placeholders, e.g. `['[[', ']]']`;
+     * `prefixes` replaces attribute names of `DIRECTIVE_PREFIXES`, e.g. `{ MODEL: 'x-m', CLASS: 'x-c' }`
+     * @throws {Error} If the delimiters are not a pair of non-empty strings, or a prefix is unknown or empty
+     */
+    constructor(options = {}) {
+        const { delimiters = INTERPOLATION_DELIMITERS, prefixes = {} } = options;
+        const [open, close] = Array.isArray(delimiters) ? delimiters : [];
+
+        if (!open || !close || typeof open !== 'string' || typeof close !== 'string') {
+            throw new Error('Interpolation delimiters must be a pair of non-empty strings');
+        }
+
+        for (const [key, prefix] of Object.entries(prefixes)) {
+            if (!(key in DIRECTIVE_PREFIXES)) {
+                throw new Error(`Unknown directive prefix "${key}"`);
+            }
+            if (!prefix || typeof prefix !== 'string') {
+                throw new Error(`Directive prefix "${key}" must be a non-empty string`);
+            }
+        }
+
+        /** @type {[string, string]} */
+        this.delimiters = [open, close]; // opening and closing delimiter of text placeholders
+
+        /** @type {DirectivePrefixes} */
+        this.prefixes = { ...DIRECTIVE_PREFIXES, ...prefixes }; // attribute names of the directive families
+    }
+
+    /**
+     * Checks if an element has directive attributes or child text with placeholders,
+     * using the prefixes and delimiters of this parser.
+     * @param {Element} element
+     * @returns {boolean}
+     */
+    hasDirectives(element) {
+        if (this.preprocessors.length > 0) {
+            for (const name of this.preprocessAttributes(element).keys()) {
+                if (this.isDirectiveAttribute(name)) return true;
+            }
+            return hasInterpolation(element, this.delimiters);
+        }
+
+        if (hasDirectives(element, this.delimiters, this.prefixes)) return true;
+
+        for (let i = 0; i < element.attributes.length; i++) {
+            if (findCustomDirective(element.attributes[i].name, this.customDirectives.values())) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Checks if an attribute name belongs to a built-in directive family or to one added
+     * with `registerDirective`.
+     * With `element`, the attribute is also passed alone through the preprocessors,
+     * so a shorthand such as `:title` counts as a directive.
+     * @param {string} name - The attribute name
+     * @param {Element} [element] - Element the attribute belongs to
+     * @returns {boolean}
+     */
+    isDirectiveAttribute(name, element) {
+        const matches = (/** @type {string} */ attributeName) =>
+            isDirectiveAttribute(attributeName, this.prefixes) ||
+            findCustomDirective(attributeName, this.customDirectives.values()) !== null;
+
+        if (matches(name)) return true;
+        if (!element || this.preprocessors.length === 0) return false;
+
+        const attributes = new Map([[name, element.getAttribute(name) || '']]);
+        for (const attributeName of this.preprocessAttributes(element, attributes).keys()) {
+            if (matches(attributeName)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Adds a hook that rewrites the attributes of every element before its directives are parsed.
+     * Hooks run in the order they were added, each one receiving the Map returned by the previous.
+     * @param {AttributePreprocessor} preprocessor
+     * @returns {() => void} Function that removes the hook
+     * @throws {Error} If the preprocessor is not a function
+     * @example
+     * parser.addPreprocessor(attributes => {
+     *     if (attributes.has('x-text')) attributes.set('data-b-text', attributes.get('x-text') || '');
+     * });
+     */
+    addPreprocessor(preprocessor) {
+        if (typeof preprocessor !== 'function') {
+            throw new Error('Preprocessor must be a function');
+        }
+
+        this.preprocessors.push(preprocessor);
+        return () => {
+            const index = this.preprocessors.indexOf(preprocessor);
+            if (index !== -1) this.preprocessors.splice(index, 1);
+        };
+    }
+
+    /**
+     * Runs the preprocessors on the attributes of an element.
+     * @param {Element} element
+     * @param {Map<string, string>} [attributes] - Defaults to all attributes of the element
+     * @returns {Map<string, string>} The attributes the directives are parsed from
+     */
+    preprocessAttributes(element, attributes = getElementAttrs(element)) {
+        for (const preprocessor of this.preprocessors) {
+            attributes = preprocessor(attributes, element, this) || attributes;
+        }
+        return attributes;
+    }
+
+    /**
+     * Adds a directive family. Attributes starting with `prefix` are parsed with `parse`,
+     * combined per element with `merge` and stored in `ParsedDirectives.custom` under `name`.
+     * The result is emitted as the `name` event (see `on`) and as `customDirective`.
+     *
+     * @param {Object} definition
+     * @param {string} definition.prefix - Attribute name prefix, e.g. `data-track-`
+     * @param {string} [definition.name] - Defaults to the prefix without `data-` and the trailing `-` (`track`)
+     * @param {(value: string, suffix: string, element: Element) => *} [definition.parse] - Parses one
+     * attribute, `suffix` is the name after the prefix. Defaults to `parseDirectiveValue`
+     * @param {(result: *, parsed: *, suffix: string) => *} [definition.merge] - Adds a parsed attribute
+     * to the element's result (undefined for the first one). Defaults to a Map of suffix -> parsed value
+     * @returns {() => void} Function that removes the directive family
+     * @throws {Error} If the prefix is empty or overlaps a built-in or registered family,
+     * or the name is taken
+     * @example
+     * parser.registerDirective({ prefix: 'data-track-' });
+     * parser.on('track', (element, events, context) => { ... }); // Map { 'click' => DirectiveValue }
+     */
+    registerDirective(definition) {
+        const { prefix } = definition;
+        if (!prefix || typeof prefix !== 'string') {
+            throw new Error('Custom directive prefix must be a non-empty string');
+        }
+
+        const name = definition.name || prefix.replace(/^data-/, '').replace(/-$/, '');
+        if (!name || name in EVENTS || this.customDirectives.has(name)) {
+            throw new Error(`Directive name "${name}" is empty or already in use`);
+        }
+
+        // Built-in families are matched first, so a prefix must not reach into them
+        const builtIns = [...Object.values(this.prefixes), SCOPE_ATTRIBUTE];
+        const overlaps =
+            isDirectiveAttribute(prefix, this.prefixes) ||
+            builtIns.some(builtIn => builtIn.startsWith(prefix)) ||
+            [...this.customDirectives.values()].some(
+                other => other.prefix.startsWith(prefix) || prefix.startsWith(other.prefix)
+            );
+        if (overlaps) {
+            throw new Error(`Directive prefix "${prefix}" overlaps another directive family`);
+        }
+
+        /** @type {CustomDirective} */
+        const customDirective = {
+            name,
+            prefix,
+            parse: definition.parse || (value => parseDirectiveValue(value, this.delimiters)),
+            merge:
+                definition.merge ||
+                ((result = new Map(), parsed, suffix) => result.set(suffix, parsed)),
+        };
+        this.customDirectives.set(name, customDirective);
+
+        return () => {
+            if (this.customDirectives.get(name) === customDirective) {
+                this.customDirectives.delete(name);
+            }
+        };
+    }
 
     /**
      * Parses all directives from an element and emits appropriate events.
      *
      * @param {Element} element - The DOM element to parse directives from
      * @param {Object} state - The state object to bind to
-     * @param {{ signal?: AbortSignal, config?: Object}} [userOptions = {}] - Additional options
+     * @param {{ signal?: AbortSignal, config?: Object, refs?: Record<string, Element|Element[]>, skipAttribute?: string, parentContext?: HandlerContext }} [userOptions = {}] - Additional options.
+     * With `parentContext` the element gets a child of that context (sharing its state, config,
+     * signal, locals and aliases). Directive targets are resolved to absolute paths against the
+     * element's `data-scope` ancestors and the context aliases before any event is emitted;
+     * placeholders in child text also take the element's own `data-scope` into account.
      * @returns {{ directives: ParsedDirectives, context: HandlerContext }}
      */
     processElement(element, state, userOptions = {}) {
-        let parsedDirectives = parseDirectives(element);
-        const { signal, config } = userOptions;
-
-        const context = new HandlerContext(state, {
-            config,
-            signal,
+        let parsedDirectives = parseDirectives(element, this.preprocessAttributes(element), {
+            delimiters: this.delimiters,
+            prefixes: this.prefixes,
+            customDirectives: [...this.customDirectives.values()],
         });
+        const { signal, config, refs, skipAttribute, parentContext } = userOptions;
+
+        const context = parentContext
+            ? parentContext.createChild()
+            : new HandlerContext(state, {
+                  config,
+                  signal,
+                  refs,
+                  skipAttribute,
+              });
+
+        context.scope = getScopePath(element);
+
+        // Child text is inside the element, so its own data-scope applies to the placeholders
+        let textContext = context;
+        if (parsedDirectives.textDirectives.length > 0 && element.hasAttribute(SCOPE_ATTRIBUTE)) {
+            textContext = Object.create(context);
+            textContext.scope = getScopePath(element, true);
+        }
+
+        resolveDirectiveTargets(parsedDirectives, context, textContext);
 
         if (parsedDirectives.modelDirective) {
             this.eventEmitter.emit(
@@ -98,6 +335,56 @@ class DirectiveParser {
             );
         }
 
+        if (parsedDirectives.textDirectives.length > 0) {
+            this.eventEmitter.emit(
+                EVENTS.textDirective,
+                element,
+                parsedDirectives.textDirectives,
+                context
+            );
+        }
+
+        if (parsedDirectives.eventDirectives.size > 0) {
+            this.eventEmitter.emit(
+                EVENTS.eventDirective,
+                element,
+                parsedDirectives.eventDirectives,
+                context
+            );
+        }
+
+        if (parsedDirectives.refName) {
+            this.eventEmitter.emit(
+                EVENTS.refDirective,
+                element,
+                parsedDirectives.refName,
+                context
+            );
+        }
+
+        for (const [name, result] of parsedDirectives.custom) {
+            this.eventEmitter.emit(name, element, result, context);
+            this.eventEmitter.emit(EVENTS.customDirective, element, name, result, context);
+        }
+
+        if (parsedDirectives.forDirective) {
+            this.eventEmitter.emit(
+                EVENTS.forDirective,
+                element,
+                parsedDirectives.forDirective,
+                context
+            );
+        }
+
+        if (parsedDirectives.ifDirective) {
+            this.eventEmitter.emit(
+                EVENTS.ifDirective,
+                element,
+                parsedDirectives.ifDirective,
+                context
+            );
+        }
+
         return {
             directives: parsedDirectives,
             context,
@@ -159,6 +446,84 @@ class DirectiveParser {
         return this.eventEmitter.on(EVENTS.behaviorDirective, callback);
     }
 
+    /**
+     * Registers a callback for text directive events.
+     * Called when child text nodes of the element contain `{{ }}` placeholders.
+     *
+     * @param {(element:Element, textDirectives:TextDirectiveValue[], handlerContext:HandlerContext)=>void} callback - Handler function receiving element and its text directives in document order
+     * @returns {()=>void} Unsubscribe function to remove the listener
+     */
+    onTextDirective(callback) {
+        return this.eventEmitter.on(EVENTS.textDirective, callback);
+    }
+
+    /**
+     * Registers a callback for event directive events.
+     * Called when event directives matching `data-on-*` pattern are found.
+     *
+     * @param {(element:Element, eventDirectives:Map<string, DirectiveValue>, handlerContext:HandlerContext)=>void} callback - Handler function receiving element and directives map (event name -> directive)
+     * @returns {()=>void} Unsubscribe function to remove the listener
+     */
+    onEventDirective(callback) {
+        return this.eventEmitter.on(EVENTS.eventDirective, callback);
+    }
+
+    /**
+     * Registers a callback for ref directive events.
+     * Called when an element reference directive (`data-ref`) is found.
+     *
+     * @param {(element:Element, refName:string, handlerContext:HandlerContext)=>void} callback - Handler function receiving element and ref name
+     * @returns {()=>void} Unsubscribe function to remove the listener
+     */
+    onRefDirective(callback) {
+        return this.eventEmitter.on(EVENTS.refDirective, callback);
+    }
+
+    /**
+     * Registers a callback for list directive events.
+     * Called when a `<template data-for>` list directive is found.
+     *
+     * @param {(element:Element, forDirective:ForDirectiveValue, handlerContext:HandlerContext)=>void} callback - Handler function receiving template element and list directive
+     * @returns {()=>void} Unsubscribe function to remove the listener
+     */
+    onForDirective(callback) {
+        return this.eventEmitter.on(EVENTS.forDirective, callback);
+    }
+
+    /**
+     * Registers a callback for conditional directive events.
+     * Called when a `<template data-if>` is found, with the whole data-if / data-else-if / data-else chain.
+     *
+     * @param {(element:Element, ifDirective:ConditionalDirectiveValue, handlerContext:HandlerContext)=>void} callback - Handler function receiving the data-if template and the chain
+     * @returns {()=>void} Unsubscribe function to remove the listener
+     */
+    onIfDirective(callback) {
+        return this.eventEmitter.on(EVENTS.ifDirective, callback);
+    }
+
+    /**
+     * Registers a callback for the directives of one family added with `registerDirective`,
+     * or for a built-in event by its name (e.g. `attributeDirective`).
+     *
+     * @param {string} name - Name of the directive family or event
+     * @param {(element:Element, result:*, handlerContext:HandlerContext)=>void} callback - Handler function receiving element and the merged result of the family
+     * @returns {()=>void} Unsubscribe function to remove the listener
+     */
+    on(name, callback) {
+        return this.eventEmitter.on(name, callback);
+    }
+
+    /**
+     * Registers a callback for the directives of every family added with `registerDirective`.
+     * Called once per family found on the element, after the built-in directives except data-for and data-if.
+     *
+     * @param {(element:Element, name:string, result:*, handlerContext:HandlerContext)=>void} callback - Handler function receiving element, family name and its merged result
+     * @returns {()=>void} Unsubscribe function to remove the listener
+     */
+    onCustomDirective(callback) {
+        return this.eventEmitter.on(EVENTS.customDirective, callback);
+    }
+
     /**
      * Clears all event listeners.
      */
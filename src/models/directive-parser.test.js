@@ -5,6 +5,7 @@ import { DirectiveParser } from './directive-parser.js';
 import { Window } from 'happy-dom';
 import { DirectiveValue } from './directive-value.js';
 import { HandlerContext } from './handler-context.js';
+import { shorthandPreprocessor } from '../utils/preprocessors.js';
 
 const window = new Window({ console }).window;
 // @ts-expect-error
@@ -38,6 +39,7 @@ test('DirectiveParser: has all event registration methods', t => {
     t.is(typeof parser.onPropertyDirective, 'function');
     t.is(typeof parser.onClassDirective, 'function');
     t.is(typeof parser.onBehaviorDirective, 'function');
+    t.is(typeof parser.onTextDirective, 'function');
     t.is(typeof parser.processElement, 'function');
     t.is(typeof parser.clear, 'function');
 });
@@ -155,6 +157,20 @@ test('DirectiveParser.onBehaviorDirective: registers callback for behavior direc
     t.true(callbackCalled);
 });
 
+test('DirectiveParser.onEventDirective: registers callback for event directive', t => {
+    const parser = new DirectiveParser();
+    const element = createElement('button', { 'data-on-click': 'cart.add' });
+    /** @type {any} */
+    let received = null;
+
+    parser.onEventDirective((el, directives) => {
+        received = directives;
+    });
+
+    parser.processElement(element, {});
+    t.is(received.get('click').target, 'cart.add');
+});
+
 // ============================================================================
 // Event Callback Parameters Tests
 // ============================================================================
@@ -410,6 +426,234 @@ test('DirectiveParser.processElement: works without options', t => {
     t.true(contextReceived);
 });
 
+// ============================================================================
+// Text Directive Tests
+// ============================================================================
+
+test('DirectiveParser.processElement: emits text directives with resolved targets', t => {
+    const parser = new DirectiveParser();
+    const element = createElement('p', { 'data-scope': 'user' });
+    element.textContent = 'Hello, {{ name }}!';
+
+    /** @type {any[]} */
+    let received = [];
+    parser.onTextDirective((el, textDirectives) => {
+        received = textDirectives;
+    });
+
+    parser.processElement(element, {});
+
+    t.is(received.length, 1);
+    t.deepEqual(received[0].nodes, [element.firstChild]);
+    t.deepEqual(received[0].bindings[0].targetParts, ['user', 'name']);
+});
+
+test('DirectiveParser: delimiters are configurable per instance', t => {
+    const parser = new DirectiveParser({ delimiters: ['[[', ']]'] });
+    const element = createElement('p');
+    element.textContent = '[[ a ]] {{ b }}';
+
+    t.true(parser.hasDirectives(element));
+    t.false(new DirectiveParser().hasDirectives(createElement('p')));
+
+    const { directives } = parser.processElement(element, {});
+    t.deepEqual(
+        directives.textDirectives[0].bindings.map(binding => binding.target),
+        ['a']
+    );
+
+    const forTemplate = createElement('template', { 'data-for': 'n in [[ count ]]' });
+    const ifTemplate = createElement('template', { 'data-if': 'is-[[ mode ]]' });
+    const list = parser.processElement(forTemplate, {});
+    const branch = parser.processElement(ifTemplate, {});
+    t.is(list.directives.forDirective.source.template[0].target, 'count');
+    t.is(branch.directives.ifDirective.branches[0].condition.template[1].target, 'mode');
+});
+
+test('DirectiveParser: rejects invalid delimiters', t => {
+    t.throws(() => new DirectiveParser({ delimiters: /** @type {any} */ (['{{', ''])}), {
+        instanceOf: Error,
+    });
+});
+
+// ============================================================================
+// Prefix Tests
+// ============================================================================
+
+test('DirectiveParser: prefixes are configurable per instance', t => {
+    const parser = new DirectiveParser({
+        prefixes: { ATTRIBUTE: 'x-a-', PROPERTY: 'x-p-', MODEL: 'x-m', CLASS: 'x-c' },
+    });
+    const input = createElement('input', {
+        'x-a-title': 'hint',
+        'x-p-read-only': 'locked',
+        'x-m': 'query',
+        'x-c-active': 'isActive',
+        'data-a-title': 'ignored',
+        'data-m': 'ignored',
+    });
+
+    t.is(parser.prefixes.BEHAVIOR, 'data-b-');
+    t.true(parser.isDirectiveAttribute('x-c'));
+    t.false(parser.isDirectiveAttribute('data-a-title'));
+    t.false(parser.hasDirectives(createElement('p', { 'data-m': 'a' })));
+
+    const { directives } = parser.processElement(input, {});
+
+    t.deepEqual([...directives.attributeDirectives.keys()], ['title']);
+    t.deepEqual([...directives.propertyDirectives.keys()], ['readOnly']);
+    t.is(directives.modelDirective?.target, 'query');
+    t.deepEqual([...(directives.classDirective?.reactiveClasses.keys() || [])], ['active']);
+});
+
+test('DirectiveParser: rejects unknown and empty prefixes', t => {
+    t.throws(() => new DirectiveParser({ prefixes: /** @type {any} */ ({ MODAL: 'x-m' }) }), {
+        message: 'Unknown directive prefix "MODAL"',
+    });
+    t.throws(() => new DirectiveParser({ prefixes: { MODEL: '' } }), {
+        message: 'Directive prefix "MODEL" must be a non-empty string',
+    });
+});
+
+test('DirectiveParser.registerDirective: checks overlaps against the instance prefixes', t => {
+    const parser = new DirectiveParser({ prefixes: { ATTRIBUTE: 'x-a-' } });
+
+    t.notThrows(() => parser.registerDirective({ prefix: 'data-a-' }));
+    t.throws(() => parser.registerDirective({ prefix: 'x-a-track-' }), { instanceOf: Error });
+});
+
+// ============================================================================
+// Custom Directive Tests
+// ============================================================================
+
+test('DirectiveParser.registerDirective: parses, merges and emits a custom family', t => {
+    const parser = new DirectiveParser();
+    parser.registerDirective({
+        prefix: 'data-perm-',
+        parse: value => value.split(',').map(role => role.trim()),
+        merge: (result = [], roles, suffix) => [...result, { action: suffix, roles }],
+    });
+    const element = createElement('button', {
+        'data-perm-delete': 'admin, owner',
+        'data-perm-edit': 'editor',
+    });
+
+    /** @type {any[]} */
+    const received = [];
+    parser.on('perm', (el, result) => received.push(['on', el, result]));
+    parser.onCustomDirective((el, name, result) => received.push([name, el, result]));
+
+    const { directives } = parser.processElement(element, {});
+    const expected = [
+        { action: 'delete', roles: ['admin', 'owner'] },
+        { action: 'edit', roles: ['editor'] },
+    ];
+
+    t.deepEqual(directives.custom.get('perm'), expected);
+    t.deepEqual(received, [
+        ['on', element, expected],
+        ['perm', element, expected],
+    ]);
+});
+
+test('DirectiveParser.registerDirective: defaults to a Map of directive values with resolved targets', t => {
+    const parser = new DirectiveParser();
+    parser.registerDirective({ prefix: 'data-track-' });
+    const section = createElement('section', { 'data-scope': 'product' });
+    const element = createElement('button', { 'data-track-click': 'id#once' });
+    section.appendChild(element);
+
+    t.true(parser.hasDirectives(element));
+    t.true(parser.isDirectiveAttribute('data-track-view'));
+    t.false(new DirectiveParser().hasDirectives(element));
+
+    const { directives } = parser.processElement(element, {});
+    const click = directives.custom.get('track').get('click');
+
+    t.true(click instanceof DirectiveValue);
+    t.deepEqual(click.targetParts, ['product', 'id']);
+    t.true(click.eventModifiers.has('once'));
+});
+
+test('DirectiveParser.registerDirective: rejects overlapping prefixes and taken names', t => {
+    const parser = new DirectiveParser();
+    const unregister = parser.registerDirective({ prefix: 'data-track-' });
+
+    t.throws(() => parser.registerDirective({ prefix: 'data-a-x-' }), { instanceOf: Error });
+    t.throws(() => parser.registerDirective({ prefix: 'data-' }), { instanceOf: Error });
+    t.throws(() => parser.registerDirective({ prefix: 'data-track-view-' }), { instanceOf: Error });
+    t.throws(() => parser.registerDirective({ prefix: 'data-x-', name: 'track' }), {
+        instanceOf: Error,
+    });
+    t.throws(() => parser.registerDirective({ prefix: 'data-x-', name: 'ifDirective' }), {
+        instanceOf: Error,
+    });
+    t.throws(() => parser.registerDirective({ prefix: '' }), { instanceOf: Error });
+
+    unregister();
+    t.false(parser.isDirectiveAttribute('data-track-click'));
+    t.notThrows(() => parser.registerDirective({ prefix: 'data-track-view-' }));
+});
+
+// ============================================================================
+// Preprocessor Tests
+// ============================================================================
+
+test('DirectiveParser.addPreprocessor: hooks rewrite the attributes in order', t => {
+    const parser = new DirectiveParser();
+    /** @type {string[][]} */
+    const seen = [];
+    parser.addPreprocessor(attributes => {
+        seen.push([...attributes.keys()]);
+        attributes.set('data-b-text', attributes.get('x-text') || '');
+        attributes.delete('x-text');
+    });
+    parser.addPreprocessor((attributes, element) => {
+        seen.push([...attributes.keys()]);
+        t.is(element.tagName, 'SPAN');
+        return new Map([...attributes, ['data-a-title', 'hint']]);
+    });
+    const element = createElement('span', { 'x-text': 'name' });
+
+    t.true(parser.hasDirectives(element));
+    seen.length = 0;
+
+    const { directives } = parser.processElement(element, {});
+
+    t.deepEqual(seen, [['x-text'], ['data-b-text']]);
+    t.is(directives.behaviorDirectives.get('text')?.target, 'name');
+    t.is(directives.attributeDirectives.get('title')?.target, 'hint');
+    t.is(element.getAttribute('x-text'), 'name');
+});
+
+test('DirectiveParser.addPreprocessor: dropped attributes are not parsed and hooks can be removed', t => {
+    const parser = new DirectiveParser();
+    const remove = parser.addPreprocessor(attributes => {
+        attributes.delete('data-m');
+    });
+    const input = createElement('input', { 'data-m': 'query' });
+
+    t.false(parser.hasDirectives(input));
+    t.is(parser.processElement(input, {}).directives.modelDirective, null);
+
+    remove();
+    t.is(parser.processElement(input, {}).directives.modelDirective?.target, 'query');
+    t.throws(() => parser.addPreprocessor(/** @type {any} */ ('x')), {
+        message: 'Preprocessor must be a function',
+    });
+});
+
+test('DirectiveParser.isDirectiveAttribute: passes the attribute of an element through the hooks', t => {
+    const parser = new DirectiveParser();
+    parser.addPreprocessor(shorthandPreprocessor);
+    const element = createElement('a');
+    element.setAttribute(':href', 'url');
+
+    t.false(parser.isDirectiveAttribute(':href'));
+    t.true(parser.isDirectiveAttribute(':href', element));
+    t.false(parser.isDirectiveAttribute('href', element));
+});
+
 // ============================================================================
 // No Directive Tests
 // ============================================================================
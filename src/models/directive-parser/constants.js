@@ -4,6 +4,37 @@ export const DIRECTIVE_PREFIXES = {
     ATTRIBUTE: 'data-a-',
     PROPERTY: 'data-p-',
     BEHAVIOR: 'data-b-',
+    EVENT: 'data-on-',
     MODEL: 'data-m',
     CLASS: 'data-c',
+    FOR: 'data-for',
+    KEY: 'data-key',
+    REF: 'data-ref',
+    IF: 'data-if',
+    ELSE_IF: 'data-else-if',
+    ELSE: 'data-else',
 };
+
+/**
+ * Attribute names of the directive families; `DirectiveParser` takes a partial map to replace them.
+ * @typedef {typeof DIRECTIVE_PREFIXES} DirectivePrefixes
+ */
+
+// Elements carrying this attribute are skipped by subtree binding together with their descendants
+export const SKIP_ATTRIBUTE = 'data-skip';
+
+// Re-roots the paths of descendant directives: <fieldset data-scope="checkout.shipping">
+export const SCOPE_ATTRIBUTE = 'data-scope';
+
+// Path prefix that reaches the top of the state from inside a scope: $root.user.name
+export const ROOT_SCOPE = '$root';
+
+// Marks a directive value as an expression instead of a path: data-c-hidden="=!ui.visible"
+export const EXPRESSION_PREFIX = '=';
+
+// Starts and ends a template value mixing text and expressions: data-a-href="`/users/${user.id}`"
+export const TEMPLATE_QUOTE = '`';
+
+// Default pair around the placeholders of text interpolation: Hello, {{ user.name }}!
+/** @type {[string, string]} */
+export const INTERPOLATION_DELIMITERS = ['{{', '}}'];
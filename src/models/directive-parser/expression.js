@@ -0,0 +1,455 @@
+// @ts-check
+
+import { RESERVED_WORDS } from '../../utils/validators.js';
+
+/**
+ * @typedef {import('./tokenizer.js').DirectiveSyntaxError} DirectiveSyntaxError
+ * @typedef {import('../handler-context.js').HandlerContext} HandlerContext
+ */
+
+/**
+ * @typedef {{ type: 'Literal', value: string|number|boolean|null|undefined }} LiteralNode
+ * @typedef {{ type: 'Path', path: string[] }} PathNode - Property path read with `context.get`
+ * @typedef {{ type: 'Member', object: ExpressionNode, property: ExpressionNode }} MemberNode - Computed access, e.g. `items[index]`
+ * @typedef {{ type: 'Unary', operator: '!'|'-'|'+', argument: ExpressionNode }} UnaryNode
+ * @typedef {{ type: 'Binary', operator: '=='|'!='|'==='|'!=='|'<'|'<='|'>'|'>=', left: ExpressionNode, right: ExpressionNode }} BinaryNode
+ * @typedef {{ type: 'Logical', operator: '&&'|'||'|'??', left: ExpressionNode, right: ExpressionNode }} LogicalNode
+ * @typedef {{ type: 'Conditional', test: ExpressionNode, consequent: ExpressionNode, alternate: ExpressionNode }} ConditionalNode
+ * @typedef {LiteralNode|PathNode|MemberNode|UnaryNode|BinaryNode|LogicalNode|ConditionalNode} ExpressionNode
+ */
+
+/**
+ * @typedef {Object} ExpressionToken
+ * @property {'identifier'|'number'|'string'|'operator'} type
+ * @property {string} value - Unescaped content for strings, the source text otherwise
+ * @property {number} start
+ * @property {number} end
+ */
+
+const OPERATORS = [
+    '===',
+    '!==',
+    '==',
+    '!=',
+    '<=',
+    '>=',
+    '&&',
+    '||',
+    '??',
+    '?.',
+    '<',
+    '>',
+    '!',
+    '?',
+    ':',
+    '.',
+    '[',
+    ']',
+    '(',
+    ')',
+    '-',
+    '+',
+];
+const NUMBER_PATTERN = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/;
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*/;
+
+// Keywords that are values rather than paths
+const LITERALS = new Map([
+    ['true', true],
+    ['false', false],
+    ['null', null],
+    ['undefined', undefined],
+]);
+
+// Members that would reach outside of the state
+const FORBIDDEN_MEMBERS = new Set(['__proto__', 'prototype', 'constructor']);
+
+/** @type {Record<string, string>} */
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+/**
+ * Parses an expression such as `!ui.visible` or `menu.open ? 'true' : 'false'`.
+ * Supported: literals, property paths with `.`, `?.` and `[]` access, `!`, unary `-`/`+`,
+ * comparisons, `&&`, `||`, `??`, the ternary operator and parentheses.
+ * Function calls, assignments and reserved words (e.g. `this`, `eval`, `new`) are rejected.
+ * Parsing stops at a `#`, `@` or single `|` outside of strings, where directive modifiers
+ * or formatter pipes begin.
+ * @param {string} source
+ * @param {number} [start] - Offset where the expression starts in `source`
+ * @returns {{ node: ExpressionNode|null, end: number, errors: DirectiveSyntaxError[] }}
+ * `end` is the offset after the expression; `node` is null when there are errors
+ * @example
+ * parseExpression("menu.open ? 'true' : 'false'").node;
+ * // { type: 'Conditional', test: { type: 'Path', path: ['menu', 'open'] }, ... }
+ */
+export function parseExpression(source, start = 0) {
+    const { tokens, end, errors } = tokenizeExpression(source, start);
+    let index = 0;
+
+    /**
+     * @param {string} message
+     * @param {ExpressionToken|undefined} token
+     * @returns {Error}
+     */
+    const fail = (message, token) => {
+        const at = token ? token.start : end;
+        errors.push({ message: `${message} at ${at}`, start: at, end: token ? token.end : end });
+        return new Error(message);
+    };
+
+    /**
+     * @param {string} value
+     * @returns {boolean}
+     */
+    const accept = value => {
+        const token = tokens[index];
+        if (token && token.type === 'operator' && token.value === value) {
+            index++;
+            return true;
+        }
+        return false;
+    };
+
+    /** @param {string} value */
+    const expect = value => {
+        if (!accept(value)) throw fail(`Expected "${value}"`, tokens[index]);
+    };
+
+    /** @returns {ExpressionNode} */
+    const parseConditional = () => {
+        const test = parseNullish();
+        if (!accept('?')) return test;
+
+        const consequent = parseConditional();
+        expect(':');
+        const alternate = parseConditional();
+        return { type: 'Conditional', test, consequent, alternate };
+    };
+
+    /**
+     * Builds a left-associative chain of binary operators.
+     * @param {() => ExpressionNode} next - Parser of the operands
+     * @param {string[]} operators
+     * @param {'Binary'|'Logical'} type
+     * @returns {ExpressionNode}
+     */
+    const parseChain = (next, operators, type) => {
+        let left = next();
+        for (;;) {
+            const token = tokens[index];
+            if (!token || token.type !== 'operator' || !operators.includes(token.value)) {
+                return left;
+            }
+            index++;
+            const right = next();
+            left = /** @type {ExpressionNode} */ ({ type, operator: token.value, left, right });
+        }
+    };
+
+    /** @returns {ExpressionNode} */
+    const parseNullish = () => parseChain(parseOr, ['??'], 'Logical');
+    /** @returns {ExpressionNode} */
+    const parseOr = () => parseChain(parseAnd, ['||'], 'Logical');
+    /** @returns {ExpressionNode} */
+    const parseAnd = () => parseChain(parseEquality, ['&&'], 'Logical');
+    /** @returns {ExpressionNode} */
+    const parseEquality = () => parseChain(parseRelational, ['===', '!==', '==', '!='], 'Binary');
+    /** @returns {ExpressionNode} */
+    const parseRelational = () => parseChain(parseUnary, ['<', '<=', '>', '>='], 'Binary');
+
+    /** @returns {ExpressionNode} */
+    const parseUnary = () => {
+        for (const operator of /** @type {const} */ (['!', '-', '+'])) {
+            if (accept(operator)) return { type: 'Unary', operator, argument: parseUnary() };
+        }
+        return parseMember();
+    };
+
+    /** @returns {ExpressionNode} */
+    const parseMember = () => {
+        let node = parsePrimary();
+
+        for (;;) {
+            const token = tokens[index];
+            const optional = accept('?.');
+            if (optional && accept('[')) {
+                const property = parseConditional();
+                expect(']');
+                node = member(node, property, token);
+            } else if (optional || accept('.')) {
+                const name = tokens[index];
+                if (!name || (name.type !== 'identifier' && name.type !== 'number')) {
+                    throw fail('Expected a property name', name);
+                }
+                index++;
+                node = member(node, { type: 'Literal', value: name.value }, name);
+            } else if (accept('[')) {
+                const property = parseConditional();
+                expect(']');
+                node = member(node, property, token);
+            } else if (token && token.type === 'operator' && token.value === '(') {
+                throw fail('Function calls are not allowed in expressions', token);
+            } else {
+                return node;
+            }
+        }
+    };
+
+    /**
+     * Extends a static path, or builds a computed member access.
+     * @param {ExpressionNode} object
+     * @param {ExpressionNode} property
+     * @param {ExpressionToken} token - Token reported on errors
+     * @returns {ExpressionNode}
+     */
+    const member = (object, property, token) => {
+        if (property.type === 'Literal') {
+            const name = String(property.value);
+            if (FORBIDDEN_MEMBERS.has(name)) {
+                throw fail(`"${name}" is not allowed in expressions`, token);
+            }
+            if (object.type === 'Path') return { type: 'Path', path: [...object.path, name] };
+        }
+        return { type: 'Member', object, property };
+    };
+
+    /** @returns {ExpressionNode} */
+    const parsePrimary = () => {
+        const token = tokens[index];
+        if (!token) throw fail('Unexpected end of expression', token);
+
+        if (token.type === 'number') {
+            index++;
+            return { type: 'Literal', value: Number(token.value) };
+        }
+        if (token.type === 'string') {
+            index++;
+            return { type: 'Literal', value: token.value };
+        }
+        if (token.type === 'identifier') {
+            index++;
+            if (LITERALS.has(token.value)) {
+                return { type: 'Literal', value: LITERALS.get(token.value) };
+            }
+            if (RESERVED_WORDS.has(token.value)) {
+                throw fail(`"${token.value}" is not allowed in expressions`, token);
+            }
+            if (FORBIDDEN_MEMBERS.has(token.value)) {
+                throw fail(`"${token.value}" is not allowed in expressions`, token);
+            }
+            return { type: 'Path', path: [token.value] };
+        }
+        if (accept('(')) {
+            const node = parseConditional();
+            expect(')');
+            return node;
+        }
+
+        throw fail(`Unexpected "${token.value}"`, token);
+    };
+
+    if (errors.length > 0) return { node: null, end, errors };
+
+    try {
+        const node = parseConditional();
+        if (index < tokens.length) throw fail(`Unexpected "${tokens[index].value}"`, tokens[index]);
+        return { node, end, errors };
+    } catch {
+        return { node: null, end, errors };
+    }
+}
+
+/**
+ * Splits an expression into tokens, up to a `#`, `@` or single `|` outside of strings.
+ * @param {string} source
+ * @param {number} start
+ * @returns {{ tokens: ExpressionToken[], end: number, errors: DirectiveSyntaxError[] }}
+ */
+function tokenizeExpression(source, start) {
+    /** @type {ExpressionToken[]} */
+    const tokens = [];
+    /** @type {DirectiveSyntaxError[]} */
+    const errors = [];
+    let i = start;
+
+    while (i < source.length) {
+        const char = source[i];
+        const rest = source.slice(i);
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '#' || char === '@' || (char === '|' && source[i + 1] !== '|')) {
+            // Modifiers, the event or formatter pipes follow the expression
+            break;
+        } else if (char === "'" || char === '"') {
+            let value = '';
+            let j = i + 1;
+            while (j < source.length && source[j] !== char) {
+                if (source[j] === '\\' && j + 1 < source.length) {
+                    value += ESCAPES[source[j + 1]] ?? source[j + 1];
+                    j += 2;
+                } else {
+                    value += source[j++];
+                }
+            }
+            if (j >= source.length) {
+                errors.push({ message: `Unterminated string starting at ${i}`, start: i, end: j });
+            }
+            tokens.push({ type: 'string', value, start: i, end: Math.min(j + 1, source.length) });
+            i = j + 1;
+        } else {
+            const previous = tokens[tokens.length - 1];
+            const isMemberName =
+                !!previous && previous.type === 'operator' && ['.', '?.'].includes(previous.value);
+            const isAfterOperand =
+                !!previous &&
+                (previous.type !== 'operator' || previous.value === ')' || previous.value === ']');
+
+            // `items.0.name`: only an index can follow a dot, `a.5` is not `a` and `.5`
+            const number = isMemberName
+                ? rest.match(/^\d+/)
+                : char === '.' && isAfterOperand
+                  ? null
+                  : rest.match(NUMBER_PATTERN);
+            const identifier = rest.match(IDENTIFIER_PATTERN);
+            let operator = OPERATORS.find(op => rest.startsWith(op));
+
+            // `a ?.5 : 1` is a ternary with a decimal, not optional chaining
+            if (operator === '?.' && /^\?\.\d/.test(rest)) operator = '?';
+
+            const match = number
+                ? { type: 'number', value: number[0] }
+                : identifier
+                  ? { type: 'identifier', value: identifier[0] }
+                  : operator
+                    ? { type: 'operator', value: operator }
+                    : null;
+
+            if (!match) {
+                errors.push({ message: `Unexpected "${char}" at ${i}`, start: i, end: i + 1 });
+                i++;
+                continue;
+            }
+
+            const type = /** @type {ExpressionToken['type']} */ (match.type);
+            tokens.push({ type, value: match.value, start: i, end: i + match.value.length });
+            i += match.value.length;
+        }
+    }
+
+    return { tokens, end: Math.min(i, source.length), errors };
+}
+
+/**
+ * Evaluates an expression against a handler context.
+ * Resolved paths are read with `context.read` unless `read` is given, so locals such as `$index` are available.
+ * Evaluation never throws: missing values read as `null`.
+ * @param {ExpressionNode} node
+ * @param {HandlerContext} context
+ * @param {(path: string[]) => *} [read] - Reads the value of a path, e.g. from a bridge subscription
+ * @returns {*}
+ */
+export function evaluateExpression(node, context, read = path => context.read(path)) {
+    /** @param {ExpressionNode} child */
+    const evaluate = child => evaluateExpression(child, context, read);
+
+    switch (node.type) {
+        case 'Literal':
+            return node.value;
+        case 'Path':
+            return read(node.path);
+        case 'Member': {
+            const object = evaluate(node.object);
+            const property = evaluate(node.property);
+            if (object === null || object === undefined) return undefined;
+            if (typeof property !== 'string' && typeof property !== 'number') return undefined;
+            if (FORBIDDEN_MEMBERS.has(String(property))) return undefined;
+            return object[property];
+        }
+        case 'Unary': {
+            const value = evaluate(node.argument);
+            if (node.operator === '!') return !value;
+            return node.operator === '-' ? -value : +value;
+        }
+        case 'Binary': {
+            const left = evaluate(node.left);
+            const right = evaluate(node.right);
+            switch (node.operator) {
+                case '===':
+                    return left === right;
+                case '!==':
+                    return left !== right;
+                case '==':
+                    return left == right;
+                case '!=':
+                    return left != right;
+                case '<':
+                    return left < right;
+                case '<=':
+                    return left <= right;
+                case '>':
+                    return left > right;
+                case '>=':
+                    return left >= right;
+            }
+            return undefined;
+        }
+        case 'Logical': {
+            const left = evaluate(node.left);
+            if (node.operator === '&&') return left ? evaluate(node.right) : left;
+            if (node.operator === '||') return left ? left : evaluate(node.right);
+            return left ?? evaluate(node.right);
+        }
+        case 'Conditional':
+            return evaluate(node.test) ? evaluate(node.consequent) : evaluate(node.alternate);
+    }
+}
+
+/**
+ * Calls `callback` for every path node of an expression, e.g. to resolve scoped paths.
+ * @param {ExpressionNode} node
+ * @param {(node: PathNode) => void} callback
+ */
+export function walkExpressionPaths(node, callback) {
+    switch (node.type) {
+        case 'Path':
+            callback(node);
+            break;
+        case 'Member':
+            walkExpressionPaths(node.object, callback);
+            walkExpressionPaths(node.property, callback);
+            break;
+        case 'Unary':
+            walkExpressionPaths(node.argument, callback);
+            break;
+        case 'Binary':
+        case 'Logical':
+            walkExpressionPaths(node.left, callback);
+            walkExpressionPaths(node.right, callback);
+            break;
+        case 'Conditional':
+            walkExpressionPaths(node.test, callback);
+            walkExpressionPaths(node.consequent, callback);
+            walkExpressionPaths(node.alternate, callback);
+            break;
+    }
+}
+
+/**
+ * Lists the property paths an expression reads, without duplicates.
+ * Bridges subscribe to these paths to re-evaluate the expression.
+ * @param {ExpressionNode} node
+ * @returns {string[][]}
+ * @example
+ * getExpressionPaths(parseExpression('user.age >= limits.adult').node);
+ * // [['user', 'age'], ['limits', 'adult']]
+ */
+export function getExpressionPaths(node) {
+    /** @type {Map<string, string[]>} */
+    const paths = new Map();
+    walkExpressionPaths(node, ({ path }) => {
+        const key = JSON.stringify(path);
+        if (!paths.has(key)) paths.set(key, path);
+    });
+    return [...paths.values()];
+}
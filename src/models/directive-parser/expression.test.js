@@ -0,0 +1,162 @@
+// @ts-check
+
+import test from 'ava';
+import {
+    parseExpression,
+    evaluateExpression,
+    getExpressionPaths,
+    walkExpressionPaths,
+} from './expression.js';
+import { HandlerContext } from '../handler-context.js';
+
+/**
+ * Parses and evaluates an expression against a plain state.
+ * @param {string} source
+ * @param {Object} state
+ * @param {Record<string, *>} [locals]
+ * @returns {*}
+ */
+function run(source, state, locals = {}) {
+    const { node, errors } = parseExpression(source);
+    if (!node) throw new Error(errors.map(error => error.message).join('; '));
+
+    const context = new HandlerContext(state, {});
+    context.locals = locals;
+    return evaluateExpression(node, context);
+}
+
+/**
+ * @param {string} source
+ * @returns {string[]}
+ */
+const errorsOf = source => parseExpression(source).errors.map(error => error.message);
+
+// ============================================================================
+// parseExpression Tests
+// ============================================================================
+
+test('parseExpression: folds member access into paths', t => {
+    t.deepEqual(parseExpression("user.profile['name']").node, {
+        type: 'Path',
+        path: ['user', 'profile', 'name'],
+    });
+    t.deepEqual(parseExpression('items.0?.title').node, {
+        type: 'Path',
+        path: ['items', '0', 'title'],
+    });
+});
+
+test('parseExpression: builds nodes for operators', t => {
+    t.deepEqual(parseExpression("!a || b === 'x'").node, {
+        type: 'Logical',
+        operator: '||',
+        left: { type: 'Unary', operator: '!', argument: { type: 'Path', path: ['a'] } },
+        right: {
+            type: 'Binary',
+            operator: '===',
+            left: { type: 'Path', path: ['b'] },
+            right: { type: 'Literal', value: 'x' },
+        },
+    });
+});
+
+test('parseExpression: stops before directive modifiers', t => {
+    const source = "=status == 'a#b'#debounce(100)";
+    const { node, end, errors } = parseExpression(source, 1);
+
+    t.deepEqual(errors, []);
+    t.is(node?.type, 'Binary');
+    t.is(source.slice(end), '#debounce(100)');
+});
+
+test('parseExpression: rejects reserved words, calls and prototype access', t => {
+    t.deepEqual(errorsOf('this.state'), ['"this" is not allowed in expressions at 0']);
+    t.deepEqual(errorsOf('eval'), ['"eval" is not allowed in expressions at 0']);
+    t.deepEqual(errorsOf('user.save()'), ['Function calls are not allowed in expressions at 9']);
+    t.deepEqual(errorsOf('user.constructor'), ['"constructor" is not allowed in expressions at 5']);
+    t.deepEqual(errorsOf("a['__proto__']"), ['"__proto__" is not allowed in expressions at 1']);
+});
+
+test('parseExpression: reports syntax errors with offsets', t => {
+    t.deepEqual(errorsOf('(a'), ['Expected ")" at 2']);
+    t.deepEqual(errorsOf('a ? b'), ['Expected ":" at 5']);
+    t.deepEqual(errorsOf('a b'), ['Unexpected "b" at 2']);
+    t.deepEqual(errorsOf('a = 1'), ['Unexpected "=" at 2']);
+    t.deepEqual(errorsOf("'open"), ['Unterminated string starting at 0']);
+    t.is(parseExpression('(a').node, null);
+});
+
+// ============================================================================
+// evaluateExpression Tests
+// ============================================================================
+
+test('evaluateExpression: negation, comparison and logical operators', t => {
+    const state = { ui: { visible: false }, count: 3, user: { role: 'admin' } };
+
+    t.true(run('!ui.visible', state));
+    t.true(run('count >= 3 && count < 10', state));
+    t.false(run("user.role !== 'admin'", state));
+    t.is(run('ui.visible || count', state), 3);
+    t.is(run('-count', state), -3);
+});
+
+test('evaluateExpression: ternary and nullish coalescing', t => {
+    const state = { menu: { open: true }, label: null };
+
+    t.is(run("menu.open ? 'true' : 'false'", state), 'true');
+    t.is(run("label ?? 'Untitled'", state), 'Untitled');
+    t.is(run("missing.deep ?? 'none'", state), 'none');
+    t.is(run('menu.open ? 1 : menu.closed ? 2 : 3', state), 1);
+});
+
+test('evaluateExpression: literals', t => {
+    t.is(run('-0.5', {}), -0.5);
+    t.is(run('"it\\"s"', {}), 'it"s');
+    t.is(run('null', {}), null);
+    t.is(run('undefined', {}), undefined);
+    t.false(run('false', {}));
+});
+
+test('evaluateExpression: computed members and locals', t => {
+    const state = { items: ['a', 'b', 'c'], keys: { x: 'second' }, map: { second: 2 } };
+
+    t.is(run('items[$index]', state, { $index: 2 }), 'c');
+    t.is(run('map[keys.x]', state), 2);
+    t.is(run('items[missing]', state), undefined);
+    t.is(run('items[name]', state, { name: 'constructor' }), undefined);
+});
+
+test('evaluateExpression: reads paths through a custom reader', t => {
+    const node = /** @type {any} */ (parseExpression('a.b > limit').node);
+    const context = new HandlerContext({}, {});
+    /** @param {string[]} path */
+    const read = path => (path.join('.') === 'a.b' ? 5 : 4);
+    t.true(evaluateExpression(node, context, read));
+});
+
+// ============================================================================
+// Dependency Tests
+// ============================================================================
+
+test('getExpressionPaths: lists every path once', t => {
+    const node = /** @type {any} */ (
+        parseExpression('user.age >= limits.adult && user.age < limits[kind]').node
+    );
+
+    t.deepEqual(getExpressionPaths(node), [
+        ['user', 'age'],
+        ['limits', 'adult'],
+        ['limits'],
+        ['kind'],
+    ]);
+});
+
+test('walkExpressionPaths: path nodes can be rewritten', t => {
+    const node = /** @type {any} */ (parseExpression('!city').node);
+
+    walkExpressionPaths(node, pathNode => {
+        pathNode.path = ['address', ...pathNode.path];
+    });
+
+    t.deepEqual(getExpressionPaths(node), [['address', 'city']]);
+});
@@ -9,13 +9,14 @@ import { parseDirectiveValue } from '../utils.js';
  * Attribute directives manage element attributes using `data-a-*` prefix.
  *
  * @param {string} value
+ * @param {[string, string]} [delimiters] - Placeholder delimiters of the `{{ }}` template form
  * @example
  * // <div data-a-aria-label="ariaLabel" data-a-title="pageTitle">
  * // Updates element.setAttribute() based on property values
  */
 
-export function parseAttributeDirective(value) {
+export function parseAttributeDirective(value, delimiters) {
     // Placeholder - actual implementation depends on your pattern
     // This file handles data-a-* directives
-    return parseDirectiveValue(value);
+    return parseDirectiveValue(value, delimiters);
 }
@@ -10,13 +10,14 @@ import { parseDirectiveValue } from '../utils.js';
  * Supports: data-b-text, data-b-html, data-b-show, etc.
  * 
  * @param {string} value
+ * @param {[string, string]} [delimiters] - Placeholder delimiters of the `{{ }}` template form
  * @example
  * // <div data-b-text="textContent" data-b-show="isVisible">
  * // Manages element visibility and content rendering
  */
 
-export function parseBehaviorDirective(value) {
+export function parseBehaviorDirective(value, delimiters) {
     // Placeholder - actual implementation depends on your pattern
     // This file handles data-b-* directives
-    return parseDirectiveValue(value);
+    return parseDirectiveValue(value, delimiters);
 }
@@ -13,20 +13,23 @@ import { parseDirectiveValue } from '../utils.js';
  * 2. Computed class: `data-c="computedPropertyName"` (for complex class logic)
  *
  * @param {Map<string, string>} attributes - Map of the element's attributes
+ * @param {[string, string]} [delimiters] - Placeholder delimiters of the `{{ }}` template form
+ * @param {string} [prefix] - Attribute name of the computed class, `data-c` by default;
+ * reactive classes use it followed by `-`
  * @returns {ClassDirectiveValue} Parsed class directives
  *
  */
-export function parseClassDirectives(attributes) {
+export function parseClassDirectives(attributes, delimiters, prefix = DIRECTIVE_PREFIXES.CLASS) {
     const result = new ClassDirectiveValue();
 
     // Check for computed class
-    const hasDataC = attributes.has(DIRECTIVE_PREFIXES.CLASS);
-    const dataCValue = hasDataC ? (attributes.get(DIRECTIVE_PREFIXES.CLASS) || '').trim() : '';
+    const hasDataC = attributes.has(prefix);
+    const dataCValue = hasDataC ? (attributes.get(prefix) || '').trim() : '';
 
     // Collect data-c-* attributes for conflict check
     const dataCStarAttributes = [];
     for (const [name] of attributes) {
-        if (name.startsWith(DIRECTIVE_PREFIXES.CLASS + '-')) {
+        if (name.startsWith(prefix + '-')) {
             dataCStarAttributes.push(name);
         }
     }
@@ -34,24 +37,22 @@ export function parseClassDirectives(attributes) {
     // Check conflict
     if (hasDataC && dataCValue.length > 0) {
         // Use data-c, not data-c-*
-        result.computedClass = parseDirectiveValue(dataCValue);
+        result.computedClass = parseDirectiveValue(dataCValue, delimiters);
 
         // Warn about the conflict
         if (dataCStarAttributes.length > 0) {
             console.warn(
-                `Element has both ${DIRECTIVE_PREFIXES.CLASS} and ${dataCStarAttributes.length} ${DIRECTIVE_PREFIXES.CLASS}-* attributes. ` +
-                    `Only ${
-                        DIRECTIVE_PREFIXES.CLASS
-                    } will be used. Ignored attributes: ${dataCStarAttributes.join(', ')}`
+                `Element has both ${prefix} and ${dataCStarAttributes.length} ${prefix}-* attributes. ` +
+                    `Only ${prefix} will be used. Ignored attributes: ${dataCStarAttributes.join(', ')}`
             );
         }
     } else {
         // Use data-c-*
         for (const [name, value] of attributes) {
-            if (name.startsWith(DIRECTIVE_PREFIXES.CLASS + '-')) {
-                const className = name.substring(DIRECTIVE_PREFIXES.CLASS.length + 1);
+            if (name.startsWith(prefix + '-')) {
+                const className = name.substring(prefix.length + 1);
 
-                result.reactiveClasses.set(className, parseDirectiveValue(value));
+                result.reactiveClasses.set(className, parseDirectiveValue(value, delimiters));
             }
         }
     }
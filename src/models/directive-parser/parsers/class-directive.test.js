@@ -344,6 +344,19 @@ test('parseClassDirectives: handles malformed data-c- attributes', t => {
     t.is(result.reactiveClasses.get('valid').target, 'isValid');
 });
 
+test('parseClassDirectives: custom prefix', t => {
+    const attributes = new Map([
+        ['data-c-active', 'ignored'],
+        ['x-c-active', 'isActive'],
+        ['x-c-is-open', 'open'],
+    ]);
+    const result = parseClassDirectives(attributes, undefined, 'x-c');
+
+    t.deepEqual([...result.reactiveClasses.keys()], ['active', 'is-open']);
+    t.is(result.reactiveClasses.get('active').target, 'isActive');
+    t.is(parseClassDirectives(new Map([['x-c', 'theme']]), undefined, 'x-c').computedClass.target, 'theme');
+});
+
 // ============================================================================
 // Integration Tests
 // ============================================================================
@@ -0,0 +1,21 @@
+// @ts-check
+
+import { parseDirectiveValue } from '../utils.js';
+
+// {target}#{modifier}({...eventModifierArgs})
+
+/**
+ * Parses an event directive value.
+ * Event directives call a state method when a DOM event fires, using the `data-on-*` prefix.
+ * Supported modifiers: prevent, stop, once, self, capture, passive, key(...).
+ *
+ * @param {string} value
+ * @returns {import('../../directive-value.js').DirectiveValue}
+ * @example
+ * // <button data-on-click="cart.add">
+ * // <form data-on-submit="form.save#prevent">
+ * // <input data-on-keydown="search.run#key(Enter)">
+ */
+export function parseEventDirective(value) {
+    return parseDirectiveValue(value);
+}
@@ -0,0 +1,56 @@
+// @ts-check
+
+import { parseDirectiveValue } from '../utils.js';
+import { INTERPOLATION_DELIMITERS } from '../constants.js';
+import { ForDirectiveValue } from '../../for-directive-value.js';
+
+// {item} in {target}[#{modifier}(...)]
+// ({item}, {key}, {index}) in {target}
+// {item} in {start}..{end}
+
+/**
+ * Parses a list directive value.
+ * List directives render a `<template>` once per item using the `data-for` attribute.
+ *
+ * @param {string} value - Value of `data-for`
+ * @param {string} [keyValue] - Value of `data-key`
+ * @param {[string, string]} [delimiters] - Placeholder delimiters of the `{{ }}` template form
+ * @returns {ForDirectiveValue|null} The parsed directive, or null if the value is invalid
+ * @example
+ * // <template data-for="item in todos" data-key="item.id">
+ * // <template data-for="(value, key) in settings">
+ * // <template data-for="page in 1..5">
+ */
+export function parseForDirective(value, keyValue, delimiters = INTERPOLATION_DELIMITERS) {
+    const match = value
+        .trim()
+        .match(
+            /^(?:\(\s*([A-Za-z_$][\w$]*)\s*(?:,\s*([A-Za-z_$][\w$]*)\s*)?(?:,\s*([A-Za-z_$][\w$]*)\s*)?\)|([A-Za-z_$][\w$]*))\s+(?:in|of)\s+(.+)$/
+        );
+
+    if (!match) {
+        console.warn(`Could not parse list directive value: "${value}"`);
+        return null;
+    }
+
+    const result = new ForDirectiveValue();
+    result.itemName = match[1] || match[4];
+    result.keyName = match[2] || '';
+    result.indexName = match[3] || '';
+
+    const source = match[5].trim();
+    const range = source.match(/^(-?\d+)\.\.(-?\d+)$/);
+    if (range) {
+        result.range = { start: Number(range[1]), end: Number(range[2]) };
+    } else if (/^\d+$/.test(source)) {
+        result.range = { start: 1, end: Number(source) };
+    } else {
+        result.source = parseDirectiveValue(source, delimiters);
+    }
+
+    if (keyValue !== undefined && keyValue.trim() !== '') {
+        result.key = parseDirectiveValue(keyValue, delimiters);
+    }
+
+    return result;
+}
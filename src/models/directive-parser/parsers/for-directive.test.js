@@ -0,0 +1,113 @@
+import test from 'ava';
+import { parseForDirective } from './for-directive.js';
+import { ForDirectiveValue } from '../../for-directive-value.js';
+
+// ============================================================================
+// Item Syntax Tests
+// ============================================================================
+
+test('parseForDirective: item in source', t => {
+    const result = parseForDirective('todo in todos');
+
+    t.true(result instanceof ForDirectiveValue);
+    t.is(result.itemName, 'todo');
+    t.is(result.keyName, '');
+    t.is(result.indexName, '');
+    t.is(result.source.target, 'todos');
+    t.is(result.range, null);
+    t.is(result.key, null);
+});
+
+test('parseForDirective: "of" is accepted as well as "in"', t => {
+    const result = parseForDirective('todo of user.todos');
+
+    t.is(result.itemName, 'todo');
+    t.deepEqual(result.source.targetParts, ['user', 'todos']);
+});
+
+test('parseForDirective: (item, key, index) in source', t => {
+    const result = parseForDirective('(value, name, i) in settings');
+
+    t.is(result.itemName, 'value');
+    t.is(result.keyName, 'name');
+    t.is(result.indexName, 'i');
+    t.is(result.source.target, 'settings');
+});
+
+test('parseForDirective: (item, key) in source', t => {
+    const result = parseForDirective('( value , name ) in settings');
+
+    t.is(result.itemName, 'value');
+    t.is(result.keyName, 'name');
+    t.is(result.indexName, '');
+});
+
+test('parseForDirective: source keeps modifiers', t => {
+    const result = parseForDirective('todo in todos#debounce(100)');
+
+    t.is(result.source.target, 'todos');
+    t.true(result.source.eventModifiers.has('debounce'));
+});
+
+// ============================================================================
+// Range Tests
+// ============================================================================
+
+test('parseForDirective: inclusive range', t => {
+    const result = parseForDirective('page in 2..5');
+
+    t.deepEqual(result.range, { start: 2, end: 5 });
+});
+
+test('parseForDirective: number is a range starting at 1', t => {
+    const result = parseForDirective('n in 3');
+
+    t.deepEqual(result.range, { start: 1, end: 3 });
+});
+
+// ============================================================================
+// Key Tests
+// ============================================================================
+
+test('parseForDirective: data-key is parsed as a directive value', t => {
+    const result = parseForDirective('todo in todos', 'todo.id');
+
+    t.deepEqual(result.key.targetParts, ['todo', 'id']);
+});
+
+test('parseForDirective: empty data-key is ignored', t => {
+    const result = parseForDirective('todo in todos', '  ');
+
+    t.is(result.key, null);
+});
+
+test('parseForDirective: template sources and keys use the given delimiters', t => {
+    const result = parseForDirective('n in [[ count ]]', 'id-[[ n ]]', ['[[', ']]']);
+
+    t.is(result.source.template[0].target, 'count');
+    t.deepEqual(
+        result.key.template.map((/** @type {any} */ s) => (typeof s === 'string' ? s : s.target)),
+        ['id-', 'n']
+    );
+});
+
+// ============================================================================
+// Invalid Value Tests
+// ============================================================================
+
+test('parseForDirective: invalid value returns null with a warning', t => {
+    const originalWarn = console.warn;
+    const warnings = [];
+    console.warn = (...args) => warnings.push(args.join(' '));
+
+    try {
+        t.is(parseForDirective('todos'), null);
+        t.is(parseForDirective('(a, b in todos'), null);
+        t.is(parseForDirective('1item in todos'), null);
+    } finally {
+        console.warn = originalWarn;
+    }
+
+    t.is(warnings.length, 3);
+    t.true(warnings[0].includes('"todos"'));
+});
@@ -0,0 +1,52 @@
+// @ts-check
+
+import { parseDirectiveValue } from '../utils.js';
+import { DIRECTIVE_PREFIXES, INTERPOLATION_DELIMITERS } from '../constants.js';
+import { ConditionalDirectiveValue } from '../../conditional-directive-value.js';
+
+/**
+ * Parses a conditional chain starting at a `<template data-if>`.
+ * The chain continues with the directly following `data-else-if` templates
+ * and ends after a `data-else` template.
+ *
+ * @param {Element} element - The `<template data-if>` element
+ * @param {string} value - Value of `data-if`
+ * @param {import('../constants.js').DirectivePrefixes} [prefixes] - Attribute names of the
+ * directive families, `DIRECTIVE_PREFIXES` by default
+ * @param {[string, string]} [delimiters] - Placeholder delimiters of the `{{ }}` template form
+ * @returns {ConditionalDirectiveValue}
+ * @example
+ * // <template data-if="user.isAdmin">...</template>
+ * // <template data-else-if="user.isEditor">...</template>
+ * // <template data-else>...</template>
+ */
+export function parseIfDirective(
+    element,
+    value,
+    prefixes = DIRECTIVE_PREFIXES,
+    delimiters = INTERPOLATION_DELIMITERS
+) {
+    const result = new ConditionalDirectiveValue();
+    result.branches.push({ template: element, condition: parseDirectiveValue(value, delimiters) });
+
+    for (
+        let sibling = element.nextElementSibling;
+        sibling && sibling.tagName === 'TEMPLATE';
+        sibling = sibling.nextElementSibling
+    ) {
+        if (sibling.hasAttribute(prefixes.ELSE_IF)) {
+            const condition = sibling.getAttribute(prefixes.ELSE_IF) || '';
+            result.branches.push({
+                template: sibling,
+                condition: parseDirectiveValue(condition, delimiters),
+            });
+        } else if (sibling.hasAttribute(prefixes.ELSE)) {
+            result.branches.push({ template: sibling, condition: null });
+            break;
+        } else {
+            break;
+        }
+    }
+
+    return result;
+}
@@ -0,0 +1,95 @@
+// @ts-check
+
+import test from 'ava';
+import { Window } from 'happy-dom';
+import { parseIfDirective } from './if-directive.js';
+import { ConditionalDirectiveValue } from '../../conditional-directive-value.js';
+import { DIRECTIVE_PREFIXES } from '../constants.js';
+
+const window = new Window({ console }).window;
+const document = window.document;
+
+/**
+ * @param {string} html
+ * @returns {any}
+ */
+function firstTemplate(html) {
+    const root = document.createElement('div');
+    root.innerHTML = html;
+    return root.querySelector('template');
+}
+
+// ============================================================================
+// Chain Tests
+// ============================================================================
+
+test('parseIfDirective: single data-if', t => {
+    const template = firstTemplate('<template data-if="user.isAdmin"></template>');
+    const result = parseIfDirective(template, 'user.isAdmin');
+
+    t.true(result instanceof ConditionalDirectiveValue);
+    t.is(result.branches.length, 1);
+    t.is(result.branches[0].template, template);
+    t.deepEqual(result.branches[0].condition.targetParts, ['user', 'isAdmin']);
+});
+
+test('parseIfDirective: collects data-else-if and data-else siblings', t => {
+    const template = firstTemplate(
+        '<template data-if="a"></template>\n' +
+            '<template data-else-if="b"></template>\n' +
+            '<template data-else></template>'
+    );
+    const result = parseIfDirective(template, 'a');
+
+    t.is(result.branches.length, 3);
+    t.is(result.branches[1].condition.target, 'b');
+    t.is(result.branches[2].condition, null);
+    t.is(result.branches[2].template.getAttribute('data-else'), '');
+});
+
+test('parseIfDirective: chain ends after data-else', t => {
+    const template = firstTemplate(
+        '<template data-if="a"></template><template data-else></template><template data-else-if="b"></template>'
+    );
+
+    t.is(parseIfDirective(template, 'a').branches.length, 2);
+});
+
+test('parseIfDirective: chain ends at a non-template element or another data-if', t => {
+    const interrupted = firstTemplate(
+        '<template data-if="a"></template><p></p><template data-else></template>'
+    );
+    const nextChain = firstTemplate(
+        '<template data-if="a"></template><template data-if="b"></template>'
+    );
+
+    t.is(parseIfDirective(interrupted, 'a').branches.length, 1);
+    t.is(parseIfDirective(nextChain, 'a').branches.length, 1);
+});
+
+test('parseIfDirective: branches use the given prefixes', t => {
+    const template = firstTemplate(
+        '<template x-if="a"></template><template data-else></template><template x-else-if="b"></template>'
+    );
+    const prefixes = { ...DIRECTIVE_PREFIXES, IF: 'x-if', ELSE_IF: 'x-else-if', ELSE: 'x-else' };
+
+    t.is(parseIfDirective(template, 'a', prefixes).branches.length, 1);
+
+    const chain = firstTemplate(
+        '<template x-if="a"></template><template x-else-if="b"></template><template x-else></template>'
+    );
+    t.is(parseIfDirective(chain, 'a', prefixes).branches.length, 3);
+});
+
+test('parseIfDirective: template conditions use the given delimiters', t => {
+    const template = firstTemplate(
+        '<template data-if="mode-[[ a ]]"></template><template data-else-if="mode-[[ b ]]"></template>'
+    );
+    const result = parseIfDirective(template, 'mode-[[ a ]]', DIRECTIVE_PREFIXES, ['[[', ']]']);
+    /** @param {any} condition */
+    const targets = condition =>
+        condition.template.map((/** @type {any} */ s) => (typeof s === 'string' ? s : s.target));
+
+    t.deepEqual(targets(result.branches[0].condition), ['mode-', 'a']);
+    t.deepEqual(targets(result.branches[1].condition), ['mode-', 'b']);
+});
@@ -4,4 +4,8 @@ export {parseAttributeDirective} from './attribute-directive.js';
 export {parseClassDirectives} from './class-directive.js';
 export {parseModelDirective} from './model-directive.js';
 export {parsePropertyDirective} from './property-directive.js';
-export {parseBehaviorDirective} from './behavior-directive.js';
\ No newline at end of file
+export {parseBehaviorDirective} from './behavior-directive.js';
+export {parseEventDirective} from './event-directive.js';
+export {parseForDirective} from './for-directive.js';
+export {parseIfDirective} from './if-directive.js';
+export {parseTextDirective, parseTextDirectives, parseInterpolation, parseTemplateLiteral, hasInterpolation} from './text-directive.js';
@@ -1,7 +1,7 @@
 // @ts-check
-import { parseModifiersString } from '../utils.js';
+import { reportSyntaxErrors } from '../utils.js';
+import { parseDirectiveSyntax } from '../tokenizer.js';
 import { DirectiveValue } from '../../directive-value.js';
-import { propertyNameToPath } from '../../../utils/properties.js';
 
 // {target}:{domProperty}#{modifier}({...eventModifierArgs})@{event}
 
@@ -12,50 +12,32 @@ import { propertyNameToPath } from '../../../utils/properties.js';
  * - a DOM property name (e.g. :style)
  * - a target (e.g. #myElement)
  * - event modifiers (e.g. #stopPropagation, #stop default)
- * The parsing is done in the following order:
- * 1. Event name
- * 2. DOM property name
- * 3. Target and event modifiers
+ * The parsing is done in the following order (quoted and parenthesized modifier arguments are skipped):
+ * 1. Event name (after the last `@`)
+ * 2. Event modifiers (from the first `#`)
+ * 3. Target and DOM property name (split at the first `:`)
  * The function returns a DirectiveValue object with the parsed values.
  * @param {string} value The directive value to parse.
  * @returns {DirectiveValue} The parsed directive value.
  */
 export function parseModelDirective(value) {
     let directiveValue = new DirectiveValue();
-    let rest = value;
+    const syntax = parseDirectiveSyntax(value);
 
-    // 1. Parse event (last @)
-    let atIndex = rest.lastIndexOf('@');
-    if (atIndex !== -1) {
-        directiveValue.event = rest.slice(atIndex + 1);
-        rest = rest.slice(0, atIndex);
-    }
-
-    // 2. Find first '#' to separate modifiers
-    let hashIndex = rest.indexOf('#');
-    let modifiersStr = '';
-    if (hashIndex !== -1) {
-        modifiersStr = rest.slice(hashIndex + 1);
-        rest = rest.slice(0, hashIndex);
-    }
+    directiveValue.target = syntax.target;
+    directiveValue.domProperty = syntax.domProperty ?? '';
+    directiveValue.event = syntax.event ?? '';
 
-    // 3. Now rest contains either target or target:domProperty
-    // Split by ':' to get target and domProperty
-    let colonIndex = rest.indexOf(':');
-    if (colonIndex !== -1) {
-        directiveValue.target = rest.slice(0, colonIndex);
-        directiveValue.domProperty = rest.slice(colonIndex + 1);
-    } else {
-        directiveValue.target = rest;
+    if (syntax.pipes.length > 0) {
+        // Formatted values cannot be written back to the state
+        console.warn(`Formatter pipes are not supported in two-way bindings: "${value}"`);
+        directiveValue.target = syntax.target.trimEnd();
     }
 
-    // 4. Parse modifiers if any
-    if (modifiersStr) {
-        let modifiers = parseModifiersString(modifiersStr);
-        for (let [name, args] of modifiers) {
-            directiveValue.eventModifiers.set(name, args);
-        }
+    for (const { name, args, start, end } of syntax.modifiers) {
+        directiveValue.addModifier(name, args, start, end);
     }
+    reportSyntaxErrors(syntax.errors, value);
 
     return directiveValue;
 }
@@ -173,6 +173,25 @@ test('parseModelDirective: last @ is used for event', t => {
     t.is(result.target, 'myValue@old');
 });
 
+test('parseModelDirective: @ inside quoted modifier arguments is not the event', t => {
+    const result = parseModelDirective("email#match('^.+@.+$')@change");
+
+    t.is(result.target, 'email');
+    t.is(result.event, 'change');
+    t.deepEqual(result.eventModifiers.get('match'), ['^.+@.+$']);
+});
+
+test('parseModelDirective: repeated modifiers are kept in order with offsets', t => {
+    const value = 'query#delay(10)#trim#delay(20)@input';
+    const result = parseModelDirective(value);
+
+    t.deepEqual(
+        result.modifiers.map(m => value.slice(m.start, m.end)),
+        ['#delay(10)', '#trim', '#delay(20)']
+    );
+    t.deepEqual(result.eventModifiers.get('delay'), [20]);
+});
+
 // ============================================================================
 // Complex Combinations Tests
 // ============================================================================
@@ -9,13 +9,14 @@ import { parseDirectiveValue } from "../utils.js";
  * Property directives manage element properties using `data-p-*` prefix.
  *
  * @param {string} value 
+ * @param {[string, string]} [delimiters] - Placeholder delimiters of the `{{ }}` template form
  * @example
  * // <div data-p-inner-html="content" data-p-scroll-top="offset">
  * // Updates element properties based on property values 
  */
 
-export function parsePropertyDirective(value) {
+export function parsePropertyDirective(value, delimiters) {
     // Placeholder - actual implementation depends on your pattern
     // This file handles data-p-* directives
-    return parseDirectiveValue(value);
+    return parseDirectiveValue(value, delimiters);
 }
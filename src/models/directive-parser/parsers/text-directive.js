@@ -0,0 +1,246 @@
+// @ts-check
+
+import { parseDirectiveValue } from '../utils.js';
+import { INTERPOLATION_DELIMITERS, EXPRESSION_PREFIX, TEMPLATE_QUOTE } from '../constants.js';
+import { TextDirectiveValue } from '../../text-directive-value.js';
+
+/**
+ * @typedef {import('../../text-directive-value.js').TextSegment} TextSegment
+ * @typedef {import('../tokenizer.js').DirectiveSyntaxError} DirectiveSyntaxError
+ */
+
+// {static text}{{ {target}[| {pipe}...][#{modifier}...] }}{static text}
+// \{{ is a literal "{{"
+// `{static text}${ {expression}[| {pipe}...] }{static text}`[| {pipe}...][#{modifier}...]
+
+// Text of these elements is code, not markup
+const RAW_TEXT_ELEMENTS = new Set(['SCRIPT', 'STYLE']);
+
+/**
+ * Finds the closing delimiter of a placeholder, skipping quoted strings.
+ * @param {string} value
+ * @param {number} start - Offset after the opening delimiter
+ * @param {string} close
+ * @returns {number} Offset of the closing delimiter, -1 if there is none
+ */
+function findClosingDelimiter(value, start, close) {
+    for (let i = start; i < value.length; i++) {
+        const char = value[i];
+
+        if (char === "'" || char === '"' || char === '`') {
+            // A quote without its pair is left to the directive value parser
+            let j = i + 1;
+            while (j < value.length && value[j] !== char) j += value[j] === '\\' ? 2 : 1;
+            if (j < value.length) i = j;
+            continue;
+        }
+
+        if (value.startsWith(close, i)) return i;
+    }
+    return -1;
+}
+
+/**
+ * Splits text into static parts and `{{ }}` placeholders.
+ * Placeholders use the syntax of `data-b-*` values: a path or an `=` expression,
+ * followed by pipes and modifiers. A backslash before the opening delimiter keeps it as text.
+ *
+ * @param {string} value - Text content
+ * @param {[string, string]} [delimiters] - Opening and closing delimiter, `{{` and `}}` by default
+ * @returns {TextSegment[]|null} The segments, or null if the text has no placeholder or escape
+ * @example
+ * parseInterpolation('Hello, {{ user.name }}!');
+ * // ['Hello, ', DirectiveValue(user.name), '!']
+ * parseInterpolation('Use \\{{ name }} in templates');
+ * // ['Use {{ name }} in templates']
+ */
+export function parseInterpolation(value, delimiters = INTERPOLATION_DELIMITERS) {
+    const [open, close] = delimiters;
+    /** @type {TextSegment[]} */
+    const segments = [];
+    let text = '';
+    let index = 0;
+    let found = false;
+
+    while (index < value.length) {
+        const start = value.indexOf(open, index);
+        if (start === -1) break;
+
+        if (start > 0 && value[start - 1] === '\\') {
+            text += value.slice(index, start - 1) + open;
+            index = start + open.length;
+            found = true;
+            continue;
+        }
+
+        const end = findClosingDelimiter(value, start + open.length, close);
+        if (end === -1) {
+            console.warn(`Missing "${close}" for "${open}" at ${start} in text: "${value}"`);
+            break;
+        }
+
+        const source = value.slice(start + open.length, end);
+        text += value.slice(index, start);
+        index = end + close.length;
+        found = true;
+
+        if (source.trim() === '') {
+            console.warn(`Empty placeholder at ${start} in text: "${value}"`);
+            text += value.slice(start, index);
+            continue;
+        }
+
+        if (text) segments.push(text);
+        text = '';
+        segments.push(parseDirectiveValue(source));
+    }
+
+    if (!found) return null;
+
+    text += value.slice(index);
+    if (text) segments.push(text);
+
+    return segments;
+}
+
+/**
+ * Parses a template literal: `` `/users/${user.id}/edit` ``.
+ * Each `${ }` holds an expression, written without the leading `=`, optionally followed
+ * by pipes and modifiers. A backslash keeps the next character as text (`` \` ``, `\$`).
+ *
+ * @param {string} value - Directive value
+ * @param {number} [start] - Offset of the opening backtick
+ * @returns {{ segments: TextSegment[], end: number, errors: DirectiveSyntaxError[] }}
+ * `end` is the offset after the closing backtick
+ * @example
+ * parseTemplateLiteral('`/users/${user.id}/edit`');
+ * // { segments: ['/users/', DirectiveValue(=user.id), '/edit'], end: 24, errors: [] }
+ */
+export function parseTemplateLiteral(value, start = 0) {
+    /** @type {TextSegment[]} */
+    const segments = [];
+    /** @type {DirectiveSyntaxError[]} */
+    const errors = [];
+    let text = '';
+    let index = start + 1;
+
+    while (index < value.length) {
+        const char = value[index];
+
+        if (char === TEMPLATE_QUOTE) {
+            if (text) segments.push(text);
+            return { segments, end: index + 1, errors };
+        }
+
+        if (char === '\\' && index + 1 < value.length) {
+            text += value[index + 1];
+            index += 2;
+            continue;
+        }
+
+        if (char === '$' && value[index + 1] === '{') {
+            const end = findClosingDelimiter(value, index + 2, '}');
+            if (end === -1) {
+                errors.push({
+                    message: `Missing "}" for "\${" at ${index}`,
+                    start: index,
+                    end: value.length,
+                });
+                break;
+            }
+
+            const source = value.slice(index + 2, end);
+            if (source.trim() === '') {
+                errors.push({
+                    message: `Empty placeholder at ${index}`,
+                    start: index,
+                    end: end + 1,
+                });
+            } else {
+                if (text) segments.push(text);
+                text = '';
+                segments.push(parseDirectiveValue(EXPRESSION_PREFIX + source));
+            }
+
+            index = end + 1;
+            continue;
+        }
+
+        text += char;
+        index++;
+    }
+
+    if (errors.length === 0) {
+        errors.push({
+            message: `Unterminated template literal starting at ${start}`,
+            start,
+            end: value.length,
+        });
+    }
+    if (text) segments.push(text);
+
+    return { segments, end: value.length, errors };
+}
+
+/**
+ * Parses a run of adjacent text nodes with placeholders as one text.
+ * @param {Text[]} nodes
+ * @param {[string, string]} [delimiters]
+ * @returns {TextDirectiveValue|null} The parsed directive, or null if the text is static
+ */
+export function parseTextDirective(nodes, delimiters = INTERPOLATION_DELIMITERS) {
+    const segments = parseInterpolation(nodes.map(node => node.data).join(''), delimiters);
+    if (!segments) return null;
+
+    const result = new TextDirectiveValue();
+    result.nodes = nodes;
+    result.segments = segments;
+    return result;
+}
+
+/**
+ * Parses the text that is a direct child of an element.
+ * Adjacent text nodes are read together, so a placeholder may span them.
+ * Text of `<script>` and `<style>` is never interpolated.
+ * @param {Element} element
+ * @param {[string, string]} [delimiters]
+ * @returns {TextDirectiveValue[]}
+ */
+export function parseTextDirectives(element, delimiters = INTERPOLATION_DELIMITERS) {
+    /** @type {TextDirectiveValue[]} */
+    const result = [];
+    if (RAW_TEXT_ELEMENTS.has(element.tagName)) return result;
+
+    /** @type {Text[]} */
+    let run = [];
+    const flush = () => {
+        const directive = run.length > 0 ? parseTextDirective(run, delimiters) : null;
+        if (directive) result.push(directive);
+        run = [];
+    };
+
+    element.childNodes.forEach(node => {
+        if (node.nodeType === 3) run.push(/** @type {Text} */ (node));
+        else flush();
+    });
+    flush();
+
+    return result;
+}
+
+/**
+ * Checks whether a direct child text node of the element contains the opening delimiter.
+ * @param {Element} element
+ * @param {[string, string]} [delimiters]
+ * @returns {boolean}
+ */
+export function hasInterpolation(element, delimiters = INTERPOLATION_DELIMITERS) {
+    if (RAW_TEXT_ELEMENTS.has(element.tagName)) return false;
+
+    for (const node of element.childNodes) {
+        if (node.nodeType === 3 && /** @type {Text} */ (node).data.includes(delimiters[0])) {
+            return true;
+        }
+    }
+    return false;
+}
@@ -0,0 +1,202 @@
+// @ts-check
+
+import test from 'ava';
+import { Window } from 'happy-dom';
+import {
+    parseInterpolation,
+    parseTemplateLiteral,
+    parseTextDirective,
+    parseTextDirectives,
+    hasInterpolation,
+} from './text-directive.js';
+import { TextDirectiveValue } from '../../text-directive-value.js';
+import { DirectiveValue } from '../../directive-value.js';
+
+const window = new Window({ console }).window;
+const document = window.document;
+
+/**
+ * Describes segments as strings (static text) and `{target}` (bindings).
+ * @param {Array<string|DirectiveValue>|null} segments
+ * @returns {string[]|null}
+ */
+function describe(segments) {
+    if (!segments) return null;
+    return segments.map(segment => (typeof segment === 'string' ? segment : `{${segment.target}}`));
+}
+
+/**
+ * @param {() => void} fn
+ * @returns {string[]} Messages passed to console.warn
+ */
+function captureWarnings(fn) {
+    /** @type {string[]} */
+    const warnings = [];
+    const original = console.warn;
+    console.warn = message => warnings.push(String(message));
+    try {
+        fn();
+    } finally {
+        console.warn = original;
+    }
+    return warnings;
+}
+
+// ============================================================================
+// parseInterpolation Tests
+// ============================================================================
+
+test('parseInterpolation: splits static text and placeholders', t => {
+    const segments = parseInterpolation(
+        'Hello, {{ user.name }}! You have {{inbox.count}} messages.'
+    );
+
+    t.deepEqual(describe(segments), [
+        'Hello, ',
+        '{user.name}',
+        '! You have ',
+        '{inbox.count}',
+        ' messages.',
+    ]);
+    t.true(segments?.[1] instanceof DirectiveValue);
+});
+
+test('parseInterpolation: static text returns null', t => {
+    t.is(parseInterpolation('Hello, world'), null);
+    t.is(parseInterpolation('a } b { c'), null);
+});
+
+test('parseInterpolation: placeholders use the directive value syntax', t => {
+    const [price, , state] = /** @type {DirectiveValue[]} */ (
+        parseInterpolation(
+            "{{ price | currency('EUR') #debounce(50) }} / {{ =open ? 'on' : 'off' }}"
+        )
+    );
+
+    t.is(price.target, 'price');
+    t.deepEqual(
+        price.pipes.map(pipe => [pipe.name, pipe.args]),
+        [['currency', ['EUR']]]
+    );
+    t.deepEqual(price.eventModifiers.get('debounce'), [50]);
+    t.is(state.expression?.type, 'Conditional');
+    t.deepEqual(state.dependencies, [['open']]);
+});
+
+test('parseInterpolation: closing delimiters inside quotes do not end a placeholder', t => {
+    const [name] = /** @type {DirectiveValue[]} */ (
+        parseInterpolation("{{ name | default('}}') }}!")
+    );
+
+    t.deepEqual(name.pipes[0].args, ['}}']);
+});
+
+test('parseInterpolation: a backslash escapes the opening delimiter', t => {
+    t.deepEqual(describe(parseInterpolation('Use \\{{ name }} for {{ name }}')), [
+        'Use {{ name }} for ',
+        '{name}',
+    ]);
+    t.deepEqual(parseInterpolation('\\{{ literal }}'), ['{{ literal }}']);
+});
+
+test('parseInterpolation: custom delimiters', t => {
+    t.deepEqual(describe(parseInterpolation('[[ a ]] and {{ b }}', ['[[', ']]'])), [
+        '{a}',
+        ' and {{ b }}',
+    ]);
+});
+
+test('parseInterpolation: reports unterminated and empty placeholders', t => {
+    /** @type {Array<string|DirectiveValue>|null} */
+    let segments = null;
+
+    let warnings = captureWarnings(() => (segments = parseInterpolation('{{ a }} {{ b')));
+    t.deepEqual(warnings, ['Missing "}}" for "{{" at 8 in text: "{{ a }} {{ b"']);
+    t.deepEqual(describe(segments), ['{a}', ' {{ b']);
+
+    warnings = captureWarnings(() => (segments = parseInterpolation('x {{ }} y')));
+    t.deepEqual(warnings, ['Empty placeholder at 2 in text: "x {{ }} y"']);
+    t.deepEqual(segments, ['x {{ }} y']);
+});
+
+// ============================================================================
+// parseTemplateLiteral Tests
+// ============================================================================
+
+test('parseTemplateLiteral: splits static text and ${ } expressions', t => {
+    const value = '`/users/${user.id}/edit` | lowercase';
+    const { segments, end, errors } = parseTemplateLiteral(value);
+
+    t.deepEqual(describe(segments), ['/users/', '{}', '/edit']);
+    t.deepEqual(/** @type {DirectiveValue} */ (segments[1]).dependencies, [['user', 'id']]);
+    t.is(value.slice(end), ' | lowercase');
+    t.deepEqual(errors, []);
+});
+
+test('parseTemplateLiteral: braces inside quotes and escaped characters', t => {
+    const { segments } = parseTemplateLiteral("`\\${a} \\` ${ b ? '}' : '' }`");
+
+    t.deepEqual(describe(segments), ['${a} ` ', '{}']);
+    t.is(/** @type {DirectiveValue} */ (segments[1]).expression?.type, 'Conditional');
+});
+
+test('parseTemplateLiteral: reports unterminated literals and placeholders', t => {
+    t.deepEqual(
+        parseTemplateLiteral('`a ${b').errors.map(error => error.message),
+        ['Missing "}" for "${" at 3']
+    );
+    t.deepEqual(
+        parseTemplateLiteral('`a ${}`').errors.map(error => error.message),
+        ['Empty placeholder at 3']
+    );
+    t.deepEqual(
+        parseTemplateLiteral('x `abc', 2).errors.map(error => error.message),
+        ['Unterminated template literal starting at 2']
+    );
+});
+
+// ============================================================================
+// Text Node Tests
+// ============================================================================
+
+test('parseTextDirective: keeps the nodes and their segments', t => {
+    const nodes = [document.createTextNode('Hi {{ na'), document.createTextNode('me }}')];
+    const result = /** @type {TextDirectiveValue} */ (
+        parseTextDirective(/** @type {any} */ (nodes))
+    );
+
+    t.true(result instanceof TextDirectiveValue);
+    t.is(result.nodes, /** @type {any} */ (nodes));
+    t.deepEqual(
+        result.bindings.map(binding => binding.target),
+        ['name']
+    );
+    t.is(parseTextDirective(/** @type {any} */ ([document.createTextNode('static')])), null);
+});
+
+test('parseTextDirectives: parses direct child text only, adjacent text nodes together', t => {
+    const element = document.createElement('p');
+    element.innerHTML = '{{ a }}<b>{{ nested }}</b> plain {{';
+    element.appendChild(document.createTextNode(' c }}'));
+
+    const result = parseTextDirectives(/** @type {any} */ (element));
+
+    t.is(result.length, 2);
+    t.is(result[1].nodes.length, 2);
+    t.deepEqual(
+        result.map(text => describe(text.segments)),
+        [['{a}'], [' plain ', '{c}']]
+    );
+});
+
+test('parseTextDirectives / hasInterpolation: script and style text is skipped', t => {
+    const script = document.createElement('script');
+    script.textContent = 'const tpl = "{{ a }}";';
+    const paragraph = document.createElement('p');
+    paragraph.textContent = 'Total: {{ total }}';
+
+    t.deepEqual(parseTextDirectives(/** @type {any} */ (script)), []);
+    t.false(hasInterpolation(/** @type {any} */ (script)));
+    t.true(hasInterpolation(/** @type {any} */ (paragraph)));
+    t.false(hasInterpolation(/** @type {any} */ (paragraph), ['[[', ']]']));
+});
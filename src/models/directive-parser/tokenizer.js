@@ -0,0 +1,384 @@
+// @ts-check
+
+// {target}:{domProperty} | {formatter}({...formatterArgs})#{modifier}({...eventModifierArgs})@{event}
+
+/**
+ * A modifier or pipe argument; array literals may nest.
+ * @typedef {string|number|boolean|Array<any>} ModifierArg
+ */
+
+/**
+ * @typedef {Object} DirectiveToken
+ * @property {'text'|'string'|':'|'#'|'@'|'|'|'('|')'|'['|']'|','} type
+ * @property {string} value - Unescaped content for strings, the source text otherwise
+ * @property {number} start - Offset of the first character in the directive value
+ * @property {number} end - Offset after the last character
+ */
+
+/**
+ * A modifier (`#name(args)`) or a formatter pipe (`| name(args)`).
+ * @typedef {Object} ModifierEntry
+ * @property {string} name
+ * @property {ModifierArg[]} args
+ * @property {number} start - Offset of the `#` or `|` in the directive value
+ * @property {number} end - Offset after the modifier (after `)` when it has arguments)
+ */
+
+/**
+ * @typedef {Object} DirectiveSyntaxError
+ * @property {string} message
+ * @property {number} start
+ * @property {number} end
+ */
+
+/**
+ * @typedef {Object} DirectiveSyntax
+ * @property {string} target - Source text before `:`, `|`, `#` and `@`, not trimmed
+ * @property {string|null} domProperty - Source text after the first `:`, null without `:`
+ * @property {string|null} event - Source text after the last `@`, null without `@`
+ * @property {ModifierEntry[]} pipes - Formatter pipes in written order
+ * @property {ModifierEntry[]} modifiers - In written order, duplicates included
+ * @property {DirectiveSyntaxError[]} errors
+ */
+
+const PUNCTUATION = ':#@|()[],';
+const QUOTES = `'"\``;
+const NUMBER_PATTERN = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/;
+const MODIFIER_NAME_PATTERN = /^[\w$-]+$/;
+
+/** @type {Record<string, string>} */
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+/**
+ * Splits a directive value into tokens.
+ * Quoted strings (`'...'`, `"..."`, `` `...` ``) support backslash escapes;
+ * everything between punctuation is kept as `text`, whitespace included.
+ * @param {string} value
+ * @returns {{ tokens: DirectiveToken[], errors: DirectiveSyntaxError[] }}
+ * @example
+ * tokenizeDirectiveValue("x#format('a, b')").tokens.map(t => t.type);
+ * // ['text', '#', 'text', '(', 'string', ')']
+ */
+export function tokenizeDirectiveValue(value) {
+    /** @type {DirectiveToken[]} */
+    const tokens = [];
+    /** @type {DirectiveSyntaxError[]} */
+    const errors = [];
+    let i = 0;
+
+    while (i < value.length) {
+        const char = value[i];
+        const start = i;
+
+        if (PUNCTUATION.includes(char)) {
+            tokens.push({
+                type: /** @type {DirectiveToken['type']} */ (char),
+                value: char,
+                start,
+                end: ++i,
+            });
+        } else if (QUOTES.includes(char)) {
+            let content = '';
+            let closed = false;
+            i++;
+
+            while (i < value.length) {
+                const c = value[i];
+                if (c === char) {
+                    closed = true;
+                    i++;
+                    break;
+                }
+                if (c === '\\' && i + 1 < value.length) {
+                    const next = value[i + 1];
+                    if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(value.slice(i + 2, i + 6))) {
+                        content += String.fromCharCode(parseInt(value.slice(i + 2, i + 6), 16));
+                        i += 6;
+                    } else {
+                        content += ESCAPES[next] ?? next;
+                        i += 2;
+                    }
+                    continue;
+                }
+                content += c;
+                i++;
+            }
+
+            if (!closed) {
+                errors.push({ message: `Unterminated string starting at ${start}`, start, end: i });
+            }
+            tokens.push({ type: 'string', value: content, start, end: i });
+        } else {
+            while (
+                i < value.length &&
+                !PUNCTUATION.includes(value[i]) &&
+                !QUOTES.includes(value[i])
+            ) {
+                i++;
+            }
+            tokens.push({ type: 'text', value: value.slice(start, i), start, end: i });
+        }
+    }
+
+    return { tokens, errors };
+}
+
+/**
+ * Parses a directive value following the `target:domProperty | pipe(args)#mod(args)@event` grammar.
+ * The last `@` outside of arguments starts the event, the first `#` starts the modifiers,
+ * the first `|` before them starts the formatter pipes and the first `:` before those
+ * separates the target from the DOM property.
+ * @param {string} value
+ * @returns {DirectiveSyntax}
+ * @example
+ * parseDirectiveSyntax("query:value#match('#[0-9]+')#debounce(300)@input");
+ * // { target: 'query', domProperty: 'value', event: 'input', pipes: [],
+ * //   modifiers: [{ name: 'match', args: ['#[0-9]+'], start: 11, end: 28 }, ...], errors: [] }
+ */
+export function parseDirectiveSyntax(value) {
+    const { tokens, errors } = tokenizeDirectiveValue(value);
+
+    let depth = 0;
+    let atIndex = -1;
+    for (let i = 0; i < tokens.length; i++) {
+        const { type } = tokens[i];
+        if (type === '(' || type === '[') depth++;
+        else if ((type === ')' || type === ']') && depth > 0) depth--;
+        else if (type === '@' && depth === 0) atIndex = i;
+    }
+
+    const head = atIndex === -1 ? tokens : tokens.slice(0, atIndex);
+    const headEnd = atIndex === -1 ? value.length : tokens[atIndex].start;
+    const hashIndex = findTopLevel(head, '#');
+    const pipeTokens = hashIndex === -1 ? head : head.slice(0, hashIndex);
+    const pipeEnd = hashIndex === -1 ? headEnd : head[hashIndex].start;
+    const pipeIndex = findTopLevel(pipeTokens, '|');
+    const targetTokens = pipeIndex === -1 ? pipeTokens : pipeTokens.slice(0, pipeIndex);
+    const targetEnd = pipeIndex === -1 ? pipeEnd : pipeTokens[pipeIndex].start;
+    const colonIndex = findTopLevel(targetTokens, ':');
+
+    /** @type {DirectiveSyntax} */
+    const syntax = {
+        target: value.slice(0, colonIndex === -1 ? targetEnd : targetTokens[colonIndex].start),
+        domProperty:
+            colonIndex === -1 ? null : value.slice(targetTokens[colonIndex].end, targetEnd),
+        event: atIndex === -1 ? null : value.slice(tokens[atIndex].end),
+        pipes: [],
+        modifiers: [],
+        errors,
+    };
+
+    if (pipeIndex !== -1) {
+        syntax.pipes = parseCallList(value, pipeTokens.slice(pipeIndex), '|', pipeEnd, errors);
+    }
+    if (hashIndex !== -1) {
+        syntax.modifiers = parseCallList(value, head.slice(hashIndex), '#', headEnd, errors);
+    }
+
+    return syntax;
+}
+
+/**
+ * Finds the first token of a type outside of parentheses and brackets.
+ * @param {DirectiveToken[]} tokens
+ * @param {DirectiveToken['type']} type
+ * @returns {number} Index of the token, -1 if not found
+ */
+function findTopLevel(tokens, type) {
+    let depth = 0;
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.type === '(' || token.type === '[') depth++;
+        else if ((token.type === ')' || token.type === ']') && depth > 0) depth--;
+        else if (token.type === type && depth === 0) return i;
+    }
+    return -1;
+}
+
+/**
+ * Checks if a token is text made of whitespace only.
+ * @param {DirectiveToken|undefined} token
+ * @returns {boolean}
+ */
+function isBlank(token) {
+    return !!token && token.type === 'text' && token.value.trim() === '';
+}
+
+/**
+ * Parses a `#name(args)#name...` modifier sequence or a `| name(args) | name...` pipe sequence.
+ * Pipes allow whitespace around `|`; modifier names must follow `#` directly.
+ * @param {string} value - The whole directive value, for offsets and raw text
+ * @param {DirectiveToken[]} tokens - Tokens starting with the marker
+ * @param {'#'|'|'} marker
+ * @param {number} end - Offset where the sequence ends
+ * @param {DirectiveSyntaxError[]} errors - Receives the syntax errors
+ * @returns {ModifierEntry[]}
+ */
+function parseCallList(value, tokens, marker, end, errors) {
+    /** @type {ModifierEntry[]} */
+    const entries = [];
+    const kind = marker === '#' ? 'modifier' : 'formatter';
+    let i = 0;
+
+    while (i < tokens.length) {
+        const token = tokens[i];
+
+        if (isBlank(token)) {
+            i++;
+            continue;
+        }
+        if (token.type !== marker) {
+            errors.push({
+                message: `Unexpected "${token.value.trim() || token.value}" at ${token.start}, expected "${marker}"`,
+                start: token.start,
+                end: token.end,
+            });
+            i++;
+            continue;
+        }
+
+        const nameToken = tokens[i + 1];
+        const text = nameToken && nameToken.type === 'text' ? nameToken.value : '';
+        const name = marker === '#' ? text.trimEnd() : text.trim();
+        const nameStart = nameToken ? nameToken.start + (text.length - text.trimStart().length) : 0;
+
+        if (!MODIFIER_NAME_PATTERN.test(name) || (marker === '#' && nameToken.start !== token.end)) {
+            errors.push({
+                message: `Expected a ${kind} name after "${marker}" at ${token.start}`,
+                start: token.start,
+                end: nameToken ? nameToken.end : token.end,
+            });
+            i += nameToken && nameToken.type === 'text' ? 2 : 1;
+            continue;
+        }
+
+        /** @type {ModifierEntry} */
+        const entry = { name, args: [], start: token.start, end: nameStart + name.length };
+        i += 2;
+
+        if (tokens[i] && tokens[i].type === '(' && tokens[i].start === entry.end) {
+            const cursor = { index: i + 1 };
+            entry.args = parseArgumentList(value, tokens, cursor, ')', errors);
+            i = cursor.index;
+            entry.end = i > 0 && tokens[i - 1].type === ')' ? tokens[i - 1].end : end;
+        }
+
+        entries.push(entry);
+    }
+
+    return entries;
+}
+
+/**
+ * Parses comma-separated arguments up to a closing `)` or `]`.
+ * @param {string} value - The whole directive value
+ * @param {DirectiveToken[]} tokens
+ * @param {{ index: number }} cursor - Index of the first token after the opening `(` or `[`, moved past the closing one
+ * @param {')'|']'} close
+ * @param {DirectiveSyntaxError[]} errors
+ * @returns {ModifierArg[]}
+ */
+function parseArgumentList(value, tokens, cursor, close, errors) {
+    /** @type {ModifierArg[]} */
+    const args = [];
+    const open = tokens[cursor.index - 1];
+
+    const skipBlank = () => {
+        while (isBlank(tokens[cursor.index])) cursor.index++;
+    };
+
+    skipBlank();
+    if (tokens[cursor.index] && tokens[cursor.index].type === close) {
+        cursor.index++;
+        return args;
+    }
+
+    while (cursor.index < tokens.length) {
+        skipBlank();
+        const token = tokens[cursor.index];
+
+        if (!token) break;
+
+        if (token.type === close && args.length > 0) {
+            // trailing comma: `#f(1,)`, `[1, 2,]`
+            cursor.index++;
+            return args;
+        }
+
+        if (token.type === '[') {
+            cursor.index++;
+            args.push(parseArgumentList(value, tokens, cursor, ']', errors));
+        } else if (token.type === 'string') {
+            cursor.index++;
+            args.push(token.value);
+        } else {
+            const bare = readBareArgument(value, tokens, cursor);
+            if (bare === null) {
+                errors.push({
+                    message: `Expected an argument at ${token.start}`,
+                    start: token.start,
+                    end: token.end,
+                });
+                // A separator or the closing token is handled below
+                if (token.type !== ',' && token.type !== close) cursor.index++;
+            } else {
+                args.push(bare);
+            }
+        }
+
+        skipBlank();
+        const next = tokens[cursor.index];
+
+        if (next && next.type === ',') {
+            cursor.index++;
+        } else if (next && next.type === close) {
+            cursor.index++;
+            return args;
+        } else if (next) {
+            errors.push({
+                message: `Unexpected "${next.value}" at ${next.start}, expected "," or "${close}"`,
+                start: next.start,
+                end: next.end,
+            });
+            cursor.index++;
+        }
+    }
+
+    const last = tokens[tokens.length - 1];
+    errors.push({
+        message: `Missing "${close}" for "${open.value}" at ${open.start}`,
+        start: open.start,
+        end: last ? last.end : open.end,
+    });
+    return args;
+}
+
+/**
+ * Reads an unquoted argument: a number, `true`/`false`, or raw text.
+ * Raw text may contain balanced parentheses, e.g. `#when(isOpen(menu))`.
+ * @param {string} value - The whole directive value
+ * @param {DirectiveToken[]} tokens
+ * @param {{ index: number }} cursor
+ * @returns {string|number|boolean|null} Null when there is no argument text
+ */
+function readBareArgument(value, tokens, cursor) {
+    const first = cursor.index;
+    let depth = 0;
+
+    while (cursor.index < tokens.length) {
+        const { type } = tokens[cursor.index];
+        if (depth === 0 && (type === ',' || type === ')' || type === ']')) break;
+        if (type === '(' || type === '[') depth++;
+        else if (type === ')' || type === ']') depth--;
+        cursor.index++;
+    }
+
+    if (cursor.index === first) return null;
+
+    const raw = value.slice(tokens[first].start, tokens[cursor.index - 1].end).trim();
+    if (raw === '') return null;
+    if (NUMBER_PATTERN.test(raw)) return Number(raw);
+    if (/^true$/i.test(raw)) return true;
+    if (/^false$/i.test(raw)) return false;
+    return raw;
+}
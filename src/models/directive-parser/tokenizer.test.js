@@ -0,0 +1,239 @@
+// @ts-check
+
+import test from 'ava';
+import { tokenizeDirectiveValue, parseDirectiveSyntax } from './tokenizer.js';
+
+/**
+ * @param {string} value
+ * @returns {Array<[string, any[]]>}
+ */
+const modifiersOf = value => parseDirectiveSyntax(value).modifiers.map(m => [m.name, m.args]);
+
+// ============================================================================
+// tokenizeDirectiveValue Tests
+// ============================================================================
+
+test('tokenizeDirectiveValue: splits punctuation, text and strings', t => {
+    const { tokens, errors } = tokenizeDirectiveValue("x#format('a, b')");
+
+    t.deepEqual(
+        tokens.map(token => [token.type, token.value]),
+        [
+            ['text', 'x'],
+            ['#', '#'],
+            ['text', 'format'],
+            ['(', '('],
+            ['string', 'a, b'],
+            [')', ')'],
+        ]
+    );
+    t.deepEqual(errors, []);
+});
+
+test('tokenizeDirectiveValue: records offsets of every token', t => {
+    const { tokens } = tokenizeDirectiveValue("a#m('x')");
+
+    t.deepEqual(
+        tokens.map(token => [token.start, token.end]),
+        [
+            [0, 1],
+            [1, 2],
+            [2, 3],
+            [3, 4],
+            [4, 7],
+            [7, 8],
+        ]
+    );
+});
+
+test('tokenizeDirectiveValue: unescapes quotes and escape sequences', t => {
+    const { tokens } = tokenizeDirectiveValue(String.raw`'it\'s' "a\"b" 'tab\there' 'A\\'`);
+    const strings = tokens.filter(token => token.type === 'string').map(token => token.value);
+
+    t.deepEqual(strings, ["it's", 'a"b', 'tab\there', 'A\\']);
+});
+
+test('tokenizeDirectiveValue: reports unterminated strings', t => {
+    const { tokens, errors } = tokenizeDirectiveValue("x#m('abc");
+
+    t.is(tokens[tokens.length - 1].value, 'abc');
+    t.is(errors.length, 1);
+    t.is(errors[0].start, 4);
+    t.regex(errors[0].message, /Unterminated string/);
+});
+
+// ============================================================================
+// parseDirectiveSyntax Tests
+// ============================================================================
+
+test('parseDirectiveSyntax: splits target, dom property, modifiers and event', t => {
+    const syntax = parseDirectiveSyntax('form.email:value#trim#debounce(300)@change');
+
+    t.is(syntax.target, 'form.email');
+    t.is(syntax.domProperty, 'value');
+    t.is(syntax.event, 'change');
+    t.deepEqual(
+        syntax.modifiers.map(m => [m.name, m.args]),
+        [
+            ['trim', []],
+            ['debounce', [300]],
+        ]
+    );
+    t.deepEqual(syntax.errors, []);
+});
+
+test('parseDirectiveSyntax: missing parts are null', t => {
+    const syntax = parseDirectiveSyntax('name');
+
+    t.is(syntax.target, 'name');
+    t.is(syntax.domProperty, null);
+    t.is(syntax.event, null);
+    t.deepEqual(syntax.modifiers, []);
+});
+
+test('parseDirectiveSyntax: separators inside quoted arguments are kept', t => {
+    t.deepEqual(modifiersOf("x#format('a, b')"), [['format', ['a, b']]]);
+    t.deepEqual(modifiersOf("x#match('#[0-9]+')"), [['match', ['#[0-9]+']]]);
+    t.deepEqual(modifiersOf("x#date('HH:mm')@input"), [['date', ['HH:mm']]]);
+    t.is(parseDirectiveSyntax("x#mail('a@b.c')@input").event, 'input');
+});
+
+test('parseDirectiveSyntax: escaped quotes in arguments', t => {
+    t.deepEqual(modifiersOf(String.raw`x#say('it\'s', "say \"hi\"")`), [
+        ['say', ["it's", 'say "hi"']],
+    ]);
+});
+
+test('parseDirectiveSyntax: negative and decimal numbers', t => {
+    t.deepEqual(modifiersOf('x#clamp(-0.5, .25, -10, 1e3, +2)'), [
+        ['clamp', [-0.5, 0.25, -10, 1000, 2]],
+    ]);
+});
+
+test('parseDirectiveSyntax: booleans and bare words', t => {
+    t.deepEqual(modifiersOf('x#key(Enter, ctrl+s)#flag(true, FALSE)'), [
+        ['key', ['Enter', 'ctrl+s']],
+        ['flag', [true, false]],
+    ]);
+});
+
+test('parseDirectiveSyntax: array arguments, nested', t => {
+    t.deepEqual(modifiersOf("x#pick([1, 'a', [true]], [])#keys(['a', 'b',])"), [
+        ['pick', [[1, 'a', [true]], []]],
+        ['keys', [['a', 'b']]],
+    ]);
+});
+
+test('parseDirectiveSyntax: nested parentheses stay in a bare argument', t => {
+    t.deepEqual(modifiersOf('x#when(isOpen(menu, 1), ready)'), [
+        ['when', ['isOpen(menu, 1)', 'ready']],
+    ]);
+});
+
+test('parseDirectiveSyntax: repeated modifiers keep order and duplicates', t => {
+    t.deepEqual(modifiersOf('x#delay(10)#trim#delay(20)'), [
+        ['delay', [10]],
+        ['trim', []],
+        ['delay', [20]],
+    ]);
+});
+
+test('parseDirectiveSyntax: modifiers record their offsets', t => {
+    const value = "query#match('#x')#trim@input";
+    const [match, trim] = parseDirectiveSyntax(value).modifiers;
+
+    t.is(value.slice(match.start, match.end), "#match('#x')");
+    t.is(value.slice(trim.start, trim.end), '#trim');
+});
+
+test('parseDirectiveSyntax: empty argument list', t => {
+    t.deepEqual(modifiersOf('x#debounce()'), [['debounce', []]]);
+});
+
+test('parseDirectiveSyntax: reports a missing closing parenthesis', t => {
+    const syntax = parseDirectiveSyntax('x#debounce(300');
+
+    t.deepEqual(syntax.modifiers[0].args, [300]);
+    t.is(syntax.errors.length, 1);
+    t.regex(syntax.errors[0].message, /Missing "\)" for "\(" at 10/);
+    t.is(syntax.errors[0].start, 10);
+});
+
+test('parseDirectiveSyntax: reports missing arguments and modifier names', t => {
+    const args = parseDirectiveSyntax('x#range(1,,3)');
+    const name = parseDirectiveSyntax('x#(1)');
+
+    t.deepEqual(args.modifiers[0].args, [1, 3]);
+    t.regex(args.errors[0].message, /Expected an argument at 10/);
+    t.is(name.modifiers.length, 0);
+    t.regex(name.errors[0].message, /Expected a modifier name after "#" at 1/);
+});
+
+test('parseDirectiveSyntax: trailing comma closes an argument list', t => {
+    const trailing = parseDirectiveSyntax("x#f(1,)#g('a', [2,],)");
+    const empty = parseDirectiveSyntax('x#f(,)#trim');
+
+    t.deepEqual(trailing.errors, []);
+    t.deepEqual(
+        trailing.modifiers.map(m => [m.name, m.args]),
+        [
+            ['f', [1]],
+            ['g', ['a', [2]]],
+        ]
+    );
+    t.deepEqual(
+        empty.errors.map(error => error.message),
+        ['Expected an argument at 4', 'Expected an argument at 5']
+    );
+    t.deepEqual(
+        empty.modifiers.map(m => m.name),
+        ['f', 'trim']
+    );
+});
+
+test('parseDirectiveSyntax: reports text between modifiers', t => {
+    const syntax = parseDirectiveSyntax("x#format('a') oops#trim");
+
+    t.is(syntax.errors.length, 1);
+    t.regex(syntax.errors[0].message, /Unexpected "oops"/);
+    t.deepEqual(
+        syntax.modifiers.map(m => m.name),
+        ['format', 'trim']
+    );
+});
+
+// ============================================================================
+// Formatter Pipe Tests
+// ============================================================================
+
+test('parseDirectiveSyntax: pipes come between the target and the modifiers', t => {
+    const value = "total | currency('EUR', 2) |default('-')#debounce(5)";
+    const syntax = parseDirectiveSyntax(value);
+
+    t.is(syntax.target.trim(), 'total');
+    t.deepEqual(
+        syntax.pipes.map(pipe => [pipe.name, pipe.args]),
+        [
+            ['currency', ['EUR', 2]],
+            ['default', ['-']],
+        ]
+    );
+    t.deepEqual(
+        syntax.pipes.map(pipe => value.slice(pipe.start, pipe.end)),
+        ["| currency('EUR', 2)", "|default('-')"]
+    );
+    t.deepEqual(syntax.modifiers.map(m => m.name), ['debounce']);
+    t.deepEqual(syntax.errors, []);
+});
+
+test('parseDirectiveSyntax: "|" inside quoted pipe arguments is kept', t => {
+    const syntax = parseDirectiveSyntax("name | default('a | b')");
+    t.deepEqual(syntax.pipes[0].args, ['a | b']);
+});
+
+test('parseDirectiveSyntax: reports a missing formatter name', t => {
+    t.deepEqual(
+        parseDirectiveSyntax('x | ').errors.map(error => error.message),
+        ['Expected a formatter name after "|" at 2']
+    );
+});
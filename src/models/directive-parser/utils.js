@@ -2,7 +2,14 @@
 
 import { DirectiveValue } from '../directive-value.js';
 import { propertyNameToPath } from '../../utils/properties.js';
-import { DIRECTIVE_PREFIXES } from './constants.js';
+import {
+    DIRECTIVE_PREFIXES,
+    SCOPE_ATTRIBUTE,
+    ROOT_SCOPE,
+    EXPRESSION_PREFIX,
+    TEMPLATE_QUOTE,
+    INTERPOLATION_DELIMITERS,
+} from './constants.js';
 import { getElementAttrs, isNativePropertyName } from '../../utils/dom.js';
 import { isValidForTwoWayBinding } from '../../utils/validators.js';
 import { ParsedDirectives } from '../parsed-directives.js';
@@ -11,81 +18,88 @@ import {
     parseModelDirective,
     parsePropertyDirective,
     parseBehaviorDirective,
+    parseEventDirective,
     parseAttributeDirective,
+    parseForDirective,
+    parseIfDirective,
+    parseTextDirectives,
+    parseInterpolation,
+    parseTemplateLiteral,
+    hasInterpolation,
 } from './parsers/index.js';
-import { attributeNameToPropertyName } from '../../utils/properties.js';
+import { attributeNameToPropertyName, pathToPropertyName } from '../../utils/properties.js';
+import { validateModifiers } from '../../utils/modifiers.js';
+import { parseDirectiveSyntax } from './tokenizer.js';
+import { parseExpression, walkExpressionPaths } from './expression.js';
+
+/** @typedef {import('./tokenizer.js').ModifierArg} ModifierArg */
+/** @typedef {import('./constants.js').DirectivePrefixes} DirectivePrefixes */
 
 // {target}:{domProperty}#{modifier}({...eventModifierArgs})@{event}
 
 /**
  * Parses a modifier string (e.g., "debounce(300,100)") into name and arguments.
  * @param {string} str - The modifier string without leading '#'.
- * @returns {Array<[string, Array<string|number|boolean>]>} Array of [modifierName, args[]] pairs.
+ * @returns {Array<[string, Array<ModifierArg>]>} Array of [modifierName, args[]] pairs, in written order.
  */
 export function parseModifiersString(str) {
-    /** @type {[string, Array<string|number|boolean>][]} */
-    const modifiers = [];
-    const tokens = str.split('#').filter(token => token.length > 0);
-
-    for (let token of tokens) {
-        let match = token.match(/^([A-Za-z0-9_-]+)(?:\(([^)]*)\))?/);
-        if (match) {
-            let args = match[2]
-                ? match[2].split(',').map(arg => {
-                      arg = arg.trim();
-                      // Convert numbers automatically
-                      if (!isNaN(Number(arg)) && arg !== '') {
-                          return Number(arg);
-                      }
-                      // Boolean value handling
-                      if (arg.toLowerCase() === 'true') return true;
-                      if (arg.toLowerCase() === 'false') return false;
-                      // Remove quotes from strings
-                      if (
-                          (arg.startsWith("'") && arg.endsWith("'")) ||
-                          (arg.startsWith('"') && arg.endsWith('"'))
-                      ) {
-                          return arg.slice(1, -1);
-                      }
-                      return arg;
-                  })
-                : [];
-            modifiers.push([match[1], args]);
-        }
-    }
-    return modifiers;
+    if (str.trim() === '') return [];
+
+    const { modifiers, errors } = parseDirectiveSyntax(`#${str}`);
+    reportSyntaxErrors(errors, `#${str}`);
+
+    return modifiers.map(({ name, args }) => [name, args]);
 }
 
 /**
  * Parses a directive value for data-a-, data-p-, data-b- directives.
- * Supports: target[#modifier...]
+ * Supports: target[| pipe...][#modifier...], with a leading `=` expression[| pipe...][#modifier...],
+ * and templates: `text ${expression} text`[| pipe...][#modifier...] or text {{ target }} text
  * @param {string} value
+ * @param {[string, string]} [delimiters] - Placeholder delimiters of the `{{ }}` template form
  * @returns {DirectiveValue}
  */
-export function parseDirectiveValue(value) {
-    let directiveValue = new DirectiveValue();
-    let rest = value.trim();
-
-    // Parse target using regex
-    let m = rest.match(/^([A-Za-z0-9_.$\-]+[A-Za-z0-9_$\-]*)/);
-    if (m) {
-        directiveValue.target = m[1];
-        rest = rest.slice(m[1].length);
-    } else {
-        // If target not found, set to empty string
-        directiveValue.target = '';
-    }
-
-    // Parse modifiers using shared function
-    if (rest.startsWith('#')) {
-        let modifiers = parseModifiersString(rest.slice(1));
-        for (let [name, args] of modifiers) {
-            directiveValue.eventModifiers.set(name, args);
+export function parseDirectiveValue(value, delimiters = INTERPOLATION_DELIMITERS) {
+    const offset = value.length - value.trimStart().length;
+    if (value.startsWith(EXPRESSION_PREFIX, offset)) {
+        return parseExpressionValue(value, offset + EXPRESSION_PREFIX.length);
+    }
+    if (value.startsWith(TEMPLATE_QUOTE, offset)) {
+        return parseTemplateValue(value, offset);
+    }
+    if (value.includes(delimiters[0])) {
+        const segments = parseInterpolation(value, delimiters);
+        if (segments) {
+            const directiveValue = new DirectiveValue();
+            directiveValue.template = segments;
+            return directiveValue;
         }
-    } else if (rest.length > 0 && directiveValue.target) {
+    }
+
+    let directiveValue = new DirectiveValue();
+    const syntax = parseDirectiveSyntax(value);
+    const target = syntax.target.trim();
+
+    // Only a property path is expected before the modifiers
+    let m = target.match(/^[A-Za-z0-9_.$\-]+/);
+    directiveValue.target = m ? m[0] : '';
+
+    let rest = target.slice(directiveValue.target.length);
+    if (syntax.domProperty !== null) rest += `:${syntax.domProperty}`;
+    if (syntax.event !== null) rest += `@${syntax.event}`;
+
+    if (rest.trim().length > 0 && directiveValue.target) {
         console.warn(`Unexpected characters in directive value after target: "${rest}"`);
     }
 
+    for (const { name, args, start, end } of syntax.pipes) {
+        directiveValue.addPipe(name, args, start, end);
+    }
+    for (const { name, args, start, end } of syntax.modifiers) {
+        directiveValue.addModifier(name, args, start, end);
+    }
+    reportSyntaxErrors(syntax.errors, value);
+
     if (!directiveValue.target) {
         console.warn(`Could not parse target from directive value: "${value}"`);
     }
@@ -94,59 +108,459 @@ export function parseDirectiveValue(value) {
 }
 
 /**
- * Parses directives from an element's attributes.
+ * Parses an expression directive value: `=expression[| pipe...][#modifier...]`.
+ * @param {string} value
+ * @param {number} start - Offset of the expression, after the `=`
+ * @returns {DirectiveValue}
+ */
+function parseExpressionValue(value, start) {
+    const directiveValue = new DirectiveValue();
+    const { node, end, errors } = parseExpression(value, start);
+    directiveValue.expression = node;
+
+    // Pipes and modifiers after the expression, offsets moved back into the whole value
+    const syntax = parseDirectiveSyntax(value.slice(end));
+    for (const pipe of syntax.pipes) {
+        directiveValue.addPipe(pipe.name, pipe.args, pipe.start + end, pipe.end + end);
+    }
+    for (const modifier of syntax.modifiers) {
+        directiveValue.addModifier(modifier.name, modifier.args, modifier.start + end, modifier.end + end);
+    }
+    if (syntax.event !== null) {
+        console.warn(`Unexpected characters in directive value after expression: "@${syntax.event}"`);
+    }
+
+    reportSyntaxErrors(errors, value);
+    reportSyntaxErrors(
+        syntax.errors.map(error => ({ ...error, start: error.start + end, end: error.end + end })),
+        value
+    );
+
+    if (!node && errors.length === 0) {
+        console.warn(`Could not parse expression from directive value: "${value}"`);
+    }
+
+    return directiveValue;
+}
+
+/**
+ * Parses a template literal directive value: `` `text ${expression} text`[| pipe...][#modifier...] ``.
+ * Pipes and modifiers after the closing backtick apply to the whole text.
+ * @param {string} value
+ * @param {number} start - Offset of the opening backtick
+ * @returns {DirectiveValue}
+ */
+function parseTemplateValue(value, start) {
+    const directiveValue = new DirectiveValue();
+    const { segments, end, errors } = parseTemplateLiteral(value, start);
+    directiveValue.template = segments;
+
+    // Pipes and modifiers after the template, offsets moved back into the whole value
+    const syntax = parseDirectiveSyntax(value.slice(end));
+    for (const pipe of syntax.pipes) {
+        directiveValue.addPipe(pipe.name, pipe.args, pipe.start + end, pipe.end + end);
+    }
+    for (const modifier of syntax.modifiers) {
+        directiveValue.addModifier(modifier.name, modifier.args, modifier.start + end, modifier.end + end);
+    }
+
+    let rest = syntax.target.trim();
+    if (syntax.domProperty !== null) rest += `:${syntax.domProperty}`;
+    if (syntax.event !== null) rest += `@${syntax.event}`;
+    if (rest.length > 0) {
+        console.warn(`Unexpected characters in directive value after template: "${rest}"`);
+    }
+
+    reportSyntaxErrors(errors, value);
+    reportSyntaxErrors(
+        syntax.errors.map(error => ({ ...error, start: error.start + end, end: error.end + end })),
+        value
+    );
+
+    return directiveValue;
+}
+
+/**
+ * Warns about syntax errors found in a directive value.
+ * @param {import('./tokenizer.js').DirectiveSyntaxError[]} errors
+ * @param {string} value
+ */
+export function reportSyntaxErrors(errors, value) {
+    for (const error of errors) {
+        console.warn(`${error.message} in directive value: "${value}"`);
+    }
+}
+
+/**
+ * Checks if an attribute name belongs to one of the directive families.
+ * @param {string} name - The attribute name
+ * @param {DirectivePrefixes} [prefixes] - Attribute names of the families, `DIRECTIVE_PREFIXES` by default
+ * @returns {boolean} True if the attribute is a directive
+ */
+export function isDirectiveAttribute(name, prefixes = DIRECTIVE_PREFIXES) {
+    return (
+        name.startsWith(prefixes.ATTRIBUTE) ||
+        name.startsWith(prefixes.PROPERTY) ||
+        name.startsWith(prefixes.BEHAVIOR) ||
+        name.startsWith(prefixes.EVENT) ||
+        name.startsWith(prefixes.CLASS + '-') ||
+        name === prefixes.MODEL ||
+        name === prefixes.CLASS ||
+        name === prefixes.FOR ||
+        name === prefixes.REF ||
+        name === prefixes.IF ||
+        name === prefixes.ELSE_IF ||
+        name === prefixes.ELSE
+    );
+}
+
+/**
+ * Checks if an element has at least one directive attribute, or a child text node
+ * with an interpolation placeholder.
+ * @param {Element} element
+ * @param {[string, string]} [delimiters] - Interpolation delimiters, `{{` and `}}` by default
+ * @param {DirectivePrefixes} [prefixes] - Attribute names of the families, `DIRECTIVE_PREFIXES` by default
+ * @returns {boolean} True if the element has directives
+ */
+export function hasDirectives(
+    element,
+    delimiters = INTERPOLATION_DELIMITERS,
+    prefixes = DIRECTIVE_PREFIXES
+) {
+    for (let i = 0; i < element.attributes.length; i++) {
+        if (isDirectiveAttribute(element.attributes[i].name, prefixes)) return true;
+    }
+    return hasInterpolation(element, delimiters);
+}
+
+/**
+ * A directive family added with `DirectiveParser.registerDirective`.
+ * @typedef {Object} CustomDirective
+ * @property {string} name - Key in `ParsedDirectives.custom` and name of the parser event
+ * @property {string} prefix - Attribute name prefix, e.g. `data-track-`
+ * @property {(value: string, suffix: string, element: Element) => *} parse - Parses one attribute;
+ * `suffix` is the attribute name after the prefix
+ * @property {(result: *, parsed: *, suffix: string) => *} merge - Adds a parsed attribute to the
+ * result for the element, `result` is undefined for the first one
+ */
+
+/**
+ * Finds the custom directive whose prefix starts the attribute name.
+ * @param {string} name - The attribute name
+ * @param {Iterable<CustomDirective>} customDirectives
+ * @returns {CustomDirective|null}
+ */
+export function findCustomDirective(name, customDirectives) {
+    for (const customDirective of customDirectives) {
+        if (name.startsWith(customDirective.prefix)) return customDirective;
+    }
+    return null;
+}
+
+/**
+ * Parses directives from an element's attributes and the placeholders of its child text nodes.
  * @param {Element} element
  * @param {Map<string, string>|null} attributes
+ * @param {Object} [options]
+ * @param {[string, string]} [options.delimiters] - Interpolation delimiters, `{{` and `}}` by default
+ * @param {DirectivePrefixes} [options.prefixes] - Attribute names of the families, `DIRECTIVE_PREFIXES` by default
+ * @param {CustomDirective[]} [options.customDirectives] - Directive families added to the built-in ones
  * @returns {ParsedDirectives}
  */
-export function parseDirectives(element, attributes = null) {
+export function parseDirectives(element, attributes = null, options = {}) {
+    const {
+        delimiters = INTERPOLATION_DELIMITERS,
+        prefixes = DIRECTIVE_PREFIXES,
+        customDirectives = [],
+    } = options;
     let directives = new ParsedDirectives();
     if (!attributes) attributes = getElementAttrs(element);
     let hasClassDirective = false;
 
+    /**
+     * Validates the modifiers of a directive and reports the problems.
+     * @param {import('../../utils/modifiers.js').ModifiedDirective} directive
+     * @param {import('../../utils/modifiers.js').DirectiveKind} kind
+     * @param {string} source - Where the directive was found, e.g. `data-m="query"`
+     */
+    const report = (directive, kind, source) => {
+        for (const diagnostic of validateModifiers(directive, kind, source)) {
+            directives.diagnostics.push(diagnostic);
+            console.warn(diagnostic.message);
+        }
+
+        // Bindings of a template value carry their own modifiers
+        const template = directive instanceof DirectiveValue ? directive.template : null;
+        for (const segment of template || []) {
+            if (typeof segment !== 'string') report(segment, kind, source);
+        }
+    };
+
+    /**
+     * @param {import('../../utils/modifiers.js').ModifiedDirective} directive
+     * @param {import('../../utils/modifiers.js').DirectiveKind} kind
+     * @param {string} name - Attribute name
+     * @param {string} value - Attribute value
+     */
+    const check = (directive, kind, name, value) => report(directive, kind, `${name}="${value}"`);
+
     for (let [name, value] of attributes) {
-        if (name.startsWith(DIRECTIVE_PREFIXES.ATTRIBUTE)) {
-            let attrName = name.substring(DIRECTIVE_PREFIXES.ATTRIBUTE.length); // 'data-a-'.length = 7
-            directives.attributeDirectives.set(attrName, parseAttributeDirective(value));
-        } else if (name.startsWith(DIRECTIVE_PREFIXES.PROPERTY)) {
-            let nativeProp = isNativePropertyName(name, DIRECTIVE_PREFIXES.PROPERTY);
+        if (name.startsWith(prefixes.ATTRIBUTE)) {
+            let attrName = name.substring(prefixes.ATTRIBUTE.length);
+            const directive = parseAttributeDirective(value, delimiters);
+            directives.attributeDirectives.set(attrName, directive);
+            check(directive, 'attribute', name, value);
+        } else if (name.startsWith(prefixes.PROPERTY)) {
+            let nativeProp = isNativePropertyName(name, prefixes.PROPERTY);
 
             if (nativeProp) {
-                directives.propertyDirectives.set(nativeProp, parseDirectiveValue(value));
+                const directive = parseDirectiveValue(value, delimiters);
+                directives.propertyDirectives.set(nativeProp, directive);
+                check(directive, 'property', name, value);
                 continue;
             }
 
             let propName = attributeNameToPropertyName(
                 name,
-                DIRECTIVE_PREFIXES.PROPERTY
+                prefixes.PROPERTY
             );
 
-            directives.propertyDirectives.set(propName, parsePropertyDirective(value));
-        } else if (name.startsWith(DIRECTIVE_PREFIXES.BEHAVIOR)) {
-            let directiveName = name.substring(DIRECTIVE_PREFIXES.BEHAVIOR.length); // 'data-b-'.length = 7
-            directives.behaviorDirectives.set(directiveName, parseBehaviorDirective(value));
-        } else if (name === DIRECTIVE_PREFIXES.MODEL) {
-            if (!isValidForTwoWayBinding(element)) {
+            const directive = parsePropertyDirective(value, delimiters);
+            directives.propertyDirectives.set(propName, directive);
+            check(directive, 'property', name, value);
+        } else if (name.startsWith(prefixes.BEHAVIOR)) {
+            let directiveName = name.substring(prefixes.BEHAVIOR.length);
+            const directive = parseBehaviorDirective(value, delimiters);
+            directives.behaviorDirectives.set(directiveName, directive);
+            check(directive, 'behavior', name, value);
+        } else if (name.startsWith(prefixes.EVENT)) {
+            let eventName = name.substring(prefixes.EVENT.length);
+            const directive = parseEventDirective(value);
+            if (directive.expression || directive.template) {
                 console.warn(
-                    `${DIRECTIVE_PREFIXES.MODEL} is not valid on ${element.tagName}${
+                    `${name} expects a method path, expressions and templates are not supported: "${value}"`
+                );
+                continue;
+            }
+            if (directive.pipes.length > 0) {
+                console.warn(`${name} calls a method, formatter pipes are ignored: "${value}"`);
+            }
+            directives.eventDirectives.set(eventName, directive);
+            check(directive, 'event', name, value);
+        } else if (name === prefixes.MODEL) {
+            const start = value.trimStart();
+            if (start.startsWith(EXPRESSION_PREFIX) || start.startsWith(TEMPLATE_QUOTE)) {
+                console.warn(
+                    `${name} binds a state path two-way, expressions and templates are not supported: "${value}"`
+                );
+            } else if (!isValidForTwoWayBinding(element)) {
+                console.warn(
+                    `${prefixes.MODEL} is not valid on ${element.tagName}${
                         // @ts-ignore
                         element.type ? `[type="${element.type}"]` : ''
                     }`
                 );
             } else {
                 directives.modelDirective = parseModelDirective(value);
+                check(directives.modelDirective, 'model', name, value);
+            }
+        } else if (name === prefixes.FOR) {
+            if (element.tagName !== 'TEMPLATE') {
+                console.warn(`${prefixes.FOR} is only valid on TEMPLATE, found on ${element.tagName}`);
+            } else {
+                directives.forDirective = parseForDirective(
+                    value,
+                    attributes.get(prefixes.KEY),
+                    delimiters
+                );
+                if (directives.forDirective?.source) {
+                    check(directives.forDirective.source, 'for', name, value);
+                }
+            }
+        } else if (name === prefixes.REF) {
+            if (value.trim() === '') {
+                console.warn(`${prefixes.REF} on ${element.tagName} has no name`);
+            } else {
+                directives.refName = value.trim();
+            }
+        } else if (name === prefixes.IF) {
+            if (element.tagName !== 'TEMPLATE') {
+                console.warn(`${prefixes.IF} is only valid on TEMPLATE, found on ${element.tagName}`);
+            } else {
+                directives.ifDirective = parseIfDirective(element, value, prefixes, delimiters);
+                for (const { template, condition } of directives.ifDirective.branches) {
+                    if (!condition) continue;
+                    const branchName =
+                        template === element ? name : prefixes.ELSE_IF;
+                    check(condition, 'if', branchName, template.getAttribute(branchName) || '');
+                }
+            }
+        } else if (name === prefixes.ELSE_IF || name === prefixes.ELSE) {
+            // Branches are parsed with the data-if template that starts the chain
+            if (element.tagName !== 'TEMPLATE') {
+                console.warn(`${name} is only valid on TEMPLATE, found on ${element.tagName}`);
+            } else if (!isConditionalBranchPlaced(element, prefixes)) {
+                console.warn(
+                    `Misplaced ${name}: it must directly follow a TEMPLATE with ${prefixes.IF} or ${prefixes.ELSE_IF}`
+                );
             }
         } else if (
-            name.startsWith(DIRECTIVE_PREFIXES.CLASS + '-') ||
-            name === DIRECTIVE_PREFIXES.CLASS
+            name.startsWith(prefixes.CLASS + '-') ||
+            name === prefixes.CLASS
         ) {
             hasClassDirective = true;
+        } else {
+            const customDirective = findCustomDirective(name, customDirectives);
+            if (customDirective) {
+                const suffix = name.substring(customDirective.prefix.length);
+                const parsed = customDirective.parse(value, suffix, element);
+                const result = directives.custom.get(customDirective.name);
+                directives.custom.set(customDirective.name, customDirective.merge(result, parsed, suffix));
+            }
         }
     }
 
     if (hasClassDirective) {
-        directives.classDirective = parseClassDirectives(attributes);
+        directives.classDirective = parseClassDirectives(attributes, delimiters, prefixes.CLASS);
+
+        const { computedClass, reactiveClasses } = directives.classDirective;
+        if (computedClass) {
+            const name = prefixes.CLASS;
+            check(computedClass, 'class', name, attributes.get(name) || '');
+        }
+        for (const [className, directive] of reactiveClasses) {
+            const name = `${prefixes.CLASS}-${className}`;
+            check(directive, 'class', name, attributes.get(name) || '');
+        }
+    }
+
+    directives.textDirectives = parseTextDirectives(element, delimiters);
+    for (const text of directives.textDirectives) {
+        for (const directive of text.bindings) {
+            const source = text.nodes.map(node => node.data).join('');
+            report(directive, 'text', `text "${source.trim()}"`);
+        }
     }
 
     return directives;
 }
+
+/**
+ * Builds the scope path of an element from the `data-scope` attributes of its ancestors.
+ * Nested scopes are relative to the enclosing one unless they start with `$root`.
+ * The element's own `data-scope` applies to its descendants only, child text included:
+ * pass `inclusive` to get the scope of that text.
+ * @param {Element} element
+ * @param {boolean} [inclusive] - Include the element's own `data-scope`
+ * @returns {string[]} The scope path, empty outside of any scope
+ * @example
+ * // <form data-scope="checkout"><fieldset data-scope="shipping.address"><input ...>
+ * getScopePath(input); // ['checkout', 'shipping', 'address']
+ * getScopePath(fieldset, true); // ['checkout', 'shipping', 'address']
+ */
+export function getScopePath(element, inclusive = false) {
+    /** @type {string[]} */
+    let path = [];
+
+    for (let node = inclusive ? element : element.parentElement; node; node = node.parentElement) {
+        const value = node.getAttribute(SCOPE_ATTRIBUTE);
+        if (value === null || value.trim() === '') continue;
+
+        const parts = propertyNameToPath(value.trim());
+        if (parts[0] === ROOT_SCOPE) {
+            path = [...parts.slice(1), ...path];
+            break;
+        }
+        path = [...parts, ...path];
+    }
+
+    return path;
+}
+
+/**
+ * Checks if a `data-else-if` / `data-else` template directly follows a template of a conditional chain.
+ * @param {Element} element
+ * @param {DirectivePrefixes} prefixes
+ * @returns {boolean}
+ */
+function isConditionalBranchPlaced(element, prefixes) {
+    const previous = element.previousElementSibling;
+    return (
+        !!previous &&
+        previous.tagName === 'TEMPLATE' &&
+        (previous.hasAttribute(prefixes.IF) || previous.hasAttribute(prefixes.ELSE_IF))
+    );
+}
+
+/**
+ * Rewrites the target, the expression paths or the template bindings of one directive
+ * with `context.resolvePath`.
+ * @param {DirectiveValue|null} directive
+ * @param {{ resolvePath: (path: string[]) => string[] }} context
+ */
+function resolveTarget(directive, context) {
+    if (directive && directive.template) {
+        for (const segment of directive.template) {
+            if (typeof segment !== 'string') resolveTarget(segment, context);
+        }
+        return;
+    }
+    if (directive && directive.expression) {
+        walkExpressionPaths(directive.expression, node => {
+            node.path = context.resolvePath(node.path);
+        });
+        return;
+    }
+    if (!directive || !directive.target) return;
+    const parts = directive.targetParts;
+    const resolved = context.resolvePath(parts);
+    if (resolved !== parts) {
+        directive.target = pathToPropertyName(resolved);
+    }
+}
+
+/**
+ * Rewrites directive targets to absolute state paths with `context.resolvePath`
+ * (scope prefix, `$root.`, aliases such as the item of a data-for clone),
+ * so bridges can subscribe to them like to any other path.
+ * The `data-key` expression is left untouched, it is evaluated per item.
+ * @param {ParsedDirectives} directives
+ * @param {{ resolvePath: (path: string[]) => string[] }} context
+ * @param {{ resolvePath: (path: string[]) => string[] }} [textContext] - Resolves the placeholders
+ * of child text, which the element's own `data-scope` applies to; defaults to `context`
+ */
+export function resolveDirectiveTargets(directives, context, textContext = context) {
+    /** @param {DirectiveValue|null} directive */
+    const resolve = directive => resolveTarget(directive, context);
+
+    directives.attributeDirectives.forEach(resolve);
+    directives.propertyDirectives.forEach(resolve);
+    directives.behaviorDirectives.forEach(resolve);
+    directives.eventDirectives.forEach(resolve);
+    resolve(directives.modelDirective);
+
+    if (directives.classDirective) {
+        directives.classDirective.reactiveClasses.forEach(resolve);
+        resolve(directives.classDirective.computedClass);
+    }
+
+    if (directives.forDirective && !directives.forDirective.range) {
+        resolve(directives.forDirective.source);
+    }
+
+    if (directives.ifDirective) {
+        directives.ifDirective.branches.forEach(branch => resolve(branch.condition));
+    }
+
+    directives.textDirectives.forEach(text =>
+        text.bindings.forEach(directive => resolveTarget(directive, textContext))
+    );
+
+    // Custom results are opaque, only the DirectiveValues they hold directly are resolved
+    directives.custom.forEach(result => {
+        if (result instanceof DirectiveValue) resolve(result);
+        else if (result instanceof Map || Array.isArray(result)) {
+            result.forEach(item => item instanceof DirectiveValue && resolve(item));
+        }
+    });
+}
@@ -1,7 +1,15 @@
 // @ts-check
 
 import test from 'ava';
-import { parseModifiersString, parseDirectiveValue, parseDirectives } from './utils.js';
+import {
+    parseModifiersString,
+    parseDirectiveValue,
+    parseDirectives,
+    isDirectiveAttribute,
+    hasDirectives,
+    getScopePath,
+    findCustomDirective,
+} from './utils.js';
 import { DirectiveValue } from '../directive-value.js';
 import { ParsedDirectives } from '../parsed-directives.js';
 import { Window } from 'happy-dom';
@@ -194,6 +202,151 @@ test('parseDirectiveValue: numeric target parts', t => {
     t.deepEqual(result.targetParts, ['items', '0', 'name']);
 });
 
+test('parseDirectiveValue: quoted arguments may contain separators', t => {
+    const result = parseDirectiveValue("price#format('0,0.00', '#')#clamp(-1.5, 2)");
+    t.is(result.target, 'price');
+    t.deepEqual(result.eventModifiers.get('format'), ['0,0.00', '#']);
+    t.deepEqual(result.eventModifiers.get('clamp'), [-1.5, 2]);
+});
+
+test('parseDirectiveValue: modifier offsets point into the original value', t => {
+    const value = '  name#trim';
+    const [trim] = parseDirectiveValue(value).modifiers;
+    t.is(value.slice(trim.start, trim.end), '#trim');
+});
+
+test('parseDirectiveValue: syntax errors are reported with their position', t => {
+    const warnings = captureWarnings(() => parseDirectiveValue('name#debounce(300'));
+    t.deepEqual(warnings, ['Missing ")" for "(" at 13 in directive value: "name#debounce(300"']);
+});
+
+test('parseDirectiveValue: a leading = parses an expression', t => {
+    const value = " =menu.open ? 'a#b' : 'c'#debounce(50)";
+    const result = parseDirectiveValue(value);
+
+    t.is(result.target, '');
+    t.is(result.expression?.type, 'Conditional');
+    t.deepEqual(result.dependencies, [['menu', 'open']]);
+    t.deepEqual(result.eventModifiers.get('debounce'), [50]);
+    t.is(value.slice(result.modifiers[0].start, result.modifiers[0].end), '#debounce(50)');
+});
+
+test('parseDirectiveValue: expression errors are reported', t => {
+    const warnings = captureWarnings(() => parseDirectiveValue('=window.open()'));
+    t.deepEqual(warnings, [
+        'Function calls are not allowed in expressions at 12 in directive value: "=window.open()"',
+    ]);
+});
+
+test('parseDirectives: expressions are rejected on data-m and data-on-*', t => {
+    const input = document.createElement('input');
+    input.setAttribute('data-m', '=a || b');
+    input.setAttribute('data-on-click', '=!open');
+
+    /** @type {ParsedDirectives} */
+    let result = new ParsedDirectives();
+    const warnings = captureWarnings(() => (result = parseDirectives(/** @type {any} */ (input))));
+
+    t.is(result.modelDirective, null);
+    t.is(result.eventDirectives.size, 0);
+    t.is(warnings.length, 2);
+});
+
+test('parseDirectiveValue: formatter pipes after a target or an expression', t => {
+    const result = parseDirectiveValue("order.total | currency('EUR') | default('-')#once");
+
+    t.is(result.target, 'order.total');
+    t.deepEqual(
+        result.pipes.map(pipe => [pipe.name, pipe.args]),
+        [
+            ['currency', ['EUR']],
+            ['default', ['-']],
+        ]
+    );
+    t.true(result.eventModifiers.has('once'));
+
+    const value = "=price ?? 0 | number(2)";
+    const expression = parseDirectiveValue(value);
+    t.is(expression.expression?.type, 'Logical');
+    t.is(value.slice(expression.pipes[0].start, expression.pipes[0].end), '| number(2)');
+});
+
+test('parseDirectives: pipes are ignored with a warning on data-m and data-on-*', t => {
+    const input = document.createElement('input');
+    input.setAttribute('data-m', 'price | number');
+    input.setAttribute('data-on-click', 'save | uppercase');
+
+    /** @type {ParsedDirectives} */
+    let result = new ParsedDirectives();
+    const warnings = captureWarnings(() => (result = parseDirectives(/** @type {any} */ (input))));
+
+    t.is(result.modelDirective?.target, 'price');
+    t.is(result.eventDirectives.get('click')?.target, 'save');
+    t.is(warnings.length, 2);
+});
+
+test('parseDirectiveValue: a backtick value is a template literal', t => {
+    const value = "`/users/${user.id}/edit?tab=${tab | default('info')}` | lowercase#once";
+    const result = parseDirectiveValue(value);
+    const [prefix, id, middle, tab] = /** @type {any[]} */ (result.template);
+
+    t.is(result.target, '');
+    t.is(prefix, '/users/');
+    t.deepEqual(id.dependencies, [['user', 'id']]);
+    t.is(middle, '/edit?tab=');
+    t.deepEqual(tab.pipes[0].args, ['info']);
+    t.deepEqual(result.dependencies, [['user', 'id'], ['tab']]);
+    t.is(value.slice(result.pipes[0].start, result.pipes[0].end), '| lowercase');
+    t.true(result.eventModifiers.has('once'));
+});
+
+test('parseDirectiveValue: a value with {{ }} placeholders is a template', t => {
+    const result = parseDirectiveValue('card card--{{ size }} {{ =active ? "on" : "" }}');
+    const segments = /** @type {any[]} */ (result.template);
+
+    t.is(segments[0], 'card card--');
+    t.is(segments[1].target, 'size');
+    t.is(segments[3].expression?.type, 'Conditional');
+    t.deepEqual(result.dependencies, [['size'], ['active']]);
+    t.is(parseDirectiveValue('[[ size ]]', ['[[', ']]']).template?.length, 1);
+    t.is(parseDirectiveValue('user.name').template, null);
+});
+
+test('parseDirectiveValue: template errors are reported', t => {
+    let warnings = captureWarnings(() => parseDirectiveValue('`/users/${user.id`'));
+    t.deepEqual(warnings, ['Missing "}" for "${" at 8 in directive value: "`/users/${user.id`"']);
+
+    warnings = captureWarnings(() => parseDirectiveValue('`a` b'));
+    t.deepEqual(warnings, ['Unexpected characters in directive value after template: "b"']);
+});
+
+test('parseDirectives: templates are rejected on data-m and data-on-*', t => {
+    const input = document.createElement('input');
+    input.setAttribute('data-m', '`${a}`');
+    input.setAttribute('data-on-click', 'save{{ id }}');
+
+    /** @type {ParsedDirectives} */
+    let result = new ParsedDirectives();
+    const warnings = captureWarnings(() => (result = parseDirectives(/** @type {any} */ (input))));
+
+    t.is(result.modelDirective, null);
+    t.is(result.eventDirectives.size, 0);
+    t.is(warnings.length, 2);
+});
+
+test('parseDirectives: checks the modifiers of template bindings', t => {
+    const element = document.createElement('a');
+    element.setAttribute('data-a-href', '`/u/${id#debunce(10)}`');
+
+    /** @type {ParsedDirectives} */
+    let result = new ParsedDirectives();
+    captureWarnings(() => (result = parseDirectives(/** @type {any} */ (element))));
+
+    t.is(result.attributeDirectives.get('href')?.template?.length, 2);
+    t.is(result.diagnostics.length, 1);
+    t.is(result.diagnostics[0].code, 'unknown-modifier');
+});
+
 test('parseDirectiveValue: camelCase target', t => {
     const result = parseDirectiveValue('firstName');
     t.is(result.target, 'firstName');
@@ -258,6 +411,34 @@ test('parseDirectives: parses behavior directives', t => {
     t.true(result.behaviorDirectives.has('submit'));
 });
 
+test('parseDirectives: parses event directives', t => {
+    const element = /** @type {HTMLFormElement} */ (
+        /** @type {any} */ (document.createElement('form'))
+    );
+    element.setAttribute('data-on-submit', 'form.save#prevent');
+    element.setAttribute('data-on-keydown', 'form.cancel#key(Escape)');
+
+    const result = parseDirectives(element);
+
+    t.is(result.eventDirectives.size, 2);
+    t.is(result.eventDirectives.get('submit').target, 'form.save');
+    t.true(result.eventDirectives.get('submit').eventModifiers.has('prevent'));
+    t.deepEqual(result.eventDirectives.get('keydown').eventModifiers.get('key'), ['Escape']);
+    t.true(isDirectiveAttribute('data-on-click'));
+});
+
+test('parseDirectives: parses ref directive name', t => {
+    const element = /** @type {HTMLInputElement} */ (
+        /** @type {any} */ (document.createElement('input'))
+    );
+    element.setAttribute('data-ref', ' searchInput ');
+
+    const result = parseDirectives(element);
+
+    t.is(result.refName, 'searchInput');
+    t.true(hasDirectives(element));
+});
+
 test('parseDirectives: parses model directive', t => {
     const element = /** @type {HTMLInputElement} */ (
         /** @type {any} */ (document.createElement('input'))
@@ -394,6 +575,82 @@ test('parseDirectives: radio input supports model directive', t => {
     t.truthy(result.modelDirective);
 });
 
+// ============================================================================
+// isDirectiveAttribute / hasDirectives Tests
+// ============================================================================
+
+test('isDirectiveAttribute: recognizes all directive families', t => {
+    t.true(isDirectiveAttribute('data-a-title'));
+    t.true(isDirectiveAttribute('data-p-textcontent'));
+    t.true(isDirectiveAttribute('data-b-show'));
+    t.true(isDirectiveAttribute('data-m'));
+    t.true(isDirectiveAttribute('data-c'));
+    t.true(isDirectiveAttribute('data-c-active'));
+});
+
+test('isDirectiveAttribute: ignores other data attributes', t => {
+    t.false(isDirectiveAttribute('data-mode'));
+    t.false(isDirectiveAttribute('data-count'));
+    t.false(isDirectiveAttribute('id'));
+    t.false(isDirectiveAttribute('class'));
+});
+
+test('hasDirectives: detects directive attributes on element', t => {
+    const plain = document.createElement('div');
+    plain.setAttribute('data-mode', 'dark');
+    const bound = document.createElement('div');
+    bound.setAttribute('data-b-text', 'message');
+
+    t.false(hasDirectives(/** @type {any} */ (plain)));
+    t.true(hasDirectives(/** @type {any} */ (bound)));
+});
+
+test('hasDirectives: detects placeholders in child text', t => {
+    const element = document.createElement('p');
+    element.innerHTML = 'Hello, <b>{{ name }}</b>';
+
+    t.false(hasDirectives(/** @type {any} */ (element)));
+    t.true(hasDirectives(/** @type {any} */ (element.querySelector('b'))));
+    t.false(hasDirectives(/** @type {any} */ (element.querySelector('b')), ['[[', ']]']));
+});
+
+test('parseDirectives: checks the modifiers of text placeholders', t => {
+    const element = document.createElement('p');
+    element.textContent = 'Hi {{ name#debunce(10) }}';
+
+    /** @type {ParsedDirectives} */
+    let result = new ParsedDirectives();
+    const warnings = captureWarnings(() => (result = parseDirectives(/** @type {any} */ (element))));
+
+    t.is(result.textDirectives.length, 1);
+    t.is(result.diagnostics[0].kind, 'text');
+    t.deepEqual(warnings, [
+        'Unknown modifier "#debunce" in text "Hi {{ name#debunce(10) }}". Did you mean "#debounce"?',
+    ]);
+});
+
+test('parseDirectives: built-in families take precedence over custom ones', t => {
+    const element = document.createElement('div');
+    element.setAttribute('data-a-title', 'title');
+    element.setAttribute('data-track-view', 'page');
+    /** @type {import('./utils.js').CustomDirective[]} */
+    const customDirectives = [
+        {
+            name: 'track',
+            prefix: 'data-track-',
+            parse: value => value.toUpperCase(),
+            merge: (result = [], parsed, suffix) => [...result, `${suffix}:${parsed}`],
+        },
+    ];
+
+    const result = parseDirectives(/** @type {any} */ (element), null, { customDirectives });
+
+    t.is(result.attributeDirectives.get('title')?.target, 'title');
+    t.deepEqual(result.custom.get('track'), ['view:PAGE']);
+    t.is(findCustomDirective('data-track-click', customDirectives), customDirectives[0]);
+    t.is(findCustomDirective('data-a-track', customDirectives), null);
+});
+
 // ============================================================================
 // Integration Tests
 // ============================================================================
@@ -459,3 +716,116 @@ test('integration: directive with complex modifier arguments', t => {
     t.is(custom[0], 'email');
     t.is(custom[1], 'required');
 });
+
+// ============================================================================
+// Modifier Diagnostics Tests
+// ============================================================================
+
+/**
+ * Runs a callback while collecting console warnings.
+ * @param {() => void} fn
+ * @returns {string[]}
+ */
+function captureWarnings(fn) {
+    /** @type {string[]} */
+    const warnings = [];
+    const original = console.warn;
+    console.warn = message => warnings.push(String(message));
+    try {
+        fn();
+    } finally {
+        console.warn = original;
+    }
+    return warnings;
+}
+
+test('parseDirectives: valid modifiers produce no diagnostics', t => {
+    const input = document.createElement('input');
+    input.setAttribute('data-m', 'query#debounce(300)#trim');
+    input.setAttribute('data-on-keydown', 'search#key("Enter")#prevent');
+
+    /** @type {ParsedDirectives} */
+    let result = new ParsedDirectives();
+    const warnings = captureWarnings(() => (result = parseDirectives(/** @type {any} */ (input))));
+
+    t.deepEqual(result.diagnostics, []);
+    t.deepEqual(warnings, []);
+});
+
+test('parseDirectives: reports misspelled and misused modifiers', t => {
+    const input = document.createElement('input');
+    input.setAttribute('data-m', 'query#debunce(300)');
+    input.setAttribute('data-a-title', 'hint#prevent');
+    input.setAttribute('data-c-active', "selected#throttle('x')");
+
+    /** @type {ParsedDirectives} */
+    let result = new ParsedDirectives();
+    const warnings = captureWarnings(() => (result = parseDirectives(/** @type {any} */ (input))));
+
+    const byCode = Object.fromEntries(result.diagnostics.map(d => [d.code, d]));
+    t.is(result.diagnostics.length, 3);
+    t.is(byCode['unknown-modifier'].source, 'data-m="query#debunce(300)"');
+    t.is(byCode['unknown-modifier'].suggestion, 'debounce');
+    t.is(byCode['invalid-kind'].kind, 'attribute');
+    t.is(byCode['invalid-argument'].source, 'data-c-active="selected#throttle(\'x\')"');
+    t.deepEqual(
+        warnings,
+        result.diagnostics.map(d => d.message)
+    );
+});
+
+test('parseDirectives: checks the conditions of a data-if chain', t => {
+    const root = document.createElement('div');
+    root.innerHTML =
+        '<template data-if="ready"></template><template data-else-if="loading#lazy"></template>';
+
+    /** @type {ParsedDirectives} */
+    let result = new ParsedDirectives();
+    captureWarnings(() => (result = parseDirectives(/** @type {any} */ (root.firstElementChild))));
+
+    t.is(result.diagnostics.length, 1);
+    t.is(result.diagnostics[0].code, 'invalid-kind');
+    t.is(result.diagnostics[0].source, 'data-else-if="loading#lazy"');
+});
+
+test('parseDirectives: diagnostics carry the offsets of the modifier', t => {
+    const input = document.createElement('input');
+    input.setAttribute('data-m', 'query#trim#debunce(300)');
+
+    /** @type {ParsedDirectives} */
+    let result = new ParsedDirectives();
+    captureWarnings(() => (result = parseDirectives(/** @type {any} */ (input))));
+
+    const [diagnostic] = result.diagnostics;
+    t.is('query#trim#debunce(300)'.slice(diagnostic.start, diagnostic.end), '#debunce(300)');
+});
+
+// ============================================================================
+// getScopePath() Tests
+// ============================================================================
+
+test('getScopePath: combines nested scopes from the outside in', t => {
+    const root = document.createElement('div');
+    root.innerHTML =
+        '<form data-scope="checkout"><fieldset data-scope="shipping.address"><input></fieldset></form>';
+
+    t.deepEqual(getScopePath(/** @type {any} */ (root.querySelector('input'))), [
+        'checkout',
+        'shipping',
+        'address',
+    ]);
+    t.deepEqual(getScopePath(/** @type {any} */ (root.querySelector('fieldset'))), ['checkout']);
+    t.deepEqual(getScopePath(/** @type {any} */ (root.querySelector('fieldset')), true), [
+        'checkout',
+        'shipping',
+        'address',
+    ]);
+    t.deepEqual(getScopePath(/** @type {any} */ (root)), []);
+});
+
+test('getScopePath: $root starts a scope from the top of the state', t => {
+    const root = document.createElement('div');
+    root.innerHTML = '<section data-scope="a"><div data-scope="$root.b"><input></div></section>';
+
+    t.deepEqual(getScopePath(/** @type {any} */ (root.querySelector('input'))), ['b']);
+});
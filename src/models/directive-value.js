@@ -1,6 +1,7 @@
 // @ts-check
 
 import { propertyNameToPath } from '../utils/properties.js';
+import { getExpressionPaths } from './directive-parser/expression.js';
 
 /**
  * Represents a parsed directive value.
@@ -10,8 +11,28 @@ export class DirectiveValue {
     target = '';
     domProperty = '';
     event = '';
-    /** @type {Map<string, Array<string|number|boolean>>} */
-    eventModifiers = new Map();
+    /** @type {Map<string, Array<import('./directive-parser/tokenizer.js').ModifierArg>>} */
+    eventModifiers = new Map(); // name -> args, the last one wins for repeated modifiers
+    /** @type {import('./directive-parser/tokenizer.js').ModifierEntry[]} */
+    modifiers = []; // in written order, duplicates included, with offsets in the directive value
+    /** @type {import('./directive-parser/tokenizer.js').ModifierEntry[]} */
+    pipes = []; // formatter pipes in written order: order.total | currency('EUR')
+    /** @type {import('./directive-parser/expression.js').ExpressionNode|null} */
+    expression = null; // AST of an `=` expression value, used instead of `target`
+    /** @type {import('./text-directive-value.js').TextSegment[]|null} */
+    template = null; // static text and bindings of a template value: `/users/${user.id}`, used instead of `target`
+
+    /**
+     * Adds a modifier to both the ordered list and the `eventModifiers` map.
+     * @param {string} name
+     * @param {Array<import('./directive-parser/tokenizer.js').ModifierArg>} [args]
+     * @param {number} [start] - Offset of the `#` in the directive value
+     * @param {number} [end] - Offset after the modifier
+     */
+    addModifier(name, args = [], start = -1, end = -1) {
+        this.modifiers.push({ name, args, start, end });
+        this.eventModifiers.set(name, args);
+    }
 
     /** @type {string[]} */
     get targetParts() {
@@ -22,4 +43,34 @@ export class DirectiveValue {
     get domPropertyParts() {
         return propertyNameToPath(this.domProperty);
     }
+
+    /**
+     * Adds a formatter pipe.
+     * @param {string} name
+     * @param {Array<import('./directive-parser/tokenizer.js').ModifierArg>} [args]
+     * @param {number} [start] - Offset of the `|` in the directive value
+     * @param {number} [end] - Offset after the pipe
+     */
+    addPipe(name, args = [], start = -1, end = -1) {
+        this.pipes.push({ name, args, start, end });
+    }
+
+    /**
+     * Paths the directive reads: the paths of the template bindings or of the expression,
+     * otherwise the target.
+     * @type {string[][]}
+     */
+    get dependencies() {
+        if (this.template) {
+            /** @type {Map<string, string[]>} */
+            const paths = new Map(); // joined path -> path, each path once
+            for (const segment of this.template) {
+                if (typeof segment === 'string') continue;
+                for (const path of segment.dependencies) paths.set(path.join('.'), path);
+            }
+            return [...paths.values()];
+        }
+        if (this.expression) return getExpressionPaths(this.expression);
+        return this.target ? [this.targetParts] : [];
+    }
 }
@@ -187,3 +187,36 @@ test('DirectiveValue: independent instances do not share state', t => {
     t.is(dv2.eventModifiers.size, 0);
     t.not(dv1.eventModifiers, dv2.eventModifiers);
 });
+
+test('DirectiveValue: addModifier keeps order and duplicates in modifiers', t => {
+    const dv = new DirectiveValue();
+
+    dv.addModifier('delay', [10], 4, 14);
+    dv.addModifier('trim');
+    dv.addModifier('delay', [20]);
+
+    t.deepEqual(
+        dv.modifiers.map(m => [m.name, m.args, m.start, m.end]),
+        [
+            ['delay', [10], 4, 14],
+            ['trim', [], -1, -1],
+            ['delay', [20], -1, -1],
+        ]
+    );
+    t.deepEqual([...dv.eventModifiers.keys()], ['delay', 'trim']);
+    t.deepEqual(dv.eventModifiers.get('delay'), [20]);
+});
+
+test('DirectiveValue: dependencies of a template are the paths of its bindings, each once', t => {
+    const first = new DirectiveValue();
+    first.target = 'user.id';
+    const second = new DirectiveValue();
+    second.target = 'user.id';
+    const third = new DirectiveValue();
+    third.target = 'tab';
+
+    const dv = new DirectiveValue();
+    dv.template = ['/users/', first, '/', second, '?tab=', third];
+
+    t.deepEqual(dv.dependencies, [['user', 'id'], ['tab']]);
+});
@@ -0,0 +1,19 @@
+// @ts-check
+
+import { DirectiveValue } from './directive-value.js';
+
+/**
+ * Represents a parsed list directive.
+ * Used for `<template data-for="item in todos" data-key="item.id">`.
+ */
+export class ForDirectiveValue {
+    itemName = ''; // item in todos
+    keyName = ''; // (item, key) in todos - array index, Map key or object property name
+    indexName = ''; // (item, key, index) in todos - position in iteration order
+    /** @type {DirectiveValue} */
+    source = new DirectiveValue(); // todos
+    /** @type {{ start: number, end: number }|null} */
+    range = null; // item in 1..5 (inclusive)
+    /** @type {DirectiveValue|null} */
+    key = null; // data-key="item.id"
+}
@@ -1,31 +1,101 @@
 // @ts-check
 
 import { getPropertyValue, propertyNameToPath } from '../utils/properties.js';
+import { ROOT_SCOPE, SKIP_ATTRIBUTE } from './directive-parser/constants.js';
+import { applyFormatters } from '../utils/formatters.js';
 
 export class HandlerContext {
     /**
      * Constructor for HandlerContext.
      * @param {Object} state
-     * @param {{ config ?: Object, signal?: AbortSignal|null }} options
+     * @param {{ config ?: Object, signal?: AbortSignal|null, refs?: Record<string, Element|Element[]>, skipAttribute?: string }} options
      */
-    constructor(state, { config  = {}, signal = null }) {
+    constructor(state, { config  = {}, signal = null, refs = {}, skipAttribute = SKIP_ATTRIBUTE }) {
         this.state = state;
         this.signal = signal;
         this.config  = config ;
+        /** @type {Record<string, Element|Element[]>} */
+        this.refs = refs; // data-ref name -> element, or elements inside data-for clones
+        this.skipAttribute = skipAttribute; // opt-out attribute of bindTree / observe, also applied to clones
         /** @type {Function[]} */
         this.unsubscribers = [];
+        /** @type {Record<string, *>} */
+        this.locals = {}; // name -> value, e.g. $index of a data-for clone
+        /** @type {Record<string, string[]>} */
+        this.aliases = {}; // name -> absolute path in state, e.g. item -> ["todos", "3"]
+        /** @type {string[]} */
+        this.scope = []; // path that relative targets are resolved against (data-scope)
     }
 
     /**
      * Get a value from the state object by path.
      * If the value is not found, return the default value.
+     * The path is resolved like a directive target (aliases, `data-scope`, `$root`),
+     * so handlers inside a `data-for` clone can read `item.title`.
+     * A path starting with a local name is read from that local instead of the state.
      * @param {string|string[]} path - Path to the value in the state object.
      * @param {*} defaultValue - Optional default value to return if the value is not found.
      * @returns {*} Value from the state object or the default value.
      */
     get(path, defaultValue = null) {
-        let p = Array.isArray(path) ? path : propertyNameToPath(path);
-        return getPropertyValue(this.state, p) ?? defaultValue;
+        const p = Array.isArray(path) ? path : propertyNameToPath(path);
+        return this.read(this.resolvePath(p), defaultValue);
+    }
+
+    /**
+     * Reads a path that is already resolved, such as `DirectiveValue.targetParts`.
+     * A path starting with a local name is read from that local instead of the state.
+     * @param {string[]} path - Absolute path in the state object
+     * @param {*} defaultValue - Optional default value to return if the value is not found.
+     * @returns {*} Value from the state object or the default value.
+     */
+    read(path, defaultValue = null) {
+        if (this.isLocalPath(path)) {
+            return getPropertyValue(this.locals[path[0]], path.slice(1)) ?? defaultValue;
+        }
+        return getPropertyValue(this.state, path) ?? defaultValue;
+    }
+
+    /**
+     * Passes a value through the formatter pipes of a directive (`| currency('EUR')`).
+     * Formatters read the locale from `config.locale`.
+     * @param {*} value
+     * @param {Array<{ name: string, args: Array<*> }>} pipes
+     * @returns {*} The formatted value, `value` itself without pipes
+     */
+    format(value, pipes) {
+        return pipes.length > 0 ? applyFormatters(value, pipes, this) : value;
+    }
+
+    /**
+     * Checks if a path starts with a local name.
+     * @param {string[]} path
+     * @returns {boolean}
+     */
+    isLocalPath(path) {
+        return path.length > 0 && Object.prototype.hasOwnProperty.call(this.locals, path[0]);
+    }
+
+    /**
+     * Resolves a directive path to an absolute state path:
+     * a leading `$root` is dropped, a leading alias is replaced with the path it stands for,
+     * and other paths are prefixed with the scope. Paths starting with a local are kept.
+     * The same array is returned when nothing changes.
+     * @param {string[]} path
+     * @returns {string[]} The resolved path
+     */
+    resolvePath(path) {
+        if (path.length === 0) return path;
+
+        const head = path[0];
+        if (head === ROOT_SCOPE) return path.slice(1);
+        if (Object.prototype.hasOwnProperty.call(this.locals, head)) return path;
+        if (Object.prototype.hasOwnProperty.call(this.aliases, head)) {
+            return [...this.aliases[head], ...path.slice(1)];
+        }
+        if (this.scope.length > 0) return [...this.scope, ...path];
+
+        return path;
     }
 
     /**
@@ -50,14 +120,55 @@ export class HandlerContext {
         return cleanupFn;
     }
 
+    /**
+     * Creates a child context that shares state, config, signal, refs and the skip attribute.
+     * The child inherits locals and aliases; the given ones are added on top
+     * and shadow inherited names.
+     * The child is disposed together with this context, but can also be disposed on its own.
+     * @param {{ locals?: Record<string, *>, aliases?: Record<string, string[]> }} [scope]
+     * @returns {HandlerContext} The child context.
+     */
+    createChild({ locals = {}, aliases = {} } = {}) {
+        const child = new HandlerContext(this.state, {
+            config: this.config,
+            signal: this.signal,
+            refs: this.refs,
+            skipAttribute: this.skipAttribute,
+        });
+
+        child.scope = this.scope;
+        child.locals = { ...this.locals };
+        child.aliases = { ...this.aliases };
+        for (const name of Object.keys(locals)) {
+            delete child.aliases[name];
+            child.locals[name] = locals[name];
+        }
+        for (const name of Object.keys(aliases)) {
+            delete child.locals[name];
+            child.aliases[name] = aliases[name];
+        }
+
+        const disposeChild = () => child.dispose();
+        this.addCleanup(disposeChild);
+
+        // A child disposed on its own no longer needs to be disposed by the parent
+        child.addCleanup(() => {
+            const index = this.unsubscribers.indexOf(disposeChild);
+            if (index !== -1) this.unsubscribers.splice(index, 1);
+        });
+
+        return child;
+    }
+
     dispose() {
-        this.unsubscribers.forEach(fn => {
+        const unsubscribers = this.unsubscribers;
+        this.unsubscribers = [];
+        unsubscribers.forEach(fn => {
             try {
                 fn();
             } catch (error) {
                 console.warn('Error during cleanup:', error);
             }
         });
-        this.unsubscribers = [];
     }
 }
@@ -392,3 +392,146 @@ test('integration: cleanup with active abort signal', t => {
     context.dispose();
     t.is(cleanupCount, 1);
 });
+
+// ============================================================================
+// createChild() Tests
+// ============================================================================
+
+test('HandlerContext.createChild: shares state, config and signal', t => {
+    const state = { a: 1 };
+    const config = { debug: true };
+    const controller = new AbortController();
+    const context = new HandlerContext(state, { config, signal: controller.signal });
+
+    const child = context.createChild();
+
+    t.not(child, context);
+    t.is(child.state, state);
+    t.is(child.config, config);
+    t.is(child.signal, controller.signal);
+    t.is(child.get('a'), 1);
+});
+
+test('HandlerContext.createChild: child is disposed with parent', t => {
+    const context = new HandlerContext({}, {});
+    const child = context.createChild();
+    let called = false;
+    child.addCleanup(() => (called = true));
+
+    context.dispose();
+
+    t.true(called);
+});
+
+test('HandlerContext.createChild: disposing child does not dispose parent', t => {
+    const context = new HandlerContext({}, {});
+    const child = context.createChild();
+    let parentCalled = false;
+    context.addCleanup(() => (parentCalled = true));
+
+    child.dispose();
+
+    t.false(parentCalled);
+});
+
+test('HandlerContext.createChild: disposed child is released by parent', t => {
+    const context = new HandlerContext({}, {});
+    const child = context.createChild();
+    const before = context.unsubscribers.length;
+
+    child.dispose();
+
+    t.is(context.unsubscribers.length, before - 1);
+});
+
+// ============================================================================
+// Locals and Aliases Tests
+// ============================================================================
+
+test('HandlerContext.createChild: locals are read before state', t => {
+    const context = new HandlerContext({ item: 'state', other: 2 }, {});
+    const child = context.createChild({ locals: { item: { title: 'local' } } });
+
+    t.deepEqual(child.get('item'), { title: 'local' });
+    t.is(child.get('item.title'), 'local');
+    t.is(child.get('other'), 2);
+    t.is(context.get('item'), 'state');
+});
+
+test('HandlerContext.createChild: inherits locals and aliases', t => {
+    const context = new HandlerContext({}, {});
+    const child = context.createChild({ locals: { a: 1 }, aliases: { b: ['list', '0'] } });
+    const grandChild = child.createChild({ locals: { c: 3 } });
+
+    t.is(grandChild.get('a'), 1);
+    t.is(grandChild.get('c'), 3);
+    t.deepEqual(grandChild.resolvePath(['b', 'name']), ['list', '0', 'name']);
+});
+
+test('HandlerContext.createChild: a local hides an inherited alias and vice versa', t => {
+    const context = new HandlerContext({}, {});
+    const child = context.createChild({ aliases: { item: ['list', '0'] } });
+    const grandChild = child.createChild({ locals: { item: 'value' } });
+    const greatGrandChild = grandChild.createChild({ aliases: { item: ['list', '1'] } });
+
+    t.true(grandChild.isLocalPath(['item']));
+    t.deepEqual(grandChild.resolvePath(['item']), ['item']);
+    t.false(greatGrandChild.isLocalPath(['item']));
+    t.deepEqual(greatGrandChild.resolvePath(['item']), ['list', '1']);
+});
+
+test('HandlerContext.resolvePath: returns the same path when no alias matches', t => {
+    const context = new HandlerContext({}, {});
+    const path = ['user', 'name'];
+
+    t.is(context.resolvePath(path), path);
+    t.false(context.isLocalPath(path));
+});
+
+test('HandlerContext.resolvePath: prefixes relative paths with the scope', t => {
+    const context = new HandlerContext({}, {});
+    context.scope = ['checkout', 'address'];
+    const child = context.createChild({ locals: { $index: 0 }, aliases: { item: ['list', '0'] } });
+
+    t.deepEqual(child.resolvePath(['city']), ['checkout', 'address', 'city']);
+    t.deepEqual(child.resolvePath(['$root', 'user', 'name']), ['user', 'name']);
+    t.deepEqual(child.resolvePath(['item', 'title']), ['list', '0', 'title']);
+    t.deepEqual(child.resolvePath(['$index']), ['$index']);
+});
+
+test('HandlerContext.get: resolves aliases and the scope, read takes resolved paths', t => {
+    const state = {
+        list: [{ title: 'first' }],
+        checkout: { address: { city: 'Oslo' } },
+        user: 'Sam',
+    };
+    const context = new HandlerContext(state, {});
+    context.scope = ['checkout', 'address'];
+    const child = context.createChild({ locals: { $index: 0 }, aliases: { item: ['list', '0'] } });
+
+    t.deepEqual(child.get('item'), { title: 'first' });
+    t.is(child.get('item.title'), 'first');
+    t.is(child.get('city'), 'Oslo');
+    t.is(child.get('$root.user'), 'Sam');
+    t.is(child.get('$index'), 0);
+    t.is(child.read(['checkout', 'address', 'city']), 'Oslo');
+    t.is(child.read(['$index']), 0);
+});
+
+// ============================================================================
+// format() Method Tests
+// ============================================================================
+
+test('HandlerContext.format: applies pipes with the configured locale', t => {
+    const context = new HandlerContext({}, { config: { locale: 'de-DE' } });
+
+    t.is(context.format(1234.5, [{ name: 'number', args: [] }]), '1.234,5');
+    t.is(context.format(null, [{ name: 'default', args: ['-'] }]), '-');
+});
+
+test('HandlerContext.format: returns the value itself without pipes', t => {
+    const context = new HandlerContext({}, {});
+    const value = { a: 1 };
+
+    t.is(context.format(value, []), value);
+});
@@ -0,0 +1,378 @@
+// @ts-check
+
+import { HandlerContext } from './handler-context.js';
+import { ForDirectiveValue } from './for-directive-value.js';
+import { TemplateInstance } from './template-instance.js';
+import { getPropertyValue } from '../utils/properties.js';
+
+/**
+ * @typedef {Object} ListItem
+ * @property {*} value - The item
+ * @property {*} key - Array index, Map key, object property name, or the value itself for Sets and ranges
+ * @property {number} index - Position in iteration order
+ * @property {string|null} pathKey - Property name of the item under the source path,
+ * or null when the item cannot be addressed by a path (Map, Set, range, other iterables)
+ */
+
+/**
+ * @typedef {Object} ListScope
+ * @property {Record<string, *>} locals
+ * @property {Record<string, string[]>} aliases
+ */
+
+/**
+ * @typedef {Object} ListEntry
+ * @property {*} key
+ * @property {ListScope} scope
+ * @property {TemplateInstance} instance
+ */
+
+/**
+ * Lists the items of a collection for list rendering.
+ * Supports arrays, Maps, Sets, plain objects (entries), numbers (1..n) and other iterables.
+ * @param {*} collection
+ * @returns {ListItem[]}
+ */
+export function iterateCollection(collection) {
+    if (collection === null || collection === undefined) return [];
+
+    if (Array.isArray(collection)) {
+        /** @type {ListItem[]} */
+        const result = [];
+        for (let index = 0; index < collection.length; index++) {
+            // Holes appear while an array is being spliced
+            if (!(index in collection)) continue;
+            result.push({ value: collection[index], key: index, index, pathKey: String(index) });
+        }
+        return result;
+    }
+
+    if (collection instanceof Map) {
+        return Array.from(collection, ([key, value], index) => ({
+            value,
+            key,
+            index,
+            pathKey: null,
+        }));
+    }
+
+    if (typeof collection === 'number') {
+        return iterateRange(1, collection);
+    }
+
+    if (typeof collection !== 'string' && typeof collection[Symbol.iterator] === 'function') {
+        // Set values are unique, so they are their own keys
+        const isSet = collection instanceof Set;
+        return Array.from(collection, (value, index) => ({
+            value,
+            key: isSet ? value : index,
+            index,
+            pathKey: null,
+        }));
+    }
+
+    if (typeof collection === 'object') {
+        return Object.keys(collection).map((key, index) => ({
+            value: collection[key],
+            key,
+            index,
+            pathKey: key,
+        }));
+    }
+
+    return [];
+}
+
+/**
+ * Lists the numbers from `start` to `end` inclusive, counting down if `end` is less than `start`.
+ * @param {number} start
+ * @param {number} end
+ * @returns {ListItem[]}
+ */
+export function iterateRange(start, end) {
+    /** @type {ListItem[]} */
+    const result = [];
+    const step = start <= end ? 1 : -1;
+    for (
+        let value = start, index = 0;
+        step > 0 ? value <= end : value >= end;
+        value += step, index++
+    ) {
+        result.push({ value, key: value, index, pathKey: null });
+    }
+    return result;
+}
+
+/**
+ * Checks if two scopes expose the same values and paths.
+ * @param {ListScope} a
+ * @param {ListScope} b
+ * @returns {boolean}
+ */
+function isSameScope(a, b) {
+    const localNames = Object.keys(a.locals);
+    const aliasNames = Object.keys(a.aliases);
+    if (localNames.length !== Object.keys(b.locals).length) return false;
+    if (aliasNames.length !== Object.keys(b.aliases).length) return false;
+
+    return (
+        localNames.every(name => Object.is(a.locals[name], b.locals[name])) &&
+        aliasNames.every(
+            name => b.aliases[name] && a.aliases[name].join('\0') === b.aliases[name].join('\0')
+        )
+    );
+}
+
+/**
+ * Renders a `<template data-for>` once per item and keeps the clones in sync with the collection.
+ * Clones are inserted after the template, reused and moved by key, and removed when their key is gone.
+ * A comment (`<!--/data-for-->`) marks the end of the list, so nodes rendered by nested structural
+ * directives at the top level of a clone move together with it.
+ * Each clone is bound with a child HandlerContext exposing the item, `$index` and the optional
+ * key/index names. Items that live under the source path (array elements, object entries) are
+ * exposed as aliases, so their bindings subscribe to real state paths such as `todos.3.title`;
+ * other items are exposed as locals.
+ *
+ * @example
+ * const renderer = new ListRenderer(bridge, template, directive, context);
+ * renderer.update(todos); // call again whenever the collection changes
+ * renderer.schedule(todos); // or batch the changes of one mutation into one update
+ * renderer.dispose();
+ */
+export class ListRenderer {
+    /**
+     * @param {import('./template-instance.js').TemplateBridge} bridge - Bridge used to bind the elements of each clone
+     * @param {Element} template - The `<template data-for>` element
+     * @param {ForDirectiveValue} directive
+     * @param {HandlerContext} context - Context of the template element
+     */
+    constructor(bridge, template, directive, context) {
+        this.bridge = bridge;
+        this.template = template;
+        this.directive = directive;
+        this.context = context;
+
+        /** @type {Map<*, ListEntry>} */
+        this.entries = new Map(); // key -> ListEntry
+
+        /** @type {Map<Node, ListEntry>} */
+        this.starts = new Map(); // first node of a clone -> ListEntry
+
+        /** @type {Comment|null} */
+        this.end = null;
+
+        this.rendered = false;
+
+        /** @type {{ collection: * }|null} */
+        this.pendingUpdate = null;
+    }
+
+    /**
+     * Reconciles the clones with the collection: at once on the first call, in a microtask after.
+     * Array methods such as `splice`, `unshift` or `sort` write one index at a time and the state
+     * notifies after each write; batching renders only the finished array, so keyed clones are
+     * moved instead of being reported as duplicates and recreated.
+     * @param {*} collection
+     */
+    schedule(collection) {
+        if (!this.rendered) {
+            this.update(collection);
+            return;
+        }
+
+        const scheduled = this.pendingUpdate !== null;
+        this.pendingUpdate = { collection };
+        if (scheduled) return;
+
+        queueMicrotask(() => {
+            const pending = this.pendingUpdate;
+            this.pendingUpdate = null;
+            if (pending) this.update(pending.collection);
+        });
+    }
+
+    /**
+     * Reconciles the rendered clones with the collection.
+     * @param {*} collection - Ignored for range directives (`item in 1..5`)
+     */
+    update(collection) {
+        const parent = this.template.parentNode;
+        if (!parent) {
+            console.warn(
+                `Cannot render ${this.describe()}: template is not attached to a parent node`
+            );
+            return;
+        }
+
+        this.rendered = true;
+
+        if (!this.end) {
+            this.end = this.template.ownerDocument.createComment(`/${this.bridge.parser.prefixes.FOR}`);
+            parent.insertBefore(this.end, this.template.nextSibling);
+        }
+
+        const { range } = this.directive;
+        const items = range ? iterateRange(range.start, range.end) : iterateCollection(collection);
+        // Items of an expression or template source are not addressable in the state
+        const { source } = this.directive;
+        const sourcePath = range || source.expression || source.template ? null : source.targetParts;
+
+        /** @type {{ key: *, scope: ListScope }[]} */
+        const next = [];
+        const seen = new Set();
+
+        for (const item of items) {
+            const scope = this.createScope(item, sourcePath);
+            let key = this.computeKey(item, scope);
+
+            if (seen.has(key)) {
+                console.warn(`Duplicate key "${String(key)}" in ${this.describe()}`);
+                // A fresh object never matches an existing entry, so the clone is recreated
+                key = { duplicateOf: key, index: item.index };
+            }
+
+            seen.add(key);
+            next.push({ key, scope });
+        }
+
+        for (const [key, entry] of this.entries) {
+            if (!seen.has(key)) {
+                this.removeEntry(entry);
+                this.entries.delete(key);
+            }
+        }
+
+        /** @type {Node} */
+        let ref = this.template;
+
+        for (const { key, scope } of next) {
+            let entry = this.entries.get(key);
+
+            if (!entry) {
+                entry = { key, scope, instance: new TemplateInstance(this.template) };
+                entry.instance.insertBefore(parent, ref.nextSibling);
+                if (entry.instance.nodes.length > 0) {
+                    this.starts.set(entry.instance.nodes[0], entry);
+                }
+                entry.instance.bind(this.bridge, this.context.createChild(scope));
+                this.entries.set(key, entry);
+            } else {
+                const nodes = this.getNodes(entry);
+                if (nodes.length > 0 && ref.nextSibling !== nodes[0]) {
+                    const before = ref.nextSibling;
+                    for (const node of nodes) {
+                        parent.insertBefore(node, before);
+                    }
+                }
+                if (!isSameScope(entry.scope, scope)) {
+                    entry.scope = scope;
+                    entry.instance.bind(this.bridge, this.context.createChild(scope));
+                }
+            }
+
+            const nodes = this.getNodes(entry);
+            if (nodes.length > 0) {
+                ref = nodes[nodes.length - 1];
+            }
+        }
+    }
+
+    /**
+     * Removes all clones and disposes their bindings.
+     */
+    dispose() {
+        this.pendingUpdate = null;
+
+        for (const entry of this.entries.values()) {
+            this.removeEntry(entry);
+        }
+        this.entries.clear();
+
+        if (this.end && this.end.parentNode) {
+            this.end.parentNode.removeChild(this.end);
+        }
+        this.end = null;
+    }
+
+    /**
+     * Lists the nodes a clone currently occupies: its own nodes and the nodes rendered
+     * after them by nested structural directives, up to the next clone or the end of the list.
+     * @param {ListEntry} entry
+     * @returns {Node[]}
+     */
+    getNodes(entry) {
+        /** @type {Node[]} */
+        const nodes = [];
+        const first = entry.instance.nodes[0];
+
+        for (let node = first; node && node !== this.end; node = node.nextSibling) {
+            if (node !== first && this.starts.has(node)) break;
+            nodes.push(node);
+        }
+
+        return nodes;
+    }
+
+    /**
+     * Builds the locals and aliases a clone is bound with.
+     * @param {ListItem} item
+     * @param {string[]|null} sourcePath
+     * @returns {ListScope}
+     */
+    createScope(item, sourcePath) {
+        const { itemName, keyName, indexName } = this.directive;
+
+        /** @type {ListScope} */
+        const scope = { locals: { $index: item.index }, aliases: {} };
+
+        if (sourcePath && item.pathKey !== null) {
+            scope.aliases[itemName] = [...sourcePath, item.pathKey];
+        } else {
+            scope.locals[itemName] = item.value;
+        }
+
+        if (keyName) scope.locals[keyName] = item.key;
+        if (indexName) scope.locals[indexName] = item.index;
+
+        return scope;
+    }
+
+    /**
+     * Evaluates `data-key` for an item; without `data-key` the natural key of the item is used.
+     * @param {ListItem} item
+     * @param {ListScope} scope
+     * @returns {*}
+     */
+    computeKey(item, scope) {
+        if (!this.directive.key) return item.key;
+
+        /** @type {Record<string, *>} */
+        const names = { ...scope.locals, [this.directive.itemName]: item.value };
+        const parts = this.directive.key.targetParts;
+
+        if (!Object.prototype.hasOwnProperty.call(names, parts[0])) {
+            console.warn(
+                `Key "${this.directive.key.target}" of ${this.describe()} must start with ${Object.keys(names).join(', ')}`
+            );
+            return item.key;
+        }
+
+        return getPropertyValue(names[parts[0]], parts.slice(1)) ?? item.key;
+    }
+
+    /**
+     * @param {ListEntry} entry
+     */
+    removeEntry(entry) {
+        entry.instance.remove();
+        this.starts.delete(entry.instance.nodes[0]);
+    }
+
+    /**
+     * @returns {string}
+     */
+    describe() {
+        const name = this.bridge.parser.prefixes.FOR;
+        return `${name}="${this.template.getAttribute(name)}"`;
+    }
+}
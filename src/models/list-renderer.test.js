@@ -0,0 +1,453 @@
+// @ts-check
+
+import test from 'ava';
+import { Window } from 'happy-dom';
+import { ListRenderer, iterateCollection, iterateRange } from './list-renderer.js';
+import { ProxyBridge } from './bridges/proxy-bridge.js';
+import { reactive } from './bridges/proxy-state.js';
+
+const window = new Window({ console }).window;
+// @ts-expect-error
+global.window = window;
+
+const document = window.document;
+
+/**
+ * @param {string} html
+ * @returns {any}
+ */
+function render(html) {
+    const root = document.createElement('div');
+    root.innerHTML = html;
+    return root;
+}
+
+/**
+ * @param {any} root
+ * @param {string} selector
+ * @returns {string[]}
+ */
+function texts(root, selector) {
+    return Array.from(root.querySelectorAll(selector), (/** @type {any} */ el) => el.textContent);
+}
+
+/**
+ * @param {() => void} fn
+ * @returns {string[]}
+ */
+function captureWarnings(fn) {
+    const originalWarn = console.warn;
+    /** @type {string[]} */
+    const warnings = [];
+    console.warn = (...args) => warnings.push(args.join(' '));
+    try {
+        fn();
+    } finally {
+        console.warn = originalWarn;
+    }
+    return warnings;
+}
+
+/** Collection changes are rendered in a microtask. */
+const nextMicrotask = () => new Promise(resolve => queueMicrotask(() => resolve(undefined)));
+
+// ============================================================================
+// iterateCollection() Tests
+// ============================================================================
+
+test('iterateCollection: arrays are addressable by index', t => {
+    t.deepEqual(iterateCollection(['a', 'b']), [
+        { value: 'a', key: 0, index: 0, pathKey: '0' },
+        { value: 'b', key: 1, index: 1, pathKey: '1' },
+    ]);
+});
+
+test('iterateCollection: plain objects are addressable by property', t => {
+    t.deepEqual(iterateCollection({ x: 1, y: 2 }), [
+        { value: 1, key: 'x', index: 0, pathKey: 'x' },
+        { value: 2, key: 'y', index: 1, pathKey: 'y' },
+    ]);
+});
+
+test('iterateCollection: Map, Set and numbers are not addressable', t => {
+    t.deepEqual(iterateCollection(new Map([['k', 'v']])), [
+        { value: 'v', key: 'k', index: 0, pathKey: null },
+    ]);
+    t.deepEqual(iterateCollection(new Set(['s'])), [
+        { value: 's', key: 's', index: 0, pathKey: null },
+    ]);
+    t.deepEqual(
+        iterateCollection(2).map(item => item.value),
+        [1, 2]
+    );
+});
+
+test('iterateCollection: null and undefined are empty', t => {
+    t.deepEqual(iterateCollection(null), []);
+    t.deepEqual(iterateCollection(undefined), []);
+});
+
+test('iterateRange: counts in both directions', t => {
+    t.deepEqual(
+        iterateRange(1, 3).map(item => item.value),
+        [1, 2, 3]
+    );
+    t.deepEqual(
+        iterateRange(3, 1).map(item => item.value),
+        [3, 2, 1]
+    );
+});
+
+// ============================================================================
+// Rendering Tests
+// ============================================================================
+
+test('data-for: renders one clone per item after the template', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ todos: [{ title: 'a' }, { title: 'b' }] });
+    const root = render(
+        '<ul><template data-for="todo in todos"><li data-b-text="todo.title"></li></template></ul>'
+    );
+
+    bridge.bindTree(root, state);
+
+    const ul = root.querySelector('ul');
+    t.is(ul.firstElementChild.tagName, 'TEMPLATE');
+    t.deepEqual(texts(root, 'li'), ['a', 'b']);
+});
+
+test('data-for: item bindings follow state paths', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ todos: [{ title: 'a' }] });
+    const root = render(
+        '<template data-for="todo in todos"><input data-m="todo.title"><span data-b-text="todo.title"></span></template>'
+    );
+
+    bridge.bindTree(root, state);
+
+    state.todos[0].title = 'changed';
+    t.is(root.querySelector('span').textContent, 'changed');
+
+    const input = root.querySelector('input');
+    input.value = 'typed';
+    input.dispatchEvent(new window.Event('input'));
+    t.is(state.todos[0].title, 'typed');
+    t.is(root.querySelector('span').textContent, 'typed');
+});
+
+test('data-for: adds and removes clones when the collection changes', async t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ todos: ['a', 'b'] });
+    const root = render(
+        '<template data-for="todo in todos"><li data-b-text="todo"></li></template>'
+    );
+
+    bridge.bindTree(root, state);
+
+    state.todos.push('c');
+    await nextMicrotask();
+    t.deepEqual(texts(root, 'li'), ['a', 'b', 'c']);
+
+    state.todos = ['x'];
+    await nextMicrotask();
+    t.deepEqual(texts(root, 'li'), ['x']);
+});
+
+test('data-for: exposes key and index names and $index', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ settings: { theme: 'dark', lang: 'en' } });
+    const root = render(
+        '<template data-for="(value, name, i) in settings"><p data-a-title="name" data-a-data-pos="$index" data-b-text="value" data-a-data-i="i"></p></template>'
+    );
+
+    bridge.bindTree(root, state);
+
+    const items = root.querySelectorAll('p');
+    t.is(items.length, 2);
+    t.is(items[1].getAttribute('title'), 'lang');
+    t.is(items[1].getAttribute('data-pos'), '1');
+    t.is(items[1].getAttribute('data-i'), '1');
+    t.is(items[1].textContent, 'en');
+});
+
+test('data-for: renders ranges, Maps and Sets with local items', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ map: new Map([['a', 1]]), set: new Set(['s']) });
+    const root = render(
+        '<template data-for="n in 2..4"><i data-b-text="n"></i></template>' +
+            '<template data-for="(value, key) in map"><b data-b-text="key"></b></template>' +
+            '<template data-for="entry in set"><u data-b-text="entry"></u></template>'
+    );
+
+    bridge.bindTree(root, state);
+
+    t.deepEqual(texts(root, 'i'), ['2', '3', '4']);
+    t.deepEqual(texts(root, 'b'), ['a']);
+    t.deepEqual(texts(root, 'u'), ['s']);
+});
+
+test('data-for: nested loops resolve outer items', async t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({
+        groups: [
+            { name: 'g1', items: ['a', 'b'] },
+            { name: 'g2', items: ['c'] },
+        ],
+    });
+    const root = render(
+        '<template data-for="group in groups"><section><template data-for="item in group.items"><span data-a-title="group.name" data-b-text="item"></span></template></section></template>'
+    );
+
+    bridge.bindTree(root, state);
+
+    t.deepEqual(texts(root, 'span'), ['a', 'b', 'c']);
+    t.is(root.querySelectorAll('section')[1].querySelector('span').getAttribute('title'), 'g2');
+
+    state.groups[1].items.push('d');
+    await nextMicrotask();
+    t.deepEqual(texts(root, 'span'), ['a', 'b', 'c', 'd']);
+});
+
+// ============================================================================
+// Keyed Reconciliation Tests
+// ============================================================================
+
+test('data-key: reuses and moves clones by key', async t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({
+        todos: [
+            { id: 1, title: 'a' },
+            { id: 2, title: 'b' },
+            { id: 3, title: 'c' },
+        ],
+    });
+    const root = render(
+        '<template data-for="todo in todos" data-key="todo.id"><li data-b-text="todo.title"></li></template>'
+    );
+
+    bridge.bindTree(root, state);
+    const [first, second, third] = root.querySelectorAll('li');
+
+    state.todos = [state.todos[2], state.todos[0]];
+    await nextMicrotask();
+
+    const items = root.querySelectorAll('li');
+    t.is(items.length, 2);
+    t.is(items[0], third);
+    t.is(items[1], first);
+    t.false(root.contains(second));
+    t.deepEqual(texts(root, 'li'), ['c', 'a']);
+
+    // moved clones follow their new path
+    state.todos[0].title = 'c2';
+    t.is(third.textContent, 'c2');
+});
+
+test('data-for: handlers of a clone read the item from their context', t => {
+    const bridge = new ProxyBridge();
+    /** @type {any[]} */
+    const calls = [];
+    const state = reactive({
+        todos: [{ title: 'a' }, { title: 'b' }],
+        /**
+         * @param {Event} event
+         * @param {import('./handler-context.js').HandlerContext} context
+         */
+        pick(event, context) {
+            calls.push([context.get('todo.title'), context.get('$index'), context.get('todo')]);
+        },
+    });
+    const root = render(
+        '<template data-for="todo in todos"><button data-on-click="pick"></button></template>'
+    );
+
+    bridge.bindTree(root, state);
+    root.querySelectorAll('button')[1].click();
+
+    t.deepEqual(calls, [['b', 1, { title: 'b' }]]);
+});
+
+test('data-for: clones honor the skipAttribute option of bindTree', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ todos: ['a'] });
+    const root = render(
+        '<template data-for="todo in todos"><li data-b-text="todo"></li><p data-ignore><b data-b-text="todo"></b></p></template>'
+    );
+
+    bridge.bindTree(root, state, { skipAttribute: 'data-ignore' });
+
+    t.is(root.querySelector('li').textContent, 'a');
+    t.is(root.querySelector('b').textContent, '');
+    t.false(bridge.boundElements.has(root.querySelector('b')));
+});
+
+test('data-key: unbinds removed clones', async t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ todos: [{ id: 1 }, { id: 2 }] });
+    const root = render(
+        '<template data-for="todo in todos" data-key="todo.id"><li data-a-title="todo.id"></li></template>'
+    );
+
+    bridge.bindTree(root, state);
+    const removed = root.querySelectorAll('li')[1];
+    t.true(bridge.boundElements.has(removed));
+
+    state.todos.splice(1, 1);
+    await nextMicrotask();
+
+    t.false(bridge.boundElements.has(removed));
+});
+
+test('data-key: array methods move clones without duplicate warnings', async t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ todos: [{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }] });
+    const root = render(
+        '<template data-for="todo in todos" data-key="todo.id"><li data-a-id="todo.id"></li></template>'
+    );
+
+    bridge.bindTree(root, state);
+    const [, second, third, fourth] = root.querySelectorAll('li');
+
+    /** @type {string[]} */
+    const warnings = [];
+    const ids = () => Array.from(root.querySelectorAll('li'), (/** @type {any} */ li) => li.id);
+    const warn = console.warn;
+    console.warn = (...args) => warnings.push(args.join(' '));
+
+    try {
+        state.todos.splice(0, 1);
+        await nextMicrotask();
+        t.deepEqual(ids(), ['2', '3', '4']);
+
+        state.todos.unshift({ id: 5 });
+        await nextMicrotask();
+        t.deepEqual(ids(), ['5', '2', '3', '4']);
+
+        state.todos.reverse();
+        await nextMicrotask();
+        t.deepEqual(ids(), ['4', '3', '2', '5']);
+    } finally {
+        console.warn = warn;
+    }
+
+    t.deepEqual(warnings, []);
+    const items = root.querySelectorAll('li');
+    t.is(items[0], fourth);
+    t.is(items[1], third);
+    t.is(items[2], second);
+});
+
+test('data-key: duplicate keys warn and still render', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ todos: [{ id: 1 }, { id: 1 }] });
+    const root = render(
+        '<template data-for="todo in todos" data-key="todo.id"><li></li></template>'
+    );
+
+    const warnings = captureWarnings(() => bridge.bindTree(root, state));
+
+    t.is(root.querySelectorAll('li').length, 2);
+    t.true(warnings.some(w => w.includes('Duplicate key "1"')));
+});
+
+test('data-ref: refs inside clones are arrays in document order', async t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ todos: [{ id: 1 }, { id: 2 }, { id: 3 }] });
+    const root = render(
+        '<template data-for="todo in todos" data-key="todo.id"><li data-ref="items" data-a-id="todo.id"></li></template>'
+    );
+
+    bridge.bindTree(root, state);
+    const refs = bridge.getRefs(root);
+    /** @param {any[]} list */
+    const ids = list => list.map(el => el.id);
+
+    t.deepEqual(ids(/** @type {any} */ (refs.items)), ['1', '2', '3']);
+
+    state.todos = [state.todos[2], state.todos[0]];
+    await nextMicrotask();
+    t.deepEqual(ids(/** @type {any} */ (refs.items)), ['3', '1']);
+
+    state.todos = [];
+    await nextMicrotask();
+    t.is(refs.items, undefined);
+});
+
+// ============================================================================
+// Lifecycle Tests
+// ============================================================================
+
+test('data-for: dispose removes clones', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ todos: ['a'] });
+    const root = render(
+        '<template data-for="todo in todos"><li data-b-text="todo"></li></template>'
+    );
+
+    const tree = bridge.bindTree(root, state);
+    const li = root.querySelector('li');
+    tree.dispose();
+
+    t.is(root.querySelectorAll('li').length, 0);
+    t.false(bridge.boundElements.has(li));
+});
+
+test('data-for: observe does not rebind clones', async t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ todos: ['a'] });
+    const root = render(
+        '<template data-for="todo in todos"><li data-b-text="todo"></li></template>'
+    );
+
+    const live = bridge.observe(root, state);
+    state.todos.push('b');
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    t.deepEqual(texts(root, 'li'), ['a', 'b']);
+    t.deepEqual(live.elements, [root.querySelector('template')]);
+    live.dispose();
+});
+
+test('data-for: local items cannot be bound two-way', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({});
+    const root = render('<template data-for="n in 1"><input data-m="n"></template>');
+
+    const warnings = captureWarnings(() => bridge.bindTree(root, state));
+
+    t.is(root.querySelector('input').value, '1');
+    t.true(warnings.some(w => w.includes('local value')));
+});
+
+test('data-for: warns on non-template elements', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ todos: [] });
+    const root = render('<div data-for="todo in todos"></div>');
+
+    const warnings = captureWarnings(() => bridge.bindTree(root, state));
+
+    t.true(warnings.some(w => w.includes('only valid on TEMPLATE')));
+});
+
+test('ListRenderer: can be driven directly', t => {
+    const bridge = new ProxyBridge();
+    const state = reactive({ list: ['a', 'b'] });
+    const root = render('<template><b data-b-text="x"></b></template>');
+    const template = root.querySelector('template');
+    const context = bridge.bindElement(template, state).context;
+    const directive = {
+        itemName: 'x',
+        keyName: '',
+        indexName: '',
+        range: null,
+        key: null,
+        source: { target: 'list', targetParts: ['list'] },
+    };
+
+    const renderer = new ListRenderer(bridge, template, /** @type {any} */ (directive), context);
+    renderer.update(state.list);
+    t.deepEqual(texts(root, 'b'), ['a', 'b']);
+
+    renderer.dispose();
+    t.is(root.querySelectorAll('b').length, 0);
+});
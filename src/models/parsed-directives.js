@@ -2,6 +2,9 @@
 
 import { ClassDirectiveValue } from './class-directive-value.js';
 import { DirectiveValue } from './directive-value.js';
+import { ForDirectiveValue } from './for-directive-value.js';
+import { ConditionalDirectiveValue } from './conditional-directive-value.js';
+import { TextDirectiveValue } from './text-directive-value.js';
 
 /**
  * Container for all parsed directives from an element.
@@ -19,6 +22,10 @@ export class ParsedDirectives {
     /** @type {Map<string, DirectiveValue>} */
     behaviorDirectives = new Map();
 
+    // on-directive calls state methods on DOM events (data-on-click, data-on-submit, etc.)
+    /** @type {Map<string, DirectiveValue>} */
+    eventDirectives = new Map();
+
     // m-directive manages two-way data binding
     /** @type {DirectiveValue|null} */
     modelDirective = null;
@@ -26,4 +33,28 @@ export class ParsedDirectives {
     // c-directive manages element className property
     /** @type {ClassDirectiveValue|null} */
     classDirective = null;
+
+    // ref-directive registers the element in the refs registry under a name (data-ref="searchInput")
+    /** @type {string|null} */
+    refName = null;
+
+    // for-directive renders a <template> once per item of a collection
+    /** @type {ForDirectiveValue|null} */
+    forDirective = null;
+
+    // if-directive mounts one <template> of a data-if / data-else-if / data-else chain
+    /** @type {ConditionalDirectiveValue|null} */
+    ifDirective = null;
+
+    // child text nodes with placeholders (Hello, {{ user.name }}!)
+    /** @type {TextDirectiveValue[]} */
+    textDirectives = [];
+
+    // results of the directive families added with DirectiveParser.registerDirective, by name
+    /** @type {Map<string, *>} */
+    custom = new Map();
+
+    // problems found while parsing, e.g. unknown or misused modifiers
+    /** @type {import('../utils/modifiers.js').ModifierDiagnostic[]} */
+    diagnostics = [];
 }
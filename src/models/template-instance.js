@@ -0,0 +1,96 @@
+// @ts-check
+
+import { HandlerContext } from './handler-context.js';
+import { collectElements } from '../utils/dom.js';
+
+/**
+ * @typedef {Object} TemplateBridge
+ * @property {Map<Element, HandlerContext>} boundElements
+ * @property {{ hasDirectives: (element: Element) => boolean, prefixes: import('./directive-parser/constants.js').DirectivePrefixes }} parser
+ * @property {(element: Element, state: Object, options: { parentContext: HandlerContext }) => { context: HandlerContext }} bindElement
+ * @property {(element: Element) => void} unbindElement
+ */
+
+/**
+ * A clone of a `<template>` content rendered by a structural directive (`data-for`, `data-if`).
+ * The clone is bound with its own HandlerContext; disposing that context unbinds every element
+ * of the clone, including nodes rendered by nested structural directives.
+ */
+export class TemplateInstance {
+    /**
+     * @param {Element} template - The `<template>` element to clone
+     */
+    constructor(template) {
+        const content = /** @type {HTMLTemplateElement} */ (template).content;
+        const fragment = /** @type {DocumentFragment} */ (content.cloneNode(true));
+
+        /** @type {Node[]} */
+        this.nodes = Array.from(fragment.childNodes); // top-level nodes of the clone
+
+        /** @type {HandlerContext|null} */
+        this.context = null;
+    }
+
+    /**
+     * Inserts the nodes of the clone before `before` (or at the end of `parent`).
+     * @param {Node} parent
+     * @param {Node|null} before
+     */
+    insertBefore(parent, before) {
+        for (const node of this.nodes) {
+            parent.insertBefore(node, before);
+        }
+    }
+
+    /**
+     * Binds every element with directives in the clone.
+     * Subtrees with the skip attribute of the context (`data-skip` by default) are not bound.
+     * @param {TemplateBridge} bridge
+     * @param {HandlerContext} context - Context of the clone, usually a child of the directive context
+     */
+    bind(bridge, context) {
+        this.unbind();
+        this.context = context;
+
+        for (const node of this.nodes) {
+            if (node.nodeType !== 1) continue;
+
+            const elements = collectElements(
+                /** @type {Element} */ (node),
+                element => bridge.parser.hasDirectives(element),
+                context.skipAttribute
+            );
+            for (const element of elements) {
+                const result = bridge.bindElement(element, context.state, {
+                    parentContext: context,
+                });
+                context.addCleanup(() => {
+                    if (bridge.boundElements.get(element) === result.context) {
+                        bridge.unbindElement(element);
+                    }
+                });
+            }
+        }
+    }
+
+    /**
+     * Disposes the context of the clone.
+     */
+    unbind() {
+        if (this.context) {
+            const context = this.context;
+            this.context = null;
+            context.dispose();
+        }
+    }
+
+    /**
+     * Unbinds the clone and removes its nodes from the DOM.
+     */
+    remove() {
+        this.unbind();
+        for (const node of this.nodes) {
+            if (node.parentNode) node.parentNode.removeChild(node);
+        }
+    }
+}
@@ -0,0 +1,28 @@
+// @ts-check
+
+import { DirectiveValue } from './directive-value.js';
+
+/**
+ * @typedef {string|DirectiveValue} TextSegment - Static text, or a binding rendered as text
+ */
+
+/**
+ * Represents a text node with interpolation placeholders.
+ * Used for `<p>Hello, {{ user.name }}!</p>`.
+ */
+export class TextDirectiveValue {
+    /** @type {Text[]} */
+    nodes = []; // the adjacent text nodes the segments were read from, usually one
+    /** @type {TextSegment[]} */
+    segments = []; // ['Hello, ', DirectiveValue(user.name), '!'] in text order
+
+    /**
+     * The dynamic segments, in text order.
+     * @returns {DirectiveValue[]}
+     */
+    get bindings() {
+        return /** @type {DirectiveValue[]} */ (
+            this.segments.filter(segment => typeof segment !== 'string')
+        );
+    }
+}
@@ -1,5 +1,9 @@
 // @ts-check
 
+/**
+ * @typedef {import('../models/directive-parser/tokenizer.js').ModifierArg} ModifierArg
+ */
+
 /**
  * Returns a Map of the attributes of the given element.
  * The keys are the attribute names, and the values are the attribute values.
@@ -16,6 +20,55 @@ export function getElementAttrs(element) {
     return attrs;
 }
 
+/**
+ * Collects the root element and its descendants in document order.
+ * Elements having `skipAttribute` are skipped together with their whole subtree.
+ * @param {Element} root - The root element to start from
+ * @param {(element: Element) => boolean} filter - Returns true for elements to collect
+ * @param {string} [skipAttribute] - Opt-out attribute name
+ * @returns {Element[]} The collected elements
+ */
+export function collectElements(root, filter, skipAttribute) {
+    /** @type {Element[]} */
+    const result = [];
+    /** @type {Element[]} */
+    const stack = [root];
+
+    while (stack.length > 0) {
+        const element = /** @type {Element} */ (stack.pop());
+        if (skipAttribute && element.hasAttribute(skipAttribute)) continue;
+
+        if (filter(element)) result.push(element);
+
+        // Push children in reverse so they are visited in document order
+        for (let i = element.children.length - 1; i >= 0; i--) {
+            stack.push(element.children[i]);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Checks if the element or one of its ancestors up to `root` (inclusive) has `skipAttribute`.
+ * @param {Element} element - The element to check
+ * @param {Element} root - The topmost element to check
+ * @param {string} [skipAttribute] - Opt-out attribute name
+ * @returns {boolean} True if the element is inside a skipped subtree
+ */
+export function isSkipped(element, root, skipAttribute) {
+    if (!skipAttribute) return false;
+
+    /** @type {Element|null} */
+    let current = element;
+    while (current) {
+        if (current.hasAttribute(skipAttribute)) return true;
+        if (current === root) break;
+        current = current.parentElement;
+    }
+    return false;
+}
+
 const nativeProps = {
     contenteditable: 'contentEditable',
     innerhtml: 'innerHTML',
@@ -41,3 +94,187 @@ export function isNativePropertyName(name, prefix = 'data-') {
 
     return nativeProps[result] || (result in window.Element.prototype ? result : false);
 }
+
+/**
+ * Sets, updates or removes an attribute according to a state value.
+ * `null`, `undefined` and `false` remove the attribute, `true` sets it to an empty string.
+ * @param {Element} element
+ * @param {string} name - Attribute name
+ * @param {*} value
+ */
+export function setAttributeValue(element, name, value) {
+    if (value === null || value === undefined || value === false) {
+        element.removeAttribute(name);
+    } else {
+        element.setAttribute(name, value === true ? '' : String(value));
+    }
+}
+
+/**
+ * Normalizes a computed class value into a list of class names.
+ * Accepts a space-separated string, an array of names or an object of `{ className: boolean }`.
+ * @param {*} value
+ * @returns {string[]}
+ */
+export function classValueToList(value) {
+    if (!value) return [];
+    if (typeof value === 'string') return value.split(/\s+/).filter(Boolean);
+    if (Array.isArray(value)) return value.filter(Boolean).map(String);
+    if (typeof value === 'object') return Object.keys(value).filter(key => value[key]);
+    return [];
+}
+
+/**
+ * Replaces classes applied earlier by a computed class directive with new ones.
+ * Classes not applied by the directive are left untouched.
+ * @param {Element} element
+ * @param {*} value - Computed class value, see `classValueToList`
+ * @param {string[]} [previous=[]] - Classes applied by the previous call
+ * @returns {string[]} Classes applied by this call
+ */
+export function applyClassValue(element, value, previous = []) {
+    const next = classValueToList(value);
+    for (const className of previous) {
+        if (!next.includes(className)) element.classList.remove(className);
+    }
+    for (const className of next) {
+        element.classList.add(className);
+    }
+    return next;
+}
+
+/**
+ * Returns the element property a model directive binds to.
+ * Uses `directive.domProperty` when set, otherwise `checked` for checkboxes and radios,
+ * `textContent` for contenteditable elements and `value` for everything else.
+ * @param {Element} element
+ * @param {{ domProperty: string }} directive
+ * @returns {string}
+ */
+export function getModelProperty(element, directive) {
+    if (directive.domProperty) return directive.domProperty;
+    // @ts-ignore
+    const type = element.type || '';
+    if (element.tagName === 'INPUT' && (type === 'checkbox' || type === 'radio')) return 'checked';
+    // @ts-ignore
+    if (element.contentEditable === 'true') return 'textContent';
+    return 'value';
+}
+
+/**
+ * Returns the DOM event a model directive listens to.
+ * Uses `directive.event` when set, otherwise `change` for checkboxes, radios, selects
+ * and `#lazy` directives and `input` for everything else.
+ * @param {Element} element
+ * @param {{ event: string, eventModifiers?: Map<string, *> }} directive
+ * @returns {string}
+ */
+export function getModelEvent(element, directive) {
+    if (directive.event) return directive.event;
+    if (directive.eventModifiers && directive.eventModifiers.has('lazy')) return 'change';
+    // @ts-ignore
+    const type = element.type || '';
+    if (element.tagName === 'SELECT') return 'change';
+    if (element.tagName === 'INPUT' && (type === 'checkbox' || type === 'radio')) return 'change';
+    return 'input';
+}
+
+/**
+ * Reads the value of a model-bound element.
+ * Radios yield their `value` when checked and `undefined` otherwise,
+ * number and range inputs yield numbers (or `null` when empty),
+ * multiple selects yield an array of selected values.
+ * @param {Element} element
+ * @param {string} property - Property returned by `getModelProperty`
+ * @returns {*} The value to store, or `undefined` if nothing should be stored
+ */
+export function readModelValue(element, property) {
+    /** @type {any} */
+    const el = element;
+    const type = el.type || '';
+
+    if (property === 'checked' && type === 'radio') {
+        return el.checked ? el.value : undefined;
+    }
+
+    if (property === 'value') {
+        if (type === 'number' || type === 'range') {
+            return el.value === '' ? null : Number(el.value);
+        }
+        if (element.tagName === 'SELECT' && el.multiple) {
+            return Array.from(el.options)
+                .filter(option => /** @type {any} */ (option).selected)
+                .map(option => /** @type {any} */ (option).value);
+        }
+    }
+
+    return el[property];
+}
+
+/**
+ * Writes a state value to a model-bound element.
+ * The element is only touched when its value differs, so the caret is not reset while typing.
+ * @param {Element} element
+ * @param {string} property - Property returned by `getModelProperty`
+ * @param {*} value
+ */
+export function writeModelValue(element, property, value) {
+    /** @type {any} */
+    const el = element;
+    const type = el.type || '';
+
+    if (property === 'checked') {
+        el.checked = type === 'radio' ? el.value === String(value) : Boolean(value);
+        return;
+    }
+
+    if (property === 'value' && element.tagName === 'SELECT' && el.multiple) {
+        const selected = Array.isArray(value) ? value.map(String) : [];
+        for (const option of Array.from(el.options)) {
+            /** @type {any} */ (option).selected = selected.includes(/** @type {any} */ (option).value);
+        }
+        return;
+    }
+
+    const next = value === null || value === undefined ? '' : value;
+    if (el[property] !== next && String(el[property]) !== String(next)) {
+        el[property] = next;
+    }
+}
+
+/**
+ * Builds `addEventListener` options from event directive modifiers (`#capture`, `#passive`).
+ * `#once` is handled by the listener itself, so events rejected by a filter do not use it up.
+ * @param {Map<string, ModifierArg[]>} modifiers
+ * @returns {{ capture: boolean, passive: boolean }}
+ */
+export function getEventListenerOptions(modifiers) {
+    return {
+        capture: modifiers.has('capture'),
+        passive: modifiers.has('passive'),
+    };
+}
+
+/**
+ * Checks the filtering modifiers of an event directive and applies `#prevent` and `#stop`.
+ * `#self` accepts only events dispatched on the element itself,
+ * `#key(Enter, Escape)` accepts only keyboard events with one of the listed keys (case-insensitive).
+ * @param {Event} event
+ * @param {Element} element
+ * @param {Map<string, ModifierArg[]>} modifiers
+ * @returns {boolean} True if the handler should be called
+ */
+export function acceptEvent(event, element, modifiers) {
+    if (modifiers.has('self') && event.target !== element) return false;
+
+    const keys = modifiers.get('key');
+    if (keys && keys.length > 0) {
+        const key = String(/** @type {KeyboardEvent} */ (event).key ?? '').toLowerCase();
+        if (!keys.some(k => String(k).toLowerCase() === key)) return false;
+    }
+
+    if (modifiers.has('prevent')) event.preventDefault();
+    if (modifiers.has('stop')) event.stopPropagation();
+
+    return true;
+}
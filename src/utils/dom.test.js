@@ -2,7 +2,21 @@
 
 import test from 'ava';
 import { Window } from 'happy-dom';
-import { getElementAttrs, isNativePropertyName } from './dom.js';
+import {
+    getElementAttrs,
+    isNativePropertyName,
+    collectElements,
+    isSkipped,
+    setAttributeValue,
+    classValueToList,
+    applyClassValue,
+    getModelProperty,
+    getModelEvent,
+    readModelValue,
+    writeModelValue,
+    getEventListenerOptions,
+    acceptEvent,
+} from './dom.js';
 
 const window = new Window({ console }).window;
 // @ts-expect-error
@@ -229,3 +243,231 @@ test('integration: identifying native vs custom properties from element attribut
     t.is(results.custom, false);
     t.is(results.userName, false);
 });
+
+// ============================================================================
+// collectElements Tests
+// ============================================================================
+
+test('collectElements: returns root and descendants in document order', t => {
+    const root = document.createElement('div');
+    root.innerHTML = '<p id="a"><span id="b"></span></p><p id="c"></p>';
+
+    const result = collectElements(/** @type {any} */ (root), () => true);
+
+    t.deepEqual(
+        result.map(el => el.id || el.tagName),
+        ['DIV', 'a', 'b', 'c']
+    );
+});
+
+test('collectElements: applies filter', t => {
+    const root = document.createElement('div');
+    root.innerHTML = '<p class="x"></p><p></p><span class="x"></span>';
+
+    const result = collectElements(/** @type {any} */ (root), el => el.classList.contains('x'));
+
+    t.deepEqual(
+        result.map(el => el.tagName),
+        ['P', 'SPAN']
+    );
+});
+
+test('collectElements: skips whole subtree marked with skip attribute', t => {
+    const root = document.createElement('div');
+    root.innerHTML = '<p id="a"></p><section data-skip><p id="b"></p></section><p id="c"></p>';
+
+    const result = collectElements(/** @type {any} */ (root), el => el.tagName === 'P', 'data-skip');
+
+    t.deepEqual(
+        result.map(el => el.id),
+        ['a', 'c']
+    );
+});
+
+test('collectElements: skipped root yields nothing', t => {
+    const root = document.createElement('div');
+    root.setAttribute('data-skip', '');
+    root.innerHTML = '<p></p>';
+
+    t.is(collectElements(/** @type {any} */ (root), () => true, 'data-skip').length, 0);
+});
+
+// ============================================================================
+// isSkipped Tests
+// ============================================================================
+
+test('isSkipped: detects skip attribute on element or ancestor', t => {
+    const root = document.createElement('div');
+    root.innerHTML = '<section data-skip><p></p></section><p></p>';
+    const [inside, outside] = /** @type {any[]} */ ([...root.querySelectorAll('p')]);
+
+    t.true(isSkipped(inside, /** @type {any} */ (root), 'data-skip'));
+    t.false(isSkipped(outside, /** @type {any} */ (root), 'data-skip'));
+});
+
+test('isSkipped: does not look above root', t => {
+    const outer = document.createElement('div');
+    outer.setAttribute('data-skip', '');
+    outer.innerHTML = '<div><p></p></div>';
+    const root = /** @type {any} */ (outer.firstElementChild);
+
+    t.false(isSkipped(root.firstElementChild, root, 'data-skip'));
+});
+
+test('isSkipped: returns false without skip attribute name', t => {
+    const element = document.createElement('div');
+    element.setAttribute('data-skip', '');
+
+    t.false(isSkipped(/** @type {any} */ (element), /** @type {any} */ (element)));
+});
+
+// ============================================================================
+// setAttributeValue Tests
+// ============================================================================
+
+test('setAttributeValue: sets, empties and removes attribute', t => {
+    const element = /** @type {any} */ (document.createElement('div'));
+
+    setAttributeValue(element, 'title', 42);
+    t.is(element.getAttribute('title'), '42');
+
+    setAttributeValue(element, 'title', true);
+    t.is(element.getAttribute('title'), '');
+
+    setAttributeValue(element, 'title', false);
+    t.false(element.hasAttribute('title'));
+
+    setAttributeValue(element, 'title', 'x');
+    setAttributeValue(element, 'title', undefined);
+    t.false(element.hasAttribute('title'));
+});
+
+// ============================================================================
+// classValueToList / applyClassValue Tests
+// ============================================================================
+
+test('classValueToList: normalizes strings, arrays and objects', t => {
+    t.deepEqual(classValueToList(' a  b '), ['a', 'b']);
+    t.deepEqual(classValueToList(['a', '', null, 'b']), ['a', 'b']);
+    t.deepEqual(classValueToList({ a: true, b: false, c: 1 }), ['a', 'c']);
+    t.deepEqual(classValueToList(null), []);
+    t.deepEqual(classValueToList(42), []);
+});
+
+test('applyClassValue: replaces previously applied classes only', t => {
+    const element = /** @type {any} */ (document.createElement('div'));
+    element.className = 'static';
+
+    let applied = applyClassValue(element, 'a b');
+    t.is(element.className, 'static a b');
+
+    applied = applyClassValue(element, ['b', 'c'], applied);
+    t.is(element.className, 'static b c');
+    t.deepEqual(applied, ['b', 'c']);
+});
+
+// ============================================================================
+// Model Helpers Tests
+// ============================================================================
+
+/**
+ * @param {string} html
+ * @returns {any}
+ */
+function createFromHtml(html) {
+    const container = document.createElement('div');
+    container.innerHTML = html;
+    return container.firstElementChild;
+}
+
+test('getModelProperty: picks property by element type', t => {
+    const empty = { domProperty: '' };
+    t.is(getModelProperty(createFromHtml('<input type="text">'), empty), 'value');
+    t.is(getModelProperty(createFromHtml('<input type="checkbox">'), empty), 'checked');
+    t.is(getModelProperty(createFromHtml('<input type="radio">'), empty), 'checked');
+    t.is(getModelProperty(createFromHtml('<div contenteditable="true"></div>'), empty), 'textContent');
+    t.is(getModelProperty(createFromHtml('<input type="text">'), { domProperty: 'title' }), 'title');
+});
+
+test('getModelEvent: picks event by element type', t => {
+    const empty = { event: '' };
+    t.is(getModelEvent(createFromHtml('<input type="text">'), empty), 'input');
+    t.is(getModelEvent(createFromHtml('<input type="checkbox">'), empty), 'change');
+    t.is(getModelEvent(createFromHtml('<select></select>'), empty), 'change');
+    t.is(getModelEvent(createFromHtml('<textarea></textarea>'), empty), 'input');
+    t.is(getModelEvent(createFromHtml('<input type="text">'), { event: 'blur' }), 'blur');
+});
+
+test('readModelValue: reads typed values', t => {
+    const number = createFromHtml('<input type="number" value="5">');
+    t.is(readModelValue(number, 'value'), 5);
+    number.value = '';
+    t.is(readModelValue(number, 'value'), null);
+
+    const radio = createFromHtml('<input type="radio" value="a">');
+    t.is(readModelValue(radio, 'checked'), undefined);
+    radio.checked = true;
+    t.is(readModelValue(radio, 'checked'), 'a');
+
+    const checkbox = createFromHtml('<input type="checkbox" checked>');
+    t.true(readModelValue(checkbox, 'checked'));
+});
+
+test('readModelValue / writeModelValue: multiple select uses arrays', t => {
+    const select = createFromHtml(
+        '<select multiple><option value="a">A</option><option value="b">B</option><option value="c">C</option></select>'
+    );
+
+    writeModelValue(select, 'value', ['a', 'c']);
+
+    t.deepEqual(readModelValue(select, 'value'), ['a', 'c']);
+});
+
+test('writeModelValue: writes checkbox, radio and text values', t => {
+    const checkbox = createFromHtml('<input type="checkbox">');
+    writeModelValue(checkbox, 'checked', 1);
+    t.true(checkbox.checked);
+
+    const radio = createFromHtml('<input type="radio" value="2">');
+    writeModelValue(radio, 'checked', 2);
+    t.true(radio.checked);
+
+    const input = createFromHtml('<input type="text">');
+    writeModelValue(input, 'value', 'x');
+    t.is(input.value, 'x');
+    writeModelValue(input, 'value', null);
+    t.is(input.value, '');
+});
+
+// ============================================================================
+// Event Helpers Tests
+// ============================================================================
+
+test('getEventListenerOptions: maps capture and passive modifiers', t => {
+    t.deepEqual(getEventListenerOptions(new Map()), { capture: false, passive: false });
+    t.deepEqual(
+        getEventListenerOptions(
+            new Map([
+                ['capture', []],
+                ['passive', []],
+                ['once', []],
+            ])
+        ),
+        { capture: true, passive: true }
+    );
+});
+
+test('acceptEvent: filters by key and applies prevent', t => {
+    const element = createFromHtml('<input>');
+    const modifiers = new Map([
+        ['key', ['Enter']],
+        ['prevent', []],
+    ]);
+    const other = new window.KeyboardEvent('keydown', { key: 'a', cancelable: true });
+    const enter = new window.KeyboardEvent('keydown', { key: 'Enter', cancelable: true });
+
+    t.false(acceptEvent(/** @type {any} */ (other), element, modifiers));
+    t.false(other.defaultPrevented);
+    t.true(acceptEvent(/** @type {any} */ (enter), element, modifiers));
+    t.true(enter.defaultPrevented);
+});
@@ -0,0 +1,331 @@
+// @ts-check
+
+/**
+ * @typedef {import('../models/handler-context.js').HandlerContext} HandlerContext
+ * @typedef {import('../models/directive-parser/tokenizer.js').ModifierArg} ModifierArg
+ * @typedef {import('../models/directive-parser/tokenizer.js').ModifierEntry} PipeEntry
+ */
+
+/**
+ * Formats a value for display.
+ * @callback Formatter
+ * @param {*} value - The value read from the state, or the output of the previous pipe
+ * @param {ModifierArg[]} args - Pipe arguments, e.g. `['EUR']` for `| currency('EUR')`
+ * @param {HandlerContext} context - `context.config.locale` selects the locale
+ * @returns {*} The formatted value
+ */
+
+/** @type {Map<string, Formatter>} */
+const formatters = new Map(); // name -> Formatter
+
+/**
+ * Registers a formatter, replacing any formatter with the same name.
+ * @param {string} name - Name used after `|` in directive values
+ * @param {Formatter} fn
+ * @returns {() => void} Function that unregisters the formatter
+ * @example
+ * registerFormatter('initials', value => String(value).split(' ').map(w => w[0]).join(''));
+ * // <b data-b-text="user.name | initials">
+ */
+export function registerFormatter(name, fn) {
+    if (!name) {
+        throw new Error('Formatter name must be a non-empty string');
+    }
+    if (typeof fn !== 'function') {
+        throw new Error(`Formatter "${name}" must be a function`);
+    }
+
+    formatters.set(name, fn);
+
+    return () => {
+        if (formatters.get(name) === fn) formatters.delete(name);
+    };
+}
+
+/**
+ * Returns a registered formatter.
+ * @param {string} name
+ * @returns {Formatter|undefined}
+ */
+export function getFormatter(name) {
+    return formatters.get(name);
+}
+
+/**
+ * Lists the names of the registered formatters.
+ * @returns {string[]}
+ */
+export function listFormatters() {
+    return [...formatters.keys()];
+}
+
+/**
+ * Passes a value through formatter pipes, in the order they are written.
+ * Pipes without a registered formatter leave the value unchanged.
+ * @param {*} value
+ * @param {Array<{ name: string, args: ModifierArg[] }>} pipes
+ * @param {HandlerContext} context
+ * @returns {*}
+ */
+export function applyFormatters(value, pipes, context) {
+    let result = value;
+
+    for (const { name, args } of pipes) {
+        const fn = formatters.get(name);
+        if (fn) result = fn(result, args, context);
+    }
+
+    return result;
+}
+
+/**
+ * Reads the locale from `context.config.locale`, undefined for the runtime default.
+ * @param {HandlerContext} context
+ * @returns {string|undefined}
+ */
+function getLocale(context) {
+    const config = /** @type {Record<string, *>} */ (context.config || {});
+    return config.locale || undefined;
+}
+
+/** @type {Map<string, Intl.NumberFormat|Intl.DateTimeFormat|Intl.RelativeTimeFormat>} */
+const intlCache = new Map(); // 'Type|locale|options' -> formatter
+
+/**
+ * Returns a cached Intl formatter; building one is expensive.
+ * @template {typeof Intl.NumberFormat|typeof Intl.DateTimeFormat|typeof Intl.RelativeTimeFormat} T
+ * @param {T} Type
+ * @param {string|undefined} locale
+ * @param {Object} options
+ * @returns {InstanceType<T>}
+ */
+function getIntl(Type, locale, options) {
+    const key = `${Type.name}|${locale || ''}|${JSON.stringify(options)}`;
+    let format = intlCache.get(key);
+
+    if (!format) {
+        // @ts-ignore - every Intl type takes (locale, options)
+        format = new Type(locale, options);
+        intlCache.set(key, /** @type {any} */ (format));
+    }
+
+    return /** @type {InstanceType<T>} */ (format);
+}
+
+/**
+ * Runs an Intl formatting call. Bad pipe arguments (an unknown currency code, style or digit count)
+ * or an invalid `config.locale` make Intl throw a RangeError; the pipe then warns and returns
+ * the value unchanged.
+ * @param {string} name - Pipe name, for the warning
+ * @param {ModifierArg[]} args - Pipe arguments, for the warning
+ * @param {*} value - Returned when formatting fails
+ * @param {() => string} format
+ * @returns {*}
+ */
+function tryFormat(name, args, value, format) {
+    try {
+        return format();
+    } catch (error) {
+        const list = args.map(arg => (typeof arg === 'string' ? `'${arg}'` : JSON.stringify(arg)));
+        const pipe = `| ${name}(${list.join(', ')})`;
+        console.warn(`Formatter pipe "${pipe}" failed: ${/** @type {Error} */ (error).message}`);
+        return value;
+    }
+}
+
+/**
+ * Converts a value to a finite number, or null.
+ * @param {*} value
+ * @returns {number|null}
+ */
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Converts a Date, timestamp or date string to a valid Date, or null.
+ * @param {*} value
+ * @returns {Date|null}
+ */
+function toDate(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const date = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/** @type {Formatter} */
+function currency(value, args, context) {
+    const [code, digits] = args;
+    const number = toNumber(value);
+    if (number === null) return value;
+
+    const config = /** @type {Record<string, *>} */ (context.config || {});
+    /** @type {Intl.NumberFormatOptions} */
+    const options = { style: 'currency', currency: String(code || config.currency || 'USD') };
+    if (typeof digits === 'number') {
+        options.minimumFractionDigits = digits;
+        options.maximumFractionDigits = digits;
+    }
+
+    return tryFormat('currency', args, value, () =>
+        getIntl(Intl.NumberFormat, getLocale(context), options).format(number)
+    );
+}
+
+/** @type {Formatter} */
+function number(value, args, context) {
+    const [minDigits, maxDigits] = args;
+    const number = toNumber(value);
+    if (number === null) return value;
+
+    /** @type {Intl.NumberFormatOptions} */
+    const options = {};
+    if (typeof minDigits === 'number') {
+        options.minimumFractionDigits = minDigits;
+        options.maximumFractionDigits = Math.max(
+            minDigits,
+            typeof maxDigits === 'number' ? maxDigits : minDigits
+        );
+    }
+
+    return tryFormat('number', args, value, () =>
+        getIntl(Intl.NumberFormat, getLocale(context), options).format(number)
+    );
+}
+
+/** @type {Formatter} */
+function percent(value, args, context) {
+    const [digits] = args;
+    const number = toNumber(value);
+    if (number === null) return value;
+
+    /** @type {Intl.NumberFormatOptions} */
+    const options = { style: 'percent' };
+    if (typeof digits === 'number') options.maximumFractionDigits = digits;
+
+    return tryFormat('percent', args, value, () =>
+        getIntl(Intl.NumberFormat, getLocale(context), options).format(number)
+    );
+}
+
+/**
+ * Creates a date formatter: `| date('long')`, `| time('short')`, `| datetime('short', 'short')`.
+ * @param {'date'|'time'|'datetime'} kind
+ * @returns {Formatter}
+ */
+function dateTime(kind) {
+    return (value, args, context) => {
+        const [first, second] = args;
+        const date = toDate(value);
+        if (!date) return value;
+
+        /** @type {Intl.DateTimeFormatOptions} */
+        const options = {};
+        if (kind !== 'time') options.dateStyle = /** @type {any} */ (first || 'medium');
+        if (kind === 'time') options.timeStyle = /** @type {any} */ (first || 'short');
+        if (kind === 'datetime') options.timeStyle = /** @type {any} */ (second || 'short');
+
+        return tryFormat(kind, args, value, () =>
+            getIntl(Intl.DateTimeFormat, getLocale(context), options).format(date)
+        );
+    };
+}
+
+/** @type {Array<[Intl.RelativeTimeFormatUnit, number]>} */
+const RELATIVE_UNITS = [
+    ['year', 365 * 24 * 3600],
+    ['month', 30 * 24 * 3600],
+    ['week', 7 * 24 * 3600],
+    ['day', 24 * 3600],
+    ['hour', 3600],
+    ['minute', 60],
+    ['second', 1],
+];
+
+/**
+ * Formats relative time: a number with a unit (`| relative('day')`: -1 → "yesterday"),
+ * or a date compared with now in the largest fitting unit ("3 hours ago").
+ * @type {Formatter}
+ */
+function relative(value, args, context) {
+    const [unit, numeric] = args;
+    const format = () =>
+        getIntl(Intl.RelativeTimeFormat, getLocale(context), {
+            numeric: numeric === 'always' ? 'always' : 'auto',
+        });
+
+    if (typeof unit === 'string' && unit) {
+        const number = toNumber(value);
+        if (number === null) return value;
+
+        return tryFormat('relative', args, value, () =>
+            format().format(number, /** @type {Intl.RelativeTimeFormatUnit} */ (unit))
+        );
+    }
+
+    const date = toDate(value);
+    if (!date) return value;
+
+    const seconds = (date.getTime() - Date.now()) / 1000;
+    for (const [name, size] of RELATIVE_UNITS) {
+        if (Math.abs(seconds) >= size || name === 'second') {
+            return tryFormat('relative', args, value, () =>
+                format().format(Math.round(seconds / size), name)
+            );
+        }
+    }
+    return value;
+}
+
+/** @type {Formatter} */
+function uppercase(value, args, context) {
+    if (value === null || value === undefined) return value;
+
+    return tryFormat('uppercase', args, value, () =>
+        String(value).toLocaleUpperCase(getLocale(context))
+    );
+}
+
+/** @type {Formatter} */
+function lowercase(value, args, context) {
+    if (value === null || value === undefined) return value;
+
+    return tryFormat('lowercase', args, value, () =>
+        String(value).toLocaleLowerCase(getLocale(context))
+    );
+}
+
+/** @type {Formatter} */
+function truncate(value, [length, suffix = '…']) {
+    if (value === null || value === undefined) return value;
+
+    const text = String(value);
+    const max = Number(length);
+    if (!Number.isFinite(max) || text.length <= max) return text;
+
+    return text.slice(0, Math.max(0, max)) + String(suffix);
+}
+
+/**
+ * Replaces `null`, `undefined`, `''` and `NaN` with a fallback: `| default('-')`.
+ * @type {Formatter}
+ */
+function fallback(value, [replacement = '']) {
+    return value === null || value === undefined || value === '' || Number.isNaN(value)
+        ? replacement
+        : value;
+}
+
+registerFormatter('currency', currency);
+registerFormatter('number', number);
+registerFormatter('percent', percent);
+registerFormatter('date', dateTime('date'));
+registerFormatter('time', dateTime('time'));
+registerFormatter('datetime', dateTime('datetime'));
+registerFormatter('relative', relative);
+registerFormatter('uppercase', uppercase);
+registerFormatter('lowercase', lowercase);
+registerFormatter('truncate', truncate);
+registerFormatter('default', fallback);
@@ -0,0 +1,160 @@
+// @ts-check
+
+import test from 'ava';
+import { registerFormatter, getFormatter, listFormatters, applyFormatters } from './formatters.js';
+import { HandlerContext } from '../models/handler-context.js';
+import { parseDirectiveValue } from '../models/directive-parser/utils.js';
+
+/**
+ * Formats a value with the pipes of a directive value.
+ * @param {*} value
+ * @param {string} directive - Directive value, e.g. "total | currency('EUR')"
+ * @param {Object} [config]
+ * @returns {*}
+ */
+function format(value, directive, config = { locale: 'en-US' }) {
+    const context = new HandlerContext({}, { config });
+    return applyFormatters(value, parseDirectiveValue(directive).pipes, context);
+}
+
+// ============================================================================
+// Registry Tests
+// ============================================================================
+
+test('listFormatters: built-in formatters are registered', t => {
+    const names = listFormatters();
+    for (const name of [
+        'currency',
+        'number',
+        'percent',
+        'date',
+        'time',
+        'datetime',
+        'relative',
+        'uppercase',
+        'lowercase',
+        'truncate',
+        'default',
+    ]) {
+        t.true(names.includes(name), name);
+    }
+});
+
+test('registerFormatter: adds a formatter and returns an unregister function', t => {
+    const unregister = registerFormatter('initials', value =>
+        String(value)
+            .split(' ')
+            .map(word => word[0])
+            .join('')
+    );
+
+    t.is(format('Ada Lovelace', 'name | initials'), 'AL');
+    unregister();
+    t.is(getFormatter('initials'), undefined);
+});
+
+test('registerFormatter: throws for invalid arguments', t => {
+    t.throws(() => registerFormatter('', value => value), { instanceOf: Error });
+    t.throws(() => registerFormatter('x', /** @type {any} */ (null)), { instanceOf: Error });
+});
+
+test('applyFormatters: pipes apply in written order, unknown ones are skipped', t => {
+    t.is(format('  Hello ', "text | missing | truncate(4, '.') | uppercase"), '  HE.');
+});
+
+// ============================================================================
+// Built-in Formatter Tests
+// ============================================================================
+
+test('currency: uses the code argument, then config.currency', t => {
+    t.is(format(1234.5, "total | currency('EUR')"), '€1,234.50');
+    t.is(format(1234.5, 'total | currency', { locale: 'en-US', currency: 'GBP' }), '£1,234.50');
+    t.is(format(3, "total | currency('USD', 0)"), '$3');
+});
+
+test('currency and number: respect config.locale', t => {
+    t.is(format(1234.5, "total | currency('EUR')", { locale: 'de-DE' }), '1.234,50 €');
+    t.is(format(1234.5, 'total | number(2)', { locale: 'de-DE' }), '1.234,50');
+});
+
+test('number and percent: fraction digits', t => {
+    t.is(format(3.14159, 'pi | number(1, 3)'), '3.142');
+    t.is(format(0.256, 'ratio | percent'), '26%');
+    t.is(format(0.256, 'ratio | percent(1)'), '25.6%');
+});
+
+test('number formatters leave missing values untouched', t => {
+    t.is(format(null, "total | currency('EUR') | default('-')"), '-');
+    t.is(format('abc', 'total | number'), 'abc');
+});
+
+test('number and date formatters warn about invalid arguments and leave the value unchanged', t => {
+    /** @type {string[]} */
+    const warnings = [];
+    const original = console.warn;
+    console.warn = message => warnings.push(String(message));
+    const date = new Date(2024, 0, 15, 9, 5);
+
+    try {
+        t.is(format(12.5, "total | currency('euro')"), 12.5);
+        t.is(format(12.5, 'total | number(500)'), 12.5);
+        t.is(format(date, "day | date('longest')"), date);
+        t.is(format(2, "days | relative('fortnight')"), 2);
+    } finally {
+        console.warn = original;
+    }
+
+    t.is(warnings.length, 4);
+    t.true(warnings[0].startsWith('Formatter pipe "| currency(\'euro\')" failed: '));
+    t.true(warnings[2].startsWith('Formatter pipe "| date(\'longest\')" failed: '));
+});
+
+test('locale-aware formatters warn about an invalid locale and leave the value unchanged', t => {
+    /** @type {string[]} */
+    const warnings = [];
+    const original = console.warn;
+    console.warn = message => warnings.push(String(message));
+    const config = { locale: 'en_US!' };
+    const date = new Date(Date.now() - 3 * 3600 * 1000);
+
+    try {
+        t.is(format(-1, "days | relative('day')", config), -1);
+        t.is(format(date, 'day | relative', config), date);
+        t.is(format('pen', 'name | uppercase', config), 'pen');
+        t.is(format('PEN', 'name | lowercase', config), 'PEN');
+    } finally {
+        console.warn = original;
+    }
+
+    t.is(warnings.length, 4);
+    t.true(warnings[0].startsWith('Formatter pipe "| relative(\'day\')" failed: '));
+    t.true(warnings[2].startsWith('Formatter pipe "| uppercase()" failed: '));
+});
+
+test('date, time and datetime: styles and locale', t => {
+    const date = new Date(2024, 0, 15, 9, 5);
+
+    t.is(format(date, 'day | date'), 'Jan 15, 2024');
+    t.is(format(date.getTime(), "day | date('long')"), 'January 15, 2024');
+    t.is(format(date, 'day | time'), '9:05 AM');
+    t.is(format(date, "day | datetime('short', 'short')"), '1/15/24, 9:05 AM');
+    t.is(format(date, "day | date('long')", { locale: 'fr-FR' }), '15 janvier 2024');
+    t.is(format('not a date', 'day | date'), 'not a date');
+});
+
+test('relative: numbers with a unit and dates compared with now', t => {
+    t.is(format(-1, "diff | relative('day')"), 'yesterday');
+    t.is(format(2, "diff | relative('hour')"), 'in 2 hours');
+    t.is(format(-1, "diff | relative('day', 'always')"), '1 day ago');
+    t.is(format(Date.now() - 3 * 3600 * 1000, 'seen | relative'), '3 hours ago');
+    t.is(format(-1, "diff | relative('day')", { locale: 'de-DE' }), 'gestern');
+});
+
+test('uppercase, lowercase, truncate and default', t => {
+    t.is(format('Straße', 'name | uppercase'), 'STRASSE');
+    t.is(format('ÉCOLE', 'name | lowercase'), 'école');
+    t.is(format('abcdef', 'name | truncate(3)'), 'abc…');
+    t.is(format('abc', 'name | truncate(3)'), 'abc');
+    t.is(format('', "name | default('n/a')"), 'n/a');
+    t.is(format(0, "count | default('n/a')"), 0);
+});
@@ -0,0 +1,492 @@
+// @ts-check
+
+/**
+ * @typedef {import('../models/handler-context.js').HandlerContext} HandlerContext
+ * @typedef {import('../models/directive-parser/tokenizer.js').ModifierArg} ModifierArg
+ * @typedef {import('../models/directive-parser/tokenizer.js').ModifierEntry} ModifierEntry
+ * @typedef {{ eventModifiers: Map<string, ModifierArg[]>, modifiers?: ModifierEntry[] }} ModifiedDirective
+ */
+
+/**
+ * Wraps a handler with the behavior of a modifier.
+ * Timers and other resources must be released through `context.addCleanup`.
+ * @callback ModifierImpl
+ * @param {(value: *) => void} next - The handler to call, possibly later or with a changed value
+ * @param {ModifierArg[]} args - Modifier arguments, e.g. `[300]` for `#debounce(300)`
+ * @param {HandlerContext} context
+ * @param {ModifiedDirective} directive
+ * @returns {(value: *) => void} The wrapped handler
+ */
+
+/**
+ * @typedef {'model'|'attribute'|'property'|'class'|'behavior'|'text'|'event'|'for'|'if'} DirectiveKind
+ * @typedef {'string'|'number'|'boolean'|'array'|'any'} ModifierArgType
+ */
+
+/**
+ * Declares where a modifier may be used and which arguments it takes.
+ * @typedef {Object} ModifierSchema
+ * @property {DirectiveKind[]} [kinds] - Directive kinds the modifier applies to, all kinds when omitted
+ * @property {number} [minArgs] - Minimum number of arguments, 0 by default
+ * @property {number} [maxArgs] - Maximum number of arguments (`Infinity` for any), defaults to the length of `argTypes`
+ * @property {ModifierArgType[]} [argTypes] - Type of each argument, the last type applies to the remaining ones
+ */
+
+/**
+ * @typedef {Object} ModifierDiagnostic
+ * @property {'unknown-modifier'|'invalid-kind'|'invalid-arity'|'invalid-argument'} code
+ * @property {string} modifier - Modifier name
+ * @property {DirectiveKind} kind - Kind of the directive the modifier was used on
+ * @property {string} source - Directive the modifier was found in, e.g. `data-m="query#debunce(300)"`
+ * @property {string|null} suggestion - Closest known modifier name for unknown modifiers
+ * @property {number} start - Offset of the modifier in the directive value, -1 if unknown
+ * @property {number} end - Offset after the modifier, -1 if unknown
+ * @property {string} message
+ */
+
+/** @type {DirectiveKind[]} */
+export const DIRECTIVE_KINDS = [
+    'model',
+    'attribute',
+    'property',
+    'class',
+    'behavior',
+    'text',
+    'event',
+    'for',
+    'if',
+];
+
+/** @type {Map<string, ModifierImpl>} */
+const modifiers = new Map(); // name -> ModifierImpl
+
+/** @type {Map<string, ModifierSchema>} */
+const schemas = new Map(); // name -> ModifierSchema
+
+/**
+ * Registers a modifier implementation, replacing any modifier with the same name.
+ * Modifiers registered without a schema are accepted on every directive kind with any arguments.
+ * @param {string} name - Name used after `#` in directive values
+ * @param {ModifierImpl} impl
+ * @param {ModifierSchema} [schema] - Where the modifier may be used, checked when directives are parsed
+ * @returns {() => void} Function that unregisters the modifier
+ * @example
+ * registerModifier('upper', next => value => next(String(value).toUpperCase()), {
+ *     kinds: ['model', 'attribute'],
+ * });
+ * // <input data-m="code#upper">
+ */
+export function registerModifier(name, impl, schema) {
+    if (!name) {
+        throw new Error('Modifier name must be a non-empty string');
+    }
+    if (typeof impl !== 'function') {
+        throw new Error(`Modifier "${name}" must be a function`);
+    }
+
+    modifiers.set(name, impl);
+    const unregisterSchema = schema ? declareModifier(name, schema) : null;
+
+    return () => {
+        if (modifiers.get(name) === impl) modifiers.delete(name);
+        if (unregisterSchema) unregisterSchema();
+    };
+}
+
+/**
+ * Declares the schema of a modifier, with or without a runtime implementation
+ * (event options such as `#prevent` are interpreted by the bridge itself).
+ * @param {string} name
+ * @param {ModifierSchema} schema
+ * @returns {() => void} Function that removes the declaration
+ */
+export function declareModifier(name, schema) {
+    if (!name) {
+        throw new Error('Modifier name must be a non-empty string');
+    }
+
+    schemas.set(name, schema);
+
+    return () => {
+        if (schemas.get(name) === schema) schemas.delete(name);
+    };
+}
+
+/**
+ * Returns the declared schema of a modifier.
+ * @param {string} name
+ * @returns {ModifierSchema|undefined}
+ */
+export function getModifierSchema(name) {
+    return schemas.get(name);
+}
+
+/**
+ * Returns the implementation of a registered modifier.
+ * @param {string} name
+ * @returns {ModifierImpl|undefined}
+ */
+export function getModifier(name) {
+    return modifiers.get(name);
+}
+
+/**
+ * Lists the names of the known modifiers: registered implementations and declared schemas.
+ * @returns {string[]}
+ */
+export function listModifiers() {
+    return [...new Set([...modifiers.keys(), ...schemas.keys()])];
+}
+
+/**
+ * Checks the modifiers of a directive against the declared schemas.
+ * @param {ModifiedDirective} directive
+ * @param {DirectiveKind} kind - Kind of the directive
+ * @param {string} [source] - Directive text used in messages, e.g. `data-m="query#debounce(300)"`
+ * @returns {ModifierDiagnostic[]} Empty when all modifiers are valid
+ */
+export function validateModifiers(directive, kind, source = '') {
+    /** @type {ModifierDiagnostic[]} */
+    const diagnostics = [];
+    const where = source ? ` in ${source}` : '';
+
+    for (const { name, args, start, end } of getModifierEntries(directive)) {
+        const schema = schemas.get(name);
+
+        if (!schema) {
+            if (modifiers.has(name)) continue;
+
+            const suggestion = suggestModifier(name, kind);
+            diagnostics.push({
+                code: 'unknown-modifier',
+                modifier: name,
+                kind,
+                source,
+                start,
+                end,
+                suggestion,
+                message:
+                    `Unknown modifier "#${name}"${where}.` +
+                    (suggestion ? ` Did you mean "#${suggestion}"?` : ''),
+            });
+            continue;
+        }
+
+        if (schema.kinds && !schema.kinds.includes(kind)) {
+            diagnostics.push({
+                code: 'invalid-kind',
+                modifier: name,
+                kind,
+                source,
+                start,
+                end,
+                suggestion: null,
+                message: `Modifier "#${name}" cannot be used on ${kind} directives${where}. It applies to: ${schema.kinds.join(', ')}`,
+            });
+            continue;
+        }
+
+        const argTypes = schema.argTypes || [];
+        const minArgs = schema.minArgs ?? 0;
+        const maxArgs = schema.maxArgs ?? Math.max(minArgs, argTypes.length);
+
+        if (args.length < minArgs || args.length > maxArgs) {
+            const expected =
+                minArgs === maxArgs
+                    ? `${minArgs}`
+                    : maxArgs === Infinity
+                      ? `at least ${minArgs}`
+                      : `${minArgs} to ${maxArgs}`;
+            diagnostics.push({
+                code: 'invalid-arity',
+                modifier: name,
+                kind,
+                source,
+                start,
+                end,
+                suggestion: null,
+                message: `Modifier "#${name}" expects ${expected} argument(s), got ${args.length}${where}`,
+            });
+            continue;
+        }
+
+        args.forEach((arg, index) => {
+            const type = argTypes[Math.min(index, argTypes.length - 1)] || 'any';
+            if (type === 'any' || (Array.isArray(arg) ? 'array' : typeof arg) === type) return;
+
+            diagnostics.push({
+                code: 'invalid-argument',
+                modifier: name,
+                kind,
+                source,
+                start,
+                end,
+                suggestion: null,
+                message: `Argument ${index + 1} of "#${name}" must be a ${type}, got ${JSON.stringify(arg)}${where}`,
+            });
+        });
+    }
+
+    return diagnostics;
+}
+
+/**
+ * Lists the modifiers of a directive in written order, duplicates included.
+ * Falls back to the `eventModifiers` map for directives built without the ordered list.
+ * @param {ModifiedDirective} directive
+ * @returns {ModifierEntry[]}
+ */
+function getModifierEntries(directive) {
+    if (directive.modifiers && directive.modifiers.length > 0) return [...directive.modifiers];
+
+    return [...directive.eventModifiers].map(([name, args]) => ({
+        name,
+        args,
+        start: -1,
+        end: -1,
+    }));
+}
+
+/**
+ * Finds the known modifier closest to a misspelled name.
+ * Modifiers valid for the directive kind are preferred.
+ * @param {string} name
+ * @param {DirectiveKind} kind
+ * @returns {string|null}
+ */
+function suggestModifier(name, kind) {
+    const maxDistance = Math.max(1, Math.floor(name.length / 3));
+    /** @type {string|null} */
+    let best = null;
+    let bestScore = Infinity;
+
+    for (const candidate of listModifiers()) {
+        const distance = editDistance(name.toLowerCase(), candidate.toLowerCase());
+        if (distance > maxDistance) continue;
+
+        const schema = schemas.get(candidate);
+        const fits = !schema || !schema.kinds || schema.kinds.includes(kind);
+        const score = distance + (fits ? 0 : 0.5);
+
+        if (score < bestScore) {
+            best = candidate;
+            bestScore = score;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Levenshtein distance between two strings.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+    /** @type {number[]} */
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Wraps a handler with the registered modifiers of a directive.
+ * Modifiers apply in the order they are written: `#trim#debounce(300)` trims, then debounces.
+ * Names without an implementation (e.g. event options such as `#prevent`) are skipped.
+ * @param {ModifiedDirective} directive
+ * @param {(value: *) => void} handler
+ * @param {HandlerContext} context - Pending timers are cleared when the context is disposed
+ * @returns {(value: *) => void} The wrapped handler, or `handler` itself without modifiers
+ */
+export function applyModifiers(directive, handler, context) {
+    let result = handler;
+    const entries = getModifierEntries(directive).reverse();
+
+    for (const { name, args } of entries) {
+        const impl = modifiers.get(name);
+        if (impl) result = impl(result, args, context, directive);
+    }
+
+    return result;
+}
+
+/**
+ * Reads the delay of a timing modifier: its first argument,
+ * otherwise `context.config[name]` (e.g. `config: { debounce: 300 }`), otherwise 0.
+ * @param {string} name
+ * @param {ModifierArg[]} args
+ * @param {HandlerContext} context
+ * @returns {number}
+ */
+function getDelay(name, args, context) {
+    const config = /** @type {Record<string, *>} */ (context.config || {});
+    const value = args.length > 0 ? args[0] : config[name];
+    const delay = Number(value);
+    return Number.isFinite(delay) && delay > 0 ? delay : 0;
+}
+
+/** @type {ModifierImpl} */
+function debounce(next, args, context) {
+    const delay = getDelay('debounce', args, context);
+    /** @type {ReturnType<typeof setTimeout>|undefined} */
+    let timer;
+    context.addCleanup(() => clearTimeout(timer));
+
+    return value => {
+        clearTimeout(timer);
+        timer = setTimeout(() => next(value), delay);
+    };
+}
+
+/** @type {ModifierImpl} */
+function throttle(next, args, context) {
+    const delay = getDelay('throttle', args, context);
+    let last = 0;
+    /** @type {ReturnType<typeof setTimeout>|null} */
+    let timer = null;
+    /** @type {*} */
+    let pending;
+    context.addCleanup(() => {
+        if (timer !== null) clearTimeout(timer);
+        timer = null;
+    });
+
+    // Leading call right away, the latest value of the interval at its end
+    return value => {
+        const remaining = delay - (Date.now() - last);
+
+        if (remaining <= 0) {
+            last = Date.now();
+            next(value);
+            return;
+        }
+
+        pending = value;
+        if (timer === null) {
+            timer = setTimeout(() => {
+                timer = null;
+                last = Date.now();
+                next(pending);
+            }, remaining);
+        }
+    };
+}
+
+/** @type {ModifierImpl} */
+function once(next) {
+    let called = false;
+    return value => {
+        if (called) return;
+        called = true;
+        next(value);
+    };
+}
+
+/** @type {ModifierImpl} */
+function delay(next, args, context) {
+    const ms = getDelay('delay', args, context);
+    /** @type {Set<ReturnType<typeof setTimeout>>} */
+    const timers = new Set();
+    context.addCleanup(() => {
+        timers.forEach(timer => clearTimeout(timer));
+        timers.clear();
+    });
+
+    return value => {
+        const timer = setTimeout(() => {
+            timers.delete(timer);
+            next(value);
+        }, ms);
+        timers.add(timer);
+    };
+}
+
+/** @type {ModifierImpl} */
+function animationFrame(next, args, context) {
+    const request =
+        typeof globalThis.requestAnimationFrame === 'function'
+            ? globalThis.requestAnimationFrame.bind(globalThis)
+            : (/** @type {() => void} */ callback) => setTimeout(callback, 16);
+    const cancel =
+        typeof globalThis.cancelAnimationFrame === 'function'
+            ? globalThis.cancelAnimationFrame.bind(globalThis)
+            : clearTimeout;
+
+    /** @type {*} */
+    let frame = null;
+    /** @type {*} */
+    let latest;
+    context.addCleanup(() => {
+        if (frame !== null) cancel(frame);
+        frame = null;
+    });
+
+    // Calls within one frame collapse into one call with the latest value
+    return value => {
+        latest = value;
+        if (frame === null) {
+            frame = request(() => {
+                frame = null;
+                next(latest);
+            });
+        }
+    };
+}
+
+/** @type {ModifierImpl} */
+function trim(next) {
+    return value => next(typeof value === 'string' ? value.trim() : value);
+}
+
+/** @type {ModifierImpl} */
+function number(next) {
+    return value => {
+        if (typeof value !== 'string') return next(value);
+        const parsed = parseFloat(value);
+        next(Number.isNaN(parsed) ? value : parsed);
+    };
+}
+
+// #lazy switches data-m to the `change` event (see getModelEvent), values pass through unchanged
+/** @type {ModifierImpl} */
+function lazy(next) {
+    return next;
+}
+
+/** @type {DirectiveKind[]} */
+const HANDLER_KINDS = ['model', 'attribute', 'property', 'class', 'behavior', 'text', 'event'];
+/** @type {DirectiveKind[]} */
+const VALUE_KINDS = ['model', 'attribute', 'property', 'class', 'behavior', 'text'];
+
+/** @type {ModifierSchema} */
+const TIMING = { kinds: HANDLER_KINDS, minArgs: 0, maxArgs: 1, argTypes: ['number'] };
+/** @type {ModifierSchema} */
+const EVENT_OPTION = { kinds: ['event'] };
+
+registerModifier('debounce', debounce, TIMING);
+registerModifier('throttle', throttle, TIMING);
+registerModifier('delay', delay, TIMING);
+registerModifier('once', once, { kinds: HANDLER_KINDS });
+registerModifier('raf', animationFrame, { kinds: HANDLER_KINDS });
+registerModifier('rAF', animationFrame, { kinds: HANDLER_KINDS });
+registerModifier('trim', trim, { kinds: VALUE_KINDS });
+registerModifier('number', number, { kinds: VALUE_KINDS });
+registerModifier('lazy', lazy, { kinds: ['model'] });
+
+// Interpreted by the event directive listener (see acceptEvent and getEventListenerOptions)
+declareModifier('prevent', EVENT_OPTION);
+declareModifier('stop', EVENT_OPTION);
+declareModifier('self', EVENT_OPTION);
+declareModifier('capture', EVENT_OPTION);
+declareModifier('passive', EVENT_OPTION);
+declareModifier('key', { kinds: ['event'], minArgs: 1, maxArgs: Infinity, argTypes: ['any'] });
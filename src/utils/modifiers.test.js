@@ -0,0 +1,304 @@
+// @ts-check
+
+import test from 'ava';
+import {
+    registerModifier,
+    declareModifier,
+    getModifier,
+    getModifierSchema,
+    listModifiers,
+    applyModifiers,
+    validateModifiers,
+} from './modifiers.js';
+import { HandlerContext } from '../models/handler-context.js';
+import { parseDirectiveValue } from '../models/directive-parser/utils.js';
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wraps a recording handler with the modifiers of a directive value.
+ * @param {string} value - Directive value, e.g. 'name#trim'
+ * @param {HandlerContext} [context]
+ * @returns {{ calls: any[], handler: (value: any) => void, context: HandlerContext }}
+ */
+function setup(value, context = new HandlerContext({}, {})) {
+    /** @type {any[]} */
+    const calls = [];
+    const handler = applyModifiers(parseDirectiveValue(value), v => calls.push(v), context);
+    return { calls, handler, context };
+}
+
+// ============================================================================
+// Registry Tests
+// ============================================================================
+
+test('listModifiers: built-in modifiers are registered', t => {
+    const names = listModifiers();
+    for (const name of ['debounce', 'throttle', 'once', 'delay', 'raf', 'trim', 'number', 'lazy']) {
+        t.true(names.includes(name), name);
+    }
+});
+
+test('registerModifier: adds a custom modifier and returns an unregister function', t => {
+    const unregister = registerModifier(
+        'upper',
+        next => value => next(String(value).toUpperCase())
+    );
+    const { calls, handler } = setup('code#upper');
+
+    handler('abc');
+    unregister();
+
+    t.deepEqual(calls, ['ABC']);
+    t.is(getModifier('upper'), undefined);
+});
+
+test('registerModifier: throws for invalid arguments', t => {
+    t.throws(() => registerModifier('', next => next), { instanceOf: Error });
+    t.throws(() => registerModifier('x', /** @type {any} */ (null)), { instanceOf: Error });
+});
+
+test('applyModifiers: returns the handler itself without modifiers', t => {
+    const handler = () => {};
+    const context = new HandlerContext({}, {});
+    t.is(applyModifiers(parseDirectiveValue('name'), handler, context), handler);
+});
+
+test('applyModifiers: unknown modifiers are skipped', t => {
+    const { calls, handler } = setup('save#prevent#stop');
+    handler(1);
+    t.deepEqual(calls, [1]);
+});
+
+test('applyModifiers: modifiers apply in written order', t => {
+    const { calls, handler } = setup('amount#trim#number');
+    handler(' 42 ');
+    handler('abc');
+    t.deepEqual(calls, [42, 'abc']);
+});
+
+test('applyModifiers: repeated modifiers apply each time', t => {
+    const unregister = registerModifier('inc', next => value => next(value + 1));
+    const { calls, handler } = setup('count#inc#inc#inc');
+
+    handler(0);
+    unregister();
+
+    t.deepEqual(calls, [3]);
+});
+
+// ============================================================================
+// Timing Modifier Tests
+// ============================================================================
+
+test('debounce: calls once with the latest value after the delay', async t => {
+    const { calls, handler } = setup('query#debounce(20)');
+
+    handler('a');
+    handler('ab');
+    t.deepEqual(calls, []);
+
+    await wait(40);
+    t.deepEqual(calls, ['ab']);
+});
+
+test('debounce: delay defaults to context.config.debounce', async t => {
+    const { calls, handler } = setup(
+        'query#debounce',
+        new HandlerContext({}, { config: { debounce: 10 } })
+    );
+
+    handler('a');
+    await wait(2);
+    t.deepEqual(calls, []);
+
+    await wait(30);
+    t.deepEqual(calls, ['a']);
+});
+
+test('debounce: pending call is cleared when the context is disposed', async t => {
+    const { calls, handler, context } = setup('query#debounce(10)');
+
+    handler('a');
+    context.dispose();
+
+    await wait(30);
+    t.deepEqual(calls, []);
+});
+
+test('throttle: calls right away and once more with the latest value', async t => {
+    const { calls, handler } = setup('scroll#throttle(20)');
+
+    handler(1);
+    handler(2);
+    handler(3);
+    t.deepEqual(calls, [1]);
+
+    await wait(40);
+    t.deepEqual(calls, [1, 3]);
+});
+
+test('once: calls only the first time', t => {
+    const { calls, handler } = setup('init#once');
+    handler(1);
+    handler(2);
+    t.deepEqual(calls, [1]);
+});
+
+test('delay: delays every call', async t => {
+    const { calls, handler, context } = setup('toast#delay(10)');
+
+    handler(1);
+    handler(2);
+    t.deepEqual(calls, []);
+
+    await wait(30);
+    t.deepEqual(calls, [1, 2]);
+
+    handler(3);
+    context.dispose();
+    await wait(30);
+    t.deepEqual(calls, [1, 2]);
+});
+
+test('raf: collapses calls within a frame', async t => {
+    const { calls, handler } = setup('size#raf');
+
+    handler(1);
+    handler(2);
+    await wait(40);
+
+    t.deepEqual(calls, [2]);
+});
+
+// ============================================================================
+// Value Modifier Tests
+// ============================================================================
+
+test('trim and number: leave other values untouched', t => {
+    const { calls, handler } = setup('value#trim#number');
+    handler(5);
+    handler(null);
+    t.deepEqual(calls, [5, null]);
+});
+
+test('lazy: passes values through', t => {
+    const { calls, handler } = setup('value#lazy');
+    handler('x');
+    t.deepEqual(calls, ['x']);
+});
+
+// ============================================================================
+// Validation Tests
+// ============================================================================
+
+/**
+ * @param {string} value - Directive value, e.g. 'name#trim'
+ * @param {import('./modifiers.js').DirectiveKind} kind
+ */
+const validate = (value, kind) =>
+    validateModifiers(parseDirectiveValue(value), kind, `x="${value}"`);
+
+test('validateModifiers: valid modifiers produce no diagnostics', t => {
+    t.deepEqual(validate('query#debounce(300)#trim', 'model'), []);
+    t.deepEqual(validate('query#debounce', 'attribute'), []);
+    t.deepEqual(validate('submit#prevent#key("Enter", "Escape")', 'event'), []);
+    t.deepEqual(validate('query#lazy', 'model'), []);
+});
+
+test('validateModifiers: unknown modifier suggests the closest name', t => {
+    const [diagnostic, ...rest] = validate('query#debunce(300)', 'model');
+
+    t.is(rest.length, 0);
+    t.is(diagnostic.code, 'unknown-modifier');
+    t.is(diagnostic.modifier, 'debunce');
+    t.is(diagnostic.kind, 'model');
+    t.is(diagnostic.source, 'x="query#debunce(300)"');
+    t.is(diagnostic.suggestion, 'debounce');
+    t.regex(diagnostic.message, /Did you mean "#debounce"\?/);
+});
+
+test('validateModifiers: unknown modifier without a close name has no suggestion', t => {
+    const [diagnostic] = validate('query#whatever', 'model');
+
+    t.is(diagnostic.code, 'unknown-modifier');
+    t.is(diagnostic.suggestion, null);
+    t.false(diagnostic.message.includes('Did you mean'));
+});
+
+test('validateModifiers: modifier used on the wrong directive kind', t => {
+    const [lazy] = validate('visible#lazy', 'behavior');
+    const [prevent] = validate('title#prevent', 'attribute');
+
+    t.is(lazy.code, 'invalid-kind');
+    t.is(prevent.code, 'invalid-kind');
+    t.regex(prevent.message, /cannot be used on attribute directives/);
+});
+
+test('validateModifiers: wrong number of arguments', t => {
+    const [debounce] = validate('query#debounce(1, 2)', 'model');
+    const [once] = validate('save#once(1)', 'event');
+    const [key] = validate('save#key', 'event');
+
+    t.is(debounce.code, 'invalid-arity');
+    t.regex(debounce.message, /expects 0 to 1 argument\(s\), got 2/);
+    t.is(once.code, 'invalid-arity');
+    t.is(key.code, 'invalid-arity');
+    t.regex(key.message, /at least 1/);
+});
+
+test('validateModifiers: array arguments', t => {
+    const unregister = registerModifier('oneOf', next => next, { minArgs: 1, argTypes: ['array'] });
+
+    t.deepEqual(validate("mode#oneOf(['a', 'b'])", 'model'), []);
+    t.is(validate("mode#oneOf('a')", 'model')[0].code, 'invalid-argument');
+    unregister();
+});
+
+test('validateModifiers: wrong argument type', t => {
+    const [diagnostic] = validate("query#throttle('x')", 'model');
+
+    t.is(diagnostic.code, 'invalid-argument');
+    t.is(diagnostic.modifier, 'throttle');
+    t.regex(diagnostic.message, /must be a number, got "x"/);
+});
+
+test('validateModifiers: modifiers registered without a schema accept anything', t => {
+    const unregister = registerModifier('upper', next => next);
+
+    t.deepEqual(validate('code#upper(1, "a")', 'for'), []);
+    unregister();
+});
+
+test('registerModifier: schema is checked and removed with the modifier', t => {
+    const unregister = registerModifier('pad', next => next, {
+        kinds: ['attribute'],
+        minArgs: 1,
+        argTypes: ['number', 'string'],
+    });
+
+    t.deepEqual(validate('code#pad(4, "0")', 'attribute'), []);
+    t.deepEqual(validate('code#pad(4)', 'attribute'), []);
+    t.is(validate('code#pad(4, 0)', 'attribute')[0].code, 'invalid-argument');
+    t.is(validate('code#pad', 'attribute')[0].code, 'invalid-arity');
+    t.is(validate('code#pad(4)', 'model')[0].code, 'invalid-kind');
+
+    unregister();
+    t.is(getModifierSchema('pad'), undefined);
+    t.is(validate('code#pad(4)', 'attribute')[0].code, 'unknown-modifier');
+});
+
+test('declareModifier: declares a modifier without a runtime implementation', t => {
+    const undeclare = declareModifier('outside', { kinds: ['event'] });
+
+    t.true(listModifiers().includes('outside'));
+    t.is(getModifier('outside'), undefined);
+    t.deepEqual(validate('close#outside', 'event'), []);
+
+    undeclare();
+    t.false(listModifiers().includes('outside'));
+});
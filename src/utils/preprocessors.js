@@ -0,0 +1,57 @@
+// @ts-check
+
+/**
+ * @typedef {import('../models/directive-parser/constants.js').DirectivePrefixes} DirectivePrefixes
+ */
+
+/**
+ * Rewrites the attributes of an element before its directives are parsed.
+ * Hooks may change the Map in place or return a new one.
+ * @callback AttributePreprocessor
+ * @param {Map<string, string>} attributes - Attribute name -> value, in document order
+ * @param {Element} element - The element the attributes belong to
+ * @param {{ prefixes: DirectivePrefixes }} parser - The parser running the hook
+ * @returns {Map<string, string>|void} The attributes to parse, the same Map when omitted
+ */
+
+/**
+ * Directive family each shorthand character stands for.
+ * @type {Record<string, 'ATTRIBUTE'|'PROPERTY'|'EVENT'>}
+ */
+export const SHORTHAND_PREFIXES = {
+    ':': 'ATTRIBUTE',
+    '.': 'PROPERTY',
+    '@': 'EVENT',
+};
+
+/**
+ * Preset preprocessor for the shorthand dialect:
+ * `:title` -> `data-a-title`, `.value` -> `data-p-value`, `@click` -> `data-on-click`.
+ * Uses the prefixes of the parser, so it works with a custom prefix map too.
+ * A shorthand next to its long form is ignored with a warning; other attributes keep their order.
+ * @type {AttributePreprocessor}
+ * @example
+ * parser.addPreprocessor(shorthandPreprocessor);
+ * // <input :placeholder="hint" .value="query" @input="search#debounce(300)">
+ */
+export function shorthandPreprocessor(attributes, element, parser) {
+    /** @type {Map<string, string>} */
+    const result = new Map();
+
+    for (const [name, value] of attributes) {
+        const family = SHORTHAND_PREFIXES[name[0]];
+        if (!family || name.length === 1) {
+            result.set(name, value);
+            continue;
+        }
+
+        const directiveName = parser.prefixes[family] + name.substring(1);
+        if (attributes.has(directiveName)) {
+            console.warn(`${name} is ignored on ${element.tagName}: ${directiveName} is also set`);
+            continue;
+        }
+        result.set(directiveName, value);
+    }
+
+    return result;
+}
@@ -0,0 +1,80 @@
+// @ts-check
+
+import test from 'ava';
+import { Window } from 'happy-dom';
+import { shorthandPreprocessor } from './preprocessors.js';
+import { DIRECTIVE_PREFIXES } from '../models/directive-parser/constants.js';
+
+const window = new Window({ console }).window;
+const document = window.document;
+
+/**
+ * Runs the shorthand preset on the attributes of an element.
+ * @param {string} html - Markup of a single element
+ * @param {Object} [prefixes] - Prefix overrides
+ * @returns {[string, string][]}
+ */
+function expand(html, prefixes = {}) {
+    const root = document.createElement('div');
+    root.innerHTML = html;
+    const element = /** @type {any} */ (root.firstElementChild);
+    const attributes = new Map(
+        Array.from(element.attributes, (/** @type {Attr} */ attr) => [attr.name, attr.value])
+    );
+    const parser = { prefixes: { ...DIRECTIVE_PREFIXES, ...prefixes } };
+
+    return [
+        .../** @type {Map<string, string>} */ (shorthandPreprocessor(attributes, element, parser)),
+    ];
+}
+
+/**
+ * @param {() => void} fn
+ * @returns {string[]} Messages passed to console.warn
+ */
+function captureWarnings(fn) {
+    /** @type {string[]} */
+    const warnings = [];
+    const original = console.warn;
+    console.warn = message => warnings.push(String(message));
+    try {
+        fn();
+    } finally {
+        console.warn = original;
+    }
+    return warnings;
+}
+
+// ============================================================================
+// shorthandPreprocessor Tests
+// ============================================================================
+
+test('shorthandPreprocessor: expands colon, dot and at-sign shorthand in order', t => {
+    t.deepEqual(
+        expand('<input id="q" :placeholder="hint" .value="query" @input="search#debounce(300)">'),
+        [
+            ['id', 'q'],
+            ['data-a-placeholder', 'hint'],
+            ['data-p-value', 'query'],
+            ['data-on-input', 'search#debounce(300)'],
+        ]
+    );
+});
+
+test('shorthandPreprocessor: uses the prefixes of the parser', t => {
+    t.deepEqual(expand('<a :href="url" @click="open">', { ATTRIBUTE: 'x-a-', EVENT: 'x-on-' }), [
+        ['x-a-href', 'url'],
+        ['x-on-click', 'open'],
+    ]);
+});
+
+test('shorthandPreprocessor: the long form wins over its shorthand', t => {
+    /** @type {[string, string][]} */
+    let result = [];
+    const warnings = captureWarnings(() => {
+        result = expand('<p :title="short" data-a-title="long"></p>');
+    });
+
+    t.deepEqual(result, [['data-a-title', 'long']]);
+    t.deepEqual(warnings, [':title is ignored on P: data-a-title is also set']);
+});
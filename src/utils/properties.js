@@ -170,3 +170,37 @@ export function setPropertyValue(obj, path, value) {
         return current[part];
     }, obj);
 }
+
+/**
+ * Returns a copy of the object with a nested property replaced.
+ * Only the objects and arrays along the path are copied, the rest is shared.
+ * Missing intermediate objects are created.
+ * @param {*} obj - The source object, left untouched
+ * @param {string[]} path - Array of property names representing the path
+ * @param {*} value - The value to set
+ * @returns {*} The updated copy (or `value` itself for an empty path)
+ */
+export function cloneWithPropertyValue(obj, path, value) {
+    if (path.length === 0) return value;
+
+    const [head, ...rest] = path;
+    /** @type {any} */
+    const copy = Array.isArray(obj) ? [...obj] : { ...(isSet(obj) ? obj : {}) };
+    copy[head] = cloneWithPropertyValue(isSet(obj) ? obj[head] : undefined, rest, value);
+    return copy;
+}
+
+/**
+ * Checks if two paths are equal or one of them is an ancestor of the other.
+ * A change at one of two related paths may change the value at the other.
+ * @param {string[]} a - First path
+ * @param {string[]} b - Second path
+ * @returns {boolean} True if the paths are related
+ */
+export function arePathsRelated(a, b) {
+    const length = Math.min(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
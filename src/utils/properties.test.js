@@ -11,6 +11,8 @@ import {
     propertyNameToAttributeName,
     propertyNameToPath,
     pathToPropertyName,
+    arePathsRelated,
+    cloneWithPropertyValue,
 } from './properties.js';
 
 const window = new Window({ console }).window;
@@ -438,3 +440,53 @@ test('integration: pathToPropertyName -> propertyNameToPath roundtrip', t => {
     const path = propertyNameToPath(propName);
     t.deepEqual(path, original);
 });
+
+// ============================================================================
+// arePathsRelated Tests
+// ============================================================================
+
+test('arePathsRelated: equal paths are related', t => {
+    t.true(arePathsRelated(['user', 'name'], ['user', 'name']));
+});
+
+test('arePathsRelated: ancestor and descendant are related', t => {
+    t.true(arePathsRelated(['user'], ['user', 'name']));
+    t.true(arePathsRelated(['user', 'name'], ['user']));
+    t.true(arePathsRelated([], ['user']));
+});
+
+test('arePathsRelated: siblings are not related', t => {
+    t.false(arePathsRelated(['user', 'name'], ['user', 'email']));
+    t.false(arePathsRelated(['user'], ['users']));
+});
+
+// ============================================================================
+// cloneWithPropertyValue Tests
+// ============================================================================
+
+test('cloneWithPropertyValue: copies objects along the path only', t => {
+    const source = { user: { name: 'Alex', tags: ['a'] }, other: { x: 1 } };
+
+    const result = cloneWithPropertyValue(source, ['user', 'name'], 'Sam');
+
+    t.deepEqual(result, { user: { name: 'Sam', tags: ['a'] }, other: { x: 1 } });
+    t.is(source.user.name, 'Alex');
+    t.not(result.user, source.user);
+    t.is(result.other, source.other);
+    t.is(result.user.tags, source.user.tags);
+});
+
+test('cloneWithPropertyValue: copies arrays as arrays', t => {
+    const result = cloneWithPropertyValue({ items: [1, 2, 3] }, ['items', '1'], 20);
+    t.true(Array.isArray(result.items));
+    t.deepEqual(result.items, [1, 20, 3]);
+});
+
+test('cloneWithPropertyValue: creates missing objects', t => {
+    t.deepEqual(cloneWithPropertyValue({}, ['a', 'b'], 1), { a: { b: 1 } });
+    t.deepEqual(cloneWithPropertyValue(null, ['a'], 1), { a: 1 });
+});
+
+test('cloneWithPropertyValue: empty path returns the value', t => {
+    t.is(cloneWithPropertyValue({ a: 1 }, [], 5), 5);
+});
@@ -1,6 +1,7 @@
 // @ts-check
 
-const RESERVED_WORDS = new Set([
+// Words that never name a state property; expressions reject them to keep globals out of reach
+export const RESERVED_WORDS = new Set([
     'class',
     'function',
     'return',